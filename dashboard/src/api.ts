@@ -58,6 +58,21 @@ export async function getTraders() {
   return jsonOrThrow(res);
 }
 
+export async function getTraderLeaderboard(window: '7d' | '30d' | 'all' = '30d') {
+  const res = await apiFetch(`/api/traders/leaderboard?window=${window}`);
+  return jsonOrThrow(res);
+}
+
+export async function getTraderStats(address: string) {
+  const res = await apiFetch(`/api/traders/${address}/stats`);
+  return jsonOrThrow(res);
+}
+
+export async function getTraderBudget(address: string) {
+  const res = await apiFetch(`/api/traders/${address}/budget`);
+  return jsonOrThrow(res);
+}
+
 export async function getConfig() {
   const res = await apiFetch('/api/config');
   return jsonOrThrow(res);
@@ -100,11 +115,120 @@ export async function saveSettings(settings: Record<string, unknown>) {
   return jsonOrThrow(res);
 }
 
+export async function getExitRules() {
+  const res = await apiFetch('/api/exit-rules');
+  return jsonOrThrow(res);
+}
+
+export async function saveBucketExitRules(bucket: 'grinder' | 'event', rules: Record<string, number | null>) {
+  const res = await apiFetch(`/api/exit-rules/${bucket}`, {
+    method: 'PATCH',
+    body: JSON.stringify(rules),
+  });
+  return jsonOrThrow(res);
+}
+
+export async function getMarketFilters() {
+  const res = await apiFetch('/api/market-filters');
+  return jsonOrThrow(res);
+}
+
+export async function saveMarketFilters(rules: unknown[]) {
+  const res = await apiFetch('/api/market-filters', {
+    method: 'PUT',
+    body: JSON.stringify({ rules }),
+  });
+  return jsonOrThrow(res);
+}
+
 export async function getAuditLog() {
   const res = await apiFetch('/api/audit-log');
   return jsonOrThrow(res);
 }
 
+export async function getCatchupPlan() {
+  const res = await apiFetch('/api/catchup');
+  return jsonOrThrow(res);
+}
+
+export async function resolveCatchupAction(id: number, decision: 'approve' | 'reject') {
+  const res = await apiFetch(`/api/catchup/${id}/${decision}`, { method: 'POST', body: JSON.stringify({}) });
+  return jsonOrThrow(res);
+}
+
+export async function getConsensus() {
+  const res = await apiFetch('/api/consensus');
+  return jsonOrThrow(res);
+}
+
+export async function getConfirmations() {
+  const res = await apiFetch('/api/confirmations');
+  return jsonOrThrow(res);
+}
+
+export async function getLatency(days?: number) {
+  const res = await apiFetch(`/api/analytics/latency${days ? `?days=${days}` : ''}`);
+  return jsonOrThrow(res);
+}
+
+export async function getSlippage(days?: number) {
+  const res = await apiFetch(`/api/analytics/slippage${days ? `?days=${days}` : ''}`);
+  return jsonOrThrow(res);
+}
+
+export async function getReconciliation() {
+  const res = await apiFetch('/api/reconcile');
+  return jsonOrThrow(res);
+}
+
+export async function runReconciliation() {
+  const res = await apiFetch('/api/reconcile/run', { method: 'POST', body: JSON.stringify({}) });
+  return jsonOrThrow(res);
+}
+
+export async function resolveMismatch(id: number, decision: 'apply' | 'dismiss') {
+  const res = await apiFetch(`/api/reconcile/${id}/${decision}`, { method: 'POST', body: JSON.stringify({}) });
+  return jsonOrThrow(res);
+}
+
+export async function getBacktests() {
+  const res = await apiFetch('/api/backtests');
+  return jsonOrThrow(res);
+}
+
+export async function getBacktest(id: number) {
+  const res = await apiFetch(`/api/backtests/${id}`);
+  return jsonOrThrow(res);
+}
+
+export async function runBacktest(params: { address: string; bucket?: string; days: number; equity?: number }) {
+  const res = await apiFetch('/api/backtests', { method: 'POST', body: JSON.stringify(params) });
+  return jsonOrThrow(res);
+}
+
+export async function deleteBacktest(id: number) {
+  const res = await apiFetch(`/api/backtests/${id}`, { method: 'DELETE' });
+  return jsonOrThrow(res);
+}
+
+export async function getDiscovery() {
+  const res = await apiFetch('/api/discovery');
+  return jsonOrThrow(res);
+}
+
+export async function runDiscovery() {
+  const res = await apiFetch('/api/discovery', { method: 'POST', body: JSON.stringify({}) });
+  return jsonOrThrow(res);
+}
+
+export async function addDiscoveredTrader(id: number, bucket: 'grinder' | 'event') {
+  const res = await apiFetch(`/api/discovery/candidates/${id}/add`, {
+    method: 'POST',
+    body: JSON.stringify({ bucket }),
+  });
+  return jsonOrThrow(res);
+}
+
 export async function getNotificationStatus() {
   const res = await apiFetch('/api/notifications/status');
   return jsonOrThrow(res);
@@ -39,6 +39,15 @@ const actionVariant: Record<string, 'profit' | 'warning' | 'loss' | 'info' | 'se
   trader_add: 'profit',
   trader_remove: 'loss',
   trader_update: 'secondary',
+  catchup_decision: 'info',
+  catchup_approve: 'profit',
+  catchup_reject: 'warning',
+  reconcile_mismatch: 'loss',
+  reconcile_apply: 'profit',
+  reconcile_dismiss: 'secondary',
+  position_resolved: 'info',
+  position_redeem: 'profit',
+  backtest_run: 'info',
 }
 
 export default function ActivityView() {
@@ -0,0 +1,343 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion } from 'framer-motion'
+import { toast } from 'sonner'
+import { Play, Trash2, TrendingUp, Target, TrendingDown, Copy } from 'lucide-react'
+import { getBacktests, getBacktest, runBacktest, deleteBacktest } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import KPICard from './KPICard'
+import EquityCurveChart from './charts/EquityCurveChart'
+import { fadeInUp, defaultTransition } from '@/lib/animations'
+import { formatUsd, formatPct } from '@/lib/format'
+
+interface BacktestMetrics {
+  startEquity: number
+  finalEquity: number
+  returnPct: number
+  realizedPnl: number
+  unrealizedPnl: number
+  openPositions: number
+  closedPositions: number
+  wins: number
+  losses: number
+  winRate: number
+  maxDrawdownUsd: number
+  maxDrawdownPct: number
+  leaderFills: number
+  signals: number
+  entrySignals: number
+  copied: number
+  closes: number
+  volumeUsd: number
+  blocked: Record<string, number>
+  blockedReasons: { status: string; reason: string; count: number }[]
+}
+
+interface BacktestRun {
+  id: number
+  created_at: string
+  status: 'running' | 'done' | 'failed'
+  trader_address: string
+  bucket: string
+  period_start: string | null
+  period_end: string | null
+  start_equity: number
+  metrics: Partial<BacktestMetrics>
+  error: string
+  curve?: { timestamp: string; equity: number; total_exposure: number }[]
+}
+
+const statusVariant: Record<string, 'profit' | 'loss' | 'info'> = {
+  done: 'profit',
+  failed: 'loss',
+  running: 'info',
+}
+
+function formatPeriod(run: BacktestRun) {
+  if (!run.period_start || !run.period_end) return '—'
+  const fmt = (s: string) => new Date(s).toLocaleDateString([], { month: 'short', day: 'numeric' })
+  return `${fmt(run.period_start)} – ${fmt(run.period_end)}`
+}
+
+export default function BacktestView() {
+  const [runs, setRuns] = useState<BacktestRun[]>([])
+  const [running, setRunning] = useState(false)
+  const [selected, setSelected] = useState<BacktestRun | null>(null)
+  const [address, setAddress] = useState('')
+  const [bucket, setBucket] = useState('auto')
+  const [days, setDays] = useState('30')
+  const [equity, setEquity] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      const data = await getBacktests()
+      setRuns(data.runs || [])
+      setRunning(!!data.running)
+    } catch { /* list stays as is */ }
+  }, [])
+
+  const selectRun = useCallback(async (id: number) => {
+    try {
+      setSelected(await getBacktest(id))
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to load backtest')
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRuns()
+    const id = setInterval(fetchRuns, running ? 3000 : 30000)
+    return () => clearInterval(id)
+  }, [fetchRuns, running])
+
+  // Open the latest finished run, and refresh the open one when it finishes
+  useEffect(() => {
+    const latest = runs.find(r => r.status === 'done')
+    if (!selected && latest) selectRun(latest.id)
+    const current = selected && runs.find(r => r.id === selected.id)
+    if (current && current.status !== selected.status) selectRun(current.id)
+  }, [runs, selected, selectRun])
+
+  const handleRun = async () => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address.trim())) {
+      toast.error('Invalid Ethereum address')
+      return
+    }
+    setSubmitting(true)
+    try {
+      const res = await runBacktest({
+        address: address.trim(),
+        bucket: bucket === 'auto' ? undefined : bucket,
+        days: parseFloat(days) || 30,
+        equity: equity ? parseFloat(equity) : undefined,
+      })
+      toast.success(`Backtest #${res.id} started`)
+      setRunning(true)
+      await fetchRuns()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to start backtest')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleDelete = async (id: number) => {
+    try {
+      await deleteBacktest(id)
+      if (selected?.id === id) setSelected(null)
+      await fetchRuns()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to delete backtest')
+    }
+  }
+
+  const m = selected?.status === 'done' ? selected.metrics as BacktestMetrics : null
+
+  return (
+    <motion.div variants={fadeInUp} initial="hidden" animate="visible" transition={defaultTransition} className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg font-semibold">Backtest</CardTitle>
+          <CardDescription>
+            Replay a leader's recent trades through your current sizing, risk limits and exit rules · fills are simulated on a synthetic book around the leader's price
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-3 grid-cols-2 md:grid-cols-[1fr_130px_100px_120px_auto] items-end">
+            <div className="space-y-2 col-span-2 md:col-span-1">
+              <Label htmlFor="bt-address">Leader Address</Label>
+              <Input id="bt-address" value={address} onChange={(e) => setAddress(e.target.value)} placeholder="0x..." className="font-mono text-sm" />
+            </div>
+            <div className="space-y-2">
+              <Label>Bucket</Label>
+              <Select value={bucket} onValueChange={setBucket}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="auto">As configured</SelectItem>
+                  <SelectItem value="grinder">Grinder</SelectItem>
+                  <SelectItem value="event">Event</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="bt-days">Days</Label>
+              <Input id="bt-days" type="number" min={1} max={365} value={days} onChange={(e) => setDays(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="bt-equity">Start Equity</Label>
+              <Input id="bt-equity" type="number" min={1} value={equity} onChange={(e) => setEquity(e.target.value)} placeholder="Max exposure" />
+            </div>
+            <Button onClick={handleRun} disabled={submitting || running} className="col-span-2 md:col-span-1">
+              <Play className="h-4 w-4 mr-1.5" />
+              {running ? 'Running...' : 'Run'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {m && selected && (
+        <>
+          <div className="grid gap-4 grid-cols-2 lg:grid-cols-4">
+            <KPICard
+              title="Return"
+              value={formatPct(m.returnPct)}
+              subtitle={`${formatUsd(m.startEquity)} → ${formatUsd(m.finalEquity)}`}
+              icon={<TrendingUp className="h-4 w-4" />}
+              valueColor={m.returnPct >= 0 ? 'text-profit' : 'text-loss'}
+            />
+            <KPICard
+              title="Win Rate"
+              value={m.closedPositions > 0 ? `${m.winRate.toFixed(0)}%` : '—'}
+              subtitle={`${m.wins}W / ${m.losses}L · ${m.openPositions} still open`}
+              icon={<Target className="h-4 w-4" />}
+            />
+            <KPICard
+              title="Max Drawdown"
+              value={`${m.maxDrawdownPct.toFixed(1)}%`}
+              subtitle={formatUsd(m.maxDrawdownUsd)}
+              icon={<TrendingDown className="h-4 w-4" />}
+              valueColor={m.maxDrawdownPct > 0 ? 'text-loss' : undefined}
+            />
+            <KPICard
+              title="Copied"
+              value={`${m.copied}/${m.entrySignals}`}
+              subtitle={`${m.closes} closes · ${m.leaderFills} leader fills`}
+              icon={<Copy className="h-4 w-4" />}
+            />
+          </div>
+
+          <div className="grid gap-4 lg:grid-cols-[2fr_1fr]">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg font-semibold">Equity Curve</CardTitle>
+                <CardDescription>
+                  Backtest #{selected.id} · {selected.trader_address.slice(0, 10)}... [{selected.bucket}] · {formatPeriod(selected)}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <EquityCurveChart snapshots={selected.curve || []} range="all" height={260} />
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg font-semibold">Not Copied</CardTitle>
+                <CardDescription>Leader entries we skipped, by reason</CardDescription>
+              </CardHeader>
+              <CardContent>
+                {m.blockedReasons.length === 0 ? (
+                  <div className="py-8 text-center text-sm text-muted-foreground">Every entry was copied.</div>
+                ) : (
+                  <div className="max-h-[280px] overflow-auto space-y-2">
+                    {m.blockedReasons.map(r => (
+                      <div key={`${r.status}-${r.reason}`} className="flex items-center justify-between gap-2 text-xs">
+                        <div className="min-w-0">
+                          <span className="block truncate" title={r.reason}>{r.reason}</span>
+                          <span className="text-[10px] text-muted-foreground">{r.status}</span>
+                        </div>
+                        <span className="font-mono tabular-nums">{r.count}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        </>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg font-semibold">Runs</CardTitle>
+          <CardDescription>Results are kept in data/backtest.db · also runnable from the CLI: npm run backtest -- 0x...</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {runs.length === 0 ? (
+            <div className="py-12 text-center text-sm text-muted-foreground">
+              No backtests yet. Enter a leader address above to run one.
+            </div>
+          ) : (
+            <div className="max-h-[400px] overflow-auto rounded-md border border-border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold">#</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Leader</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Period</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Return</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Win Rate</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Max DD</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Status</TableHead>
+                    <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Action</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {runs.map(run => (
+                    <TableRow
+                      key={run.id}
+                      className={`cursor-pointer ${selected?.id === run.id ? 'bg-accent/50' : ''}`}
+                      onClick={() => run.status === 'done' && selectRun(run.id)}
+                    >
+                      <TableCell className="font-mono text-xs">{run.id}</TableCell>
+                      <TableCell className="font-mono text-xs">
+                        {run.trader_address.slice(0, 10)}... <span className="text-muted-foreground">[{run.bucket}]</span>
+                      </TableCell>
+                      <TableCell className="text-xs text-muted-foreground whitespace-nowrap">{formatPeriod(run)}</TableCell>
+                      <TableCell className={`font-mono text-right text-xs ${(run.metrics.returnPct ?? 0) >= 0 ? 'text-profit' : 'text-loss'}`}>
+                        {run.metrics.returnPct != null ? formatPct(run.metrics.returnPct) : '—'}
+                      </TableCell>
+                      <TableCell className="font-mono text-right text-xs">
+                        {run.metrics.winRate != null ? `${run.metrics.winRate.toFixed(0)}%` : '—'}
+                      </TableCell>
+                      <TableCell className="font-mono text-right text-xs">
+                        {run.metrics.maxDrawdownPct != null ? `${run.metrics.maxDrawdownPct.toFixed(1)}%` : '—'}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={statusVariant[run.status] ?? 'secondary'} className="text-[10px]" title={run.error || undefined}>
+                          {run.status}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-7 px-2 text-muted-foreground"
+                          disabled={run.status === 'running'}
+                          onClick={(e) => { e.stopPropagation(); handleDelete(run.id) }}
+                          aria-label="Delete backtest"
+                        >
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  )
+}
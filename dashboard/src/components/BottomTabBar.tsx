@@ -1,10 +1,11 @@
 import { cn } from '@/lib/utils'
-import { LayoutDashboard, Users, Settings, ScrollText } from 'lucide-react'
+import { LayoutDashboard, Users, Settings, ScrollText, FlaskConical } from 'lucide-react'
 import type { View } from './Sidebar'
 
 const tabs: { id: View; label: string; icon: typeof LayoutDashboard }[] = [
   { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
   { id: 'traders', label: 'Traders', icon: Users },
+  { id: 'backtest', label: 'Backtest', icon: FlaskConical },
   { id: 'settings', label: 'Settings', icon: Settings },
   { id: 'activity', label: 'Activity', icon: ScrollText },
 ]
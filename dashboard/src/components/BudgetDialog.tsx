@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { toast } from 'sonner'
+import { getTraderBudget, updateTrader } from '@/api'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { formatUsd } from '@/lib/format'
+import { cn } from '@/lib/utils'
+import type { Trader, TraderBudget } from '@/hooks/usePolling'
+
+type BudgetKey = keyof TraderBudget
+
+interface BudgetStatus {
+  budget: Required<TraderBudget>
+  defaults: Required<TraderBudget>
+  usage: { exposure: number; dailyPnl: number; consecutiveLosses: number; drawdown: number }
+  breaches: string[]
+  disabledUntil: string | null
+}
+
+const fields: { key: BudgetKey; label: string }[] = [
+  { key: 'maxExposure', label: 'Max Exposure ($)' },
+  { key: 'maxDailyLoss', label: 'Max Daily Loss ($)' },
+  { key: 'maxConsecutiveLosses', label: 'Max Losing Streak' },
+  { key: 'maxDrawdown', label: 'Max Drawdown ($)' },
+  { key: 'coolOffHours', label: 'Cool-off (hours)' },
+]
+
+/** Compact label for the table cell: "Global" or the number of overridden limits */
+function describeBudget(b?: TraderBudget) {
+  const n = b ? Object.keys(b).length : 0
+  return n === 0 ? 'Global' : `Custom (${n})`
+}
+
+export default function BudgetDialog({ trader, onSave }: { trader: Trader; onSave: () => void }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState<Record<string, string>>({})
+  const [status, setStatus] = useState<BudgetStatus | null>(null)
+  const [saving, setSaving] = useState(false)
+
+  const load = async () => {
+    setDraft(Object.fromEntries(Object.entries(trader.budget || {}).map(([k, v]) => [k, String(v)])))
+    try {
+      setStatus(await getTraderBudget(trader.address))
+    } catch { /* placeholders and usage stay empty */ }
+  }
+
+  // Empty fields clear the override so the TRADER_* .env value applies again
+  const save = async (budget: Record<string, number | null> | null) => {
+    setSaving(true)
+    try {
+      const res = await updateTrader(trader.address, { budget })
+      if (res.error) {
+        toast.error(res.error)
+        return
+      }
+      toast.success(budget ? 'Budget saved' : 'Budget reset to global')
+      setOpen(false)
+      onSave()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save budget')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => {
+    save(Object.fromEntries(fields.map(({ key }) => [key, draft[key] !== undefined && draft[key] !== '' ? parseFloat(draft[key]) : null])))
+  }
+
+  const usage = status?.usage
+  const limit = (key: BudgetKey) => status?.budget[key] ?? 0
+  const over = (value: number, key: BudgetKey) => limit(key) > 0 && value >= limit(key)
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => { setOpen(v); if (v) load() }}>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="sm" className="h-7 px-2 font-mono text-xs">
+          {describeBudget(trader.budget)}
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Risk Budget</DialogTitle>
+          <DialogDescription>
+            Limits for {trader.label || `${trader.address.slice(0, 6)}...${trader.address.slice(-4)}`}. Breaching a loss limit disables the trader for the cool-off (0 = until re-enabled by hand). Empty fields use the global .env value, 0 turns a limit off.
+          </DialogDescription>
+        </DialogHeader>
+        {usage && (
+          <div className="grid grid-cols-2 gap-x-4 gap-y-1 rounded-md border border-border px-3 py-2 text-xs">
+            <span className="text-muted-foreground">Open exposure</span>
+            <span className={cn('font-mono text-right', over(usage.exposure, 'maxExposure') && 'text-loss')}>{formatUsd(usage.exposure)}</span>
+            <span className="text-muted-foreground">Today's P&L</span>
+            <span className={cn('font-mono text-right', over(-usage.dailyPnl, 'maxDailyLoss') && 'text-loss')}>{formatUsd(usage.dailyPnl)}</span>
+            <span className="text-muted-foreground">Losing streak</span>
+            <span className={cn('font-mono text-right', over(usage.consecutiveLosses, 'maxConsecutiveLosses') && 'text-loss')}>{usage.consecutiveLosses}</span>
+            <span className="text-muted-foreground">Drawdown from peak</span>
+            <span className={cn('font-mono text-right', over(usage.drawdown, 'maxDrawdown') && 'text-loss')}>{formatUsd(usage.drawdown)}</span>
+            {status?.disabledUntil && (
+              <span className="col-span-2 text-warning">Disabled until {new Date(status.disabledUntil).toLocaleString()}</span>
+            )}
+          </div>
+        )}
+        <div className="grid grid-cols-2 gap-4 py-2">
+          {fields.map(({ key, label }) => (
+            <div key={key} className="space-y-2">
+              <Label htmlFor={`budget-${key}`}>{label}</Label>
+              <Input
+                id={`budget-${key}`}
+                type="number"
+                step="any"
+                min={0}
+                value={draft[key] ?? ''}
+                placeholder={status ? String(status.defaults[key]) : ''}
+                onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+              />
+            </div>
+          ))}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" disabled={saving || !trader.budget} onClick={() => save(null)}>Reset to Global</Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react'
+import { toast } from 'sonner'
+import { Check, X } from 'lucide-react'
+import { getCatchupPlan, resolveCatchupAction } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+
+interface CatchupAction {
+  id: number
+  plan_id: string
+  created_at: string
+  trader_address: string
+  market_id: string
+  market_name: string
+  action: 'close' | 'adopt' | 'skip'
+  reason: string
+  status: string
+}
+
+interface CatchupPlan {
+  policy: string
+  maxEntryAgeMin: number
+  pending: number
+  actions: CatchupAction[]
+}
+
+const actionVariant: Record<string, 'profit' | 'loss' | 'secondary'> = {
+  adopt: 'profit',
+  close: 'loss',
+  skip: 'secondary',
+}
+
+const statusVariant: Record<string, 'profit' | 'warning' | 'loss' | 'info' | 'secondary'> = {
+  pending: 'warning',
+  approved: 'info',
+  queued: 'profit',
+  executed: 'profit',
+  failed: 'loss',
+  rejected: 'secondary',
+  expired: 'secondary',
+  noted: 'secondary',
+}
+
+export default function CatchupPlanCard() {
+  const [plan, setPlan] = useState<CatchupPlan | null>(null)
+  const [busyId, setBusyId] = useState<number | null>(null)
+
+  const fetchPlan = useCallback(async () => {
+    try {
+      setPlan(await getCatchupPlan())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  useEffect(() => {
+    fetchPlan()
+    const id = setInterval(fetchPlan, 15000)
+    return () => clearInterval(id)
+  }, [fetchPlan])
+
+  const handleResolve = async (id: number, decision: 'approve' | 'reject') => {
+    setBusyId(id)
+    try {
+      await resolveCatchupAction(id, decision)
+      toast.success(decision === 'approve' ? 'Catch-up action approved' : 'Catch-up action rejected')
+      await fetchPlan()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to update')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Only the most recent plan is relevant — older ones were re-baselined by later restarts
+  const latestPlanId = plan?.actions[0]?.plan_id
+  const actions = plan?.actions.filter(a => a.plan_id === latestPlanId) ?? []
+  if (!plan || actions.length === 0) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <CardTitle className="text-lg font-semibold">Downtime Catch-up</CardTitle>
+          {plan.pending > 0 && (
+            <Badge variant="warning" className="text-[10px]">{plan.pending} pending</Badge>
+          )}
+        </div>
+        <CardDescription>
+          Leader changes detected while the bot was offline ({new Date(latestPlanId ?? '').toLocaleString()}) · policy: {plan.policy}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="max-h-[320px] overflow-auto rounded-md border border-border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Action</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Market</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Trader</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Reason</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Status</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {actions.map(a => (
+                <TableRow key={a.id}>
+                  <TableCell>
+                    <Badge variant={actionVariant[a.action] ?? 'secondary'} className="text-[10px] uppercase">
+                      {a.action}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-xs max-w-[220px]">
+                    <span className="block truncate" title={a.market_name || a.market_id}>
+                      {a.market_name || a.market_id}
+                    </span>
+                  </TableCell>
+                  <TableCell className="text-xs font-mono text-muted-foreground">
+                    {a.trader_address.slice(0, 6)}…{a.trader_address.slice(-4)}
+                  </TableCell>
+                  <TableCell className="text-xs text-muted-foreground max-w-[260px]">
+                    <span className="block truncate" title={a.reason}>{a.reason}</span>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {a.status === 'pending' ? (
+                      <div className="flex justify-end gap-1">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-7 px-2 text-profit"
+                          disabled={busyId === a.id}
+                          onClick={() => handleResolve(a.id, 'approve')}
+                          aria-label="Approve"
+                        >
+                          <Check className="h-3.5 w-3.5" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="h-7 px-2 text-loss"
+                          disabled={busyId === a.id}
+                          onClick={() => handleResolve(a.id, 'reject')}
+                          aria-label="Reject"
+                        >
+                          <X className="h-3.5 w-3.5" />
+                        </Button>
+                      </div>
+                    ) : (
+                      <Badge variant={statusVariant[a.status] ?? 'secondary'} className="text-[10px]">
+                        {a.status}
+                      </Badge>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import { toast } from 'sonner'
+import { getConfirmations, updateTrader } from '@/api'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import type { Trader, TraderConfirm } from '@/hooks/usePolling'
+
+type ConfirmKey = keyof TraderConfirm
+
+const fields: { key: ConfirmKey; label: string }[] = [
+  { key: 'delayMin', label: 'Delay (minutes)' },
+  { key: 'minHoldPct', label: 'Leader Still Holds (%)' },
+  { key: 'priceBandPct', label: 'Price Band (±%)' },
+]
+
+/** Compact label for the table cell: "Off", "5m", or "Global" when nothing is overridden */
+function describeConfirm(c?: TraderConfirm) {
+  if (!c || Object.keys(c).length === 0) return 'Global'
+  if (c.delayMin == null) return 'Custom'
+  return c.delayMin > 0 ? `${c.delayMin}m` : 'Off'
+}
+
+export default function ConfirmDialog({ trader, onSave }: { trader: Trader; onSave: () => void }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState<Record<string, string>>({})
+  const [defaults, setDefaults] = useState<Required<TraderConfirm> | null>(null)
+  const [saving, setSaving] = useState(false)
+
+  const load = async () => {
+    setDraft(Object.fromEntries(Object.entries(trader.confirm || {}).map(([k, v]) => [k, String(v)])))
+    try {
+      setDefaults((await getConfirmations()).defaults)
+    } catch { /* placeholders stay empty */ }
+  }
+
+  // Empty fields clear the override so the CONFIRM_* .env value applies again
+  const save = async (confirm: Record<string, number | null> | null) => {
+    setSaving(true)
+    try {
+      const res = await updateTrader(trader.address, { confirm })
+      if (res.error) {
+        toast.error(res.error)
+        return
+      }
+      toast.success(confirm ? 'Confirmation saved' : 'Confirmation reset to global')
+      setOpen(false)
+      onSave()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save confirmation')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => {
+    save(Object.fromEntries(fields.map(({ key }) => [key, draft[key] !== undefined && draft[key] !== '' ? parseFloat(draft[key]) : null])))
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => { setOpen(v); if (v) load() }}>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="sm" className="h-7 px-2 font-mono text-xs">
+          {describeConfirm(trader.confirm)}
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Entry Confirmation</DialogTitle>
+          <DialogDescription>
+            New and increased positions of {trader.label || `${trader.address.slice(0, 6)}...${trader.address.slice(-4)}`} wait for the delay and are copied only if the leader still holds enough of the position and the price stayed inside the band. Empty fields use the global .env value, a delay of 0 copies at once.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-3 gap-4 py-2">
+          {fields.map(({ key, label }) => (
+            <div key={key} className="space-y-2">
+              <Label htmlFor={`confirm-${key}`}>{label}</Label>
+              <Input
+                id={`confirm-${key}`}
+                type="number"
+                step="any"
+                min={0}
+                value={draft[key] ?? ''}
+                placeholder={defaults ? String(defaults[key]) : ''}
+                onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+              />
+            </div>
+          ))}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" disabled={saving || !trader.confirm} onClick={() => save(null)}>Reset to Global</Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
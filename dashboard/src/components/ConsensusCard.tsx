@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getConsensus } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+
+interface Voter {
+  address: string
+  label: string
+  score: number
+  pending: boolean
+}
+
+interface Candidate {
+  marketId: string
+  tokenId: string
+  marketName: string
+  side: string
+  bucket: string
+  firstSeen: string
+  expiresAt: string
+  votes: number
+  required: number
+  voters: Voter[]
+}
+
+interface Consensus {
+  enabled: boolean
+  minLeaders: number
+  windowMin: number
+  buckets: string[]
+  weighting: 'none' | 'score'
+  maxMultiplier: number
+  candidates: Candidate[]
+}
+
+const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`
+
+export default function ConsensusCard() {
+  const [data, setData] = useState<Consensus | null>(null)
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getConsensus())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, 15000)
+    return () => clearInterval(id)
+  }, [fetchData])
+
+  if (!data?.enabled) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <CardTitle className="text-lg font-semibold">Consensus Candidates</CardTitle>
+          {data.candidates.length > 0 && (
+            <Badge variant="warning" className="text-[10px]">{data.candidates.length} waiting</Badge>
+          )}
+        </div>
+        <CardDescription>
+          New {data.buckets.join('/')} entries held until {data.minLeaders} {data.weighting === 'score' ? 'score-weighted votes' : 'leaders'} hold the token · {data.windowMin}m window · size up to {data.maxMultiplier}x
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {data.candidates.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No signals waiting for agreement.</p>
+        ) : (
+          <div className="max-h-[320px] overflow-auto rounded-md border border-border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Market</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Side</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Votes</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Leaders</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Expires</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.candidates.map(c => (
+                  <TableRow key={c.tokenId}>
+                    <TableCell className="text-xs max-w-[260px]">
+                      <span className="block truncate" title={c.marketName || c.marketId}>
+                        {c.marketName || c.marketId}
+                      </span>
+                    </TableCell>
+                    <TableCell className="text-xs">{c.side}</TableCell>
+                    <TableCell className="font-mono text-right text-xs">
+                      {c.votes}/{c.required}
+                    </TableCell>
+                    <TableCell className="text-xs">
+                      <div className="flex flex-wrap gap-1">
+                        {c.voters.map(v => (
+                          <Badge
+                            key={v.address}
+                            variant={v.pending ? 'info' : 'secondary'}
+                            className="text-[10px] font-mono"
+                            title={`${v.pending ? 'New signal' : 'Already holds'} · score ${v.score}`}
+                          >
+                            {v.label || shortAddr(v.address)}
+                          </Badge>
+                        ))}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-xs text-muted-foreground text-right">
+                      {new Date(c.expiresAt).toLocaleTimeString()}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -10,6 +10,7 @@ import DashboardView from './DashboardView'
 import TradersView from './TradersView'
 import SettingsView from './SettingsView'
 import ActivityView from './ActivityView'
+import BacktestView from './BacktestView'
 import { pageTransition, defaultTransition } from '@/lib/animations'
 
 export default function Dashboard({ onLogout }: { onLogout: () => void }) {
@@ -28,6 +29,8 @@ export default function Dashboard({ onLogout }: { onLogout: () => void }) {
         return <DashboardView stats={stats} trades={trades} traders={traders} onAction={refresh} page={page} totalTrades={totalTrades} pageSize={pageSize} onPageChange={setPage} statusCounts={statusCounts} tradeFilters={tradeFilters} onTradeFiltersChange={setTradeFilters} chartRange={chartRange} onChartRangeChange={setChartRange} />
       case 'traders':
         return <TradersView traders={traders} stats={stats} onUpdate={refresh} />
+      case 'backtest':
+        return <BacktestView />
       case 'settings':
         return <SettingsView onSave={refresh} />
       case 'activity':
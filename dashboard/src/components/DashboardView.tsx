@@ -4,6 +4,12 @@ import KPICards from './KPICards'
 import ChartsPane from './ChartsPane'
 import RiskPanel from './RiskPanel'
 import OpenPositions from './OpenPositions'
+import CatchupPlanCard from './CatchupPlanCard'
+import ReconcileCard from './ReconcileCard'
+import ConsensusCard from './ConsensusCard'
+import PendingSignalsCard from './PendingSignalsCard'
+import LatencyCard from './LatencyCard'
+import SlippageCard from './SlippageCard'
 import TradeLog from './TradeLog'
 import type { StatsData, Trade, Trader, TradeFilters, StatusCounts } from '@/hooks/usePolling'
 import type { TimeRange } from './charts/TimeRangeSelector'
@@ -67,6 +73,30 @@ export default function DashboardView({
         </div>
       </motion.div>
 
+      <motion.div variants={fadeInUp} transition={defaultTransition}>
+        <CatchupPlanCard />
+      </motion.div>
+
+      <motion.div variants={fadeInUp} transition={defaultTransition}>
+        <ConsensusCard />
+      </motion.div>
+
+      <motion.div variants={fadeInUp} transition={defaultTransition}>
+        <PendingSignalsCard />
+      </motion.div>
+
+      <motion.div variants={fadeInUp} transition={defaultTransition}>
+        <LatencyCard />
+      </motion.div>
+
+      <motion.div variants={fadeInUp} transition={defaultTransition}>
+        <SlippageCard />
+      </motion.div>
+
+      <motion.div variants={fadeInUp} transition={defaultTransition}>
+        <ReconcileCard />
+      </motion.div>
+
       <motion.div variants={fadeInUp} transition={defaultTransition}>
         <OpenPositions positions={positions} />
       </motion.div>
@@ -0,0 +1,205 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getDiscovery, runDiscovery, addDiscoveredTrader } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { Search } from 'lucide-react'
+import { toast } from 'sonner'
+import { formatCompact } from '@/lib/format'
+import { cn } from '@/lib/utils'
+
+type Bucket = 'grinder' | 'event'
+
+interface Candidate {
+  id: number
+  trader_address: string
+  name: string
+  categories: string[]
+  volume: number
+  trades: number
+  last_trade_at: string | null
+  bucket: Bucket | ''
+  status: 'shortlisted' | 'rejected' | 'added'
+  reason: string
+  backtest_id: number | null
+  metrics: { returnPct?: number; winRate?: number; closedPositions?: number }
+}
+
+interface Discovery {
+  running: boolean
+  settings: {
+    categories: string[]
+    period: string
+    minVolume: number
+    maxIdleHours: number
+    minTrades: number
+    minWinRate: number
+    days: number
+    maxCandidates: number
+  }
+  scan: {
+    id: number
+    created_at: string
+    finished_at: string | null
+    status: 'running' | 'done' | 'failed'
+    summary: { found?: number; evaluated?: number; shortlisted?: number }
+    error: string
+    candidates: Candidate[]
+  } | null
+}
+
+const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`
+
+function hoursAgo(iso: string | null) {
+  if (!iso) return '—'
+  const h = (Date.now() - new Date(iso).getTime()) / 3600000
+  return h < 1 ? '<1h' : h < 48 ? `${Math.round(h)}h` : `${Math.round(h / 24)}d`
+}
+
+export default function DiscoveryCard({ onUpdate }: { onUpdate: () => void }) {
+  const [data, setData] = useState<Discovery | null>(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getDiscovery())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  const running = !!data?.running
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, running ? 3000 : 60000)
+    return () => clearInterval(id)
+  }, [fetchData, running])
+
+  const handleRun = async () => {
+    setSubmitting(true)
+    try {
+      const res = await runDiscovery()
+      if (res.error) throw new Error(res.error)
+      toast.success(`Discovery scan #${res.id} started`)
+      await fetchData()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to start discovery')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleAdd = async (c: Candidate, bucket: Bucket) => {
+    try {
+      const res = await addDiscoveredTrader(c.id, bucket)
+      if (res.error) throw new Error(res.error)
+      toast.success(`${c.name || shortAddr(c.trader_address)} added as ${bucket}`)
+      await fetchData()
+      onUpdate()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to add trader')
+    }
+  }
+
+  if (!data) return null
+
+  const { settings: s, scan } = data
+  const candidates = scan?.candidates.filter(c => c.status !== 'rejected') ?? []
+  const rejected = (scan?.candidates.length ?? 0) - candidates.length
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <div className="flex items-center gap-2">
+              <CardTitle className="text-lg font-semibold">Discover Leaders</CardTitle>
+              {scan?.status === 'failed' && (
+                <Badge variant="loss" className="text-[10px]" title={scan.error}>Failed</Badge>
+              )}
+            </div>
+            <CardDescription>
+              Top {s.categories.join('/')} leaderboard by {s.period} volume · ≥ ${formatCompact(s.minVolume)} volume,
+              ≥ {s.minTrades} fills in {s.days}d, active within {s.maxIdleHours}h · replayed, shortlisted at ≥ {s.minWinRate}% win rate
+              {scan?.status === 'done' && ` · last scan ${new Date(scan.finished_at || scan.created_at).toLocaleString()}: ${scan.summary.evaluated ?? 0} evaluated, ${rejected} rejected`}
+            </CardDescription>
+          </div>
+          <Button size="sm" onClick={handleRun} disabled={submitting || running}>
+            <Search className="h-4 w-4 mr-1.5" />
+            {running ? 'Scanning...' : 'Scan'}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {candidates.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {running ? 'Replaying leaderboard traders…' : scan ? 'No leaders passed the filters.' : 'No scans yet.'}
+          </p>
+        ) : (
+          <div className="max-h-[360px] overflow-auto rounded-md border border-border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Leader</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Volume</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Fills</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Last</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Replay</TableHead>
+                  <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Add</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {candidates.map(c => {
+                  const ret = c.metrics.returnPct ?? 0
+                  return (
+                    <TableRow key={c.id}>
+                      <TableCell className="text-xs" title={c.trader_address}>
+                        {c.name || <span className="font-mono">{shortAddr(c.trader_address)}</span>}
+                        <span className="text-muted-foreground"> · {c.categories.join(', ')}</span>
+                      </TableCell>
+                      <TableCell className="font-mono text-right text-xs">${formatCompact(c.volume)}</TableCell>
+                      <TableCell className="font-mono text-right text-xs">{c.trades}</TableCell>
+                      <TableCell className="text-xs text-muted-foreground text-right">{hoursAgo(c.last_trade_at)}</TableCell>
+                      <TableCell className="font-mono text-right text-xs" title={c.reason}>
+                        <span className={cn(ret > 0 ? 'text-profit' : ret < 0 ? 'text-loss' : '')}>
+                          {ret > 0 ? '+' : ''}{ret}%
+                        </span>
+                        <span className="text-muted-foreground"> · {c.metrics.winRate ?? 0}% win</span>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {c.status === 'added' ? (
+                          <Badge variant="secondary" className="text-[10px]">Added</Badge>
+                        ) : (
+                          <div className="inline-flex gap-1">
+                            {(['grinder', 'event'] as Bucket[]).map(b => (
+                              <Button
+                                key={b}
+                                size="sm"
+                                variant={c.bucket === b ? 'default' : 'outline'}
+                                className="h-6 px-2 text-[10px]"
+                                title={c.bucket === b ? 'Suggested bucket' : undefined}
+                                onClick={() => handleAdd(c, b)}
+                              >
+                                + {b === 'grinder' ? 'Grinder' : 'Event'}
+                              </Button>
+                            ))}
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,145 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getLatency } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { cn } from '@/lib/utils'
+import LatencyChart, { type CycleLatency } from './charts/LatencyChart'
+
+type Stage = 'detection' | 'decision' | 'submission' | 'fill' | 'execution' | 'total'
+
+interface Percentiles {
+  count: number
+  p50: number | null
+  p90: number | null
+  p99: number | null
+  max: number | null
+}
+
+interface TraderLatency {
+  address: string
+  label: string
+  trades: number
+  detection: Percentiles
+  execution: Percentiles
+}
+
+interface Latency {
+  windowDays: number
+  pollIntervalSec: number
+  scannerConcurrency: number
+  activeTraders: number
+  trades: number
+  stages: Record<Stage, Percentiles>
+  byTrader: TraderLatency[]
+  byCycle: CycleLatency[]
+}
+
+const STAGE_LABELS: Record<Stage, string> = {
+  detection: 'Detection (leader → scan)',
+  decision: 'Decision (scan → sized)',
+  submission: 'Submission (sized → order)',
+  fill: 'Fill (order → filled)',
+  execution: 'Execution (scan → filled)',
+  total: 'Total (leader → filled)',
+}
+
+const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`
+
+const fmt = (v: number | null) => {
+  if (v == null) return '—'
+  return v >= 60 ? `${(v / 60).toFixed(1)}m` : `${v.toFixed(1)}s`
+}
+
+export default function LatencyCard() {
+  const [data, setData] = useState<Latency | null>(null)
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getLatency())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, 15000)
+    return () => clearInterval(id)
+  }, [fetchData])
+
+  if (!data) return null
+
+  const head = 'text-[10px] uppercase tracking-widest font-semibold'
+  const num = 'font-mono text-right text-xs'
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg font-semibold">Signal Latency</CardTitle>
+        <CardDescription>
+          {data.trades} timed signal{data.trades === 1 ? '' : 's'} in the last {data.windowDays}d · polling every {data.pollIntervalSec}s, {data.scannerConcurrency} of {data.activeTraders} trader{data.activeTraders === 1 ? '' : 's'} scanned at a time · detection lag needs the activity source (leader trade time)
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <LatencyChart data={data.byCycle} />
+        <div className="grid gap-4 lg:grid-cols-2">
+          <div className="rounded-md border border-border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className={head}>Stage</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>p50</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>p90</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>p99</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>n</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {(Object.keys(STAGE_LABELS) as Stage[]).map(stage => (
+                  <TableRow key={stage}>
+                    <TableCell className="text-xs">{STAGE_LABELS[stage]}</TableCell>
+                    <TableCell className={num}>{fmt(data.stages[stage].p50)}</TableCell>
+                    <TableCell className={num}>{fmt(data.stages[stage].p90)}</TableCell>
+                    <TableCell className={num}>{fmt(data.stages[stage].p99)}</TableCell>
+                    <TableCell className={cn(num, 'text-muted-foreground')}>{data.stages[stage].count}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+          <div className="max-h-[280px] overflow-auto rounded-md border border-border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className={head}>Leader</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>Detection p50 / p90</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>Execution p50 / p90</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>Trades</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.byTrader.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={4} className="text-center text-xs text-muted-foreground">No timed signals yet</TableCell>
+                  </TableRow>
+                ) : data.byTrader.map(t => (
+                  <TableRow key={t.address}>
+                    <TableCell className="text-xs font-mono">{t.label || shortAddr(t.address)}</TableCell>
+                    <TableCell className={num}>{fmt(t.detection.p50)} / {fmt(t.detection.p90)}</TableCell>
+                    <TableCell className={num}>{fmt(t.execution.p50)} / {fmt(t.execution.p90)}</TableCell>
+                    <TableCell className={cn(num, 'text-muted-foreground')}>{t.trades}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react'
+import { getMarketFilters, saveMarketFilters } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Switch } from '@/components/ui/switch'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Save, Filter, Plus, Trash2, ArrowUp, ArrowDown } from 'lucide-react'
+import { toast } from 'sonner'
+
+type RuleType = 'keyword' | 'category' | 'hoursToEnd' | 'volume24h' | 'depth' | 'negRisk'
+
+interface Rule {
+  id: string
+  type: RuleType
+  action: 'block' | 'allow'
+  op?: 'lt' | 'gt'
+  value: string | number | boolean
+  enabled: boolean
+}
+
+// Form state keeps every value as a string until save
+interface DraftRule extends Omit<Rule, 'value' | 'op'> {
+  op: 'lt' | 'gt'
+  value: string
+}
+
+const TYPE_LABELS: Record<RuleType, string> = {
+  keyword: 'Title keyword',
+  category: 'Category',
+  hoursToEnd: 'Hours to end',
+  volume24h: '24h volume ($)',
+  depth: 'Book depth ($)',
+  negRisk: 'Neg-risk',
+}
+
+const PLACEHOLDERS: Partial<Record<RuleType, string>> = {
+  keyword: 'e.g. bitcoin or /up or down/i',
+  category: 'e.g. Sports, NBA',
+  hoursToEnd: 'hours',
+  volume24h: 'USD',
+  depth: 'USD',
+}
+
+const NUMERIC: RuleType[] = ['hoursToEnd', 'volume24h', 'depth']
+
+const toDraft = (r: Rule): DraftRule => ({ ...r, op: r.op ?? 'lt', value: String(r.value) })
+
+function fromDraft(r: DraftRule): Rule {
+  const base = { id: r.id.trim(), type: r.type, action: r.action, enabled: r.enabled }
+  if (NUMERIC.includes(r.type)) return { ...base, op: r.op, value: parseFloat(r.value) }
+  if (r.type === 'negRisk') return { ...base, value: r.value === 'true' }
+  return { ...base, value: r.value.trim() }
+}
+
+export default function MarketFiltersCard() {
+  const [rules, setRules] = useState<DraftRule[] | null>(null)
+  const [hits, setHits] = useState<Record<string, number>>({})
+  const [meta, setMeta] = useState({ hitsDays: 7, depthPct: 5 })
+  const [saving, setSaving] = useState(false)
+
+  const load = async () => {
+    const data = await getMarketFilters()
+    setRules((data.rules as Rule[]).map(toDraft))
+    setHits(data.hits ?? {})
+    setMeta({ hitsDays: data.hitsDays, depthPct: data.depthPct })
+  }
+
+  useEffect(() => {
+    load().catch(() => setRules(null))
+  }, [])
+
+  const update = (i: number, patch: Partial<DraftRule>) => {
+    setRules(prev => prev && prev.map((r, j) => (j === i ? { ...r, ...patch } : r)))
+  }
+
+  const move = (i: number, delta: number) => {
+    setRules(prev => {
+      if (!prev) return prev
+      const next = [...prev]
+      const [r] = next.splice(i, 1)
+      next.splice(i + delta, 0, r)
+      return next
+    })
+  }
+
+  const addRule = () => {
+    setRules(prev => prev && [...prev, { id: '', type: 'keyword', action: 'block', op: 'lt', value: '', enabled: true }])
+  }
+
+  const handleTypeChange = (i: number, type: RuleType) => {
+    update(i, { type, value: type === 'negRisk' ? 'true' : '' })
+  }
+
+  const handleSave = async () => {
+    if (!rules) return
+    for (const r of rules) {
+      if (NUMERIC.includes(r.type) && (isNaN(parseFloat(r.value)) || parseFloat(r.value) < 0)) {
+        toast.error(`${r.id || TYPE_LABELS[r.type]}: value must be a number >= 0`)
+        return
+      }
+      if (!NUMERIC.includes(r.type) && r.type !== 'negRisk' && !r.value.trim()) {
+        toast.error(`${r.id || TYPE_LABELS[r.type]}: value is required`)
+        return
+      }
+    }
+    setSaving(true)
+    try {
+      const res = await saveMarketFilters(rules.map(fromDraft))
+      toast.success(`Market filters saved (${res.rules.length} rule${res.rules.length === 1 ? '' : 's'})`)
+      await load()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Save failed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!rules) return null
+
+  return (
+    <Card className="md:col-span-3">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <Filter className="h-4 w-4" />
+          Market Filters
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {rules.length === 0 ? (
+          <p className="text-xs text-muted-foreground">No rules — every market passes.</p>
+        ) : (
+          <div className="grid grid-cols-[40px_120px_90px_140px_70px_minmax(0,1fr)_60px_88px] gap-2 items-center">
+            <span />
+            {['ID', 'Action', 'Type', 'Op', 'Value'].map(h => (
+              <span key={h} className="text-xs text-muted-foreground">{h}</span>
+            ))}
+            <span className="text-xs text-muted-foreground text-right" title={`Signals stopped in the last ${meta.hitsDays} days`}>Hits</span>
+            <span />
+            {rules.map((r, i) => (
+              <div key={i} className="contents">
+                <Switch checked={r.enabled} onCheckedChange={v => update(i, { enabled: v })} aria-label="Rule enabled" />
+                <Input
+                  value={r.id}
+                  placeholder={`${r.type}-${i + 1}`}
+                  onChange={e => update(i, { id: e.target.value })}
+                  className="font-mono text-xs"
+                  aria-label="Rule id"
+                />
+                <Select value={r.action} onValueChange={v => update(i, { action: v as DraftRule['action'] })}>
+                  <SelectTrigger className="text-xs"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="block">Block</SelectItem>
+                    <SelectItem value="allow">Allow</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Select value={r.type} onValueChange={v => handleTypeChange(i, v as RuleType)}>
+                  <SelectTrigger className="text-xs"><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(TYPE_LABELS) as RuleType[]).map(t => (
+                      <SelectItem key={t} value={t}>{TYPE_LABELS[t]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {NUMERIC.includes(r.type) ? (
+                  <Select value={r.op} onValueChange={v => update(i, { op: v as DraftRule['op'] })}>
+                    <SelectTrigger className="text-xs"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="lt">&lt;</SelectItem>
+                      <SelectItem value="gt">&gt;</SelectItem>
+                    </SelectContent>
+                  </Select>
+                ) : <span />}
+                {r.type === 'negRisk' ? (
+                  <Select value={r.value} onValueChange={v => update(i, { value: v })}>
+                    <SelectTrigger className="text-xs"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="true">Is neg-risk</SelectItem>
+                      <SelectItem value="false">Is not neg-risk</SelectItem>
+                    </SelectContent>
+                  </Select>
+                ) : (
+                  <Input
+                    type={NUMERIC.includes(r.type) ? 'number' : 'text'}
+                    value={r.value}
+                    placeholder={PLACEHOLDERS[r.type]}
+                    onChange={e => update(i, { value: e.target.value })}
+                    className="font-mono text-xs"
+                    aria-label="Rule value"
+                  />
+                )}
+                <span className="font-mono text-xs text-right">{hits[r.id] ?? 0}</span>
+                <div className="flex justify-end gap-0.5">
+                  <Button variant="ghost" size="icon" className="h-7 w-7" disabled={i === 0} onClick={() => move(i, -1)} aria-label="Move up">
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button variant="ghost" size="icon" className="h-7 w-7" disabled={i === rules.length - 1} onClick={() => move(i, 1)} aria-label="Move down">
+                    <ArrowDown className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => setRules(rules.filter((_, j) => j !== i))} aria-label="Delete rule">
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="flex items-center justify-between mt-3 gap-4">
+          <p className="text-[10px] text-muted-foreground">
+            Checked on every entry, top to bottom: the first matching rule decides — Block skips the signal (logged as filtered with the rule id), Allow lets it through. Book depth is ask-side USD within {meta.depthPct}% of the best ask. A rule without data (e.g. no 24h volume) never matches. For an allow-list, end with Block keyword <code>/./</code>.
+          </p>
+          <div className="flex gap-2 shrink-0">
+            <Button onClick={addRule} size="sm" variant="ghost">
+              <Plus className="h-3.5 w-3.5 mr-1.5" />
+              Add Rule
+            </Button>
+            <Button onClick={handleSave} disabled={saving} size="sm" variant="outline">
+              <Save className="h-3.5 w-3.5 mr-1.5" />
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -46,6 +46,7 @@ function getPositionColumns(): ColumnDef<Position>[] {
               {direction}
             </span>
             {outcome && <span className="text-muted-foreground"> · {outcome}</span>}
+            {row.original.mode === 'fade' && <Badge variant="warning" className="ml-1.5 text-[10px]">FADE</Badge>}
           </span>
         )
       },
@@ -81,6 +82,18 @@ function getPositionColumns(): ColumnDef<Position>[] {
         )
       },
     },
+    {
+      accessorKey: 'shares',
+      meta: { align: 'right' as const },
+      header: ({ column }) => (
+        <DataTableColumnHeader column={column} title="Shares" className="justify-end" />
+      ),
+      cell: ({ row }) => (
+        <span className="font-mono text-right text-xs">
+          {row.original.shares.toFixed(2)}
+        </span>
+      ),
+    },
     {
       accessorKey: 'size_usd',
       meta: { align: 'right' as const },
@@ -113,6 +126,26 @@ function getPositionColumns(): ColumnDef<Position>[] {
         )
       },
     },
+    {
+      accessorKey: 'realized_pnl',
+      meta: { align: 'right' as const },
+      header: ({ column }) => (
+        <DataTableColumnHeader column={column} title="Real. P&L" className="justify-end" />
+      ),
+      cell: ({ row }) => {
+        const pnl = row.original.realized_pnl
+        return (
+          <span
+            className={cn(
+              'font-mono text-right text-xs font-medium',
+              pnl > 0 ? 'text-profit' : pnl < 0 ? 'text-loss' : 'text-muted-foreground'
+            )}
+          >
+            {pnl !== 0 ? formatPnl(pnl) : '--'}
+          </span>
+        )
+      },
+    },
     {
       accessorKey: 'bucket',
       header: ({ column }) => (
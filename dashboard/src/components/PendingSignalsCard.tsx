@@ -0,0 +1,152 @@
+import { useState, useEffect, useCallback } from 'react'
+import { getConfirmations } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+import { cn } from '@/lib/utils'
+
+interface PendingSignal {
+  id: number
+  traderAddress: string
+  label: string
+  marketId: string
+  marketName: string
+  type: 'NEW' | 'INCREASE'
+  side?: string
+  price: number
+  holdPct?: number | null
+  createdAt: string
+  dueAt: string
+  status: 'pending' | 'queued' | 'executed' | 'expired' | 'failed'
+  reason: string
+  resolvedAt: string | null
+}
+
+interface Confirmations {
+  defaults: { delayMin: number; minHoldPct: number; priceBandPct: number }
+  staleMin: number
+  delayedTraders: number
+  pending: PendingSignal[]
+  recent: PendingSignal[]
+}
+
+const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`
+
+const statusVariant: Record<PendingSignal['status'], 'profit' | 'secondary' | 'loss' | 'warning'> = {
+  queued: 'profit',
+  executed: 'profit',
+  expired: 'secondary',
+  failed: 'loss',
+  pending: 'warning',
+}
+
+export default function PendingSignalsCard() {
+  const [data, setData] = useState<Confirmations | null>(null)
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getConfirmations())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, 15000)
+    return () => clearInterval(id)
+  }, [fetchData])
+
+  if (!data || (data.delayedTraders === 0 && data.pending.length === 0 && data.recent.length === 0)) return null
+
+  const head = 'text-[10px] uppercase tracking-widest font-semibold'
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <CardTitle className="text-lg font-semibold">Pending Confirmation</CardTitle>
+          {data.pending.length > 0 && (
+            <Badge variant="warning" className="text-[10px]">{data.pending.length} waiting</Badge>
+          )}
+        </div>
+        <CardDescription>
+          Entries of {data.delayedTraders} trader{data.delayedTraders === 1 ? '' : 's'} with a confirmation delay · copied only if the leader still holds the position and the price stays in the band · due more than {data.staleMin}m ago = stale
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {data.pending.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No signals waiting for confirmation.</p>
+        ) : (
+          <div className="max-h-[320px] overflow-auto rounded-md border border-border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className={head}>Market</TableHead>
+                  <TableHead className={head}>Leader</TableHead>
+                  <TableHead className={head}>Type</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>Price</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>Still Held</TableHead>
+                  <TableHead className={cn(head, 'text-right')}>Due</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.pending.map(p => (
+                  <TableRow key={p.id}>
+                    <TableCell className="text-xs max-w-[260px]">
+                      <span className="block truncate" title={p.marketName || p.marketId}>
+                        {p.marketName || p.marketId}
+                      </span>
+                    </TableCell>
+                    <TableCell className="text-xs font-mono">{p.label || shortAddr(p.traderAddress)}</TableCell>
+                    <TableCell className="text-xs">{p.type}{p.side ? ` ${p.side}` : ''}</TableCell>
+                    <TableCell className="font-mono text-right text-xs">{p.price.toFixed(3)}</TableCell>
+                    <TableCell className="font-mono text-right text-xs">{p.holdPct != null ? `${p.holdPct}%` : '—'}</TableCell>
+                    <TableCell className="text-xs text-muted-foreground text-right">
+                      {new Date(p.dueAt).toLocaleTimeString()}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+        {data.recent.length > 0 && (
+          <div className="max-h-[240px] overflow-auto rounded-md border border-border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className={head}>Market</TableHead>
+                  <TableHead className={head}>Leader</TableHead>
+                  <TableHead className={head}>Outcome</TableHead>
+                  <TableHead className={head}>Reason</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {data.recent.map(p => (
+                  <TableRow key={p.id}>
+                    <TableCell className="text-xs max-w-[260px]">
+                      <span className="block truncate" title={p.marketName || p.marketId}>
+                        {p.marketName || p.marketId}
+                      </span>
+                    </TableCell>
+                    <TableCell className="text-xs font-mono">{p.label || shortAddr(p.traderAddress)}</TableCell>
+                    <TableCell>
+                      <Badge variant={statusVariant[p.status]} className="text-[10px]">{p.status}</Badge>
+                    </TableCell>
+                    <TableCell className="text-xs text-muted-foreground">{p.reason || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
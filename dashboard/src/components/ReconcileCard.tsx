@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback } from 'react'
+import { toast } from 'sonner'
+import { Check, X, RefreshCw } from 'lucide-react'
+import { getReconciliation, runReconciliation, resolveMismatch } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table'
+
+interface Mismatch {
+  id: number
+  detected_at: string
+  position_id: number
+  market_id: string
+  token_id: string
+  market_name: string
+  db_shares: number
+  chain_shares: number
+  status: string
+  checked_at: string
+}
+
+interface Reconciliation {
+  enabled: boolean
+  intervalMin: number
+  open: number
+  mismatches: Mismatch[]
+}
+
+export default function ReconcileCard() {
+  const [data, setData] = useState<Reconciliation | null>(null)
+  const [busyId, setBusyId] = useState<number | null>(null)
+  const [checking, setChecking] = useState(false)
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getReconciliation())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, 30000)
+    return () => clearInterval(id)
+  }, [fetchData])
+
+  const handleResolve = async (id: number, decision: 'apply' | 'dismiss') => {
+    setBusyId(id)
+    try {
+      await resolveMismatch(id, decision)
+      toast.success(decision === 'apply' ? 'Position corrected to wallet balance' : 'Mismatch dismissed')
+      await fetchData()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to update')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRecheck = async () => {
+    setChecking(true)
+    try {
+      const summary = await runReconciliation()
+      toast.success(`Checked ${summary.checked} position(s) — ${summary.flagged} new, ${summary.cleared} cleared`)
+      await fetchData()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Check failed')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const open = data?.mismatches.filter(m => m.status === 'open') ?? []
+  if (!data || open.length === 0) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <CardTitle className="text-lg font-semibold">Wallet Mismatches</CardTitle>
+            <Badge variant="loss" className="text-[10px]">{open.length} open</Badge>
+          </div>
+          <Button variant="ghost" size="sm" className="h-7 px-2" disabled={checking} onClick={handleRecheck}>
+            <RefreshCw className={`h-3.5 w-3.5 ${checking ? 'animate-spin' : ''}`} />
+            <span className="ml-1 text-xs">Re-check</span>
+          </Button>
+        </div>
+        <CardDescription>
+          Open positions whose share count differs from the wallet's on-chain balance · apply sets the position to the wallet
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="max-h-[320px] overflow-auto rounded-md border border-border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Market</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">DB Shares</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Wallet</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold">Detected</TableHead>
+                <TableHead className="text-[10px] uppercase tracking-widest font-semibold text-right">Action</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {open.map(m => (
+                <TableRow key={m.id}>
+                  <TableCell className="text-xs max-w-[260px]">
+                    <span className="block truncate" title={m.market_name || m.market_id}>
+                      {m.market_name || m.market_id}
+                    </span>
+                  </TableCell>
+                  <TableCell className="font-mono text-right text-xs">{m.db_shares.toFixed(2)}</TableCell>
+                  <TableCell className="font-mono text-right text-xs text-loss">{m.chain_shares.toFixed(2)}</TableCell>
+                  <TableCell className="text-xs text-muted-foreground">
+                    {new Date(m.detected_at + 'Z').toLocaleString()}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <div className="flex justify-end gap-1">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-7 px-2 text-profit"
+                        disabled={busyId === m.id}
+                        onClick={() => handleResolve(m.id, 'apply')}
+                        aria-label="Apply wallet balance"
+                      >
+                        <Check className="h-3.5 w-3.5" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-7 px-2 text-muted-foreground"
+                        disabled={busyId === m.id}
+                        onClick={() => handleResolve(m.id, 'dismiss')}
+                        aria-label="Dismiss"
+                      >
+                        <X className="h-3.5 w-3.5" />
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
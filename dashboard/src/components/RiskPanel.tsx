@@ -8,6 +8,28 @@ import ControlButtons from './ControlButtons'
 import { formatUptime } from '@/lib/format'
 import type { StatsData } from '@/hooks/usePolling'
 
+interface ConcentrationGroup {
+  key: string
+  label: string
+  usd: number
+  markets: number
+  cap: number
+}
+
+interface DeriskStatus {
+  enabled: boolean
+  recovery: 'high' | 'drawdown'
+  tiers: { drawdownPct: number; multiplier: number }[]
+  level: number
+  multiplier: number
+  currentDrawdown: number
+  keyedDrawdown: number
+}
+
+type Dimension = 'market' | 'event' | 'category'
+
+const dimensionLabels: Record<Dimension, string> = { market: 'Market', event: 'Event', category: 'Category' }
+
 function formatTimeRemaining(isoDate: string | null) {
   if (!isoDate) return ''
   const remaining = new Date(isoDate).getTime() - Date.now()
@@ -32,6 +54,16 @@ export default function RiskPanel({
   const isCooldownActive = risk?.isCooldownActive ?? false
   const hasAlerts = isDailyLossStopped || isEquityStopped || isCooldownActive
 
+  // Largest holdings per market / event / category — single-market events repeat the market row, so they're left out
+  const top = (risk?.concentration?.top ?? {}) as Partial<Record<Dimension, ConcentrationGroup[]>>
+  const concentrations = (['market', 'event', 'category'] as Dimension[])
+    .flatMap(dim => (top[dim] ?? [])
+      .filter(g => g.usd > 0 && (dim !== 'event' || g.markets > 1))
+      .slice(0, 3)
+      .map(g => ({ ...g, dim })))
+
+  const derisk = risk?.derisk as DeriskStatus | undefined
+
   return (
     <Card className="h-full">
       <CardHeader className="pb-3">
@@ -158,6 +190,66 @@ export default function RiskPanel({
 
         <Separator />
 
+        {/* Drawdown De-risk — entry size steps down as drawdown deepens */}
+        {derisk?.enabled && (
+          <>
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-[10px] font-medium text-muted-foreground uppercase tracking-wider">Drawdown De-risk</span>
+                <span className={cn('text-[11px] font-mono', derisk.level > 0 && 'text-warning')}>
+                  {derisk.level > 0 ? `Tier ${derisk.level} · ×${derisk.multiplier}` : 'Full size'}
+                </span>
+              </div>
+              <div className="space-y-1">
+                {derisk.tiers.map((t, i) => (
+                  <div
+                    key={t.drawdownPct}
+                    className={cn(
+                      'flex items-center justify-between text-[11px]',
+                      i + 1 === derisk.level ? 'text-warning font-medium' : 'text-muted-foreground'
+                    )}
+                  >
+                    <span>Tier {i + 1} · drawdown ≥ {t.drawdownPct}%</span>
+                    <span className="font-mono">×{t.multiplier}</span>
+                  </div>
+                ))}
+              </div>
+              <p className="text-[10px] text-muted-foreground">
+                Drawdown {derisk.currentDrawdown}% from peak
+                {derisk.recovery === 'high' && derisk.level > 0 && ` (deepest ${derisk.keyedDrawdown}%) — full size at a new equity high`}
+              </p>
+            </div>
+
+            <Separator />
+          </>
+        )}
+
+        {/* Top Concentrations */}
+        {concentrations.length > 0 && (
+          <>
+            <div className="space-y-2">
+              <span className="text-[10px] font-medium text-muted-foreground uppercase tracking-wider">Top Concentrations</span>
+              <div className="space-y-1">
+                {concentrations.map(g => (
+                  <div key={`${g.dim}:${g.key}`} className="flex items-center justify-between gap-2">
+                    <span className="text-[11px] text-muted-foreground truncate" title={g.label}>
+                      {dimensionLabels[g.dim]} · {g.label}{g.dim === 'event' && ` (${g.markets})`}
+                    </span>
+                    <span className={cn(
+                      'text-[11px] font-mono shrink-0',
+                      g.cap > 0 && g.usd >= g.cap ? 'text-loss' : g.cap > 0 && g.usd >= g.cap * 0.8 ? 'text-warning' : ''
+                    )}>
+                      ${g.usd.toFixed(0)}{g.cap > 0 && ` / $${g.cap.toFixed(0)}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <Separator />
+          </>
+        )}
+
         {/* Trade Filters — hidden blockers made visible */}
         <div className="space-y-2">
           <span className="text-[10px] font-medium text-muted-foreground uppercase tracking-wider">Trade Filters</span>
@@ -1,15 +1,23 @@
 import { useState, useEffect, useMemo } from 'react'
 import { motion } from 'framer-motion'
-import { saveSettings, updateNotifications, testNotification, getConfig } from '@/api'
+import { saveSettings, updateNotifications, testNotification, getConfig, getExitRules, saveBucketExitRules } from '@/api'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Skeleton } from '@/components/ui/skeleton'
-import { Save, Bell, Send } from 'lucide-react'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Save, Bell, Send, History, LogOut } from 'lucide-react'
 import { toast } from 'sonner'
 import SettingsCard from './SettingsCard'
+import MarketFiltersCard from './MarketFiltersCard'
 import { fadeInUp, defaultTransition } from '@/lib/animations'
 
 const validationRules: Record<string, { min: number; max: number; label: string }> = {
@@ -17,6 +25,9 @@ const validationRules: Record<string, { min: number; max: number; label: string
   maxGrinderTrade: { min: 0.5, max: 100000, label: 'Max Grinder' },
   maxEventTrade: { min: 0.5, max: 100000, label: 'Max Event' },
   maxOpenPositions: { min: 1, max: 100, label: 'Max Positions' },
+  maxMarketExposure: { min: 0, max: 1000000, label: 'Per Market' },
+  maxEventExposure: { min: 0, max: 1000000, label: 'Per Event' },
+  maxCategoryExposure: { min: 0, max: 1000000, label: 'Per Category' },
   dailyLossLimit: { min: 0.5, max: 100000, label: 'Daily Loss' },
   equityStopLoss: { min: 0, max: 100000, label: 'Equity Stop' },
   slippageTolerance: { min: 0.1, max: 20, label: 'Slippage' },
@@ -37,6 +48,14 @@ const sections = [
       { key: 'maxOpenPositions', label: 'Max Positions', step: '1' },
     ],
   },
+  {
+    title: 'Concentration Caps',
+    fields: [
+      { key: 'maxMarketExposure', label: 'Per Market', step: '1', suffix: '$' },
+      { key: 'maxEventExposure', label: 'Per Event', step: '1', suffix: '$' },
+      { key: 'maxCategoryExposure', label: 'Per Category', step: '1', suffix: '$' },
+    ],
+  },
   {
     title: 'Risk Limits',
     fields: [
@@ -176,8 +195,195 @@ function NotificationsCard() {
   )
 }
 
+function CatchupCard({ config }: { config: { catchup?: { policy?: string; maxEntryAgeMin?: number } } | null }) {
+  const [policy, setPolicy] = useState<string>(config?.catchup?.policy ?? 'manual')
+  const [maxAge, setMaxAge] = useState<string>(String(config?.catchup?.maxEntryAgeMin ?? 30))
+  const [saving, setSaving] = useState(false)
+
+  const handleSave = async () => {
+    const age = parseFloat(maxAge)
+    if (isNaN(age) || age < 1 || age > 1440) {
+      toast.error('Max entry age must be between 1 and 1440 minutes')
+      return
+    }
+    setSaving(true)
+    try {
+      await saveSettings({ catchupPolicy: policy, catchupMaxEntryAgeMin: age })
+      toast.success(`Catch-up policy: ${policy}, max entry age ${age}m`)
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Save failed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Card className="md:col-span-3">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <History className="h-4 w-4" />
+          Downtime Catch-up
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-1.5">
+            <Label className="text-xs text-muted-foreground">Policy</Label>
+            <Select value={policy} onValueChange={setPolicy}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="auto">Auto — execute immediately</SelectItem>
+                <SelectItem value="manual">Manual — approve on dashboard</SelectItem>
+                <SelectItem value="ignore">Ignore — no reconciliation</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="catchup-age" className="text-xs text-muted-foreground">Max Entry Age (min)</Label>
+            <Input
+              id="catchup-age"
+              type="number"
+              step="5"
+              value={maxAge}
+              onChange={e => setMaxAge(e.target.value)}
+              className="font-mono text-xs"
+            />
+          </div>
+          <div className="flex items-end">
+            <Button onClick={handleSave} disabled={saving} size="sm" variant="outline">
+              <Save className="h-3.5 w-3.5 mr-1.5" />
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+        <p className="text-[10px] text-muted-foreground mt-3">
+          On startup, positions leaders exited while the bot was down are closed and fresh entries adopted. Entries older than the max age are skipped. Applies from the next restart.
+        </p>
+      </CardContent>
+    </Card>
+  )
+}
+
+const EXIT_RULE_FIELDS = [
+  { key: 'stopLossPct', setting: 'exitStopLossPct', label: 'Stop Loss', suffix: '%', max: 100 },
+  { key: 'takeProfitPct', setting: 'exitTakeProfitPct', label: 'Take Profit', suffix: '%', max: 1000 },
+  { key: 'trailingStopPct', setting: 'exitTrailingStopPct', label: 'Trailing Stop', suffix: '%', max: 100 },
+  { key: 'maxHoldHours', setting: 'exitMaxHoldHours', label: 'Max Hold', suffix: 'h', max: 8760 },
+] as const
+
+const EXIT_SCOPES = ['global', 'grinder', 'event'] as const
+type ExitScope = typeof EXIT_SCOPES[number]
+type ExitRuleValues = Record<ExitScope, Record<string, string>>
+
+function ExitRulesCard() {
+  const [values, setValues] = useState<ExitRuleValues | null>(null)
+  const [saving, setSaving] = useState(false)
+
+  const load = async () => {
+    const data = await getExitRules()
+    const toStrings = (rules: Record<string, number> | undefined) =>
+      Object.fromEntries(EXIT_RULE_FIELDS.map(f => [f.key, rules?.[f.key] !== undefined ? String(rules[f.key]) : '']))
+    setValues({
+      global: toStrings(data.global),
+      grinder: toStrings(data.buckets?.grinder),
+      event: toStrings(data.buckets?.event),
+    })
+  }
+
+  useEffect(() => {
+    load().catch(() => setValues(null))
+  }, [])
+
+  const handleChange = (scope: ExitScope, key: string, v: string) => {
+    setValues(prev => prev && { ...prev, [scope]: { ...prev[scope], [key]: v } })
+  }
+
+  const handleSave = async () => {
+    if (!values) return
+    for (const scope of EXIT_SCOPES) {
+      for (const f of EXIT_RULE_FIELDS) {
+        const raw = values[scope][f.key]
+        if (raw === '') continue
+        const num = parseFloat(raw)
+        if (isNaN(num) || num < 0 || num > f.max) {
+          toast.error(`${f.label} must be between 0 and ${f.max}`)
+          return
+        }
+      }
+    }
+    setSaving(true)
+    try {
+      // Global rules are plain settings; a blank bucket field inherits the global value
+      await saveSettings(Object.fromEntries(
+        EXIT_RULE_FIELDS.map(f => [f.setting, parseFloat(values.global[f.key] || '0')])
+      ))
+      for (const bucket of ['grinder', 'event'] as const) {
+        await saveBucketExitRules(bucket, Object.fromEntries(
+          EXIT_RULE_FIELDS.map(f => [f.key, values[bucket][f.key] === '' ? null : parseFloat(values[bucket][f.key])])
+        ))
+      }
+      toast.success('Exit rules saved')
+      await load()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Save failed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!values) return null
+
+  return (
+    <Card className="md:col-span-3">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <LogOut className="h-4 w-4" />
+          Exit Rules
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-[80px_repeat(4,minmax(0,1fr))] gap-2 items-center">
+          <span />
+          {EXIT_RULE_FIELDS.map(f => (
+            <Label key={f.key} className="text-xs text-muted-foreground">{f.label} ({f.suffix})</Label>
+          ))}
+          {EXIT_SCOPES.map(scope => (
+            <div key={scope} className="contents">
+              <span className="text-xs capitalize">{scope}</span>
+              {EXIT_RULE_FIELDS.map(f => (
+                <Input
+                  key={f.key}
+                  type="number"
+                  step="1"
+                  placeholder={scope === 'global' ? '0' : 'inherit'}
+                  value={values[scope][f.key]}
+                  onChange={e => handleChange(scope, f.key, e.target.value)}
+                  className="font-mono text-xs"
+                  aria-label={`${scope} ${f.label}`}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+        <div className="flex items-center justify-between mt-3 gap-4">
+          <p className="text-[10px] text-muted-foreground">
+            Close a position on our own terms instead of waiting for the leader. 0 disables a rule; blank bucket fields inherit the global value. Per-trader overrides: <code>exitRules</code> on PATCH /api/traders/:address.
+          </p>
+          <Button onClick={handleSave} disabled={saving} size="sm" variant="outline">
+            <Save className="h-3.5 w-3.5 mr-1.5" />
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
 const SETTINGS_KEYS = [
   'maxTotalExposure', 'maxGrinderTrade', 'maxEventTrade', 'maxOpenPositions',
+  'maxMarketExposure', 'maxEventExposure', 'maxCategoryExposure',
   'dailyLossLimit', 'equityStopLoss', 'slippageTolerance', 'minTradeSize',
   'grinderMultiplier', 'eventMultiplier', 'minPrice', 'maxPrice',
 ] as const
@@ -189,6 +395,9 @@ function configToValues(config: any): Record<string, string> {
     maxGrinderTrade: String(config.caps?.maxGrinderTrade ?? ''),
     maxEventTrade: String(config.caps?.maxEventTrade ?? ''),
     maxOpenPositions: String(config.caps?.maxOpenPositions ?? ''),
+    maxMarketExposure: String(config.caps?.maxMarketExposure ?? ''),
+    maxEventExposure: String(config.caps?.maxEventExposure ?? ''),
+    maxCategoryExposure: String(config.caps?.maxCategoryExposure ?? ''),
     dailyLossLimit: String(config.risk?.dailyLossLimit ?? ''),
     equityStopLoss: String(config.risk?.equityStopLoss ?? ''),
     slippageTolerance: String(config.risk?.slippageTolerance ?? ''),
@@ -258,6 +467,9 @@ export default function SettingsView({ onSave }: { onSave: () => void }) {
         maxGrinderTrade: parseFloat(values.maxGrinderTrade ?? ''),
         maxEventTrade: parseFloat(values.maxEventTrade ?? ''),
         maxOpenPositions: parseInt(values.maxOpenPositions ?? '0', 10),
+        maxMarketExposure: parseFloat(values.maxMarketExposure ?? ''),
+        maxEventExposure: parseFloat(values.maxEventExposure ?? ''),
+        maxCategoryExposure: parseFloat(values.maxCategoryExposure ?? ''),
         dailyLossLimit: parseFloat(values.dailyLossLimit ?? ''),
         equityStopLoss: parseFloat(values.equityStopLoss ?? ''),
         slippageTolerance: parseFloat(values.slippageTolerance ?? ''),
@@ -334,6 +546,9 @@ export default function SettingsView({ onSave }: { onSave: () => void }) {
             errors={errors}
           />
         ))}
+        <MarketFiltersCard />
+        <ExitRulesCard />
+        <CatchupCard config={formConfig} />
         <NotificationsCard />
       </div>
     </motion.div>
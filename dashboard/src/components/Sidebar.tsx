@@ -7,13 +7,14 @@ import {
   TooltipProvider,
   TooltipTrigger,
 } from '@/components/ui/tooltip'
-import { LayoutDashboard, Users, Settings, ScrollText, ChevronLeft, ChevronRight } from 'lucide-react'
+import { LayoutDashboard, Users, Settings, ScrollText, FlaskConical, ChevronLeft, ChevronRight } from 'lucide-react'
 
-export type View = 'dashboard' | 'traders' | 'settings' | 'activity'
+export type View = 'dashboard' | 'traders' | 'backtest' | 'settings' | 'activity'
 
 const navItems: { id: View; label: string; icon: typeof LayoutDashboard }[] = [
   { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard },
   { id: 'traders', label: 'Traders', icon: Users },
+  { id: 'backtest', label: 'Backtest', icon: FlaskConical },
   { id: 'settings', label: 'Settings', icon: Settings },
   { id: 'activity', label: 'Activity', icon: ScrollText },
 ]
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { getSlippage } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group'
+import { cn } from '@/lib/utils'
+import SlippageChart, { type SlippageBar } from './charts/SlippageChart'
+
+interface CostGroup {
+  trades: number
+  volume: number
+  costPct: number | null
+  driftPct: number | null
+  impactPct: number | null
+  costUsd: number
+  midTrades: number
+}
+
+interface Slippage {
+  windowDays: number
+  summary: CostGroup & { entries: CostGroup; exits: CostGroup }
+  byTrader: (CostGroup & { address: string; label: string })[]
+  byMarket: (CostGroup & { marketId: string; marketName: string })[]
+  byBucket: (CostGroup & { bucket: string })[]
+  bySize: (CostGroup & { size: string })[]
+  byHour: (CostGroup & { hour: number })[]
+}
+
+type Dimension = 'trader' | 'market' | 'bucket' | 'size' | 'hour'
+
+const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`
+
+const fmtPct = (v: number | null) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${v.toFixed(2)}%`)
+
+function toBar(name: string, g: CostGroup): SlippageBar {
+  const split = g.midTrades === g.trades
+  return {
+    name,
+    drift: split ? g.driftPct : null,
+    impact: split ? g.impactPct : null,
+    unsplit: split ? null : g.costPct,
+  }
+}
+
+export default function SlippageCard() {
+  const [data, setData] = useState<Slippage | null>(null)
+  const [dimension, setDimension] = useState<Dimension>('trader')
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getSlippage())
+    } catch { /* card stays hidden — non-critical */ }
+  }, [])
+
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, 15000)
+    return () => clearInterval(id)
+  }, [fetchData])
+
+  const bars = useMemo(() => {
+    if (!data) return []
+    switch (dimension) {
+      case 'trader':
+        return data.byTrader.map(g => toBar(g.label || shortAddr(g.address), g))
+      case 'market':
+        return data.byMarket.slice(0, 10).map(g => toBar((g.marketName || g.marketId).slice(0, 18), g))
+      case 'bucket':
+        return data.byBucket.map(g => toBar(g.bucket, g))
+      case 'size':
+        return data.bySize.map(g => toBar(g.size, g))
+      case 'hour':
+        return data.byHour.map(g => toBar(`${String(g.hour).padStart(2, '0')}h`, g))
+    }
+  }, [data, dimension])
+
+  if (!data) return null
+
+  const { summary } = data
+  const cost = (v: number | null) => cn('font-mono font-semibold', v != null && v > 0 ? 'text-loss' : 'text-profit')
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg font-semibold">Copy Slippage</CardTitle>
+        <CardDescription>
+          Our fills vs the leader's over the last {data.windowDays}d, weighted by size · positive = we paid more on entries or got less on exits · drift is the market moving before we traded, impact is spread and depth at our fill
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-3 text-xs sm:grid-cols-4">
+          <div>
+            <p className="text-muted-foreground">Edge lost</p>
+            <p className={cost(summary.costPct)}>{fmtPct(summary.costPct)} · ${summary.costUsd.toFixed(2)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Drift / Impact</p>
+            <p className="font-mono font-semibold">{fmtPct(summary.driftPct)} / {fmtPct(summary.impactPct)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Entries ({summary.entries.trades})</p>
+            <p className={cost(summary.entries.costPct)}>{fmtPct(summary.entries.costPct)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Exits ({summary.exits.trades})</p>
+            <p className={cost(summary.exits.costPct)}>{fmtPct(summary.exits.costPct)}</p>
+          </div>
+        </div>
+        <ToggleGroup
+          type="single"
+          value={dimension}
+          onValueChange={(v) => v && setDimension(v as Dimension)}
+          className="justify-start"
+          size="sm"
+        >
+          <ToggleGroupItem value="trader" className="text-xs px-3">By Trader</ToggleGroupItem>
+          <ToggleGroupItem value="market" className="text-xs px-3">By Market</ToggleGroupItem>
+          <ToggleGroupItem value="bucket" className="text-xs px-3">By Bucket</ToggleGroupItem>
+          <ToggleGroupItem value="size" className="text-xs px-3">By Size</ToggleGroupItem>
+          <ToggleGroupItem value="hour" className="text-xs px-3">By Hour (UTC)</ToggleGroupItem>
+        </ToggleGroup>
+        <SlippageChart data={bars} />
+      </CardContent>
+    </Card>
+  )
+}
@@ -6,6 +6,7 @@ const colors: Record<string, string> = {
   risk_blocked: 'bg-warning',
   failed: 'bg-loss',
   no_position: 'bg-muted-foreground',
+  resting: 'bg-info',
 }
 
 export default function StatusDot({ status }: { status?: string }) {
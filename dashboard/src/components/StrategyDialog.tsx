@@ -0,0 +1,168 @@
+import { useState } from 'react'
+import { toast } from 'sonner'
+import { getConfig, updateTrader } from '@/api'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import type { Trader, TraderStrategy } from '@/hooks/usePolling'
+
+type NumericKey = Exclude<keyof TraderStrategy, 'strategy' | 'tieredMultipliers'>
+
+// `only` = shown just for that strategy, `hideFor` = not used by that strategy
+const numericFields: { key: NumericKey; label: string; only?: string; hideFor?: string }[] = [
+  { key: 'copySize', label: 'Copy Size (% or $)', hideFor: 'CONVICTION' },
+  { key: 'minOrderSizeUsd', label: 'Min Order ($)' },
+  { key: 'maxOrderSizeUsd', label: 'Max Order ($)' },
+  { key: 'adaptiveMinPercent', label: 'Adaptive Min %', only: 'ADAPTIVE' },
+  { key: 'adaptiveMaxPercent', label: 'Adaptive Max %', only: 'ADAPTIVE' },
+  { key: 'adaptiveThreshold', label: 'Adaptive Threshold ($)', only: 'ADAPTIVE' },
+  { key: 'convictionMinPercent', label: 'Floor (% of equity)', only: 'CONVICTION' },
+  { key: 'convictionMaxPercent', label: 'Cap (% of equity)', only: 'CONVICTION' },
+  { key: 'convictionMinPortfolioUsd', label: 'Min Leader Portfolio ($)', only: 'CONVICTION' },
+  { key: 'kellyFraction', label: 'Kelly Fraction (0-1)', only: 'KELLY' },
+  { key: 'kellyMinSamples', label: 'Min Resolved Copies', only: 'KELLY' },
+  { key: 'kellyMaxPercent', label: 'Cap (% of equity)', only: 'KELLY' },
+]
+
+const strategyShort: Record<string, string> = { PERCENTAGE: 'PCT', FIXED: 'FIXED', ADAPTIVE: 'ADAPT', CONVICTION: 'CONV', KELLY: 'KELLY' }
+
+/** Compact label for the table cell: "FIXED $2", "PCT 10%", or "Global" */
+export function describeStrategy(s?: TraderStrategy | null) {
+  if (!s || Object.keys(s).length === 0) return 'Global'
+  const name = s.strategy ? strategyShort[s.strategy] ?? s.strategy : 'Global'
+  if (s.strategy === 'CONVICTION') return s.convictionMaxPercent != null ? `${name} ≤${s.convictionMaxPercent}%` : name
+  if (s.strategy === 'KELLY') return s.kellyFraction != null ? `${name} ×${s.kellyFraction}` : name
+  if (s.copySize == null) return `${name}*`
+  return s.strategy === 'FIXED' ? `${name} $${s.copySize}` : `${name} ${s.copySize}%`
+}
+
+export default function StrategyDialog({ trader, onSave }: { trader: Trader; onSave: () => void }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState<Record<string, string>>({})
+  const [defaults, setDefaults] = useState<Record<string, unknown>>({})
+  const [saving, setSaving] = useState(false)
+
+  const load = async () => {
+    const s = trader.strategy || {}
+    setDraft(Object.fromEntries(Object.entries(s).map(([k, v]) => [k, String(v)])))
+    try {
+      const cfg = await getConfig()
+      setDefaults(cfg.copyStrategy || {})
+    } catch { /* placeholders stay empty */ }
+  }
+
+  // Empty fields clear the override so the .env value applies again
+  const save = async (strategy: Record<string, string | number | null> | null) => {
+    setSaving(true)
+    try {
+      const res = await updateTrader(trader.address, { strategy })
+      if (res.error) {
+        toast.error(res.error)
+        return
+      }
+      toast.success(strategy ? 'Strategy saved' : 'Strategy reset to global')
+      setOpen(false)
+      onSave()
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Failed to save strategy')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => {
+    const payload: Record<string, string | number | null> = {
+      strategy: draft.strategy && draft.strategy !== 'global' ? draft.strategy : null,
+      tieredMultipliers: draft.tieredMultipliers !== undefined && draft.tieredMultipliers !== '' ? draft.tieredMultipliers : null,
+    }
+    for (const { key } of numericFields) {
+      payload[key] = draft[key] ? parseFloat(draft[key]) : null
+    }
+    save(payload)
+  }
+
+  const strategy = draft.strategy || 'global'
+  const effective = strategy === 'global' ? String(defaults.strategy ?? '') : strategy
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => { setOpen(v); if (v) load() }}>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="sm" className="h-7 px-2 font-mono text-xs">
+          {describeStrategy(trader.strategy)}
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Copy Strategy</DialogTitle>
+          <DialogDescription>
+            Sizing for {trader.label || `${trader.address.slice(0, 6)}...${trader.address.slice(-4)}`}. Empty fields use the global .env value (shown as placeholder).
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-4 py-4">
+          <div className="space-y-2 col-span-2">
+            <Label>Strategy</Label>
+            <Select value={strategy} onValueChange={(v) => setDraft({ ...draft, strategy: v })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="global">Global ({String(defaults.strategy ?? '—')})</SelectItem>
+                <SelectItem value="PERCENTAGE">Percentage of leader</SelectItem>
+                <SelectItem value="FIXED">Fixed $ per trade</SelectItem>
+                <SelectItem value="ADAPTIVE">Adaptive %</SelectItem>
+                <SelectItem value="CONVICTION">Leader conviction (portfolio weight)</SelectItem>
+                <SelectItem value="KELLY">Fractional Kelly (leader's edge by price)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {numericFields.filter(f => (!f.only || f.only === effective) && f.hideFor !== effective).map(({ key, label }) => (
+            <div key={key} className="space-y-2">
+              <Label htmlFor={`strategy-${key}`}>{label}</Label>
+              <Input
+                id={`strategy-${key}`}
+                type="number"
+                step="any"
+                min={0}
+                value={draft[key] ?? ''}
+                placeholder={defaults[key] != null ? String(defaults[key]) : ''}
+                onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+              />
+            </div>
+          ))}
+          <div className="space-y-2 col-span-2">
+            <Label htmlFor="strategy-tiers">Tiered Multipliers</Label>
+            <Input
+              id="strategy-tiers"
+              value={draft.tieredMultipliers ?? ''}
+              placeholder={String(defaults.tieredMultipliers || 'e.g. 1-10:2.0,10-100:1.0,100+:0.5')}
+              onChange={(e) => setDraft({ ...draft, tieredMultipliers: e.target.value })}
+              className="font-mono text-sm"
+            />
+          </div>
+        </div>
+        <DialogFooter>
+          <Button variant="outline" disabled={saving || !trader.strategy} onClick={() => save(null)}>Reset to Global</Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,281 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { getTraderLeaderboard, getTraderStats } from '@/api'
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { DataTable } from '@/components/ui/data-table'
+import { DataTableColumnHeader } from '@/components/ui/data-table-column-header'
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { formatUsd } from '@/lib/format'
+import { cn } from '@/lib/utils'
+import type { ColumnDef, SortingState } from '@tanstack/react-table'
+
+type Window = '7d' | '30d' | 'all'
+
+interface TraderStats {
+  copies: number
+  volumeUsd: number
+  closed: number
+  wins: number
+  losses: number
+  winRate: number | null
+  profitFactor: number | null
+  realizedPnl: number
+  avgSlippagePct: number | null
+  avgHoldHours: number | null
+  avgDetectionLagSec: number | null
+  score: number
+}
+
+interface Policy {
+  score: number
+  samples: number
+  below: boolean
+  multiplier: number
+}
+
+interface LeaderboardRow extends TraderStats {
+  address: string
+  label: string
+  bucket: string
+  mode: 'copy' | 'fade'
+  enabled: boolean
+  disabledReason: string
+  policy: Policy
+}
+
+interface Leaderboard {
+  window: Window
+  policy: { policy: 'off' | 'downweight' | 'disable'; min: number; minSamples: number; windowDays: number }
+  traders: LeaderboardRow[]
+}
+
+interface ScorecardWindow extends TraderStats {
+  leaderRealizedPnl: number | null
+}
+
+interface Scorecard {
+  address: string
+  label: string
+  windows: Record<Window, ScorecardWindow>
+  policy: Policy | null
+  leader: { value: number; realizedPnl: number; unrealizedPnl: number; positions: number } | null
+}
+
+const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`
+const dash = (v: number | null, fmt: (n: number) => string) => (v == null ? '—' : fmt(v))
+const pnlClass = (v: number) => (v > 0 ? 'text-profit' : v < 0 ? 'text-loss' : '')
+
+// Score rows shown in the scorecard dialog, one column per window
+const scorecardRows: { label: string; render: (s: ScorecardWindow) => string }[] = [
+  { label: 'Score', render: s => s.score.toFixed(2) },
+  { label: 'Copies', render: s => `${s.copies} (${formatUsd(s.volumeUsd)})` },
+  { label: 'Closed (W/L)', render: s => `${s.closed} (${s.wins}/${s.losses})` },
+  { label: 'Win rate', render: s => dash(s.winRate, n => `${n}%`) },
+  { label: 'Profit factor', render: s => (s.profitFactor == null ? '∞' : s.profitFactor.toFixed(2)) },
+  { label: 'Realized P&L', render: s => formatUsd(s.realizedPnl) },
+  { label: 'Avg slippage', render: s => dash(s.avgSlippagePct, n => `${n > 0 ? '+' : ''}${n}%`) },
+  { label: 'Avg hold', render: s => dash(s.avgHoldHours, n => `${n}h`) },
+  { label: 'Detection lag', render: s => dash(s.avgDetectionLagSec, n => `${n}s`) },
+  { label: 'Leader realized P&L', render: s => dash(s.leaderRealizedPnl, formatUsd) },
+]
+
+function ScorecardDialog({ address, onClose }: { address: string | null; onClose: () => void }) {
+  const [card, setCard] = useState<Scorecard | null>(null)
+
+  useEffect(() => {
+    if (!address) return
+    setCard(null)
+    getTraderStats(address).then(setCard).catch(() => { /* dialog shows loading state */ })
+  }, [address])
+
+  return (
+    <Dialog open={!!address} onOpenChange={(v) => { if (!v) onClose() }}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Scorecard</DialogTitle>
+          <DialogDescription>
+            {card ? card.label || shortAddr(card.address) : 'Loading…'}
+            {card?.policy?.below && ` · below score threshold (${card.policy.samples} samples)`}
+          </DialogDescription>
+        </DialogHeader>
+        {card && (
+          <div className="space-y-4">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-muted-foreground">
+                  <th className="text-left font-medium py-1" />
+                  <th className="text-right font-medium py-1">7d</th>
+                  <th className="text-right font-medium py-1">30d</th>
+                  <th className="text-right font-medium py-1">All</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scorecardRows.map(r => (
+                  <tr key={r.label} className="border-t border-border">
+                    <td className="py-1.5 text-muted-foreground">{r.label}</td>
+                    {(['7d', '30d', 'all'] as Window[]).map(w => (
+                      <td key={w} className="py-1.5 text-right font-mono">{r.render(card.windows[w])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-muted-foreground">
+              {card.leader ? (
+                <>
+                  Leader now (Data API, {card.leader.positions} listed positions): portfolio {formatUsd(card.leader.value)},
+                  unrealized <span className={pnlClass(card.leader.unrealizedPnl)}>{formatUsd(card.leader.unrealizedPnl)}</span>
+                </>
+              ) : 'Leader PnL unavailable — Data API unreachable.'}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default function TraderLeaderboard() {
+  const [range, setRange] = useState<Window>('30d')
+  const [data, setData] = useState<Leaderboard | null>(null)
+  const [selected, setSelected] = useState<string | null>(null)
+  const [sorting, setSorting] = useState<SortingState>([{ id: 'score', desc: true }])
+
+  const fetchData = useCallback(async () => {
+    try {
+      setData(await getTraderLeaderboard(range))
+    } catch { /* card stays hidden — non-critical */ }
+  }, [range])
+
+  useEffect(() => {
+    fetchData()
+    const id = setInterval(fetchData, 60000)
+    return () => clearInterval(id)
+  }, [fetchData])
+
+  const columns = useMemo<ColumnDef<LeaderboardRow>[]>(() => [
+    {
+      accessorKey: 'label',
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Trader" />,
+      cell: ({ row }) => (
+        <button
+          className="text-xs hover:underline text-left"
+          onClick={() => setSelected(row.original.address)}
+          title={row.original.disabledReason || row.original.address}
+        >
+          {row.original.label || <span className="font-mono">{shortAddr(row.original.address)}</span>}
+          {!row.original.enabled && <span className="text-muted-foreground"> (off)</span>}
+        </button>
+      ),
+    },
+    {
+      accessorKey: 'score',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Score" className="justify-end" />,
+      cell: ({ row }) => {
+        const { score, policy } = row.original
+        return (
+          <Badge
+            variant={policy.below ? 'warning' : score >= 1 ? 'profit' : 'secondary'}
+            className="text-[10px] font-mono"
+            title={policy.multiplier !== 1 ? `Sized ×${policy.multiplier}` : `${policy.samples} closed in policy window`}
+          >
+            {score.toFixed(2)}
+          </Badge>
+        )
+      },
+    },
+    {
+      accessorKey: 'copies',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Copies" className="justify-end" />,
+      cell: ({ row }) => <span className="font-mono">{row.original.copies}</span>,
+    },
+    {
+      accessorKey: 'winRate',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Win %" className="justify-end" />,
+      cell: ({ row }) => (
+        <span className="font-mono" title={`${row.original.wins}W / ${row.original.losses}L`}>
+          {dash(row.original.winRate, n => `${n}%`)}
+        </span>
+      ),
+    },
+    {
+      accessorKey: 'profitFactor',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="PF" className="justify-end" />,
+      cell: ({ row }) => (
+        <span className="font-mono">{row.original.profitFactor == null ? '∞' : row.original.profitFactor.toFixed(2)}</span>
+      ),
+    },
+    {
+      accessorKey: 'realizedPnl',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="P&L" className="justify-end" />,
+      cell: ({ row }) => (
+        <span className={cn('font-mono', pnlClass(row.original.realizedPnl))}>{formatUsd(row.original.realizedPnl)}</span>
+      ),
+    },
+    {
+      accessorKey: 'avgSlippagePct',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Slippage" className="justify-end" />,
+      cell: ({ row }) => <span className="font-mono">{dash(row.original.avgSlippagePct, n => `${n}%`)}</span>,
+    },
+    {
+      accessorKey: 'avgHoldHours',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Hold" className="justify-end" />,
+      cell: ({ row }) => <span className="font-mono">{dash(row.original.avgHoldHours, n => `${n}h`)}</span>,
+    },
+    {
+      accessorKey: 'avgDetectionLagSec',
+      meta: { align: 'right' as const },
+      header: ({ column }) => <DataTableColumnHeader column={column} title="Lag" className="justify-end" />,
+      cell: ({ row }) => <span className="font-mono">{dash(row.original.avgDetectionLagSec, n => `${n}s`)}</span>,
+    },
+  ], [])
+
+  if (!data || data.traders.length === 0) return null
+
+  const { policy } = data
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <CardTitle className="text-lg font-semibold">Leaderboard</CardTitle>
+            <CardDescription>
+              Scorecard of our copies · score = smoothed win rate × 2 (1.0 = unproven)
+              {policy.policy !== 'off' && ` · ${policy.policy} below ${policy.min} after ${policy.minSamples} closed in ${policy.windowDays}d`}
+            </CardDescription>
+          </div>
+          <ToggleGroup type="single" value={range} onValueChange={(v) => v && setRange(v as Window)} size="sm">
+            <ToggleGroupItem value="7d" className="text-xs px-3">7d</ToggleGroupItem>
+            <ToggleGroupItem value="30d" className="text-xs px-3">30d</ToggleGroupItem>
+            <ToggleGroupItem value="all" className="text-xs px-3">All</ToggleGroupItem>
+          </ToggleGroup>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="max-h-[420px] overflow-auto rounded-md border border-border">
+          <DataTable
+            columns={columns}
+            data={data.traders}
+            sorting={sorting}
+            onSortingChange={setSorting as (updater: SortingState | ((prev: SortingState) => SortingState)) => void}
+          />
+        </div>
+      </CardContent>
+      <ScorecardDialog address={selected} onClose={() => setSelected(null)} />
+    </Card>
+  )
+}
@@ -28,6 +28,11 @@ import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/comp
 import { Trash2, Copy, Pencil } from 'lucide-react'
 import { toast } from 'sonner'
 import AddTraderDialog from './AddTraderDialog'
+import StrategyDialog from './StrategyDialog'
+import BudgetDialog from './BudgetDialog'
+import ConfirmDialog from './ConfirmDialog'
+import TraderLeaderboard from './TraderLeaderboard'
+import DiscoveryCard from './DiscoveryCard'
 import { fadeInUp, defaultTransition } from '@/lib/animations'
 import { formatUsd } from '@/lib/format'
 import type { StatsData, Trader } from '@/hooks/usePolling'
@@ -140,15 +145,19 @@ export default function TradersView({
   }
 
   const activeCount = traders.filter(t => t.enabled).length
+  const fades = stats?.stats?.byMode?.find(m => m.mode === 'fade')
 
   return (
-    <motion.div variants={fadeInUp} initial="hidden" animate="visible" transition={defaultTransition}>
+    <motion.div variants={fadeInUp} initial="hidden" animate="visible" transition={defaultTransition} className="space-y-6">
       <Card>
         <CardHeader>
           <div className="flex items-center justify-between">
             <div>
               <CardTitle className="text-lg font-semibold">Trader Management</CardTitle>
-              <CardDescription>{activeCount} active of {traders.length} traders</CardDescription>
+              <CardDescription>
+                {activeCount} active of {traders.length} traders
+                {fades && <> · fades: {fades.count} trades, {formatUsd(fades.pnl)} P&L</>}
+              </CardDescription>
             </div>
             <AddTraderDialog onAdd={onUpdate} />
           </div>
@@ -162,8 +171,12 @@ export default function TradersView({
                 <TableHead>Address</TableHead>
                 <TableHead>Label</TableHead>
                 <TableHead>Bucket</TableHead>
+                <TableHead>Mode</TableHead>
                 <TableHead className="text-right">Multiplier</TableHead>
                 <TableHead className="text-right">Max Trade</TableHead>
+                <TableHead>Strategy</TableHead>
+                <TableHead>Budget</TableHead>
+                <TableHead>Confirm</TableHead>
                 <TableHead className="text-right">P&L</TableHead>
                 <TableHead className="w-12" />
               </TableRow>
@@ -171,7 +184,7 @@ export default function TradersView({
             <TableBody>
               {traders.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={8} className="py-12 text-center text-sm text-muted-foreground">
+                  <TableCell colSpan={12} className="py-12 text-center text-sm text-muted-foreground">
                     No traders configured yet. Click "Add Trader" to get started.
                   </TableCell>
                 </TableRow>
@@ -184,6 +197,9 @@ export default function TradersView({
                         <Switch
                           checked={t.enabled}
                           onCheckedChange={(checked) => handleToggle(t.address, checked)}
+                          title={t.disabledReason
+                            ? `Auto-disabled: ${t.disabledReason}${t.disabledUntil ? ` — back on ${new Date(t.disabledUntil).toLocaleString()}` : ''}`
+                            : undefined}
                         />
                       </TableCell>
                       <TableCell>
@@ -241,6 +257,25 @@ export default function TradersView({
                           {t.bucket}
                         </Badge>
                       </TableCell>
+                      <TableCell>
+                        {/* fade = take the opposite outcome of this leader's entries */}
+                        <Badge
+                          variant={t.mode === 'fade' ? 'warning' : 'secondary'}
+                          className="text-[10px] cursor-pointer hover:bg-primary/20 transition-colors"
+                          onClick={async () => {
+                            const newMode = t.mode === 'fade' ? 'copy' : 'fade'
+                            try {
+                              await updateTrader(t.address, { mode: newMode })
+                              onUpdate()
+                              toast.success(`Mode → ${newMode}`)
+                            } catch (err) {
+                              toast.error(err instanceof Error ? err.message : 'Failed to update mode')
+                            }
+                          }}
+                        >
+                          {t.mode || 'copy'}
+                        </Badge>
+                      </TableCell>
                       <TableCell className="font-mono text-right">
                         <EditableCell
                           value={t.multiplier}
@@ -275,6 +310,15 @@ export default function TradersView({
                           inputWidth="w-20"
                         />
                       </TableCell>
+                      <TableCell>
+                        <StrategyDialog trader={t} onSave={onUpdate} />
+                      </TableCell>
+                      <TableCell>
+                        <BudgetDialog trader={t} onSave={onUpdate} />
+                      </TableCell>
+                      <TableCell>
+                        <ConfirmDialog trader={t} onSave={onUpdate} />
+                      </TableCell>
                       <TableCell className={`font-mono text-right ${pnl >= 0 ? 'text-profit' : 'text-loss'}`}>
                         {formatUsd(pnl)}
                       </TableCell>
@@ -314,6 +358,8 @@ export default function TradersView({
           </div>
         </CardContent>
       </Card>
+      <TraderLeaderboard />
+      <DiscoveryCard onUpdate={onUpdate} />
     </motion.div>
   )
 }
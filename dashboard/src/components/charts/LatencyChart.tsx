@@ -0,0 +1,68 @@
+import { useMemo } from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts'
+import ChartTooltip from './ChartTooltip'
+
+export interface CycleLatency {
+  cycleTs: number
+  at: string
+  trades: number
+  detection: { p50: number | null; max: number | null }
+  execution: { p50: number | null; max: number | null }
+}
+
+const fmtSec = (v: number) => (v >= 60 ? `${(v / 60).toFixed(1)}m` : `${v.toFixed(1)}s`)
+
+export default function LatencyChart({
+  data,
+  height = 200,
+}: {
+  data: CycleLatency[]
+  height?: number
+}) {
+  const chartData = useMemo(() => data.map(c => ({
+    time: new Date(c.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }),
+    detection: c.detection.p50,
+    execution: c.execution.p50,
+  })), [data])
+
+  if (data.length === 0) {
+    return (
+      <div style={{ height }} className="flex items-center justify-center text-sm text-muted-foreground">
+        No timed signals yet — lags appear after the bot copies a trade
+      </div>
+    )
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={chartData} margin={{ top: 5, right: 5, left: -15, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="time" tick={{ fontSize: 10 }} axisLine={false} tickLine={false} />
+        <YAxis tick={{ fontSize: 10 }} axisLine={false} tickLine={false} tickFormatter={(v) => `${v}s`} />
+        <Tooltip content={<ChartTooltip valueFormatter={fmtSec} />} />
+        <Legend wrapperStyle={{ fontSize: 10 }} />
+        {/* Positions-diff signals have no leader time, so detection can be missing where execution is not */}
+        <Line
+          type="monotone"
+          dataKey="detection"
+          name="Detection lag (p50)"
+          stroke="hsl(var(--warning))"
+          strokeWidth={2}
+          dot={false}
+          connectNulls
+          isAnimationActive={false}
+        />
+        <Line
+          type="monotone"
+          dataKey="execution"
+          name="Execution lag (p50)"
+          stroke="hsl(var(--info))"
+          strokeWidth={2}
+          dot={false}
+          connectNulls
+          isAnimationActive={false}
+        />
+      </LineChart>
+    </ResponsiveContainer>
+  )
+}
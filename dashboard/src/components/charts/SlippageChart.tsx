@@ -0,0 +1,48 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from 'recharts'
+import ChartTooltip from './ChartTooltip'
+
+export interface SlippageBar {
+  name: string
+  drift: number | null
+  impact: number | null
+  unsplit: number | null
+}
+
+const fmtPct = (v: number) => `${v.toFixed(2)}%`
+
+/**
+ * Cost of copying per group, stacked: drift (leader → mid, latency) and impact
+ * (mid → our fill, execution). A group where some trades have no recorded mid
+ * (older rows, one-sided books) shows its whole cost unsplit.
+ */
+export default function SlippageChart({
+  data,
+  height = 220,
+}: {
+  data: SlippageBar[]
+  height?: number
+}) {
+  if (data.length === 0) {
+    return (
+      <div style={{ height }} className="flex items-center justify-center text-sm text-muted-foreground">
+        No filled trades with a leader price yet
+      </div>
+    )
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data} margin={{ top: 5, right: 5, left: -15, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="name" tick={{ fontSize: 10 }} axisLine={false} tickLine={false} interval={0} />
+        <YAxis tick={{ fontSize: 10 }} axisLine={false} tickLine={false} tickFormatter={(v) => `${v}%`} />
+        <Tooltip content={<ChartTooltip valueFormatter={fmtPct} />} />
+        <Legend wrapperStyle={{ fontSize: 10 }} />
+        <ReferenceLine y={0} stroke="hsl(var(--border))" strokeWidth={1} />
+        <Bar dataKey="drift" name="Drift (latency)" stackId="cost" fill="hsl(var(--warning))" fillOpacity={0.8} maxBarSize={28} isAnimationActive={false} />
+        <Bar dataKey="impact" name="Impact (execution)" stackId="cost" fill="hsl(var(--loss))" fillOpacity={0.8} maxBarSize={28} isAnimationActive={false} />
+        <Bar dataKey="unsplit" name="No mid recorded" stackId="cost" fill="hsl(var(--muted-foreground))" fillOpacity={0.6} maxBarSize={28} isAnimationActive={false} />
+      </BarChart>
+    </ResponsiveContainer>
+  )
+}
@@ -22,6 +22,8 @@ const statusVariant: Record<string, 'profit' | 'info' | 'warning' | 'loss' | 'se
   rejected: 'loss',
   filtered: 'secondary',
   no_position: 'secondary',
+  resting: 'info',
+  expired: 'secondary',
 }
 
 const statusLabel: Record<string, string> = {
@@ -33,6 +35,18 @@ const statusLabel: Record<string, string> = {
   rejected: 'Rejected',
   filtered: 'Skipped',
   no_position: 'No Position',
+  resting: 'Resting',
+  expired: 'Expired',
+}
+
+// Closes not mirrored from a leader (exit rules, resolution, reconcile)
+const closeReasonLabel: Record<string, string> = {
+  CLOSE_RESOLVED: 'Resolved',
+  CLOSE_RECONCILE: 'Reconcile',
+  CLOSE_STOP_LOSS: 'Stop Loss',
+  CLOSE_TAKE_PROFIT: 'Take Profit',
+  CLOSE_TRAILING_STOP: 'Trailing Stop',
+  CLOSE_MAX_HOLD: 'Max Hold',
 }
 
 export function getTradeColumns(traderLabels: Record<string, string>): ColumnDef<Trade>[] {
@@ -118,12 +132,15 @@ export function getTradeColumns(traderLabels: Record<string, string>): ColumnDef
       cell: ({ row }) => {
         const { direction, outcome } = formatSide(row.original.side)
         const isClose = direction === 'Close' || direction === 'Sell'
+        const reason = closeReasonLabel[row.original.close_reason ?? '']
         return (
           <span className="text-xs">
             <span className={cn('font-medium', isClose ? 'text-loss' : 'text-profit')}>
               {direction}
             </span>
             {outcome && <span className="text-muted-foreground"> · {outcome}</span>}
+            {row.original.mode === 'fade' && <Badge variant="warning" className="ml-1.5 text-[10px]">FADE</Badge>}
+            {reason && <Badge variant="secondary" className="ml-1.5 text-[10px]">{reason}</Badge>}
           </span>
         )
       },
@@ -134,11 +151,20 @@ export function getTradeColumns(traderLabels: Record<string, string>): ColumnDef
       header: ({ column }) => (
         <DataTableColumnHeader column={column} title="Price" className="justify-end" />
       ),
-      cell: ({ row }) => (
-        <span className="font-mono text-right text-xs">
-          {row.original.price != null ? row.original.price.toFixed(2) : '—'}
-        </span>
-      ),
+      cell: ({ row }) => {
+        const { price, leader_price, fill_model } = row.original
+        // Paper fills modeled on the book: show the leader's price alongside
+        const showLeader = fill_model === 'book' && leader_price != null && leader_price !== price
+        return (
+          <span
+            className="font-mono text-right text-xs"
+            title={showLeader ? `Modeled fill · leader ${leader_price.toFixed(3)}` : undefined}
+          >
+            {price != null ? price.toFixed(2) : '—'}
+            {showLeader && <span className="block text-[10px] text-muted-foreground">L {leader_price.toFixed(2)}</span>}
+          </span>
+        )
+      },
     },
     {
       accessorKey: 'size_usd',
@@ -147,10 +173,12 @@ export function getTradeColumns(traderLabels: Record<string, string>): ColumnDef
         <DataTableColumnHeader column={column} title="Size" className="justify-end" />
       ),
       cell: ({ row }) => {
-        const v = row.original.size_usd
+        const { size_usd: v, strategy, strategy_params } = row.original
+        // Entries record the copy strategy that sized them; hover for its parameters
         return (
-          <span className="font-mono text-right text-xs">
+          <span className="font-mono text-right text-xs" title={strategy_params || undefined}>
             {v != null ? `$${v.toFixed(2)}` : '—'}
+            {strategy && <span className="block text-[10px] text-muted-foreground">{strategy.slice(0, 5)}</span>}
           </span>
         )
       },
@@ -16,6 +16,7 @@ export interface StatsData {
     dailyPnl?: { day: string; pnl: number; trades?: number }[]
     byBucket?: { bucket: string; pnl: number; count: number }[]
     byTrader?: { trader_address: string; count: number; pnl: number }[]
+    byMode?: { mode: 'copy' | 'fade'; count: number; pnl: number }[]
     resolvedTrades?: { timestamp: string; pnl: number }[]
     recentSnapshots?: {
       timestamp: string
@@ -37,6 +38,47 @@ export interface Trader {
   maxTrade: number
   label?: string
   addedAt?: string
+  strategy?: TraderStrategy | null
+  mode?: 'copy' | 'fade'
+  enabledAt?: string
+  disabledReason?: string
+  disabledUntil?: string
+  budget?: TraderBudget
+  confirm?: TraderConfirm
+}
+
+/** Per-trader entry confirmation — unset keys use the CONFIRM_* .env defaults, delayMin 0 = off */
+export interface TraderConfirm {
+  delayMin?: number
+  minHoldPct?: number
+  priceBandPct?: number
+}
+
+/** Per-trader risk budget — unset keys use the TRADER_* .env defaults, 0 = off */
+export interface TraderBudget {
+  maxExposure?: number
+  maxDailyLoss?: number
+  maxConsecutiveLosses?: number
+  maxDrawdown?: number
+  coolOffHours?: number
+}
+
+/** Per-trader copy strategy block — unset keys use the .env strategy */
+export interface TraderStrategy {
+  strategy?: 'PERCENTAGE' | 'FIXED' | 'ADAPTIVE' | 'CONVICTION' | 'KELLY'
+  copySize?: number
+  adaptiveMinPercent?: number
+  adaptiveMaxPercent?: number
+  adaptiveThreshold?: number
+  convictionMinPercent?: number
+  convictionMaxPercent?: number
+  convictionMinPortfolioUsd?: number
+  kellyFraction?: number
+  kellyMinSamples?: number
+  kellyMaxPercent?: number
+  tieredMultipliers?: string
+  minOrderSizeUsd?: number
+  maxOrderSizeUsd?: number
 }
 
 export interface Trade {
@@ -51,6 +93,12 @@ export interface Trade {
   pnl?: number
   resolved?: number
   notes?: string
+  close_reason?: string
+  leader_price?: number | null
+  fill_model?: string
+  strategy?: string
+  strategy_params?: string
+  mode?: 'copy' | 'fade'
 }
 
 export interface Position {
@@ -61,12 +109,16 @@ export interface Position {
   side: string
   entry_price: number
   size_usd: number
+  shares: number
+  cost_basis: number
+  realized_pnl: number
   current_price: number
   unrealized_pnl: number
   trader_address: string
   bucket: string
   opened_at: string
   status: string
+  mode?: 'copy' | 'fade'
 }
 
 export interface TradeFilters {
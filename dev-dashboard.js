@@ -90,6 +90,34 @@ app.get('/api/stats', (req, res) => {
       maxDrawdown: 8.3,
       currentDrawdown: 2.1,
       healthScore: 9,
+      derisk: {
+        enabled: true,
+        recovery: 'high',
+        tiers: [{ drawdownPct: 5, multiplier: 0.75 }, { drawdownPct: 10, multiplier: 0.5 }, { drawdownPct: 20, multiplier: 0.25 }],
+        level: 1,
+        multiplier: 0.75,
+        triggerPct: 5,
+        currentDrawdown: 2.1,
+        keyedDrawdown: 6.4,
+        next: { drawdownPct: 10, multiplier: 0.5 },
+      },
+      concentration: {
+        caps: { market: 3, event: 4, category: 0 },
+        top: {
+          market: [
+            { key: '0xabc', label: 'Will BTC hit $100k by March?', usd: 2.60, markets: 1, cap: 3 },
+            { key: '0xdef', label: 'Lakers vs Celtics - Lakers win?', usd: 2.20, markets: 1, cap: 3 },
+          ],
+          event: [
+            { key: '0xabc', label: 'Will BTC hit $100k by March?', usd: 2.60, markets: 1, cap: 4 },
+            { key: '0xdef', label: 'Lakers vs Celtics - Lakers win?', usd: 2.20, markets: 1, cap: 4 },
+          ],
+          category: [
+            { key: 'Crypto', label: 'Crypto', usd: 2.60, markets: 1, cap: 0 },
+            { key: 'Sports', label: 'Sports', usd: 2.20, markets: 1, cap: 0 },
+          ],
+        },
+      },
     },
     stats: {
       totalPnl: 1.42,
@@ -116,6 +144,10 @@ app.get('/api/stats', (req, res) => {
         { trader_address: '0x14964aefa2cd7caff7878b3820a690a03c5aa429', count: 2, pnl: 0.32 },
         { trader_address: '0xc2e7800b5af46e6093872b177b7a5e7f0563be51', count: 2, pnl: 0.12 },
       ],
+      byMode: [
+        { mode: 'copy', count: 9, pnl: 1.54 },
+        { mode: 'fade', count: 2, pnl: -0.12 },
+      ],
       recentSnapshots: generateSnapshots(),
     },
     pollInterval: 10000,
@@ -212,19 +244,278 @@ app.get('/api/trades', (req, res) => {
 app.get('/api/traders', (req, res) => {
   res.json({
     traders: [
-      { address: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', bucket: 'grinder', enabled: true, multiplier: 0.01, maxTrade: 2.50, label: 'DrPufferfish', addedAt: '2026-02-12' },
-      { address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', bucket: 'event', enabled: true, multiplier: 0.01, maxTrade: 3.34, label: 'kch123', addedAt: '2026-02-12' },
-      { address: '0x14964aefa2cd7caff7878b3820a690a03c5aa429', bucket: 'event', enabled: true, multiplier: 0.01, maxTrade: 3.34, label: 'gmpm', addedAt: '2026-02-12' },
-      { address: '0xc2e7800b5af46e6093872b177b7a5e7f0563be51', bucket: 'event', enabled: true, multiplier: 0.01, maxTrade: 2.00, label: 'beachboy4', addedAt: '2026-02-12' },
+      { address: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', bucket: 'grinder', enabled: true, multiplier: 0.01, maxTrade: 2.50, label: 'DrPufferfish', addedAt: '2026-02-12', confirm: { delayMin: 5 } },
+      { address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', bucket: 'event', enabled: true, multiplier: 0.01, maxTrade: 3.34, label: 'kch123', addedAt: '2026-02-12', strategy: { strategy: 'FIXED', copySize: 2 } },
+      { address: '0x14964aefa2cd7caff7878b3820a690a03c5aa429', bucket: 'event', enabled: false, multiplier: 0.01, maxTrade: 3.34, label: 'gmpm', addedAt: '2026-02-12',
+        disabledReason: 'Budget: 3 consecutive losses (trader limit 3)', disabledUntil: new Date(Date.now() + 5 * 3600000).toISOString(), budget: { maxConsecutiveLosses: 3 } },
+      { address: '0xc2e7800b5af46e6093872b177b7a5e7f0563be51', bucket: 'event', enabled: true, multiplier: 0.01, maxTrade: 2.00, label: 'beachboy4', addedAt: '2026-02-12', mode: 'fade' },
     ],
   });
 });
 
+const mockScore = (copies, wins, losses, pnl, extra = {}) => ({
+  copies, volumeUsd: copies * 1.8, closed: wins + losses, wins, losses,
+  winRate: wins + losses ? Math.round((wins / (wins + losses)) * 1000) / 10 : null,
+  profitFactor: losses ? 1.4 : null, realizedPnl: pnl, avgSlippagePct: 0.8, avgHoldHours: 14.2, avgDetectionLagSec: 6.3,
+  score: Math.round(((wins + 1) / (wins + losses + 2)) * 200) / 100, ...extra,
+});
+
+app.get('/api/traders/leaderboard', (req, res) => {
+  const policy = (score, samples) => ({ score, samples, below: samples >= 10 && score < 0.8, multiplier: 1 });
+  res.json({
+    window: req.query.window || '30d',
+    policy: { policy: 'disable', min: 0.8, minSamples: 10, windowDays: 30 },
+    traders: [
+      { address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', label: 'kch123', bucket: 'event', mode: 'copy', enabled: true, disabledReason: '', ...mockScore(18, 9, 4, 1.12), policy: policy(1.33, 13) },
+      { address: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', label: 'DrPufferfish', bucket: 'grinder', mode: 'copy', enabled: true, disabledReason: '', ...mockScore(24, 11, 9, 0.42), policy: policy(1.09, 20) },
+      { address: '0xc2e7800b5af46e6093872b177b7a5e7f0563be51', label: 'beachboy4', bucket: 'event', mode: 'fade', enabled: true, disabledReason: '', ...mockScore(2, 0, 1, -0.12), policy: policy(0.67, 1) },
+      { address: '0x14964aefa2cd7caff7878b3820a690a03c5aa429', label: 'gmpm', bucket: 'event', mode: 'copy', enabled: true, disabledReason: '', ...mockScore(0, 0, 0, 0, { avgSlippagePct: null, avgHoldHours: null, avgDetectionLagSec: null }), policy: policy(1, 0) },
+    ],
+  });
+});
+
+app.get('/api/traders/:addr/stats', (req, res) => {
+  res.json({
+    address: req.params.addr, label: 'kch123', bucket: 'event', enabled: true,
+    windows: {
+      '7d': { ...mockScore(5, 3, 1, 0.38), leaderRealizedPnl: 812.6 },
+      '30d': { ...mockScore(18, 9, 4, 1.12), leaderRealizedPnl: 3104.25 },
+      all: { ...mockScore(31, 15, 8, 2.05), leaderRealizedPnl: 9312.4 },
+    },
+    policy: { score: 1.33, samples: 13, below: false, multiplier: 1 },
+    leader: { value: 48210.55, realizedPnl: 9312.4, unrealizedPnl: -1204.18, positions: 37 },
+  });
+});
+
+app.get('/api/traders/:addr/budget', (req, res) => {
+  const defaults = { maxExposure: 6, maxDailyLoss: 2, maxConsecutiveLosses: 0, maxDrawdown: 3, coolOffHours: 24 };
+  res.json({
+    address: req.params.addr,
+    budget: { ...defaults, maxConsecutiveLosses: 3 },
+    overrides: { maxConsecutiveLosses: 3 },
+    defaults,
+    usage: { exposure: 2.4, dailyPnl: -0.86, consecutiveLosses: 3, drawdown: 1.12 },
+    breaches: ['3 consecutive losses (trader limit 3)'],
+    disabledUntil: new Date(Date.now() + 5 * 3600000).toISOString(),
+  });
+});
+
 app.get('/api/config', (req, res) => {
   res.json({
-    caps: { maxTotalExposure: 16.70, maxGrinderTrade: 2.50, maxEventTrade: 3.34, maxOpenPositions: 10 },
+    caps: { maxTotalExposure: 16.70, maxGrinderTrade: 2.50, maxEventTrade: 3.34, maxOpenPositions: 10, maxMarketExposure: 3, maxEventExposure: 4, maxCategoryExposure: 0 },
     risk: { dailyLossLimit: 4, equityStopLoss: 10, slippageTolerance: 3, minTradeSize: 0.50, minPrice: 0.05, maxPrice: 0.97 },
     sizing: { grinderMultiplier: 0.01, eventMultiplier: 0.01 },
+    copyStrategy: {
+      strategy: 'PERCENTAGE', copySize: 15, maxOrderSizeUsd: 10, minOrderSizeUsd: 1, maxPositionSizeUsd: null, maxDailyVolumeUsd: null,
+      adaptiveMinPercent: 5, adaptiveMaxPercent: 25, adaptiveThreshold: 200,
+      convictionMinPercent: 0.5, convictionMaxPercent: 10, convictionMinPortfolioUsd: 1000,
+      kellyFraction: 0.25, kellyMinSamples: 20, kellyMaxPercent: 5, tieredMultipliers: '',
+    },
+    catchup: { policy: 'manual', maxEntryAgeMin: 30 },
+    resolution: { checkIntervalMin: 5, autoRedeem: false },
+    exits: { stopLossPct: 40, takeProfitPct: 0, trailingStopPct: 0, maxHoldHours: 0 },
+  });
+});
+
+app.get('/api/exit-rules', (req, res) => {
+  res.json({
+    global: { stopLossPct: 40, takeProfitPct: 0, trailingStopPct: 0, maxHoldHours: 0 },
+    buckets: { grinder: { maxHoldHours: 48 }, event: { trailingStopPct: 25 } },
+    traders: [],
+  });
+});
+
+app.get('/api/market-filters', (req, res) => {
+  res.json({
+    rules: [
+      { id: 'politics-ok', type: 'category', action: 'allow', value: 'Politics', enabled: true },
+      { id: 'no-crypto-updown', type: 'keyword', action: 'block', value: '/up or down/i', enabled: true },
+      { id: 'ending-soon', type: 'hoursToEnd', action: 'block', op: 'lt', value: 2, enabled: true },
+      { id: 'thin-volume', type: 'volume24h', action: 'block', op: 'lt', value: 5000, enabled: true },
+      { id: 'thin-book', type: 'depth', action: 'block', op: 'lt', value: 100, enabled: false },
+    ],
+    hits: { 'no-crypto-updown': 14, 'ending-soon': 3, 'thin-volume': 6 },
+    hitsDays: 7,
+    types: ['keyword', 'category', 'hoursToEnd', 'volume24h', 'depth', 'negRisk'],
+    depthPct: 5,
+  });
+});
+
+app.get('/api/orders', (req, res) => res.json({ mode: 'market', open: [], recent: [] }));
+app.get('/api/ledger', (req, res) => res.json([]));
+
+app.get('/api/catchup', (req, res) => {
+  const planId = '2025-02-11T19:30:00.000Z';
+  res.json({
+    policy: 'manual',
+    maxEntryAgeMin: 30,
+    pending: 2,
+    actions: [
+      { id: 3, plan_id: planId, created_at: '2025-02-11 19:30:02', trader_address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', market_id: '0xm3', market_name: 'Will the Fed cut rates in March?', action: 'skip', reason: 'Stale entry: 212m old > 30m limit', status: 'noted' },
+      { id: 2, plan_id: planId, created_at: '2025-02-11 19:30:01', trader_address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', market_id: '0xm2', market_name: 'Lakers vs Celtics — Lakers', action: 'adopt', reason: 'Leader entered 12m ago @ 0.44', status: 'pending' },
+      { id: 1, plan_id: planId, created_at: '2025-02-11 19:30:01', trader_address: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', market_id: '0xm1', market_name: 'BTC above $100k on Friday?', action: 'close', reason: 'Leader exited while bot was down', status: 'pending' },
+    ],
+  });
+});
+
+app.get('/api/confirmations', (req, res) => {
+  const trader = { traderAddress: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', label: 'DrPufferfish' };
+  res.json({
+    defaults: { delayMin: 0, minHoldPct: 80, priceBandPct: 5 }, staleMin: 15, delayedTraders: 1,
+    pending: [
+      { id: 12, ...trader, marketId: '0xm11', marketName: 'Bitcoin Up or Down - 3PM ET', type: 'NEW', side: 'Up', price: 0.52, leaderSize: 480,
+        holdPct: 100, createdAt: new Date(Date.now() - 2 * 60000).toISOString(), dueAt: new Date(Date.now() + 3 * 60000).toISOString(),
+        status: 'pending', reason: '', resolvedAt: null },
+    ],
+    recent: [
+      { id: 11, ...trader, marketId: '0xm12', marketName: 'Ethereum Up or Down - 2PM ET', type: 'NEW', price: 0.48, leaderSize: 300,
+        createdAt: new Date(Date.now() - 40 * 60000).toISOString(), dueAt: new Date(Date.now() - 35 * 60000).toISOString(),
+        status: 'expired', reason: 'leader exited before confirmation', resolvedAt: new Date(Date.now() - 37 * 60000).toISOString() },
+      { id: 10, ...trader, marketId: '0xm13', marketName: 'Solana Up or Down - 1PM ET', type: 'NEW', price: 0.61, leaderSize: 220,
+        createdAt: new Date(Date.now() - 90 * 60000).toISOString(), dueAt: new Date(Date.now() - 85 * 60000).toISOString(),
+        status: 'queued', reason: 'confirmed — sent to the signal queue', resolvedAt: new Date(Date.now() - 85 * 60000).toISOString() },
+    ],
+  });
+});
+
+app.get('/api/analytics/latency', (req, res) => {
+  const pct = (p50, p90, p99, count) => ({ count, p50, p90, p99, max: p99 * 1.2 });
+  const byCycle = Array.from({ length: 30 }, (_, i) => {
+    const cycleTs = Date.now() - (30 - i) * 10000;
+    return {
+      cycleTs, at: new Date(cycleTs).toISOString(), trades: 1 + (i % 3),
+      detection: pct(4 + (i % 5), 8, 9, 1), execution: pct(1.2 + (i % 4) * 0.3, 2.5, 3, 1),
+    };
+  });
+  res.json({
+    windowDays: 7, pollIntervalSec: 10, scannerConcurrency: 3, activeTraders: 4, trades: 62,
+    stages: {
+      detection: pct(5.8, 11.2, 19.4, 41), decision: pct(0.4, 1.1, 30.2, 62), submission: pct(0.9, 1.6, 2.8, 55),
+      fill: pct(0.3, 0.6, 1.1, 52), execution: pct(1.7, 3.4, 31.5, 52), total: pct(7.9, 14.6, 36.2, 35),
+    },
+    byTrader: [
+      { address: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', label: 'DrPufferfish', trades: 40, detection: pct(5.1, 9.8, 15, 30), execution: pct(1.6, 3.1, 4, 34) },
+      { address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', label: 'Whale', trades: 22, detection: pct(7.4, 13.9, 19.4, 11), execution: pct(1.9, 3.8, 31.5, 18) },
+    ],
+    byCycle,
+  });
+});
+
+app.get('/api/analytics/slippage', (req, res) => {
+  const g = (trades, volume, driftPct, impactPct, midTrades = trades) => ({
+    trades, volume, costPct: driftPct + impactPct, driftPct, impactPct,
+    costUsd: Math.round(volume * (driftPct + impactPct)) / 100, midTrades,
+  });
+  res.json({
+    windowDays: 30,
+    summary: { ...g(86, 1240, 1.42, 0.88), entries: g(58, 910, 1.61, 0.92), exits: g(28, 330, 0.9, 0.77) },
+    byTrader: [
+      { address: '0xdb27bf2ac5d428a9c63dbc914611036855a6c56e', label: 'DrPufferfish', ...g(52, 760, 1.9, 0.7) },
+      { address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', label: 'Whale', ...g(34, 480, 0.7, 1.2) },
+    ],
+    byMarket: [
+      { marketId: '0xm11', marketName: 'Bitcoin Up or Down - 3PM ET', ...g(20, 310, 2.4, 0.6) },
+      { marketId: '0xm9', marketName: 'Will the Fed cut rates in March?', ...g(9, 220, 0.4, 0.9) },
+      { marketId: '0xm2', marketName: 'Lakers vs Celtics — Lakers', ...g(6, 140, 1.1, 1.6, 3) },
+    ],
+    byBucket: [{ bucket: 'grinder', ...g(61, 700, 2.0, 0.7) }, { bucket: 'event', ...g(25, 540, 0.7, 1.1) }],
+    bySize: [
+      { size: '<$5', ...g(30, 90, 1.2, 1.9) }, { size: '$5–25', ...g(41, 610, 1.5, 0.8) },
+      { size: '$25–100', ...g(14, 470, 1.3, 0.6) }, { size: '$100+', ...g(1, 70, 0.9, 1.4) },
+    ],
+    byHour: [13, 14, 15, 16, 17, 18, 19, 20].map((hour, i) => ({ hour, ...g(6 + i, 90 + i * 20, 0.8 + (i % 3) * 0.6, 0.5 + (i % 2) * 0.6) })),
+  });
+});
+
+app.get('/api/consensus', (req, res) => {
+  res.json({
+    enabled: true, minLeaders: 2, windowMin: 60, buckets: ['event'], weighting: 'none', maxMultiplier: 2,
+    candidates: [
+      {
+        marketId: '0xm9', tokenId: '0xt9', marketName: 'Will the Fed cut rates in March?', side: 'Yes', bucket: 'event',
+        firstSeen: new Date(Date.now() - 12 * 60000).toISOString(), expiresAt: new Date(Date.now() + 48 * 60000).toISOString(),
+        votes: 1, required: 2,
+        voters: [{ address: '0x6a72f61820b26b1fe4d956e17b6dc2a1ea3033ee', label: 'Whale', score: 1.2, pending: true }],
+      },
+    ],
+  });
+});
+
+app.get('/api/reconcile', (req, res) => {
+  res.json({
+    enabled: true,
+    intervalMin: 10,
+    open: 1,
+    mismatches: [
+      { id: 1, detected_at: '2025-02-11 19:40:00', position_id: 4, market_id: '0xm4', token_id: '0xt4', market_name: 'Will ETH close above $3k?', db_shares: 8.5, chain_shares: 0, status: 'open', checked_at: '2025-02-11 19:50:00', resolved_at: null, resolved_by: '' },
+    ],
+  });
+});
+
+const mockBacktest = {
+  id: 1, created_at: '2025-02-11 18:00:00', finished_at: '2025-02-11 18:00:09', status: 'done',
+  trader_address: '0x1234567890abcdef1234567890abcdef12345678', bucket: 'grinder',
+  period_start: '2025-01-12T08:14:00.000Z', period_end: '2025-02-10T21:03:00.000Z', start_equity: 100,
+  settings: { days: 30, feeBps: 0, offline: false },
+  metrics: {
+    startEquity: 100, finalEquity: 108.42, returnPct: 8.42, realizedPnl: 7.9, unrealizedPnl: 0.52,
+    openPositions: 2, closedPositions: 23, wins: 14, losses: 9, winRate: 60.87,
+    maxDrawdownUsd: 4.1, maxDrawdownPct: 3.92, leaderFills: 212, signals: 180, entrySignals: 121,
+    copied: 64, closes: 48, volumeUsd: 412.5,
+    blocked: { filtered: 31, risk_blocked: 22, slippage_blocked: 4 },
+    blockedReasons: [
+      { status: 'filtered', reason: 'Below minimum', count: 29 },
+      { status: 'risk_blocked', reason: 'Trade size exceeds grinder cap', count: 15 },
+      { status: 'risk_blocked', reason: 'Open positions at limit', count: 7 },
+      { status: 'slippage_blocked', reason: 'Slippage > tolerance', count: 4 },
+      { status: 'filtered', reason: 'Price above max', count: 2 },
+    ],
+  },
+  error: '',
+};
+
+app.get('/api/backtests', (req, res) => {
+  res.json({
+    running: false,
+    runs: [
+      mockBacktest,
+      { ...mockBacktest, id: 2, status: 'failed', metrics: {}, period_start: null, period_end: null, error: 'No leader fills in the period' },
+    ].sort((a, b) => b.id - a.id),
+  });
+});
+
+app.get('/api/backtests/:id', (req, res) => {
+  const start = new Date(mockBacktest.period_start).getTime();
+  let equity = 100;
+  const curve = Array.from({ length: 120 }, (_, i) => {
+    equity += (Math.random() - 0.45) * 0.6;
+    return { timestamp: new Date(start + i * 6 * 3600000).toISOString(), equity: Math.round(equity * 100) / 100, total_exposure: Math.round(20 + Math.random() * 30) };
+  });
+  res.json({ ...mockBacktest, curve, trades: [] });
+});
+
+app.get('/api/discovery', (req, res) => {
+  const at = (h) => new Date(Date.now() - h * 3600000).toISOString();
+  const candidate = (id, name, address, status, reason, extra) => ({
+    id, scan_id: 4, trader_address: address, name, categories: ['overall'], volume: 0, leader_pnl: 0, trades: 0,
+    last_trade_at: at(2), bucket: 'event', status, reason, backtest_id: null, metrics: {}, ...extra,
+  });
+  res.json({
+    running: false,
+    settings: { categories: ['overall'], period: 'month', minVolume: 10000, maxIdleHours: 48, minTrades: 10, minWinRate: 55, days: 14, maxCandidates: 10 },
+    scan: {
+      id: 4, created_at: at(3), finished_at: at(2.9), status: 'done', error: '',
+      summary: { found: 25, evaluated: 4, shortlisted: 2, rejected: 2 },
+      candidates: [
+        candidate(11, 'SwissMiss', '0x1111111111111111111111111111111111111111', 'shortlisted', '68% win rate, +12.4% over 14d',
+          { volume: 842000, trades: 312, bucket: 'grinder', backtest_id: 7, metrics: { returnPct: 12.4, winRate: 68, closedPositions: 41 } }),
+        candidate(12, '', '0x2222222222222222222222222222222222222222', 'shortlisted', '60% win rate, +3.1% over 14d',
+          { volume: 95000, trades: 23, categories: ['overall', 'politics'], last_trade_at: at(20), backtest_id: 8, metrics: { returnPct: 3.1, winRate: 60, closedPositions: 10 } }),
+        candidate(13, 'nightowl', '0x3333333333333333333333333333333333333333', 'rejected', 'Idle 130h > 48h', { volume: 120000, trades: 14, last_trade_at: at(130) }),
+        candidate(14, 'whale_77', '0x4444444444444444444444444444444444444444', 'rejected', 'Win rate 41% < 55%',
+          { volume: 2300000, trades: 88, backtest_id: 9, metrics: { returnPct: -6.2, winRate: 41, closedPositions: 17 } }),
+      ],
+    },
   });
 });
 
@@ -281,9 +572,18 @@ app.post('/api/traders', (req, res) => res.json({}));
 app.patch('/api/traders/:addr', (req, res) => res.json({}));
 app.delete('/api/traders/:addr', (req, res) => res.json({}));
 app.patch('/api/settings', (req, res) => res.json({ success: true }));
+app.patch('/api/exit-rules/:bucket', (req, res) => res.json({ success: true, bucket: req.params.bucket, rules: req.body }));
+app.put('/api/market-filters', (req, res) => res.json({ success: true, rules: req.body.rules }));
+app.post('/api/catchup/:id/:decision', (req, res) => res.json({ success: true, id: parseInt(req.params.id), status: req.params.decision === 'approve' ? 'approved' : 'rejected' }));
+app.post('/api/reconcile/run', (req, res) => res.json({ checked: 3, flagged: 0, cleared: 0 }));
+app.post('/api/reconcile/:id/:decision', (req, res) => res.json({ success: true, id: parseInt(req.params.id), status: req.params.decision === 'apply' ? 'applied' : 'dismissed' }));
 app.get('/api/notifications/status', (req, res) => res.json({ telegramConfigured: false, discordConfigured: false }));
 app.patch('/api/notifications', (req, res) => res.json({ success: true, telegramConfigured: !!req.body.telegramBotToken, discordConfigured: !!req.body.discordWebhookUrl }));
 app.post('/api/notifications/test', (req, res) => res.json({ success: true }));
+app.post('/api/backtests', (req, res) => res.status(202).json({ id: 3 }));
+app.delete('/api/backtests/:id', (req, res) => res.json({ success: true }));
+app.post('/api/discovery', (req, res) => res.status(202).json({ id: 5 }));
+app.post('/api/discovery/candidates/:id/add', (req, res) => res.json({ success: true, trader: { bucket: req.body.bucket } }));
 
 // SPA fallback - serve index.html for any non-API route
 app.get('*', (req, res) => {
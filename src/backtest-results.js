@@ -0,0 +1,251 @@
+/**
+ * Backtest Results v1.0
+ *
+ * Backtests replay into a throwaway in-memory database (see backtest.js);
+ * what is kept — run settings, metrics, equity curve and the replayed trade
+ * log — goes to data/backtest.db, separate from the bot's own bot.db so a
+ * backtest can never touch live positions or PnL.
+ *
+ * Shared by the backtest CLI (writes) and the dashboard (reads, and creates
+ * the run row before forking the CLI).
+ *
+ * Trader discovery scans (discovery.js) keep their candidate shortlists here
+ * too; each evaluated candidate links to its backtest run.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+const RESULTS_PATH = path.join(__dirname, '..', 'data', 'backtest.db');
+
+let rdb;
+
+function getDb() {
+  if (rdb) return rdb;
+  fs.mkdirSync(path.dirname(RESULTS_PATH), { recursive: true });
+  rdb = new Database(RESULTS_PATH);
+  rdb.pragma('journal_mode = WAL');
+  rdb.pragma('foreign_keys = ON');
+
+  rdb.exec(`
+    CREATE TABLE IF NOT EXISTS backtest_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT,
+      status TEXT DEFAULT 'running',
+      trader_address TEXT NOT NULL,
+      bucket TEXT NOT NULL,
+      period_start TEXT,
+      period_end TEXT,
+      start_equity REAL NOT NULL,
+      settings TEXT DEFAULT '{}',
+      metrics TEXT DEFAULT '{}',
+      error TEXT DEFAULT ''
+    );
+
+    CREATE TABLE IF NOT EXISTS backtest_equity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL REFERENCES backtest_runs(id) ON DELETE CASCADE,
+      timestamp TEXT NOT NULL,
+      equity REAL NOT NULL,
+      total_exposure REAL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS backtest_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL REFERENCES backtest_runs(id) ON DELETE CASCADE,
+      timestamp TEXT,
+      market_id TEXT NOT NULL,
+      market_name TEXT DEFAULT '',
+      side TEXT NOT NULL,
+      price REAL,
+      size_usd REAL,
+      leader_size_usd REAL,
+      leader_price REAL,
+      status TEXT,
+      pnl REAL DEFAULT 0,
+      close_reason TEXT DEFAULT '',
+      notes TEXT DEFAULT ''
+    );
+
+    CREATE TABLE IF NOT EXISTS discovery_scans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT,
+      status TEXT DEFAULT 'running',
+      settings TEXT DEFAULT '{}',
+      summary TEXT DEFAULT '{}',
+      error TEXT DEFAULT ''
+    );
+
+    CREATE TABLE IF NOT EXISTS discovery_candidates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scan_id INTEGER NOT NULL REFERENCES discovery_scans(id) ON DELETE CASCADE,
+      trader_address TEXT NOT NULL,
+      name TEXT DEFAULT '',
+      categories TEXT DEFAULT '',
+      volume REAL DEFAULT 0,
+      leader_pnl REAL DEFAULT 0,
+      trades INTEGER DEFAULT 0,
+      last_trade_at TEXT,
+      bucket TEXT DEFAULT '',
+      status TEXT NOT NULL,
+      reason TEXT DEFAULT '',
+      backtest_id INTEGER,
+      metrics TEXT DEFAULT '{}'
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_backtest_equity_run ON backtest_equity(run_id);
+    CREATE INDEX IF NOT EXISTS idx_discovery_candidates_scan ON discovery_candidates(scan_id);
+    CREATE INDEX IF NOT EXISTS idx_backtest_trades_run ON backtest_trades(run_id);
+  `);
+  return rdb;
+}
+
+function parseRun(row) {
+  if (!row) return null;
+  return { ...row, settings: JSON.parse(row.settings || '{}'), metrics: JSON.parse(row.metrics || '{}') };
+}
+
+function createRun({ traderAddress, bucket, startEquity, settings }) {
+  return getDb().prepare(`
+    INSERT INTO backtest_runs (trader_address, bucket, start_equity, settings) VALUES (?, ?, ?, ?)
+  `).run(traderAddress, bucket, startEquity, JSON.stringify(settings || {})).lastInsertRowid;
+}
+
+/**
+ * Store a finished run: settings used, metrics, equity curve and trade log in one transaction.
+ */
+function finishRun(runId, { periodStart, periodEnd, settings, metrics, curve, trades }) {
+  const d = getDb();
+  const insertPoint = d.prepare(`INSERT INTO backtest_equity (run_id, timestamp, equity, total_exposure) VALUES (?, ?, ?, ?)`);
+  const insertTrade = d.prepare(`
+    INSERT INTO backtest_trades (run_id, timestamp, market_id, market_name, side, price, size_usd,
+      leader_size_usd, leader_price, status, pnl, close_reason, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  d.transaction(() => {
+    d.prepare(`DELETE FROM backtest_equity WHERE run_id = ?`).run(runId);
+    d.prepare(`DELETE FROM backtest_trades WHERE run_id = ?`).run(runId);
+    for (const p of curve) insertPoint.run(runId, p.timestamp, p.equity, p.total_exposure);
+    for (const t of trades) {
+      insertTrade.run(runId, t.timestamp, t.market_id, t.market_name, t.side, t.price, t.size_usd,
+        t.leader_size_usd, t.leader_price, t.status, t.pnl, t.close_reason, t.notes);
+    }
+    d.prepare(`
+      UPDATE backtest_runs SET status = 'done', finished_at = datetime('now'),
+        period_start = ?, period_end = ?, settings = ?, metrics = ?
+      WHERE id = ?
+    `).run(periodStart, periodEnd, JSON.stringify(settings || {}), JSON.stringify(metrics), runId);
+  })();
+}
+
+function failRun(runId, error) {
+  getDb().prepare(`
+    UPDATE backtest_runs SET status = 'failed', finished_at = datetime('now'), error = ? WHERE id = ? AND status = 'running'
+  `).run(String(error || 'unknown error').slice(0, 500), runId);
+}
+
+/**
+ * Runs still marked running from a process that is gone (crash, restart).
+ */
+function failStaleRuns() {
+  getDb().prepare(`
+    UPDATE backtest_runs SET status = 'failed', finished_at = datetime('now'), error = 'interrupted' WHERE status = 'running'
+  `).run();
+}
+
+function listRuns(limit = 50) {
+  return getDb().prepare(`SELECT * FROM backtest_runs ORDER BY id DESC LIMIT ?`).all(limit).map(parseRun);
+}
+
+/**
+ * One run with its equity curve and trade log, or null.
+ */
+function getRun(runId) {
+  const run = parseRun(getDb().prepare(`SELECT * FROM backtest_runs WHERE id = ?`).get(runId));
+  if (!run) return null;
+  run.curve = getDb().prepare(`SELECT timestamp, equity, total_exposure FROM backtest_equity WHERE run_id = ? ORDER BY id ASC`).all(runId);
+  run.trades = getDb().prepare(`SELECT * FROM backtest_trades WHERE run_id = ? ORDER BY id ASC`).all(runId);
+  return run;
+}
+
+function deleteRun(runId) {
+  return getDb().prepare(`DELETE FROM backtest_runs WHERE id = ?`).run(runId).changes > 0;
+}
+
+// ─── Discovery scans ───────────────────────────
+
+function createScan(settings) {
+  return getDb().prepare(`INSERT INTO discovery_scans (settings) VALUES (?)`).run(JSON.stringify(settings || {})).lastInsertRowid;
+}
+
+function finishScan(scanId, summary) {
+  getDb().prepare(`
+    UPDATE discovery_scans SET status = 'done', finished_at = datetime('now'), summary = ? WHERE id = ?
+  `).run(JSON.stringify(summary || {}), scanId);
+}
+
+function failScan(scanId, error) {
+  getDb().prepare(`
+    UPDATE discovery_scans SET status = 'failed', finished_at = datetime('now'), error = ? WHERE id = ? AND status = 'running'
+  `).run(String(error || 'unknown error').slice(0, 500), scanId);
+}
+
+function failStaleScans() {
+  getDb().prepare(`
+    UPDATE discovery_scans SET status = 'failed', finished_at = datetime('now'), error = 'interrupted' WHERE status = 'running'
+  `).run();
+}
+
+/**
+ * Record one candidate: status is shortlisted, rejected (with reason) or added.
+ */
+function addCandidate(scanId, c) {
+  return getDb().prepare(`
+    INSERT INTO discovery_candidates (scan_id, trader_address, name, categories, volume, leader_pnl, trades,
+      last_trade_at, bucket, status, reason, backtest_id, metrics)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    scanId, c.address, c.name || '', (c.categories || []).join(','), c.volume || 0, c.pnl || 0, c.trades || 0,
+    c.lastTradeAt || null, c.bucket || '', c.status, c.reason || '', c.backtestId || null, JSON.stringify(c.metrics || {})
+  ).lastInsertRowid;
+}
+
+function parseCandidate(row) {
+  if (!row) return null;
+  return { ...row, categories: row.categories ? row.categories.split(',') : [], metrics: JSON.parse(row.metrics || '{}') };
+}
+
+/**
+ * Latest scan with its candidates (shortlisted first), or null if none ran yet.
+ */
+function getLatestScan() {
+  const scan = getDb().prepare(`SELECT * FROM discovery_scans ORDER BY id DESC LIMIT 1`).get();
+  if (!scan) return null;
+  const candidates = getDb().prepare(`
+    SELECT * FROM discovery_candidates WHERE scan_id = ?
+    ORDER BY CASE status WHEN 'shortlisted' THEN 0 WHEN 'added' THEN 1 ELSE 2 END, id ASC
+  `).all(scan.id).map(parseCandidate);
+  return { ...scan, settings: JSON.parse(scan.settings || '{}'), summary: JSON.parse(scan.summary || '{}'), candidates };
+}
+
+function getCandidate(id) {
+  return parseCandidate(getDb().prepare(`SELECT * FROM discovery_candidates WHERE id = ?`).get(id));
+}
+
+function setCandidateStatus(id, status) {
+  getDb().prepare(`UPDATE discovery_candidates SET status = ? WHERE id = ?`).run(status, id);
+}
+
+function close() {
+  if (rdb) rdb.close();
+  rdb = null;
+}
+
+module.exports = {
+  createRun, finishRun, failRun, failStaleRuns, listRuns, getRun, deleteRun,
+  createScan, finishScan, failScan, failStaleScans, addCandidate, getLatestScan, getCandidate, setCandidateStatus,
+  close,
+};
@@ -0,0 +1,386 @@
+/**
+ * Backtester v1.0
+ *
+ * Replays a leader's trade history through the same copy pipeline the bot
+ * runs live, to see what copying them would have returned before risking
+ * anything on them:
+ *
+ *   leader fill → monitor.activityToSignal → exit rules → trader.executeSignal
+ *     (calculateOrderSize → price filter → checkRiskLimits → paper FOK fill)
+ *
+ * Time is simulated (clock.js): each fill moves the clock to its timestamp, so
+ * daily loss limits, loss cooldowns and max-hold exits see history's time, and
+ * paper latency costs nothing. Everything is replayed into an in-memory
+ * database; only the results are kept, in data/backtest.db (backtest-results.js).
+ *
+ * There are no historical order books, so fills walk a synthetic book centred
+ * on the last leader fill in that token (BACKTEST_HALF_SPREAD, BACKTEST_BOOK_LEVELS
+ * × BACKTEST_LEVEL_USD). Positions still open at the end are checked for
+ * resolution (unless --offline) and otherwise valued at their last mark.
+ *
+ * Usage:
+ *   npm run backtest -- 0xLEADER [--days 30] [--since 2025-01-01] [--until 2025-02-01]
+ *                       [--bucket grinder|event] [--equity 100] [--fee-bps 0]
+ *                       [--file history.json] [--offline] [--verbose]
+ *
+ * --file replays a saved Data API /activity response (array of TRADE rows)
+ * instead of fetching it. Sizing, caps, risk limits and exit rules come from
+ * .env plus hot-config, exactly as the bot would run them.
+ */
+
+// Replays log every simulated fill at info — keep the CLI readable unless asked
+if (require.main === module && !process.env.LOG_LEVEL) {
+  process.env.LOG_LEVEL = process.argv.includes('--verbose') ? 'info' : 'warn';
+}
+
+const path = require('path');
+const fs = require('fs');
+const { config } = require('./config');
+const db = require('./db');
+const clock = require('./clock');
+const hotConfig = require('./hot-config');
+const monitor = require('./monitor');
+const trader = require('./trader');
+const exitRules = require('./exit-rules');
+const resolution = require('./resolution');
+const notifications = require('./notifications');
+const results = require('./backtest-results');
+const log = require('./logger');
+const C = require('./constants');
+
+/**
+ * Synthetic order book per token around a mark price (the leader's last fill):
+ * BACKTEST_BOOK_LEVELS asks from mark + half spread up, bids mirrored below,
+ * BACKTEST_LEVEL_USD of liquidity at each level.
+ */
+function createSyntheticBook({
+  halfSpread = C.BACKTEST_HALF_SPREAD,
+  levels = C.BACKTEST_BOOK_LEVELS,
+  levelUsd = C.BACKTEST_LEVEL_USD,
+  feeBps = 0,
+} = {}) {
+  const marks = new Map();
+  const level = (price) => ({ price: price.toFixed(4), size: (levelUsd / price).toFixed(2) });
+
+  return {
+    setMark(tokenId, price) {
+      marks.set(String(tokenId), price);
+    },
+    async getOrderBook(tokenId) {
+      const mark = marks.get(String(tokenId));
+      if (!mark) throw new Error(`No mark for token ${String(tokenId).slice(0, 12)}...`);
+      const asks = [];
+      const bids = [];
+      for (let i = 0; i < levels; i++) {
+        const ask = mark + halfSpread + i * 0.01;
+        const bid = mark - halfSpread - i * 0.01;
+        if (ask < 1) asks.push(level(ask));
+        if (bid > 0) bids.push(level(bid));
+      }
+      return { asset_id: String(tokenId), bids, asks };
+    },
+    async getFeeRateBps() {
+      return feeBps;
+    },
+  };
+}
+
+/**
+ * Leader fills to replay, oldest first: rows already fetched (discovery), a
+ * saved /activity file or the Data API.
+ */
+async function loadHistory({ traderAddress, activity, file, sinceTs, untilTs }) {
+  let trades;
+  if (activity) {
+    trades = activity;
+  } else if (file) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    trades = Array.isArray(raw) ? raw : raw.activity || raw.trades || [];
+  } else {
+    trades = await monitor.fetchTraderActivity(traderAddress, sinceTs, C.BACKTEST_MAX_ACTIVITY_PAGES);
+    if (trades === null) throw new Error('Activity feed unavailable');
+  }
+  return trades
+    .filter(t => (!t.type || t.type === 'TRADE'))
+    .filter(t => {
+      const ts = parseInt(t.timestamp) || 0;
+      return ts >= sinceTs && (!untilTs || ts <= untilTs);
+    })
+    .sort((a, b) => (parseInt(a.timestamp) || 0) - (parseInt(b.timestamp) || 0));
+}
+
+function getPortfolio(startEquity) {
+  const d = db.getDb();
+  const realized = d.prepare(`SELECT COALESCE(SUM(realized_pnl), 0) AS v FROM positions`).get().v;
+  const open = d.prepare(`
+    SELECT COALESCE(SUM(unrealized_pnl), 0) AS unrealized, COALESCE(SUM(size_usd), 0) AS exposure, COUNT(*) AS n
+    FROM positions WHERE status = 'open'
+  `).get();
+  return {
+    equity: startEquity + realized + open.unrealized,
+    realized, unrealized: open.unrealized, exposure: open.exposure, openPositions: open.n,
+  };
+}
+
+/**
+ * Collapse a block reason to its kind: "Trade size ($9.10) exceeds grinder cap ($4)" → "Trade size exceeds grinder cap".
+ * Sizing reasons are a chain of steps ("… → Below minimum $1"); the last step is why it was skipped.
+ */
+function normalizeReason(reason) {
+  return reason.split(' → ').pop()
+    .replace(/\([^)]*\)/g, '')
+    .replace(/-?\$?\d+(\.\d+)?%?/g, '')
+    .replace(/\s+([:,.])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function downsample(points, max) {
+  if (points.length <= max) return points;
+  const step = Math.ceil(points.length / max);
+  const kept = points.filter((_, i) => i % step === 0);
+  if (kept[kept.length - 1] !== points[points.length - 1]) kept.push(points[points.length - 1]);
+  return kept;
+}
+
+function computeMetrics({ startEquity, curve, fills, signals }) {
+  const d = db.getDb();
+  const portfolio = getPortfolio(startEquity);
+  const trades = d.prepare(`SELECT * FROM trades ORDER BY id ASC`).all();
+  const entries = trades.filter(t => !t.side.startsWith('CLOSE_'));
+  const closes = trades.filter(t => t.side.startsWith('CLOSE_') && t.status === 'simulated');
+  const closed = d.prepare(`SELECT realized_pnl FROM positions WHERE status = 'closed'`).all();
+  const wins = closed.filter(p => p.realized_pnl > 0).length;
+
+  let peak = startEquity;
+  let maxDrawdownUsd = 0;
+  let maxDrawdownPct = 0;
+  for (const p of curve) {
+    peak = Math.max(peak, p.equity);
+    const dd = peak - p.equity;
+    if (dd > maxDrawdownUsd) maxDrawdownUsd = dd;
+    if (peak > 0 && (dd / peak) * 100 > maxDrawdownPct) maxDrawdownPct = (dd / peak) * 100;
+  }
+
+  // Entries that did not copy: by status, and by reason within risk / filter / fill blocks
+  const blocked = {};
+  const reasons = new Map();
+  for (const t of entries.filter(e => e.status !== 'simulated')) {
+    blocked[t.status] = (blocked[t.status] || 0) + 1;
+    for (const part of String(t.notes || '').split('; ').filter(Boolean)) {
+      const key = `${t.status}|${normalizeReason(part)}`;
+      reasons.set(key, (reasons.get(key) || 0) + 1);
+    }
+  }
+
+  const round = (v) => Math.round(v * 100) / 100;
+  return {
+    startEquity: round(startEquity),
+    finalEquity: round(portfolio.equity),
+    returnPct: startEquity > 0 ? round(((portfolio.equity - startEquity) / startEquity) * 100) : 0,
+    realizedPnl: round(portfolio.realized),
+    unrealizedPnl: round(portfolio.unrealized),
+    openPositions: portfolio.openPositions,
+    closedPositions: closed.length,
+    wins,
+    losses: closed.filter(p => p.realized_pnl < 0).length,
+    winRate: closed.length > 0 ? round((wins / closed.length) * 100) : 0,
+    maxDrawdownUsd: round(maxDrawdownUsd),
+    maxDrawdownPct: round(maxDrawdownPct),
+    leaderFills: fills,
+    signals,
+    entrySignals: entries.length,
+    copied: entries.filter(t => t.status === 'simulated').length,
+    closes: closes.length,
+    volumeUsd: round(trades.filter(t => t.status === 'simulated').reduce((s, t) => s + t.size_usd, 0)),
+    blocked,
+    blockedReasons: [...reasons.entries()]
+      .map(([key, count]) => ({ status: key.split('|')[0], reason: key.split('|')[1], count }))
+      .sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * Run one backtest into the current (scratch) database and store the results.
+ * Returns { runId, metrics }.
+ */
+async function runBacktest({
+  traderAddress, bucket, days, since, until, file, activity, startEquity, runId,
+  feeBps = 0, offline = false,
+}) {
+  const address = String(traderAddress || '').toLowerCase();
+  if (!/^0x[a-f0-9]{40}$/.test(address)) throw new Error(`Invalid trader address: ${traderAddress}`);
+  bucket = bucket || hotConfig.getBucketForTrader(address) || 'grinder';
+  startEquity = startEquity > 0 ? startEquity : config.caps.maxTotalExposure;
+
+  // A saved file replays whole unless a period is asked for; a fetch defaults to the last BACKTEST_DEFAULT_DAYS
+  const nowSec = Math.floor(Date.now() / 1000);
+  const sinceTs = since ? Math.floor(Date.parse(since) / 1000)
+    : days ? nowSec - days * 86400
+      : file ? 0 : nowSec - C.BACKTEST_DEFAULT_DAYS * 86400;
+  const untilTs = until ? Math.floor(Date.parse(until) / 1000) : null;
+  if (isNaN(sinceTs) || isNaN(untilTs)) throw new Error('Invalid --since / --until date');
+
+  const settings = {
+    days: days || null, since: since || null, until: until || null, file: file ? path.basename(file) : null,
+    feeBps, offline, sizing: config.sizing, caps: config.caps, risk: config.risk,
+    exits: hotConfig.getExitRules(address, bucket), paperLatencyMs: config.paper.latencyMs,
+    book: { halfSpread: C.BACKTEST_HALF_SPREAD, levels: C.BACKTEST_BOOK_LEVELS, levelUsd: C.BACKTEST_LEVEL_USD },
+  };
+  if (!runId) runId = results.createRun({ traderAddress: address, bucket, startEquity, settings });
+
+  try {
+    const history = await loadHistory({ traderAddress: address, activity, file, sinceTs, untilTs });
+    if (history.length === 0) throw new Error('No leader fills in the period');
+
+    const book = createSyntheticBook({ feeBps });
+    trader.usePaperExchange(book);
+
+    const knownMap = new Map();
+    const curve = [];
+    let signals = 0;
+    const point = () => {
+      const p = getPortfolio(startEquity);
+      curve.push({ timestamp: new Date(clock.now()).toISOString(), equity: Math.round(p.equity * 100) / 100, total_exposure: Math.round(p.exposure * 100) / 100 });
+    };
+
+    clock.set((parseInt(history[0].timestamp) || 0) * 1000);
+    point();
+
+    for (const t of history) {
+      clock.set((parseInt(t.timestamp) || 0) * 1000);
+
+      // The leader's fill is the best price information there is for that token at that moment
+      const mark = parseFloat(t.price || 0);
+      const hasMark = t.asset && mark > 0 && mark < 1;
+      if (hasMark) {
+        book.setMark(t.asset, mark);
+        db.updateUnrealizedPnl(t.conditionId || '', t.asset, mark);
+      }
+
+      for (const exit of exitRules.checkExits()) {
+        await executeSafely(exit, startEquity);
+      }
+
+      const result = monitor.activityToSignal(address, bucket, t, knownMap);
+      if (result) {
+        signals++;
+        await executeSafely(result.signal, startEquity);
+        // A position opened on this fill is valued at the mark, not its entry
+        if (hasMark) db.updateUnrealizedPnl(t.conditionId || '', t.asset, mark);
+      }
+      point();
+    }
+
+    if (!offline && db.getOpenPositions().length > 0) {
+      const resolved = await resolution.checkResolutions({ force: true });
+      if (resolved) point();
+    }
+
+    const metrics = computeMetrics({ startEquity, curve, fills: history.length, signals });
+    const trades = db.getDb().prepare(`SELECT * FROM trades ORDER BY id ASC`).all();
+    results.finishRun(runId, {
+      periodStart: new Date(parseInt(history[0].timestamp) * 1000).toISOString(),
+      periodEnd: new Date(parseInt(history[history.length - 1].timestamp) * 1000).toISOString(),
+      settings,
+      metrics,
+      curve: downsample(curve, C.BACKTEST_MAX_CURVE_POINTS),
+      trades,
+    });
+    return { runId, metrics };
+  } catch (err) {
+    results.failRun(runId, err.message);
+    throw err;
+  }
+}
+
+async function executeSafely(signal, startEquity) {
+  try {
+    return await trader.executeSignal(signal, getPortfolio(startEquity).equity);
+  } catch (err) {
+    log.warn(`Backtest: ${signal.type} on ${(signal.marketName || signal.marketId).slice(0, 40)} failed — ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Prepare this process for a replay: scratch database, simulated fills, no
+ * notifications. Must run before anything opens bot.db.
+ */
+function setup() {
+  db.useDatabase(':memory:');
+  db.init();
+  config.bot.dryRun = true;
+  notifications.mute();
+  hotConfig.load();
+}
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--trader': opts.traderAddress = next(); break;
+      case '--bucket': opts.bucket = next(); break;
+      case '--days': opts.days = parseFloat(next()); break;
+      case '--since': opts.since = next(); break;
+      case '--until': opts.until = next(); break;
+      case '--file': opts.file = next(); break;
+      case '--equity': opts.startEquity = parseFloat(next()); break;
+      case '--fee-bps': opts.feeBps = parseFloat(next()) || 0; break;
+      case '--run': opts.runId = parseInt(next()); break;
+      case '--offline': opts.offline = true; break;
+      case '--verbose': break;
+      default:
+        if (arg.startsWith('0x') && !opts.traderAddress) opts.traderAddress = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (opts.bucket && !['grinder', 'event'].includes(opts.bucket)) throw new Error('--bucket must be grinder or event');
+  return opts;
+}
+
+function printSummary(runId, m) {
+  const usd = (v) => `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+  console.log(`\n  Backtest #${runId}`);
+  console.log('  ─────────────────────────────────────────');
+  console.log(`  Equity         ${usd(m.startEquity)} → ${usd(m.finalEquity)} (${m.returnPct >= 0 ? '+' : ''}${m.returnPct}%)`);
+  console.log(`  PnL            realized ${usd(m.realizedPnl)} · unrealized ${usd(m.unrealizedPnl)} (${m.openPositions} open)`);
+  console.log(`  Win rate       ${m.winRate}% (${m.wins}W / ${m.losses}L of ${m.closedPositions} closed)`);
+  console.log(`  Max drawdown   ${usd(m.maxDrawdownUsd)} (${m.maxDrawdownPct}%)`);
+  console.log(`  Copied         ${m.copied} of ${m.entrySignals} entries · ${m.closes} closes · ${m.leaderFills} leader fills`);
+  if (m.blockedReasons.length > 0) {
+    console.log('  Not copied:');
+    for (const r of m.blockedReasons.slice(0, 10)) console.log(`    ${String(r.count).padStart(5)}  ${r.status.padEnd(16)} ${r.reason}`);
+  }
+  console.log('');
+}
+
+// CLI: npm run backtest -- 0xLEADER [options]
+if (require.main === module) {
+  (async () => {
+    let opts;
+    try {
+      opts = parseArgs(process.argv.slice(2));
+      if (!opts.traderAddress) throw new Error('Usage: npm run backtest -- 0xLEADER [--days N] [--file history.json] (see src/backtest.js)');
+    } catch (err) {
+      console.error(`\n  ${err.message}\n`);
+      process.exit(1);
+    }
+
+    let code = 0;
+    try {
+      setup();
+      const { runId, metrics } = await runBacktest(opts);
+      printSummary(runId, metrics);
+    } catch (err) {
+      console.error(`\n  Backtest failed: ${err.message}\n`);
+      code = 1;
+    }
+    results.close();
+    process.exit(code);
+  })();
+}
+
+module.exports = { runBacktest, createSyntheticBook, normalizeReason, setup };
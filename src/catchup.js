@@ -0,0 +1,229 @@
+/**
+ * Downtime Catch-up v1.0
+ *
+ * Runs once on startup, before the first scan. The monitor's first scan only
+ * records positions, so anything a leader did while we were down (including the
+ * daily PM2 restart) would otherwise be silently absorbed into the new snapshot.
+ *
+ * For every active trader with a stored snapshot, compares:
+ *   stored trader_positions  ↔  live leader positions  ↔  our open positions
+ *
+ * and produces a plan of decisions:
+ *   close — we hold a position the leader exited while we were down (orphaned)
+ *   adopt — leader entered while we were down, within CATCHUP_MAX_ENTRY_AGE_MIN
+ *   skip  — leader entered too long ago (or entry time unknown) — not copied
+ *
+ * Policy (CATCHUP_POLICY, editable from the dashboard):
+ *   auto    — close/adopt decisions are approved immediately
+ *   manual  — decisions wait for approval on the dashboard (default)
+ *   ignore  — no catch-up pass; first scan overwrites the snapshot as before
+ *
+ * Approved decisions are handed to the signal queue by the main loop (status
+ * 'queued') and executed from there like any other signal.
+ * Every decision, approval and rejection is written to the audit log.
+ */
+
+const { config } = require('./config');
+const hotConfig = require('./hot-config');
+const db = require('./db');
+const monitor = require('./monitor');
+const log = require('./logger');
+const C = require('./constants');
+
+const { CLOSE, ADOPT, SKIP } = C.CATCHUP_ACTIONS;
+
+/**
+ * Latest BUY fill per token since a timestamp, from the leader's activity feed.
+ * Returns null if the feed is unavailable (entry ages are then unknown).
+ */
+async function getEntryTimes(traderAddress, sinceMs) {
+  const trades = await monitor.fetchTraderActivity(traderAddress, Math.floor(sinceMs / 1000));
+  if (trades === null) return null;
+  const entries = new Map();
+  for (const t of trades) {
+    if (String(t.side || '').toUpperCase() !== 'BUY') continue;
+    const key = `${t.conditionId}:${t.asset}`;
+    entries.set(key, { ts: (parseInt(t.timestamp) || 0) * 1000, price: parseFloat(t.price || 0), txHash: t.transactionHash || '' });
+  }
+  return entries;
+}
+
+/**
+ * Build the decisions for one trader. Returns null if live positions are unavailable.
+ */
+async function planForTrader(traderAddress, bucket) {
+  const stored = db.getTraderPositions(traderAddress);
+  const cursor = db.getActivityCursor(traderAddress);
+  // Never-scanned trader: nothing to catch up on, the first scan records a baseline
+  if (stored.length === 0 && !cursor) return { decisions: [], live: null };
+
+  const live = await monitor.fetchTraderPositions(traderAddress);
+  if (live === null) return null;
+
+  const liveMap = new Map(live.map(p => [`${p.conditionId}:${p.asset}`, p]));
+  const storedKeys = new Set(stored.map(p => `${p.market_id}:${p.token_id}`));
+  const ours = db.getOpenPositions().filter(p => p.trader_address.toLowerCase() === traderAddress);
+  const decisions = [];
+
+  // Orphaned positions — leader exited while we were down (a fade position is
+  // orphaned once the leader holds nothing else in that market)
+  for (const pos of ours) {
+    const leaderHolds = pos.mode === C.COPY_MODES.FADE
+      ? live.some(p => p.conditionId === pos.market_id && p.asset !== pos.token_id)
+      : liveMap.has(`${pos.market_id}:${pos.token_id}`);
+    if (leaderHolds) continue;
+    decisions.push({
+      action: CLOSE, marketId: pos.market_id, tokenId: pos.token_id, marketName: pos.market_name,
+      reason: 'Leader exited while bot was down',
+      signal: {
+        type: 'CLOSE', traderAddress, bucket, marketId: pos.market_id, tokenId: pos.token_id,
+        side: pos.side, size: pos.size_usd, price: pos.current_price || pos.entry_price,
+        marketName: pos.market_name, source: 'catchup',
+      },
+    });
+  }
+
+  // New leader entries while we were down
+  const newEntries = live.filter(p => !storedKeys.has(`${p.conditionId}:${p.asset}`));
+  if (newEntries.length > 0) {
+    // Latest of the two: last_seen only moves on changed upserts, so in activity mode it
+    // can be days old, and a stale start lets the capped activity fetch miss recent entries
+    const lastSeen = Math.max(db.getTraderLastSeen(traderAddress) || 0, cursor ? cursor.lastTs * 1000 : 0) || Date.now();
+    const entryTimes = await getEntryTimes(traderAddress, lastSeen);
+    const maxAgeMs = config.catchup.maxEntryAgeMin * 60 * 1000;
+
+    for (const p of newEntries) {
+      const key = `${p.conditionId}:${p.asset}`;
+      const entry = entryTimes ? entryTimes.get(key) : null;
+      const base = { marketId: p.conditionId, tokenId: p.asset, marketName: p.title || '' };
+      if (!entry) {
+        decisions.push({ ...base, action: SKIP, reason: 'Entry time unknown — not in activity since last seen' });
+        continue;
+      }
+      const ageMin = (Date.now() - entry.ts) / 60000;
+      if (Date.now() - entry.ts > maxAgeMs) {
+        decisions.push({ ...base, action: SKIP, reason: `Stale entry: ${ageMin.toFixed(0)}m old > ${config.catchup.maxEntryAgeMin}m limit` });
+        continue;
+      }
+      const signal = await monitor.applyTraderMode({
+        type: 'NEW', traderAddress, bucket, marketId: p.conditionId, tokenId: p.asset,
+        side: p.outcome || 'Yes', size: parseFloat(p.currentValue || 0), price: entry.price || parseFloat(p.avgPrice || 0),
+        marketName: p.title || '', fillPrice: entry.price, fillTimestamp: entry.ts, txHash: entry.txHash, source: 'catchup',
+      });
+      if (!signal) {
+        decisions.push({ ...base, action: SKIP, reason: 'Fade trader — complementary token unknown' });
+        continue;
+      }
+      decisions.push({
+        ...base, tokenId: signal.tokenId, action: ADOPT,
+        reason: `Leader entered ${ageMin.toFixed(0)}m ago @ ${entry.price}${signal.mode === C.COPY_MODES.FADE ? ` — fading into ${signal.side}` : ''}`,
+        signal,
+      });
+    }
+  }
+
+  return { decisions, live };
+}
+
+/**
+ * Startup pass: build and persist the catch-up plan, then re-baseline each trader.
+ * Returns a summary { planId, counts } (or null when the policy is 'ignore').
+ */
+async function runStartupCatchup() {
+  const policy = config.catchup.policy;
+  if (policy === 'ignore') {
+    log.info('Catch-up: policy is "ignore" — skipping downtime reconciliation');
+    return null;
+  }
+
+  const expired = db.expireCatchupActions();
+  if (expired > 0) log.info(`Catch-up: expired ${expired} undecided action(s) from the previous plan`);
+
+  const planId = new Date().toISOString();
+  const counts = { close: 0, adopt: 0, skip: 0, unavailable: 0 };
+
+  for (const t of hotConfig.getActiveTraders()) {
+    let result;
+    try {
+      result = await planForTrader(t.address, t.bucket);
+    } catch (err) {
+      log.warn(`Catch-up failed for ${t.address.slice(0, 10)}...: ${err.message}`);
+      result = null;
+    }
+    if (result === null) {
+      counts.unavailable++;
+      log.warn(`Catch-up: positions unavailable for ${t.address.slice(0, 10)}... — first scan will re-baseline`);
+      continue;
+    }
+
+    for (const d of result.decisions) {
+      const actionable = d.action !== SKIP;
+      const status = !actionable ? 'noted' : (policy === 'auto' ? 'approved' : 'pending');
+      const id = db.insertCatchupAction({ planId, traderAddress: t.address, ...d, status });
+      counts[d.action]++;
+      db.logAudit(
+        C.AUDIT_ACTIONS.CATCHUP_DECISION,
+        `#${id} ${d.action.toUpperCase()} ${t.address.slice(0, 10)}... ${(d.marketName || d.marketId).slice(0, 40)} — ${d.reason} [${status}]`
+      );
+      log.info(`Catch-up ${d.action.toUpperCase()}: ${(d.marketName || d.marketId).slice(0, 40)} — ${d.reason} [${status}]`);
+    }
+
+    if (result.live) monitor.applySnapshot(t.address, result.live);
+  }
+
+  log.info(`Catch-up plan (${policy}): ${counts.close} close, ${counts.adopt} adopt, ${counts.skip} skip` +
+    (counts.unavailable ? `, ${counts.unavailable} trader(s) unavailable` : ''));
+  return { planId, counts };
+}
+
+/**
+ * Approve or reject a pending decision (dashboard).
+ */
+function resolveAction(id, approve, actor = 'dashboard', ip = '') {
+  const action = db.getCatchupAction(id);
+  if (!action) return { error: 'Catch-up action not found' };
+  if (action.status !== 'pending') return { error: `Action is already ${action.status}` };
+
+  const status = approve ? 'approved' : 'rejected';
+  db.setCatchupActionStatus(id, status);
+  db.logAudit(
+    approve ? C.AUDIT_ACTIONS.CATCHUP_APPROVE : C.AUDIT_ACTIONS.CATCHUP_REJECT,
+    `#${id} ${action.action.toUpperCase()} ${(action.market_name || action.market_id).slice(0, 40)}`,
+    actor, ip
+  );
+  return { success: true, id, status };
+}
+
+/**
+ * Approved decisions ready for execution: [{ id, signal }]. An adopt approved
+ * after the leader's entry passed CATCHUP_MAX_ENTRY_AGE_MIN is expired instead.
+ */
+function getApprovedSignals() {
+  const maxAgeMs = config.catchup.maxEntryAgeMin * 60 * 1000;
+  return db.getCatchupActionsByStatus('approved')
+    .map(a => {
+      let signal;
+      try {
+        signal = JSON.parse(a.signal);
+      } catch {
+        db.setCatchupActionStatus(a.id, 'failed');
+        return null;
+      }
+      if (a.action === ADOPT && signal.fillTimestamp && Date.now() - signal.fillTimestamp > maxAgeMs) {
+        const ageMin = (Date.now() - signal.fillTimestamp) / 60000;
+        db.setCatchupActionStatus(a.id, 'expired');
+        db.logAudit(C.AUDIT_ACTIONS.CATCHUP_DECISION, `#${a.id} ADOPT ${(a.market_name || a.market_id).slice(0, 40)} — expired: entry ${ageMin.toFixed(0)}m old > ${config.catchup.maxEntryAgeMin}m limit`);
+        log.info(`Catch-up #${a.id} ADOPT expired — leader entry is ${ageMin.toFixed(0)}m old`);
+        return null;
+      }
+      return { id: a.id, signal };
+    })
+    .filter(Boolean);
+}
+
+/** Approved decision handed to the signal queue — the queue row tracks its execution */
+function markQueued(id) {
+  db.setCatchupActionStatus(id, 'queued');
+}
+
+module.exports = { runStartupCatchup, resolveAction, getApprovedSignals, markQueued };
@@ -0,0 +1,54 @@
+/**
+ * Clock v1.0
+ *
+ * Wall-clock time for the bot, replaceable by a simulated clock for the
+ * backtester. Code whose behaviour depends on "now" while replaying history
+ * (trade and position timestamps, daily loss window, loss cooldown, exit-rule
+ * holding time, paper fill latency) reads time from here instead of Date.now().
+ *
+ * Live: real time, sleep() really waits.
+ * Simulated: time only moves when set() or sleep() moves it; sleep() is instant.
+ */
+
+let simulatedMs = null;
+
+/** Current time in ms since epoch */
+function now() {
+  return simulatedMs === null ? Date.now() : simulatedMs;
+}
+
+/** Current time as SQLite datetime('now') text: 'YYYY-MM-DD HH:MM:SS' (UTC) */
+function sqlNow() {
+  return new Date(now()).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/** Current UTC date 'YYYY-MM-DD' */
+function today() {
+  return new Date(now()).toISOString().split('T')[0];
+}
+
+/**
+ * Switch to simulated time at ms (or move it). Simulated time never runs backwards.
+ */
+function set(ms) {
+  simulatedMs = simulatedMs === null ? ms : Math.max(simulatedMs, ms);
+}
+
+/** Back to wall-clock time */
+function reset() {
+  simulatedMs = null;
+}
+
+function isSimulated() {
+  return simulatedMs !== null;
+}
+
+async function sleep(ms) {
+  if (simulatedMs !== null) {
+    simulatedMs += Math.max(0, ms);
+    return;
+  }
+  await new Promise(r => setTimeout(r, ms));
+}
+
+module.exports = { now, sqlNow, today, set, reset, isSimulated, sleep };
@@ -5,6 +5,19 @@ function parseList(str) {
   return str.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
 }
 
+/**
+ * Parse de-risk tiers "10:0.75,20:0.5" → [{ drawdownPct, multiplier }], shallowest first.
+ * Malformed entries are dropped (validate-config.js reports them).
+ */
+function parseDeriskTiers(str) {
+  if (!str) return [];
+  return str.split(',')
+    .map(part => part.split(':').map(s => parseFloat(s)))
+    .filter(([dd, mult]) => dd > 0 && dd < 100 && mult >= 0 && mult <= 1)
+    .map(([drawdownPct, multiplier]) => ({ drawdownPct, multiplier }))
+    .sort((a, b) => a.drawdownPct - b.drawdownPct);
+}
+
 /** Parse env var as float, treating empty/missing as fallback (but 0 as valid) */
 const envFloat = (key, fallback) => {
   const v = process.env[key];
@@ -38,6 +51,10 @@ const config = {
     maxEventTrade: envFloat('MAX_EVENT_TRADE', 8),
     maxTotalExposure: envFloat('MAX_TOTAL_EXPOSURE', 90),
     maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS) || 8,
+    // Concentration caps (USD, 0 = off) — open positions plus resting orders per group
+    maxMarketExposure: envFloat('MAX_MARKET_EXPOSURE', 0),     // per market (condition id)
+    maxEventExposure: envFloat('MAX_EVENT_EXPOSURE', 0),       // per negRisk event group (else per market)
+    maxCategoryExposure: envFloat('MAX_CATEGORY_EXPOSURE', 0), // per CLOB category tag
   },
   risk: {
     dailyLossLimit: envFloat('DAILY_LOSS_LIMIT', 15),
@@ -50,8 +67,92 @@ const config = {
   bot: {
     dryRun: (process.env.DRY_RUN || 'true').toLowerCase() === 'true',
     pollInterval: parseInt(process.env.POLL_INTERVAL_MS) || 10000,
+    signalSource: (process.env.SIGNAL_SOURCE || 'activity').toLowerCase(),
     logLevel: process.env.LOG_LEVEL || 'info',
   },
+  execution: {
+    mode: (process.env.EXECUTION_MODE || 'market').toLowerCase(),
+    limitTtlSec: envFloat('LIMIT_ORDER_TTL_SEC', 60),
+    limitOffsetPct: envFloat('LIMIT_PRICE_OFFSET_PCT', 0.5),
+  },
+  // Dry-run fill simulation (paper-exchange.js)
+  paper: {
+    latencyMs: envFloat('PAPER_LATENCY_MS', 500),  // order in flight before it reaches the book
+  },
+  catchup: {
+    policy: (process.env.CATCHUP_POLICY || 'manual').toLowerCase(),
+    maxEntryAgeMin: envFloat('CATCHUP_MAX_ENTRY_AGE_MIN', 30),
+  },
+  // Merge small entries of one trader/market/side into one order (signal-queue.js)
+  aggregation: {
+    enabled: (process.env.TRADE_AGGREGATION || 'false').toLowerCase() === 'true',
+    windowMs: envFloat('TRADE_AGGREGATION_WINDOW_MS', 30000),  // group waits this long for more trades
+    minUsd: envFloat('TRADE_AGGREGATION_MIN_USD', 2),          // leader trades below this are grouped
+  },
+  // Park entries and copy them only if the leader still holds (confirmation.js), 0 = off —
+  // hot-config `confirm` overrides per trader
+  confirm: {
+    delayMin: envFloat('CONFIRM_DELAY_MIN', 0),           // minutes a NEW / INCREASE signal waits
+    minHoldPct: envFloat('CONFIRM_MIN_HOLD_PCT', 80),     // % of the position the leader must still hold
+    priceBandPct: envFloat('CONFIRM_PRICE_BAND_PCT', 5),  // max price move from the signal, either way
+  },
+  // Global exit rules — overridable per bucket and per trader in hot-config (0 = off)
+  exits: {
+    stopLossPct: envFloat('EXIT_STOP_LOSS_PCT', 0),
+    takeProfitPct: envFloat('EXIT_TAKE_PROFIT_PCT', 0),
+    trailingStopPct: envFloat('EXIT_TRAILING_STOP_PCT', 0),
+    maxHoldHours: envFloat('EXIT_MAX_HOLD_HOURS', 0),
+  },
+  // Only open a token once enough leaders hold it (consensus.js)
+  consensus: {
+    enabled: (process.env.CONSENSUS_ENABLED || 'false').toLowerCase() === 'true',
+    minLeaders: envFloat('CONSENSUS_MIN_LEADERS', 2),       // votes needed (leaders, or summed scores)
+    windowMin: envFloat('CONSENSUS_WINDOW_MIN', 60),        // how long a NEW signal waits for agreement
+    buckets: parseList(process.env.CONSENSUS_BUCKETS || 'event'),
+    weighting: (process.env.CONSENSUS_WEIGHTING || 'none').toLowerCase(),  // none | score
+    maxMultiplier: envFloat('CONSENSUS_MAX_MULTIPLIER', 2),  // size scale cap at high agreement
+  },
+  // Per-trader risk budgets (risk.js), 0 = off — hot-config `budget` overrides per trader
+  traderBudget: {
+    maxExposure: envFloat('TRADER_MAX_EXPOSURE', 0),                    // open USD copied from one leader
+    maxDailyLoss: envFloat('TRADER_MAX_DAILY_LOSS', 0),                 // today's realized + unrealized loss
+    maxConsecutiveLosses: envFloat('TRADER_MAX_CONSECUTIVE_LOSSES', 0), // losing closes in a row
+    maxDrawdown: envFloat('TRADER_MAX_DRAWDOWN', 0),                    // USD below the leader's peak PnL
+    coolOffHours: envFloat('TRADER_BUDGET_COOLOFF_HOURS', 24),          // re-enable after; 0 = only by hand
+  },
+  // Graduated de-risking on equity drawdown from peak (risk.js) — empty tiers = off
+  derisk: {
+    tiers: parseDeriskTiers(process.env.DERISK_TIERS),  // "drawdown%:size multiplier", e.g. 10:0.75,20:0.5,30:0.25
+    recovery: (process.env.DERISK_RECOVERY || 'high').toLowerCase(),  // high = full size at a new equity high | drawdown = step back up as it shrinks
+  },
+  // Leader scorecard policy (trader-analytics.js)
+  traderScore: {
+    policy: (process.env.TRADER_SCORE_POLICY || 'off').toLowerCase(),  // off | downweight | disable
+    min: envFloat('TRADER_SCORE_MIN', 0.8),                 // score threshold (1.0 = unproven leader)
+    minSamples: envFloat('TRADER_SCORE_MIN_SAMPLES', 10),   // closed copies before the policy acts
+    windowDays: envFloat('TRADER_SCORE_WINDOW_DAYS', 30),   // rolling window for the policy score
+    checkIntervalMin: envFloat('TRADER_SCORE_CHECK_MIN', 60),
+  },
+  // Candidate leaders from the public leaderboard (discovery.js)
+  discovery: {
+    apiUrl: process.env.DISCOVERY_API_URL || 'https://data-api.polymarket.com',
+    categories: parseList(process.env.DISCOVERY_CATEGORIES || 'overall'),
+    period: (process.env.DISCOVERY_PERIOD || 'month').toLowerCase(),     // day | week | month | all
+    limit: envFloat('DISCOVERY_LIMIT', 25),                  // leaderboard entries per category
+    minVolume: envFloat('DISCOVERY_MIN_VOLUME', 10000),      // leaderboard volume over the period (USD)
+    maxIdleHours: envFloat('DISCOVERY_MAX_IDLE_HOURS', 48),  // last trade at most this long ago
+    minTrades: envFloat('DISCOVERY_MIN_TRADES', 10),         // fills in the evaluation window
+    minWinRate: envFloat('DISCOVERY_MIN_WIN_RATE', 55),      // % of closed copies in the replay
+    days: envFloat('DISCOVERY_DAYS', 14),                    // evaluation window replayed per candidate
+    maxCandidates: envFloat('DISCOVERY_MAX_CANDIDATES', 10), // replays per scan
+  },
+  reconcile: {
+    intervalMin: envFloat('RECONCILE_INTERVAL_MIN', 10),  // 0 = off
+  },
+  resolution: {
+    checkIntervalMin: envFloat('RESOLUTION_CHECK_MIN', 5),  // 0 = off
+    autoRedeem: (process.env.AUTO_REDEEM || 'false').toLowerCase() === 'true',
+  },
   dashboard: {
     port: parseInt(process.env.DASHBOARD_PORT) || 3000,
     password: process.env.DASHBOARD_PASSWORD || 'changeme123',
@@ -0,0 +1,180 @@
+/**
+ * Confirmation Delay v1.0
+ *
+ * Grinder leaders often open and dump within minutes, and copying those scalps
+ * pays the spread both ways. A trader with a confirmation delay (CONFIRM_DELAY_MIN,
+ * or `confirm.delayMin` in their hot-config entry) has NEW and INCREASE signals
+ * parked in the pending_signals table instead of copied. Once the delay is over
+ * a parked signal is executed only if:
+ *
+ *   hold  — the leader still holds at least minHoldPct of the position they had
+ *           when the signal was parked (trader_positions, kept by every scan)
+ *   price — the price is within priceBandPct of the signal price, either way
+ *
+ * A confirmed signal is handed to the signal queue (status 'queued') and executed
+ * from there. Otherwise it expires, and the reason is logged as a filtered trade. A full
+ * CLOSE from the leader in a market with parked signals expires them at once;
+ * CLOSE signals themselves are never delayed. The queue survives restarts — a signal
+ * that came due more than CONFIRM_STALE_MIN ago (bot was down) expires unchecked.
+ */
+
+const { config } = require('./config');
+const db = require('./db');
+const hotConfig = require('./hot-config');
+const log = require('./logger');
+const C = require('./constants');
+
+function isHeld(signal) {
+  return (signal.type === 'NEW' || signal.type === 'INCREASE')
+    && hotConfig.getConfirmForTrader(signal.traderAddress).delayMin > 0;
+}
+
+function readSignal(row) {
+  try {
+    return JSON.parse(row.signal);
+  } catch {
+    return null;
+  }
+}
+
+/** Token the leader actually holds — fade signals buy its complement */
+function leaderToken(signal) {
+  return signal.leaderTokenId || signal.tokenId;
+}
+
+function expire(row, signal, reason) {
+  db.resolvePendingSignal(row.id, 'expired', reason);
+  log.info(`CONFIRM: #${row.id} ${row.type} "${(row.market_name || row.market_id).slice(0, 40)}" expired — ${reason}`);
+  db.logTrade({
+    traderAddress: row.trader_address, bucket: signal.bucket || '', marketId: row.market_id, marketName: row.market_name,
+    side: signal.side, price: row.price, sizeUsd: 0, leaderSizeUsd: signal.size, status: 'filtered', mode: signal.mode,
+    dryRun: config.bot.dryRun, notes: `Confirmation: ${reason}`,
+  });
+}
+
+/**
+ * Signals to process now: everything except entries of traders with a delay,
+ * which are parked. A leader CLOSE expires their parked signals in that market.
+ */
+function holdSignals(signals) {
+  const ready = [];
+  for (const signal of signals) {
+    // A partial sell is left to the hold check when the signal comes due
+    if (signal.type === 'CLOSE' && !signal.isPartialClose) {
+      for (const row of db.getPendingSignals()) {
+        if (row.trader_address !== signal.traderAddress.toLowerCase() || row.market_id !== signal.marketId) continue;
+        expire(row, readSignal(row) || {}, 'leader exited before confirmation');
+      }
+    }
+    if (!isHeld(signal)) {
+      ready.push(signal);
+      continue;
+    }
+    const { delayMin } = hotConfig.getConfirmForTrader(signal.traderAddress);
+    const held = db.getTraderPosition(signal.traderAddress, signal.marketId, leaderToken(signal));
+    const id = db.insertPendingSignal({
+      ...signal,
+      leaderSize: held ? held.size : 0,
+      dueTs: Date.now() + delayMin * 60000,
+      signal,
+    });
+    log.info(`CONFIRM: #${id} ${signal.type} "${(signal.marketName || signal.marketId).slice(0, 40)}" parked for ${delayMin}m`);
+  }
+  return ready;
+}
+
+/**
+ * Check parked signals that are due. getPrice(tokenId, side) → price or null.
+ * Returns [{ id, signal }] for the ones that held up; the rest are expired. A
+ * signal whose price is unavailable stays parked until it turns stale.
+ */
+async function getConfirmedSignals(getPrice) {
+  const now = Date.now();
+  const confirmed = [];
+  for (const row of db.getPendingSignals()) {
+    if (row.due_ts > now) break;
+    const signal = readSignal(row);
+    if (!signal) {
+      db.resolvePendingSignal(row.id, 'failed', 'Unreadable signal');
+      continue;
+    }
+
+    const trader = hotConfig.getTraderConfig(row.trader_address);
+    if (!trader || !trader.enabled) {
+      expire(row, signal, 'trader disabled while waiting');
+      continue;
+    }
+    const lateMin = (now - row.due_ts) / 60000;
+    if (lateMin > C.CONFIRM_STALE_MIN) {
+      expire(row, signal, `stale — came due ${lateMin.toFixed(0)}m ago`);
+      continue;
+    }
+
+    const rules = hotConfig.getConfirmForTrader(row.trader_address);
+    const held = db.getTraderPosition(row.trader_address, row.market_id, leaderToken(signal));
+    const holdPct = row.leader_size > 0 ? ((held ? held.size : 0) / row.leader_size) * 100 : (held ? 100 : 0);
+    if (holdPct < rules.minHoldPct) {
+      expire(row, signal, `leader holds ${holdPct.toFixed(0)}% of the position < ${rules.minHoldPct}%`);
+      continue;
+    }
+
+    const price = await getPrice(row.token_id, 'BUY');
+    if (!(price > 0)) {
+      log.debug(`CONFIRM: #${row.id} price unavailable — checking again next cycle`);
+      continue;
+    }
+    const movePct = row.price > 0 ? (Math.abs(price - row.price) / row.price) * 100 : 0;
+    if (movePct > rules.priceBandPct) {
+      expire(row, signal, `price moved ${movePct.toFixed(1)}% (${row.price} → ${price}) > ${rules.priceBandPct}% band`);
+      continue;
+    }
+
+    log.info(`CONFIRM: #${row.id} ${row.type} "${(row.market_name || row.market_id).slice(0, 40)}" confirmed — leader holds ${holdPct.toFixed(0)}%, price ${movePct.toFixed(1)}% from signal`);
+    confirmed.push({ id: row.id, signal });
+  }
+  return confirmed;
+}
+
+/** Confirmed signal handed to the signal queue — the queue row tracks its execution */
+function markQueued(id) {
+  db.resolvePendingSignal(id, 'queued', 'confirmed — sent to the signal queue');
+}
+
+/** Shape of a pending_signals row for the dashboard */
+function toView(row) {
+  const trader = hotConfig.getTraderConfig(row.trader_address);
+  return {
+    id: row.id,
+    traderAddress: row.trader_address,
+    label: (trader && trader.label) || '',
+    marketId: row.market_id,
+    marketName: row.market_name,
+    type: row.type,
+    price: row.price,
+    leaderSize: row.leader_size,
+    createdAt: row.created_at,
+    dueAt: new Date(row.due_ts).toISOString(),
+    status: row.status,
+    reason: row.reason,
+    resolvedAt: row.resolved_at,
+  };
+}
+
+/**
+ * Parked signals with how much of the position the leader holds now, plus the
+ * most recently decided ones, for the dashboard.
+ */
+function getQueue(limit = 50) {
+  const pending = db.getPendingSignals().map(row => {
+    const signal = readSignal(row) || {};
+    const held = db.getTraderPosition(row.trader_address, row.market_id, leaderToken({ tokenId: row.token_id, ...signal }));
+    return {
+      ...toView(row),
+      side: signal.side || '',
+      holdPct: row.leader_size > 0 ? Math.round(((held ? held.size : 0) / row.leader_size) * 1000) / 10 : null,
+    };
+  });
+  return { pending, recent: db.getResolvedPendingSignals(limit).map(toView) };
+}
+
+module.exports = { holdSignals, getConfirmedSignals, markQueued, getQueue };
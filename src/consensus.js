@@ -0,0 +1,166 @@
+/**
+ * Consensus Mode v1.0
+ *
+ * Sits between monitor.scanAllTraders and trader.executeSignal. With
+ * CONSENSUS_ENABLED=true, NEW signals in CONSENSUS_BUCKETS are held instead of
+ * copied until enough distinct enabled leaders hold the same token:
+ *
+ *   voters  = enabled leaders holding the token (trader_positions snapshot)
+ *             + leaders whose held NEW signal for it is still pending
+ *   votes   = voter count, or the sum of trader scores (trader-analytics.js)
+ *             with CONSENSUS_WEIGHTING=score
+ *   release = votes >= CONSENSUS_MIN_LEADERS → the latest signal is executed,
+ *             sized × min(votes / CONSENSUS_MIN_LEADERS, CONSENSUS_MAX_MULTIPLIER)
+ *
+ * Candidates that do not reach the threshold within CONSENSUS_WINDOW_MIN are
+ * dropped and their signals logged as filtered. Only opening a token is gated —
+ * INCREASE and CLOSE signals, and NEW signals for tokens we already hold, pass
+ * straight through. Candidates live in memory and are lost on restart.
+ */
+
+const { config } = require('./config');
+const db = require('./db');
+const hotConfig = require('./hot-config');
+const analytics = require('./trader-analytics');
+const log = require('./logger');
+const C = require('./constants');
+
+// tokenId → { marketId, tokenId, side, marketName, bucket, firstSeen, signals: Map(address → signal) }
+const candidates = new Map();
+
+function isGated(signal) {
+  return config.consensus.enabled
+    && signal.type === 'NEW'
+    && config.consensus.buckets.includes(signal.bucket)
+    && !db.getOpenPositionByMarket(signal.marketId, signal.tokenId);
+}
+
+/**
+ * Current voters on a candidate: [{ address, label, score, pending }]
+ */
+function getVoters(candidate, scores = analytics.getScores()) {
+  const active = new Map(hotConfig.getActiveTraders().map(t => [t.address.toLowerCase(), t]));
+  const voters = new Map();
+  // A fade leader holding the token is betting against it — they only vote through signals
+  for (const holder of db.getTokenHolders(candidate.tokenId)) {
+    const t = active.get(holder.trader_address);
+    if (t && t.mode !== C.COPY_MODES.FADE) voters.set(holder.trader_address, false);
+  }
+  for (const addr of candidate.signals.keys()) {
+    if (active.has(addr)) voters.set(addr, true);
+  }
+  return [...voters].map(([address, pending]) => ({
+    address,
+    label: active.get(address).label || '',
+    score: analytics.getScore(address, scores),
+    pending,
+  }));
+}
+
+function countVotes(voters) {
+  return config.consensus.weighting === 'score'
+    ? voters.reduce((sum, v) => sum + v.score, 0)
+    : voters.length;
+}
+
+/**
+ * Merged signal for a candidate that reached consensus.
+ */
+function release(candidate, voters, votes) {
+  const latest = [...candidate.signals.values()].pop();
+  const multiplier = Math.min(votes / config.consensus.minLeaders, config.consensus.maxMultiplier);
+  candidates.delete(candidate.tokenId);
+  log.info(`CONSENSUS: ${+votes.toFixed(2)}/${config.consensus.minLeaders} votes on "${(candidate.marketName || candidate.marketId).slice(0, 40)}" → copying at ${multiplier.toFixed(2)}x`);
+  return {
+    ...latest,
+    consensus: {
+      votes: Math.round(votes * 100) / 100,
+      required: config.consensus.minLeaders,
+      multiplier: Math.round(multiplier * 100) / 100,
+      leaders: voters.map(v => v.address),
+    },
+  };
+}
+
+/**
+ * Signals to execute this cycle: pass-through signals plus candidates that
+ * reached consensus. Gated NEW signals are held; expired candidates are dropped.
+ */
+function filterSignals(signals) {
+  if (!config.consensus.enabled) return signals;
+
+  const ready = [];
+  for (const signal of signals) {
+    // A pending leader that exits no longer votes
+    if (signal.type === 'CLOSE') {
+      const c = candidates.get(signal.tokenId);
+      if (c) c.signals.delete(signal.traderAddress.toLowerCase());
+    }
+    if (!isGated(signal)) {
+      ready.push(signal);
+      continue;
+    }
+    const c = candidates.get(signal.tokenId) || {
+      marketId: signal.marketId, tokenId: signal.tokenId, side: signal.side,
+      marketName: signal.marketName, bucket: signal.bucket, firstSeen: Date.now(), signals: new Map(),
+    };
+    c.signals.delete(signal.traderAddress.toLowerCase()); // re-insert so the latest signal is last
+    c.signals.set(signal.traderAddress.toLowerCase(), signal);
+    candidates.set(signal.tokenId, c);
+  }
+
+  const scores = analytics.getScores();
+  const windowMs = config.consensus.windowMin * 60000;
+  for (const c of [...candidates.values()]) {
+    if (c.signals.size === 0) {
+      candidates.delete(c.tokenId);
+      continue;
+    }
+    const voters = getVoters(c, scores);
+    const votes = countVotes(voters);
+    if (votes >= config.consensus.minLeaders) {
+      ready.push(release(c, voters, votes));
+    } else if (Date.now() - c.firstSeen >= windowMs) {
+      expire(c, votes);
+    }
+  }
+  return ready;
+}
+
+function expire(candidate, votes) {
+  candidates.delete(candidate.tokenId);
+  const note = `No consensus: ${+votes.toFixed(2)}/${config.consensus.minLeaders} votes within ${config.consensus.windowMin}m`;
+  log.info(`${note} — dropping "${(candidate.marketName || candidate.marketId).slice(0, 40)}"`);
+  for (const s of candidate.signals.values()) {
+    db.logTrade({
+      traderAddress: s.traderAddress, bucket: s.bucket, marketId: s.marketId, marketName: s.marketName,
+      side: s.side, price: s.price, sizeUsd: 0, leaderSizeUsd: s.size, status: 'filtered', mode: s.mode,
+      dryRun: config.bot.dryRun, notes: note,
+    });
+  }
+}
+
+/**
+ * Pending candidates with their current votes, for the dashboard.
+ */
+function getCandidates() {
+  const scores = analytics.getScores();
+  const windowMs = config.consensus.windowMin * 60000;
+  return [...candidates.values()].map(c => {
+    const voters = getVoters(c, scores);
+    return {
+      marketId: c.marketId,
+      tokenId: c.tokenId,
+      marketName: c.marketName,
+      side: c.side,
+      bucket: c.bucket,
+      firstSeen: new Date(c.firstSeen).toISOString(),
+      expiresAt: new Date(c.firstSeen + windowMs).toISOString(),
+      votes: Math.round(countVotes(voters) * 100) / 100,
+      required: config.consensus.minLeaders,
+      voters,
+    };
+  });
+}
+
+module.exports = { filterSignals, getCandidates };
@@ -18,10 +18,14 @@ module.exports = {
   USDC_DECIMALS: 6,
   CTF_EXCHANGE: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E',           // Polymarket CTF Exchange
   NEG_RISK_CTF_EXCHANGE: '0xC5d563A36AE78145C45a50134d48A1215220f80a',  // Polymarket Neg Risk CTF Exchange
+  CTF_ADDRESS: process.env.CTF_ADDRESS || '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045',  // Conditional Tokens (ERC-1155 outcome shares)
+  CTF_DECIMALS: 6,                          // Outcome shares use USDC's 6 decimals
+  NEG_RISK_ADAPTER: '0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296',      // Redeems neg-risk (multi-outcome) markets
 
   // ─── API Endpoints ────────────────────────────
   POLYMARKET_DATA_API: 'https://data-api.polymarket.com',
   POLYMARKET_CLOB_API: 'https://clob.polymarket.com',
+  POLYMARKET_GAMMA_API: 'https://gamma-api.polymarket.com',
 
   // ─── Trading ──────────────────────────────────
   ORDER_TYPES: {
@@ -29,6 +33,17 @@ module.exports = {
     GTC: 'GTC',      // Good-til-Cancelled — sits on book
   },
   VALID_ORDER_STATUSES: ['MATCHED', 'FILLED', 'SUCCESS', 'ACCEPTED'],
+  EXECUTION_MODES: ['market', 'limit'],     // market = FOK at the ask, limit = resting GTC near leader price
+  // Per-trader: copy = mirror the leader, fade = take the opposite outcome of the same market
+  COPY_MODES: { COPY: 'copy', FADE: 'fade' },
+  DEAD_ORDER_STATUSES: ['CANCELED', 'CANCELLED', 'INVALID', 'CANCELED_MARKET_RESOLVED'],
+  KELLY_PRICE_BUCKET: 0.1,                  // KELLY sizing: entry-price bucket width for a leader's edge
+
+  // ─── Order Ledger ─────────────────────────────
+  // submitted → matched → mined → confirmed, or failed at any step (cancelled = unfilled GTC)
+  LEDGER_STATUSES: ['submitted', 'matched', 'mined', 'confirmed', 'failed', 'cancelled'],
+  FILL_CONFIRMATIONS: 5,                    // Blocks before a mined fill counts as confirmed
+  FILL_RECEIPT_TIMEOUT_MS: 10 * 60 * 1000,  // No receipt after 10 min = dropped tx
   MAX_ORDER_RETRIES: 2,
   RETRY_BACKOFF_BASE_MS: 1500,
 
@@ -40,21 +55,102 @@ module.exports = {
   MAX_BOOK_SLIPPAGE_PCT: 3,        // Max acceptable slippage from best price
   MIN_BOOK_LIQUIDITY_USD: 5,       // Minimum liquidity to consider a level
 
+  // ─── Paper Trading (dry-run fills) ────────────
+  // book = walked the order book (paper-exchange.js), leader = no book, booked at the leader's price
+  FILL_MODELS: { BOOK: 'book', LEADER: 'leader' },
+
   // ─── Risk Limits ──────────────────────────────
   CLOSE_SLIPPAGE_HARD_LIMIT: 5,    // Block close if slippage > 5%
   CONSECUTIVE_LOSS_COOLDOWN_H: 6,  // Hours to cool off after 3 losses
   CONSECUTIVE_LOSS_THRESHOLD: 3,   // Losses before cooldown
+  CONCENTRATION_TOP_N: 5,          // Largest market / event / category groups in getRiskStatus
+  // Per-trader budgets (USD / count, 0 = off) — TRADER_* defaults, overridable per trader in hot-config
+  TRADER_BUDGET_KEYS: ['maxExposure', 'maxDailyLoss', 'maxConsecutiveLosses', 'maxDrawdown', 'coolOffHours'],
 
   // ─── Monitoring ───────────────────────────────
   SIGNAL_DEDUP_TTL_MS: 5 * 60 * 1000,     // 5 min dedup window
   POSITION_CHANGE_THRESHOLD: 0.15,          // 15% change to trigger signal
   SCANNER_CONCURRENCY: 3,                   // Max parallel trader scans
   SCANNER_BATCH_DELAY_MS: 300,              // Delay between scan batches
+  SIGNAL_SOURCES: ['activity', 'positions'],  // activity = trade feed, positions = snapshot diff
+  ACTIVITY_PAGE_LIMIT: 500,                 // Data API max per /activity request
+  ACTIVITY_MAX_PAGES: 5,                    // Safety cap per scan: 2500 trades
+  ACTIVITY_FULL_CLOSE_RATIO: 0.9,           // Sells above 90% of the position = full close
+  PORTFOLIO_VALUE_TTL_MS: 5 * 60 * 1000,    // Leader portfolio/PnL cache (CONVICTION sizing, scorecard)
+  CLOSED_POSITIONS_PAGE_LIMIT: 50,          // Data API max per /closed-positions request
+  CLOSED_POSITIONS_MAX_PAGES: 20,           // Scorecard cap: the leader's 1000 most recent closes
+  MARKET_META_TTL_MS: 6 * 60 * 60 * 1000,   // Market metadata cache: CLOB details, Gamma 24h volume (market-meta.js)
+  MARKET_META_RETRY_MS: 5 * 60 * 1000,      // Don't refetch a market whose lookup just failed
+
+  // ─── Downtime Catch-up ────────────────────────
+  CATCHUP_POLICIES: ['auto', 'manual', 'ignore'],
+  CATCHUP_ACTIONS: { CLOSE: 'close', ADOPT: 'adopt', SKIP: 'skip' },
+
+  // ─── Confirmation Delay ───────────────────────
+  // Per-trader entry confirmation (confirmation.js) — CONFIRM_* defaults, overridable per trader in hot-config
+  CONFIRM_KEYS: ['delayMin', 'minHoldPct', 'priceBandPct'],
+  PENDING_SIGNAL_STATUSES: ['pending', 'executed', 'expired', 'failed'],
+  CONFIRM_STALE_MIN: 15,                    // Came due this long ago (bot was down) → expire unchecked
+
+  // ─── On-chain Reconciliation ──────────────────
+  RECONCILE_TOLERANCE_SHARES: 0.01,         // DB vs wallet difference ignored below this
+  MISMATCH_STATUSES: ['open', 'applied', 'dismissed', 'cleared'],  // cleared = resolved itself
+
+  // ─── Positions & Resolution ───────────────────
+  // Why a position was sold — stored on the position and its closing trades
+  CLOSE_REASONS: {
+    MIRROR: 'CLOSE_MIRROR',               // Leader exited / reduced
+    RESOLVED: 'CLOSE_RESOLVED',           // Market resolved, paid out 1.0 / 0.0
+    RECONCILE: 'CLOSE_RECONCILE',         // Set to the wallet balance by the operator
+    STOP_LOSS: 'CLOSE_STOP_LOSS',         // Exit rules (exit-rules.js)
+    TAKE_PROFIT: 'CLOSE_TAKE_PROFIT',
+    TRAILING_STOP: 'CLOSE_TRAILING_STOP',
+    MAX_HOLD: 'CLOSE_MAX_HOLD',
+  },
+  // pending = auto-redeem queued, manual = redeem on polymarket.com (AUTO_REDEEM off or proxy wallet)
+  REDEEM_STATUSES: ['pending', 'redeemed', 'manual', 'failed'],
+
+  // ─── Exit Rules ───────────────────────────────
+  EXIT_RULE_KEYS: ['stopLossPct', 'takeProfitPct', 'trailingStopPct', 'maxHoldHours'],  // 0 = off
+  EXIT_RETRY_COOLDOWN_MS: 60 * 1000,        // Don't re-fire a rule exit that just failed
+
+  // ─── Market Filters ───────────────────────────
+  MARKET_FILTER_TYPES: ['keyword', 'category', 'hoursToEnd', 'volume24h', 'depth', 'negRisk'],
+  MARKET_FILTER_ACTIONS: ['block', 'allow'],
+  MARKET_FILTER_MAX_RULES: 50,
+  MARKET_FILTER_DEPTH_PCT: 5,               // Book depth = ask-side USD within 5% of the best ask
+  MARKET_FILTER_HITS_DAYS: 7,               // Window for per-rule hit counts on the dashboard
 
-  // ─── Aggregation ──────────────────────────────
-  MAX_BUFFER_SIGNALS: 500,
-  MAX_PER_AGGREGATION_KEY: 50,
-  STALE_AGGREGATION_MULTIPLIER: 2,          // 2x window = force expire
+  // ─── Backtesting ──────────────────────────────
+  // No historical books exist, so replayed fills walk a synthetic book around the leader's fill price
+  BACKTEST_DEFAULT_DAYS: 30,
+  BACKTEST_HALF_SPREAD: 0.005,              // Best ask = leader fill + this, best bid = fill - this (one-tick spread)
+  BACKTEST_BOOK_LEVELS: 5,                  // Levels per side, one tick (0.01) apart
+  BACKTEST_LEVEL_USD: 250,                  // Liquidity per level
+  BACKTEST_MAX_ACTIVITY_PAGES: 20,          // 10,000 leader fills
+  BACKTEST_MAX_CURVE_POINTS: 500,           // Equity curve is downsampled to this many points
+
+  // ─── Trader Discovery ─────────────────────────
+  DISCOVERY_FETCH_TIMEOUT_MS: 15000,        // Per request to the leaderboard / activity source
+  DISCOVERY_MAX_ACTIVITY_PAGES: 4,          // 2000 fills per candidate
+  DISCOVERY_GRINDER_FILLS_PER_DAY: 10,      // More fills per day than this → suggested as grinder
+
+  // ─── Signal Queue ─────────────────────────────
+  // pending → executing → done | failed; expired = waited longer than SIGNAL_QUEUE_MAX_AGE_MIN
+  SIGNAL_QUEUE_STATUSES: ['pending', 'executing', 'done', 'failed', 'expired'],
+  SIGNAL_QUEUE_CONCURRENCY: 3,              // Markets executed in parallel, one signal at a time per market:token
+  SIGNAL_QUEUE_MAX_AGE_MIN: 10,             // Still pending after this (bot was down) → expired, not copied late
+  SIGNAL_QUEUE_RETENTION_DAYS: 7,           // Finished rows kept this long
+  MAX_PER_AGGREGATION_KEY: 50,              // Small trades merged into one aggregated signal
+
+  // ─── Latency ──────────────────────────────────
+  LATENCY_WINDOW_DAYS: 7,                   // Trades included in the latency percentiles
+  LATENCY_CYCLES: 50,                       // Most recent scan cycles charted
+
+  // ─── Copy Slippage ────────────────────────────
+  SLIPPAGE_WINDOW_DAYS: 30,                 // Default window of GET /api/analytics/slippage
+  SLIPPAGE_SIZE_BUCKETS: [5, 25, 100],      // Order size breakpoints (USD): <$5, $5–25, $25–100, $100+
+  SLIPPAGE_TOP_MARKETS: 20,                 // Markets listed, by volume
 
   // ─── Equity & Snapshots ───────────────────────
   EQUITY_UPDATE_INTERVAL: 30,               // Every N cycles
@@ -81,6 +177,21 @@ module.exports = {
     EQUITY_STOP_LOSS: 'equity_stop_loss',
     LOGIN_SUCCESS: 'login_success',
     LOGIN_FAILED: 'login_failed',
+    CATCHUP_DECISION: 'catchup_decision',
+    CATCHUP_APPROVE: 'catchup_approve',
+    CATCHUP_REJECT: 'catchup_reject',
+    ORDER_CANCEL: 'order_cancel',
+    FILL_FAILED: 'fill_failed',
+    RECONCILE_MISMATCH: 'reconcile_mismatch',
+    RECONCILE_APPLY: 'reconcile_apply',
+    RECONCILE_DISMISS: 'reconcile_dismiss',
+    POSITION_RESOLVED: 'position_resolved',
+    POSITION_REDEEM: 'position_redeem',
+    BACKTEST_RUN: 'backtest_run',
+    TRADER_AUTO_DISABLE: 'trader_auto_disable',
+    TRADER_AUTO_ENABLE: 'trader_auto_enable',
+    DISCOVERY_SCAN: 'discovery_scan',
+    DERISK_TIER: 'derisk_tier',
   },
 
   // ─── ERC20 ABI (minimal for balance + allowance) ─
@@ -88,4 +199,18 @@ module.exports = {
     'function balanceOf(address account) view returns (uint256)',
     'function allowance(address owner, address spender) view returns (uint256)',
   ],
+
+  // ─── ERC1155 ABI (CTF outcome share balances) ─
+  ERC1155_ABI: [
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+  ],
+
+  // ─── Redemption ABIs (resolved shares → USDC) ─
+  CTF_REDEEM_ABI: [
+    'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+  ],
+  NEG_RISK_ADAPTER_ABI: [
+    'function redeemPositions(bytes32 conditionId, uint256[] amounts)',
+  ],
 };
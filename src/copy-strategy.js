@@ -8,21 +8,42 @@
  *   - FIXED: Use a fixed dollar amount per trade
  *   - ADAPTIVE: Dynamically scale % based on trade size
  *     (bigger leader trades → lower %, smaller → higher %)
+ *   - CONVICTION: Match the leader's portfolio weight — their trade as a share
+ *     of their estimated portfolio (open positions from the Data API, see
+ *     monitor.getPortfolioValue) becomes the same share of our equity, clamped
+ *     between a floor and a cap. copySize is not used; scale with the trader multiplier
+ *   - KELLY: Fractional Kelly from the leader's edge at the signal's price — win
+ *     rate and average win / loss of our closed copies of them (per position) with an entry
+ *     price in the same KELLY_PRICE_BUCKET (db.getKellyStats). Sizes
+ *     equity × kellyFraction × f*, capped at kellyMaxPercent; no edge → skip.
+ *     Until kellyMinSamples copies exist in the bucket it sizes like PERCENTAGE
  *
  * Also supports:
  *   - Tiered multipliers: different multipliers for different trade sizes
- *   - Per-trader overrides via hot-config
+ *   - Per-trader overrides via hot-config: multiplier / maxTrade, and a strategy
+ *     block (any of STRATEGY_KEYS) replacing the .env strategy for that trader
  *   - Safety limits: max order, min order, max position, max daily volume
  */
 
 const db = require('./db');
+const C = require('./constants');
 
 const STRATEGIES = {
   PERCENTAGE: 'PERCENTAGE',
   FIXED: 'FIXED',
   ADAPTIVE: 'ADAPTIVE',
+  CONVICTION: 'CONVICTION',
+  KELLY: 'KELLY',
 };
 
+// Strategy parameters a trader's hot-config strategy block can override
+const STRATEGY_KEYS = [
+  'strategy', 'copySize', 'adaptiveMinPercent', 'adaptiveMaxPercent', 'adaptiveThreshold',
+  'convictionMinPercent', 'convictionMaxPercent', 'convictionMinPortfolioUsd',
+  'kellyFraction', 'kellyMinSamples', 'kellyMaxPercent',
+  'tieredMultipliers', 'minOrderSizeUsd', 'maxOrderSizeUsd',
+];
+
 /**
  * Default strategy config — can be overridden via .env
  */
@@ -42,6 +63,14 @@ function getDefaultConfig() {
     adaptiveMinPercent: parseFloat(process.env.ADAPTIVE_MIN_PERCENT || '5'),
     adaptiveMaxPercent: parseFloat(process.env.ADAPTIVE_MAX_PERCENT || '25'),
     adaptiveThreshold: parseFloat(process.env.ADAPTIVE_THRESHOLD_USD || '200'),
+    // Conviction strategy params (% of our equity; portfolio floor in USD)
+    convictionMinPercent: parseFloat(process.env.CONVICTION_MIN_PERCENT || '0.5'),
+    convictionMaxPercent: parseFloat(process.env.CONVICTION_MAX_PERCENT || '10'),
+    convictionMinPortfolioUsd: parseFloat(process.env.CONVICTION_MIN_PORTFOLIO_USD || '1000'),
+    // Kelly strategy params (fraction of full Kelly; resolved copies per price bucket; cap in % of equity)
+    kellyFraction: parseFloat(process.env.KELLY_FRACTION || '0.25'),
+    kellyMinSamples: parseFloat(process.env.KELLY_MIN_SAMPLES || '20'),
+    kellyMaxPercent: parseFloat(process.env.KELLY_MAX_PERCENT || '5'),
     // Tiered multipliers: "1-10:2.0,10-100:1.0,100-500:0.2,500+:0.1"
     tieredMultipliers: parseTieredMultipliers(process.env.TIERED_MULTIPLIERS || ''),
   };
@@ -80,6 +109,13 @@ function parseTieredMultipliers(str) {
   return tiers.sort((a, b) => a.min - b.min);
 }
 
+/**
+ * Tiers back to the string format (hot-config and trade records store the string — Infinity is not JSON)
+ */
+function formatTieredMultipliers(tiers) {
+  return (tiers || []).map(t => `${t.min}${t.max === Infinity ? '+' : `-${t.max}`}:${t.multiplier}`).join(',');
+}
+
 /**
  * Get the tiered multiplier for a given trade size
  */
@@ -96,6 +132,15 @@ function getTieredMultiplier(tiers, tradeSize) {
   return tiers[tiers.length - 1].multiplier;
 }
 
+/**
+ * Entry-price bucket of a signal for KELLY sizing: [priceLo, priceHi)
+ */
+function getKellyBucket(price) {
+  const width = C.KELLY_PRICE_BUCKET;
+  const lo = Math.floor(price / width + 1e-9) * width;
+  return { priceLo: Math.round(lo * 100) / 100, priceHi: Math.round((lo + width) * 100) / 100 };
+}
+
 /**
  * Linear interpolation helper
  */
@@ -111,12 +156,15 @@ function lerp(a, b, t) {
  * @param {number} availableBalance - Our available USDC balance
  * @param {number} currentPositionSize - Current position size for this market (0 if new)
  * @param {Object} traderOverrides - Per-trader overrides from hot-config { multiplier, maxTrade }
+ * @param {Object} context - { leaderPortfolioUsd (CONVICTION, null = unknown), kellyStats (KELLY, db.getKellyStats + bucket),
+ *   equity, consensusMultiplier, scoreMultiplier, deriskMultiplier }
  * @returns {Object} { finalAmount, reasoning, cappedByMax, reducedByBalance, belowMinimum }
  */
-function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, currentPositionSize = 0, traderOverrides = {}) {
+function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, currentPositionSize = 0, traderOverrides = {}, context = {}) {
   const cfg = { ...getDefaultConfig(), ...strategyConfig };
   let baseAmount;
   let reasoning;
+  let weights = null;
 
   // Step 1: Calculate base amount from strategy
   switch (cfg.strategy) {
@@ -147,6 +195,73 @@ function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, c
       break;
     }
 
+    case STRATEGIES.CONVICTION: {
+      // Unknown or tiny portfolios are floored so one trade can't read as a 100% bet
+      const known = context.leaderPortfolioUsd > 0;
+      const portfolio = Math.max(known ? context.leaderPortfolioUsd : 0, cfg.convictionMinPortfolioUsd);
+      const equity = context.equity > 0 ? context.equity : availableBalance;
+      const leaderWeight = (leaderOrderSize / portfolio) * 100;
+      let ourWeight = leaderWeight;
+      let floored = '';
+      if (!known) floored = ' (unknown, floor)';
+      else if (portfolio > context.leaderPortfolioUsd) floored = ` (floored from $${context.leaderPortfolioUsd.toFixed(0)})`;
+      reasoning = `Leader $${leaderOrderSize.toFixed(2)} of $${portfolio.toFixed(0)} portfolio${floored} = ${leaderWeight.toFixed(2)}%`;
+      if (ourWeight > cfg.convictionMaxPercent) {
+        ourWeight = cfg.convictionMaxPercent;
+        reasoning += ` → cap ${ourWeight}%`;
+      } else if (ourWeight < cfg.convictionMinPercent) {
+        ourWeight = cfg.convictionMinPercent;
+        reasoning += ` → floor ${ourWeight}%`;
+      }
+      baseAmount = equity * (ourWeight / 100);
+      reasoning += ` of our $${equity.toFixed(2)} = $${baseAmount.toFixed(2)}`;
+      weights = {
+        leaderPortfolioUsd: known ? Math.round(context.leaderPortfolioUsd * 100) / 100 : null,
+        leaderWeightPct: Math.round(leaderWeight * 1000) / 1000,
+        ourWeightPct: Math.round(ourWeight * 1000) / 1000,
+      };
+      break;
+    }
+
+    case STRATEGIES.KELLY: {
+      const stats = context.kellyStats;
+      const samples = stats ? stats.samples : 0;
+      const bucket = stats ? `${stats.priceLo.toFixed(2)}-${stats.priceHi.toFixed(2)}` : 'this price';
+      if (samples < cfg.kellyMinSamples) {
+        // Not enough history at this price yet — size like PERCENTAGE
+        baseAmount = leaderOrderSize * (cfg.copySize / 100);
+        reasoning = `Kelly: ${samples}/${cfg.kellyMinSamples} copies at ${bucket}, ${cfg.copySize}% of leader's $${leaderOrderSize.toFixed(2)} = $${baseAmount.toFixed(2)}`;
+        weights = { kellySamples: samples, kellyFallback: true };
+        break;
+      }
+      const equity = context.equity > 0 ? context.equity : availableBalance;
+      const winRate = stats.wins / samples;
+      // Payoff b = average win / average loss; no losses yet → the edge is the win rate
+      const payoff = stats.avgLoss > 0 ? stats.avgWin / stats.avgLoss : Infinity;
+      const kelly = payoff > 0 ? winRate - (1 - winRate) / payoff : -1;
+      let ourPct = Math.max(0, kelly) * cfg.kellyFraction * 100;
+      reasoning = `Kelly p=${(winRate * 100).toFixed(1)}% b=${payoff === Infinity ? '∞' : payoff.toFixed(2)} (${samples} copies at ${bucket})`;
+      if (kelly <= 0) {
+        reasoning += ' → no edge = $0.00';
+      } else {
+        reasoning += ` → f*=${(kelly * 100).toFixed(1)}% × ${cfg.kellyFraction} = ${ourPct.toFixed(2)}%`;
+        if (ourPct > cfg.kellyMaxPercent) {
+          ourPct = cfg.kellyMaxPercent;
+          reasoning += ` → cap ${ourPct}%`;
+        }
+      }
+      baseAmount = equity * (ourPct / 100);
+      if (kelly > 0) reasoning += ` of our $${equity.toFixed(2)} = $${baseAmount.toFixed(2)}`;
+      weights = {
+        kellySamples: samples,
+        kellyWinRate: Math.round(winRate * 1000) / 1000,
+        kellyPayoff: payoff === Infinity ? null : Math.round(payoff * 1000) / 1000,
+        kellyBucket: bucket,
+        ourWeightPct: Math.round(ourPct * 1000) / 1000,
+      };
+      break;
+    }
+
     default:
       baseAmount = leaderOrderSize * 0.15;
       reasoning = `Fallback 15% of $${leaderOrderSize.toFixed(2)} = $${baseAmount.toFixed(2)}`;
@@ -159,6 +274,24 @@ function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, c
     reasoning += ` → ${traderMultiplier}x trader multiplier = $${finalAmount.toFixed(2)}`;
   }
 
+  // Step 2b: Scale with leader agreement (consensus.js)
+  if (context.consensusMultiplier && context.consensusMultiplier !== 1.0) {
+    finalAmount *= context.consensusMultiplier;
+    reasoning += ` → ${context.consensusMultiplier}x consensus = $${finalAmount.toFixed(2)}`;
+  }
+
+  // Step 2c: Shrink behind underperforming leaders (trader-analytics.js downweight policy)
+  if (context.scoreMultiplier && context.scoreMultiplier !== 1.0) {
+    finalAmount *= context.scoreMultiplier;
+    reasoning += ` → ${context.scoreMultiplier}x trader score = $${finalAmount.toFixed(2)}`;
+  }
+
+  // Step 2d: Shrink while equity is in drawdown (risk.js de-risk tiers)
+  if (context.deriskMultiplier !== undefined && context.deriskMultiplier !== 1.0) {
+    finalAmount *= context.deriskMultiplier;
+    reasoning += ` → ${context.deriskMultiplier}x drawdown de-risk = $${finalAmount.toFixed(2)}`;
+  }
+
   // Step 3: Apply tiered multiplier based on leader's trade size
   if (cfg.tieredMultipliers && cfg.tieredMultipliers.length > 0) {
     const tierMultiplier = getTieredMultiplier(cfg.tieredMultipliers, leaderOrderSize);
@@ -233,6 +366,13 @@ function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, c
   // Round to cents
   finalAmount = Math.round(finalAmount * 100) / 100;
 
+  // What sized this trade, for the trade record
+  const params = {};
+  for (const key of STRATEGY_KEYS.slice(1)) params[key] = cfg[key];
+  params.tieredMultipliers = formatTieredMultipliers(cfg.tieredMultipliers);
+  params.source = Object.keys(strategyConfig || {}).length > 0 ? 'trader' : 'global';
+  if (weights) Object.assign(params, weights);
+
   return {
     finalAmount,
     baseAmount: Math.round(baseAmount * 100) / 100,
@@ -241,6 +381,7 @@ function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, c
     reducedByBalance,
     belowMinimum,
     strategy: cfg.strategy,
+    params,
   };
 }
 
@@ -250,12 +391,20 @@ function calculateOrderSize(strategyConfig, leaderOrderSize, availableBalance, c
 function validateConfig(cfg) {
   const errors = [];
   if (!Object.values(STRATEGIES).includes(cfg.strategy)) {
-    errors.push(`Unknown strategy: ${cfg.strategy}. Use PERCENTAGE, FIXED, or ADAPTIVE`);
+    errors.push(`Unknown strategy: ${cfg.strategy}. Use PERCENTAGE, FIXED, ADAPTIVE, CONVICTION, or KELLY`);
   }
   if (cfg.copySize <= 0) errors.push('copySize must be positive');
   if (cfg.strategy === STRATEGIES.PERCENTAGE && cfg.copySize > 100) {
     errors.push('copySize for PERCENTAGE should be <= 100');
   }
+  if (cfg.strategy === STRATEGIES.CONVICTION && cfg.convictionMinPercent > cfg.convictionMaxPercent) {
+    errors.push('convictionMinPercent cannot exceed convictionMaxPercent');
+  }
+  if (cfg.strategy === STRATEGIES.KELLY) {
+    if (!(cfg.kellyFraction > 0 && cfg.kellyFraction <= 1)) errors.push('kellyFraction must be between 0 and 1');
+    if (!(cfg.kellyMinSamples >= 1)) errors.push('kellyMinSamples must be at least 1');
+    if (!(cfg.kellyMaxPercent > 0)) errors.push('kellyMaxPercent must be positive');
+  }
   if (cfg.maxOrderSizeUsd <= 0) errors.push('maxOrderSizeUsd must be positive');
   if (cfg.minOrderSizeUsd <= 0) errors.push('minOrderSizeUsd must be positive');
   if (cfg.minOrderSizeUsd > cfg.maxOrderSizeUsd) {
@@ -266,9 +415,12 @@ function validateConfig(cfg) {
 
 module.exports = {
   STRATEGIES,
+  STRATEGY_KEYS,
   calculateOrderSize,
   getDefaultConfig,
   parseTieredMultipliers,
+  formatTieredMultipliers,
   getTieredMultiplier,
+  getKellyBucket,
   validateConfig,
 };
@@ -18,6 +18,7 @@ const express = require('express');
 const helmet = require('helmet');
 const path = require('path');
 const crypto = require('crypto');
+const { fork } = require('child_process');
 const { config } = require('./config');
 const hotConfig = require('./hot-config');
 const db = require('./db');
@@ -25,6 +26,16 @@ const risk = require('./risk');
 const log = require('./logger');
 const { botState } = require('./state');
 const notifications = require('./notifications');
+const catchup = require('./catchup');
+const confirmation = require('./confirmation');
+const latency = require('./latency');
+const slippage = require('./slippage');
+const reconcile = require('./reconcile');
+const consensus = require('./consensus');
+const analytics = require('./trader-analytics');
+const backtestResults = require('./backtest-results');
+const copyStrategy = require('./copy-strategy');
+const marketFilters = require('./market-filters');
 const C = require('./constants');
 
 function safeError(err) {
@@ -214,7 +225,7 @@ function start(getEquity, setEquity) {
       const page = Math.max(1, parseInt(req.query.page) || 1);
       const pageSize = Math.min(Math.max(1, parseInt(req.query.pageSize) || 25), 100);
       const offset = (page - 1) * pageSize;
-      const VALID_STATUSES = ['executed', 'simulated', 'risk_blocked', 'slippage_blocked', 'failed', 'rejected', 'filtered', 'no_position'];
+      const VALID_STATUSES = ['executed', 'simulated', 'risk_blocked', 'slippage_blocked', 'failed', 'rejected', 'filtered', 'no_position', 'resting', 'expired'];
       const VALID_DATE_RANGES = ['today', '7d', '30d'];
       const filters = {};
       if (req.query.status && VALID_STATUSES.includes(req.query.status)) filters.status = req.query.status;
@@ -230,6 +241,7 @@ function start(getEquity, setEquity) {
   app.get('/api/config', (req, res) => {
     // Safe config — no secrets
     const traders = hotConfig.getTraders();
+    const defaultStrategy = copyStrategy.getDefaultConfig();
     res.json({
       dryRun: config.bot.dryRun,
       traders: traders.map(t => ({
@@ -240,12 +252,18 @@ function start(getEquity, setEquity) {
         enabled: t.enabled,
         label: t.label,
         addedAt: t.addedAt,
+        strategy: t.strategy || null,
       })),
       activeTraders: hotConfig.getActiveTraders().length,
       totalTraders: traders.length,
       sizing: config.sizing,
+      copyStrategy: { ...defaultStrategy, tieredMultipliers: copyStrategy.formatTieredMultipliers(defaultStrategy.tieredMultipliers) },
       caps: config.caps,
       risk: config.risk,
+      catchup: config.catchup,
+      resolution: config.resolution,
+      exits: config.exits,
+      execution: config.execution,
       pollInterval: hotConfig.getPollInterval(),
     });
   });
@@ -258,6 +276,47 @@ function start(getEquity, setEquity) {
     }
   });
 
+  // Resting limit orders (EXECUTION_MODE=limit) — open first, then recent history
+  app.get('/api/orders', (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      res.json({ mode: config.execution.mode, open: db.getOpenOrders(), recent: db.getRecentOrders(limit) });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // Order ledger — every submitted order with its fill, fees, tx hashes and state
+  app.get('/api/ledger', (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      res.json(db.getLedgerOrders(limit).map(o => ({
+        ...o,
+        request: JSON.parse(o.request || '{}'),
+        response: o.response ? JSON.parse(o.response) : null,
+        tx_hashes: JSON.parse(o.tx_hashes || '[]'),
+      })));
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.get('/api/ledger/:id', (req, res) => {
+    try {
+      const order = db.getLedgerOrder(parseInt(req.params.id));
+      if (!order) return res.status(404).json({ error: 'Order not found' });
+      res.json({
+        ...order,
+        request: JSON.parse(order.request || '{}'),
+        response: order.response ? JSON.parse(order.response) : null,
+        tx_hashes: JSON.parse(order.tx_hashes || '[]'),
+        events: db.getOrderEvents(order.id),
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
   // ─────────────────────────────────
   //  BOT CONTROL ENDPOINTS
   // ─────────────────────────────────
@@ -298,6 +357,48 @@ function start(getEquity, setEquity) {
     }
   });
 
+  // Leaderboard of configured traders by scorecard (window: 7d | 30d | all)
+  app.get('/api/traders/leaderboard', (req, res) => {
+    try {
+      const window = req.query.window in analytics.WINDOWS ? req.query.window : '30d';
+      const { policy, min, minSamples, windowDays } = config.traderScore;
+      res.json({ window, policy: { policy, min, minSamples, windowDays }, traders: analytics.getLeaderboard(window) });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // One leader's scorecard over every window, plus their own Data API PnL
+  app.get('/api/traders/:address/stats', async (req, res) => {
+    try {
+      const { address } = req.params;
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) return res.status(400).json({ error: 'Invalid address' });
+      res.json(await analytics.getScorecard(address));
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // Risk budget of one trader: effective limits, their own overrides and current usage
+  app.get('/api/traders/:address/budget', (req, res) => {
+    try {
+      const trader = hotConfig.getTraderConfig(req.params.address);
+      if (!trader) return res.status(404).json({ error: 'Trader not found' });
+      const { budget, stats, breaches } = risk.getTraderBudgetStatus(trader.address);
+      res.json({
+        address: trader.address,
+        budget,
+        overrides: trader.budget || {},
+        defaults: config.traderBudget,
+        usage: stats,
+        breaches,
+        disabledUntil: trader.disabledUntil || null,
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
   // Add a trader
   app.post('/api/traders', (req, res) => {
     try {
@@ -326,7 +427,7 @@ function start(getEquity, setEquity) {
       }
 
       const result = hotConfig.updateTrader(address, updates);
-      if (result.error) return res.status(404).json(result);
+      if (result.error) return res.status(result.error === 'Trader not found' ? 404 : 400).json(result);
 
       db.logAudit(C.AUDIT_ACTIONS.TRADER_UPDATE, `${address.slice(0, 10)}... → ${JSON.stringify(updates)}`, 'dashboard', req.ip);
       res.json(result);
@@ -379,9 +480,21 @@ function start(getEquity, setEquity) {
         maxEventTrade:    { section: 'caps', key: 'maxEventTrade',     min: 0.5, max: 100000 },
         maxTotalExposure: { section: 'caps', key: 'maxTotalExposure',  min: 1,   max: 1000000 },
         maxOpenPositions: { section: 'caps', key: 'maxOpenPositions',  min: 1,   max: 100, integer: true },
+        // Concentration caps — 0 turns a cap off
+        maxMarketExposure:   { section: 'caps', key: 'maxMarketExposure',   min: 0, max: 1000000 },
+        maxEventExposure:    { section: 'caps', key: 'maxEventExposure',    min: 0, max: 1000000 },
+        maxCategoryExposure: { section: 'caps', key: 'maxCategoryExposure', min: 0, max: 1000000 },
+      };
+
+      // 0 turns a rule off; bucket/trader overrides live under /api/exit-rules
+      const exitFields = {
+        exitStopLossPct:     { section: 'exits', key: 'stopLossPct',     min: 0, max: 100 },
+        exitTakeProfitPct:   { section: 'exits', key: 'takeProfitPct',   min: 0, max: 1000 },
+        exitTrailingStopPct: { section: 'exits', key: 'trailingStopPct', min: 0, max: 100 },
+        exitMaxHoldHours:    { section: 'exits', key: 'maxHoldHours',    min: 0, max: 8760 },
       };
 
-      const allFields = { ...riskFields, ...capFields };
+      const allFields = { ...riskFields, ...capFields, ...exitFields };
 
       for (const [field, spec] of Object.entries(allFields)) {
         if (req.body[field] !== undefined) {
@@ -406,6 +519,19 @@ function start(getEquity, setEquity) {
         if (!isNaN(val)) { config.sizing.eventMultiplier = val; hotConfig.setSettingsOverride('eventMultiplier', val); updated.eventMultiplier = val; changes.push(`eventMultiplier → ${val}`); }
       }
 
+      // ── Downtime catch-up ──
+      if (req.body.catchupPolicy !== undefined) {
+        const val = String(req.body.catchupPolicy);
+        if (!C.CATCHUP_POLICIES.includes(val)) {
+          return res.status(400).json({ error: `catchupPolicy must be one of: ${C.CATCHUP_POLICIES.join(', ')}` });
+        }
+        config.catchup.policy = val; hotConfig.setSettingsOverride('catchupPolicy', val); updated.catchupPolicy = val; changes.push(`catchupPolicy → ${val}`);
+      }
+      if (req.body.catchupMaxEntryAgeMin !== undefined) {
+        const val = Math.max(1, Math.min(1440, parseFloat(req.body.catchupMaxEntryAgeMin)));
+        if (!isNaN(val)) { config.catchup.maxEntryAgeMin = val; hotConfig.setSettingsOverride('catchupMaxEntryAgeMin', val); updated.catchupMaxEntryAgeMin = val; changes.push(`catchupMaxEntryAgeMin → ${val}`); }
+      }
+
       if (changes.length > 0) {
         db.logAudit(C.AUDIT_ACTIONS.SETTINGS_CHANGE, changes.join(', '), 'dashboard', req.ip);
         log.info(`Settings updated from dashboard: ${changes.join(', ')}`);
@@ -417,6 +543,313 @@ function start(getEquity, setEquity) {
     }
   });
 
+  // ─────────────────────────────────
+  //  DOWNTIME CATCH-UP
+  // ─────────────────────────────────
+  app.get('/api/catchup', (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      const actions = db.getCatchupActions(limit).map(({ signal: _signal, ...a }) => a);
+      res.json({
+        policy: config.catchup.policy,
+        maxEntryAgeMin: config.catchup.maxEntryAgeMin,
+        pending: actions.filter(a => a.status === 'pending').length,
+        actions,
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.post('/api/catchup/:id/:decision(approve|reject)', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid action id' });
+      const result = catchup.resolveAction(id, req.params.decision === 'approve', 'dashboard', req.ip);
+      if (result.error) return res.status(400).json(result);
+      log.info(`Catch-up #${id} ${result.status} from dashboard`);
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  EXIT RULES (global via /api/settings, per trader via /api/traders)
+  // ─────────────────────────────────
+  app.get('/api/exit-rules', (req, res) => {
+    try {
+      res.json({
+        global: config.exits,
+        buckets: hotConfig.getBucketExitRules(),
+        traders: hotConfig.getTraders()
+          .filter(t => t.exitRules && Object.keys(t.exitRules).length > 0)
+          .map(t => ({ address: t.address, label: t.label, bucket: t.bucket, rules: t.exitRules })),
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.patch('/api/exit-rules/:bucket(grinder|event)', (req, res) => {
+    try {
+      const result = hotConfig.setBucketExitRules(req.params.bucket, req.body);
+      if (result.error) return res.status(400).json(result);
+      db.logAudit(C.AUDIT_ACTIONS.SETTINGS_CHANGE, `exitRules.${result.bucket} → ${JSON.stringify(result.rules)}`, 'dashboard', req.ip);
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  MARKET FILTERS
+  // ─────────────────────────────────
+  app.get('/api/market-filters', (req, res) => {
+    try {
+      const since = new Date(Date.now() - C.MARKET_FILTER_HITS_DAYS * 86400000).toISOString().replace('T', ' ').slice(0, 19);
+      res.json({
+        rules: hotConfig.getMarketFilters(),
+        hits: db.getFilterRuleHits(since),
+        hitsDays: C.MARKET_FILTER_HITS_DAYS,
+        types: C.MARKET_FILTER_TYPES,
+        depthPct: C.MARKET_FILTER_DEPTH_PCT,
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // Replaces the whole ordered rule list
+  app.put('/api/market-filters', (req, res) => {
+    try {
+      const { rules, error } = marketFilters.validateRules(req.body.rules);
+      if (error) return res.status(400).json({ error });
+      const result = hotConfig.setMarketFilters(rules);
+      const summary = rules.map(r => `${r.id}${r.enabled ? '' : ' (off)'}: ${r.action} ${marketFilters.describeRule(r)}`).join('; ');
+      db.logAudit(C.AUDIT_ACTIONS.SETTINGS_CHANGE, `marketFilters → ${summary || 'none'}`, 'dashboard', req.ip);
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  CONSENSUS MODE
+  // ─────────────────────────────────
+  app.get('/api/consensus', (req, res) => {
+    try {
+      const { enabled, minLeaders, windowMin, buckets, weighting, maxMultiplier } = config.consensus;
+      res.json({ enabled, minLeaders, windowMin, buckets, weighting, maxMultiplier, candidates: consensus.getCandidates() });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  CONFIRMATION DELAY
+  // ─────────────────────────────────
+  app.get('/api/confirmations', (req, res) => {
+    try {
+      const delayed = hotConfig.getTraders().filter(t => hotConfig.getConfirmForTrader(t.address).delayMin > 0).length;
+      res.json({ defaults: config.confirm, staleMin: C.CONFIRM_STALE_MIN, delayedTraders: delayed, ...confirmation.getQueue() });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  EXECUTION ANALYTICS
+  // ─────────────────────────────────
+  app.get('/api/analytics/latency', (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || C.LATENCY_WINDOW_DAYS, 1), 90);
+      res.json(latency.getLatencyReport({ days }));
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.get('/api/analytics/slippage', (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || C.SLIPPAGE_WINDOW_DAYS, 1), 365);
+      res.json(slippage.getSlippageReport({ days }));
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  ON-CHAIN RECONCILIATION
+  // ─────────────────────────────────
+  app.get('/api/reconcile', (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const mismatches = db.getMismatches(limit);
+      res.json({
+        enabled: !config.bot.dryRun && config.reconcile.intervalMin > 0,
+        intervalMin: config.reconcile.intervalMin,
+        open: mismatches.filter(m => m.status === 'open').length,
+        mismatches,
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.post('/api/reconcile/run', async (req, res) => {
+    try {
+      if (config.bot.dryRun) return res.status(400).json({ error: 'Reconciliation only runs in live mode' });
+      const summary = await reconcile.runReconciliation({ force: true });
+      if (!summary) return res.status(502).json({ error: 'CTF balances unavailable' });
+      res.json(summary);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.post('/api/reconcile/:id/:decision(apply|dismiss)', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid mismatch id' });
+      const result = reconcile.resolveMismatch(id, req.params.decision === 'apply', 'dashboard', req.ip);
+      if (result.error) return res.status(400).json(result);
+      log.info(`Reconcile mismatch #${id} ${result.status} from dashboard`);
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  BACKTESTS
+  // ─────────────────────────────────
+  // Runs execute in a forked `node src/backtest.js` (own in-memory DB, simulated clock), one at a time
+  let backtestChild = null;
+  backtestResults.failStaleRuns();
+
+  app.get('/api/backtests', (req, res) => {
+    try {
+      res.json({ running: !!backtestChild, runs: backtestResults.listRuns(Math.min(parseInt(req.query.limit) || 50, 200)) });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.get('/api/backtests/:id', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid backtest id' });
+      const run = backtestResults.getRun(id);
+      if (!run) return res.status(404).json({ error: 'Backtest not found' });
+      res.json(run);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.post('/api/backtests', (req, res) => {
+    try {
+      if (backtestChild) return res.status(409).json({ error: 'A backtest is already running' });
+      const { address, bucket, days, equity } = req.body || {};
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address || '')) return res.status(400).json({ error: 'Invalid trader address' });
+      if (bucket && !['grinder', 'event'].includes(bucket)) return res.status(400).json({ error: 'Bucket must be grinder or event' });
+      const numDays = days === undefined ? C.BACKTEST_DEFAULT_DAYS : parseFloat(days);
+      if (isNaN(numDays) || numDays <= 0 || numDays > 365) return res.status(400).json({ error: 'Days must be between 1 and 365' });
+      const startEquity = equity === undefined || equity === '' ? config.caps.maxTotalExposure : parseFloat(equity);
+      if (isNaN(startEquity) || startEquity <= 0) return res.status(400).json({ error: 'Starting equity must be positive' });
+
+      const traderAddress = address.toLowerCase();
+      const runBucket = bucket || hotConfig.getBucketForTrader(traderAddress) || 'grinder';
+      const runId = backtestResults.createRun({ traderAddress, bucket: runBucket, startEquity, settings: { days: numDays } });
+      const args = [traderAddress, '--run', String(runId), '--bucket', runBucket, '--days', String(numDays), '--equity', String(startEquity)];
+      backtestChild = fork(path.join(__dirname, 'backtest.js'), args, { stdio: 'ignore' });
+      backtestChild.on('exit', (code) => {
+        backtestChild = null;
+        if (code !== 0) backtestResults.failRun(runId, `backtest process exited with code ${code}`);
+        log.info(`Backtest #${runId} ${code === 0 ? 'finished' : 'failed'}`);
+      });
+
+      db.logAudit(C.AUDIT_ACTIONS.BACKTEST_RUN, `#${runId} ${traderAddress.slice(0, 10)}... [${runBucket}] ${numDays}d`, 'dashboard', req.ip);
+      res.status(202).json({ id: runId });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.delete('/api/backtests/:id', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid backtest id' });
+      const run = backtestResults.getRun(id);
+      if (!run) return res.status(404).json({ error: 'Backtest not found' });
+      if (run.status === 'running') return res.status(409).json({ error: 'Backtest is still running' });
+      backtestResults.deleteRun(id);
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // ─────────────────────────────────
+  //  TRADER DISCOVERY
+  // ─────────────────────────────────
+  // Scans run in a forked `node src/discovery.js` (replays need their own scratch DB), one at a time
+  let discoveryChild = null;
+  backtestResults.failStaleScans();
+
+  app.get('/api/discovery', (req, res) => {
+    try {
+      const { categories, period, minVolume, maxIdleHours, minTrades, minWinRate, days, maxCandidates } = config.discovery;
+      res.json({
+        running: !!discoveryChild,
+        settings: { categories, period, minVolume, maxIdleHours, minTrades, minWinRate, days, maxCandidates },
+        scan: backtestResults.getLatestScan(),
+      });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  app.post('/api/discovery', (req, res) => {
+    try {
+      if (discoveryChild) return res.status(409).json({ error: 'A discovery scan is already running' });
+      const scanId = backtestResults.createScan(config.discovery);
+      discoveryChild = fork(path.join(__dirname, 'discovery.js'), ['--scan', String(scanId)], { stdio: 'ignore' });
+      discoveryChild.on('exit', (code) => {
+        discoveryChild = null;
+        if (code !== 0) backtestResults.failScan(scanId, `discovery process exited with code ${code}`);
+        log.info(`Discovery scan #${scanId} ${code === 0 ? 'finished' : 'failed'}`);
+      });
+
+      db.logAudit(C.AUDIT_ACTIONS.DISCOVERY_SCAN, `#${scanId}`, 'dashboard', req.ip);
+      res.status(202).json({ id: scanId });
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
+  // Add a discovered leader to hot-config
+  app.post('/api/discovery/candidates/:id/add', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid candidate id' });
+      const candidate = backtestResults.getCandidate(id);
+      if (!candidate) return res.status(404).json({ error: 'Candidate not found' });
+      const bucket = (req.body && req.body.bucket) || candidate.bucket;
+      if (!['grinder', 'event'].includes(bucket)) return res.status(400).json({ error: 'Bucket must be grinder or event' });
+
+      const result = hotConfig.addTrader(candidate.trader_address, bucket, candidate.name);
+      if (result.error) return res.status(400).json(result);
+      backtestResults.setCandidateStatus(id, 'added');
+
+      db.logAudit(C.AUDIT_ACTIONS.TRADER_ADD, `${candidate.trader_address.slice(0, 10)}... [${bucket}] from discovery`, 'dashboard', req.ip);
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: safeError(err) });
+    }
+  });
+
   // ─────────────────────────────────
   //  CSV EXPORTS
   // ─────────────────────────────────
@@ -1,15 +1,26 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const clock = require('./clock');
 
 const DB_PATH = path.join(__dirname, '..', 'data', 'bot.db');
 
 let db;
+let dbPath = DB_PATH;
+
+/**
+ * Point the module at a different database file (or ':memory:') before it is
+ * first opened — the backtester replays into its own scratch database.
+ */
+function useDatabase(file) {
+  if (db) throw new Error('Database already open');
+  dbPath = file;
+}
 
 function init() {
   const fs = require('fs');
-  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 
-  db = new Database(DB_PATH);
+  db = new Database(dbPath);
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
 
@@ -30,7 +41,20 @@ function init() {
       pnl REAL DEFAULT 0,
       resolved INTEGER DEFAULT 0,
       dry_run INTEGER DEFAULT 0,
-      notes TEXT DEFAULT ''
+      notes TEXT DEFAULT '',
+      close_reason TEXT DEFAULT '',
+      leader_price REAL DEFAULT NULL,
+      fill_model TEXT DEFAULT '',
+      strategy TEXT DEFAULT '',
+      strategy_params TEXT DEFAULT '',
+      mode TEXT DEFAULT 'copy',
+      leader_ts INTEGER DEFAULT NULL,
+      detected_ts INTEGER DEFAULT NULL,
+      decided_ts INTEGER DEFAULT NULL,
+      submitted_ts INTEGER DEFAULT NULL,
+      filled_ts INTEGER DEFAULT NULL,
+      cycle_ts INTEGER DEFAULT NULL,
+      mid_price REAL DEFAULT NULL
     );
 
     CREATE TABLE IF NOT EXISTS positions (
@@ -47,7 +71,26 @@ function init() {
       bucket TEXT NOT NULL,
       opened_at TEXT DEFAULT (datetime('now')),
       closed_at TEXT DEFAULT NULL,
-      status TEXT DEFAULT 'open'
+      status TEXT DEFAULT 'open',
+      shares REAL DEFAULT 0,
+      cost_basis REAL DEFAULT 0,
+      realized_pnl REAL DEFAULT 0,
+      close_reason TEXT DEFAULT '',
+      redeem_status TEXT DEFAULT '',
+      redeem_tx TEXT DEFAULT '',
+      peak_price REAL DEFAULT 0,
+      mode TEXT DEFAULT 'copy'
+    );
+
+    CREATE TABLE IF NOT EXISTS position_lots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      position_id INTEGER NOT NULL,
+      opened_at TEXT DEFAULT (datetime('now')),
+      price REAL NOT NULL,
+      shares REAL NOT NULL,
+      remaining_shares REAL NOT NULL,
+      cost_usd REAL NOT NULL,
+      realized_pnl REAL DEFAULT 0
     );
 
     CREATE TABLE IF NOT EXISTS snapshots (
@@ -77,6 +120,146 @@ function init() {
       expires_at TEXT NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS activity_cursors (
+      trader_address TEXT PRIMARY KEY,
+      last_ts INTEGER NOT NULL,
+      seen_keys TEXT DEFAULT '[]',
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS market_meta (
+      market_id TEXT PRIMARY KEY,
+      question TEXT DEFAULT '',
+      slug TEXT DEFAULT '',
+      event_id TEXT DEFAULT '',
+      neg_risk INTEGER DEFAULT 0,
+      tags TEXT DEFAULT '[]',
+      end_date TEXT,
+      active INTEGER DEFAULT 1,
+      closed INTEGER DEFAULT 0,
+      volume_24h REAL DEFAULT NULL,
+      fetched_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS catchup_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      trader_address TEXT NOT NULL,
+      market_id TEXT NOT NULL,
+      token_id TEXT NOT NULL,
+      market_name TEXT DEFAULT '',
+      action TEXT NOT NULL,
+      reason TEXT DEFAULT '',
+      signal TEXT DEFAULT '',
+      status TEXT DEFAULT 'pending',
+      resolved_at TEXT DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS signal_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      dedup_key TEXT NOT NULL,
+      lane TEXT NOT NULL,
+      agg_key TEXT DEFAULT '',
+      group_id INTEGER DEFAULT NULL,
+      trader_address TEXT NOT NULL,
+      market_id TEXT NOT NULL,
+      token_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      signal TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      error TEXT DEFAULT '',
+      created_ts INTEGER NOT NULL,
+      available_ts INTEGER NOT NULL,
+      started_at TEXT DEFAULT NULL,
+      finished_at TEXT DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS pending_signals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT (datetime('now')),
+      trader_address TEXT NOT NULL,
+      market_id TEXT NOT NULL,
+      token_id TEXT NOT NULL,
+      market_name TEXT DEFAULT '',
+      type TEXT NOT NULL,
+      price REAL DEFAULT 0,
+      leader_size REAL DEFAULT 0,
+      due_ts INTEGER NOT NULL,
+      signal TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      reason TEXT DEFAULT '',
+      resolved_at TEXT DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS open_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL UNIQUE,
+      trade_id INTEGER,
+      trader_address TEXT NOT NULL,
+      bucket TEXT NOT NULL,
+      market_id TEXT NOT NULL,
+      token_id TEXT NOT NULL,
+      market_name TEXT DEFAULT '',
+      side TEXT NOT NULL,
+      price REAL NOT NULL,
+      size REAL NOT NULL,
+      size_matched REAL DEFAULT 0,
+      leader_price REAL DEFAULT 0,
+      leader_size_usd REAL DEFAULT 0,
+      status TEXT DEFAULT 'open',
+      cancel_reason TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now')),
+      expires_at INTEGER NOT NULL,
+      closed_at TEXT DEFAULT NULL,
+      mode TEXT DEFAULT 'copy'
+    );
+
+    CREATE TABLE IF NOT EXISTS order_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT DEFAULT '',
+      trade_id INTEGER,
+      order_type TEXT NOT NULL,
+      side TEXT NOT NULL,
+      market_id TEXT NOT NULL,
+      token_id TEXT NOT NULL,
+      request TEXT DEFAULT '',
+      response TEXT DEFAULT '',
+      status TEXT DEFAULT 'submitted',
+      size_matched REAL DEFAULT 0,
+      avg_price REAL DEFAULT 0,
+      usd_amount REAL DEFAULT 0,
+      fee_rate_bps REAL DEFAULT 0,
+      fee_usd REAL DEFAULT 0,
+      tx_hashes TEXT DEFAULT '[]',
+      error TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS order_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ledger_id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      detail TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS position_mismatches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      detected_at TEXT DEFAULT (datetime('now')),
+      position_id INTEGER NOT NULL,
+      market_id TEXT NOT NULL,
+      token_id TEXT NOT NULL,
+      market_name TEXT DEFAULT '',
+      db_shares REAL NOT NULL,
+      chain_shares REAL NOT NULL,
+      status TEXT DEFAULT 'open',
+      checked_at TEXT DEFAULT (datetime('now')),
+      resolved_at TEXT DEFAULT NULL,
+      resolved_by TEXT DEFAULT ''
+    );
+
     CREATE TABLE IF NOT EXISTS audit_log (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       timestamp TEXT DEFAULT (datetime('now')),
@@ -91,7 +274,19 @@ function init() {
     CREATE INDEX IF NOT EXISTS idx_positions_status ON positions(status);
     CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades(timestamp);
     CREATE INDEX IF NOT EXISTS idx_positions_market_token_status ON positions(market_id, token_id, status);
+    CREATE INDEX IF NOT EXISTS idx_position_lots_position ON position_lots(position_id);
+    CREATE INDEX IF NOT EXISTS idx_catchup_actions_status ON catchup_actions(status);
+    CREATE INDEX IF NOT EXISTS idx_pending_signals_status ON pending_signals(status, due_ts);
+    CREATE INDEX IF NOT EXISTS idx_signal_queue_status ON signal_queue(status, available_ts);
+    CREATE INDEX IF NOT EXISTS idx_signal_queue_dedup ON signal_queue(dedup_key);
+    CREATE INDEX IF NOT EXISTS idx_signal_queue_group ON signal_queue(group_id);
+    CREATE INDEX IF NOT EXISTS idx_open_orders_status ON open_orders(status);
+    CREATE INDEX IF NOT EXISTS idx_order_ledger_status ON order_ledger(status);
+    CREATE INDEX IF NOT EXISTS idx_order_ledger_order_id ON order_ledger(order_id);
+    CREATE INDEX IF NOT EXISTS idx_order_events_ledger ON order_events(ledger_id);
+    CREATE INDEX IF NOT EXISTS idx_position_mismatches_position ON position_mismatches(position_id, status);
     CREATE INDEX IF NOT EXISTS idx_trades_market_status_resolved ON trades(market_id, status, resolved);
+    CREATE INDEX IF NOT EXISTS idx_trader_positions_token ON trader_positions(token_id);
   `);
 
   // Migration: add market_name to positions if missing (existing DBs)
@@ -109,6 +304,85 @@ function init() {
     ) WHERE market_name = '' OR market_name IS NULL
   `).run();
 
+  // Migration: share-based accounting. Backfill shares/cost basis from the USD
+  // notional, and give every open position a single lot at its entry price.
+  // Closed positions kept their PnL in unrealized_pnl — move it to realized_pnl.
+  if (!cols.some(c => c.name === 'shares')) {
+    db.prepare(`ALTER TABLE positions ADD COLUMN shares REAL DEFAULT 0`).run();
+    db.prepare(`ALTER TABLE positions ADD COLUMN cost_basis REAL DEFAULT 0`).run();
+    db.prepare(`ALTER TABLE positions ADD COLUMN realized_pnl REAL DEFAULT 0`).run();
+    db.prepare(`
+      UPDATE positions SET shares = ROUND(size_usd / entry_price, 6), cost_basis = size_usd
+      WHERE entry_price > 0
+    `).run();
+    db.prepare(`UPDATE positions SET realized_pnl = unrealized_pnl WHERE status = 'closed'`).run();
+  }
+  // Migration: why a position closed, and redemption state for resolved markets
+  if (!cols.some(c => c.name === 'close_reason')) {
+    db.prepare(`ALTER TABLE positions ADD COLUMN close_reason TEXT DEFAULT ''`).run();
+    db.prepare(`ALTER TABLE positions ADD COLUMN redeem_status TEXT DEFAULT ''`).run();
+    db.prepare(`ALTER TABLE positions ADD COLUMN redeem_tx TEXT DEFAULT ''`).run();
+  }
+  // Migration: highest price seen while open (trailing stop), and close reason on trades
+  if (!cols.some(c => c.name === 'peak_price')) {
+    db.prepare(`ALTER TABLE positions ADD COLUMN peak_price REAL DEFAULT 0`).run();
+    db.prepare(`UPDATE positions SET peak_price = MAX(entry_price, current_price)`).run();
+  }
+  // Fade traders: positions on the opposite outcome, labelled on positions and trades
+  if (!cols.some(c => c.name === 'mode')) {
+    db.prepare(`ALTER TABLE positions ADD COLUMN mode TEXT DEFAULT 'copy'`).run();
+  }
+  const tradeCols = db.prepare(`PRAGMA table_info(trades)`).all();
+  if (!tradeCols.some(c => c.name === 'close_reason')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN close_reason TEXT DEFAULT ''`).run();
+  }
+  // Paper fills: modeled price is `price`, the leader's price is kept alongside
+  if (!tradeCols.some(c => c.name === 'leader_price')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN leader_price REAL DEFAULT NULL`).run();
+    db.prepare(`ALTER TABLE trades ADD COLUMN fill_model TEXT DEFAULT ''`).run();
+  }
+  // Copy strategy that sized an entry, with its parameters (JSON)
+  if (!tradeCols.some(c => c.name === 'strategy')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN strategy TEXT DEFAULT ''`).run();
+    db.prepare(`ALTER TABLE trades ADD COLUMN strategy_params TEXT DEFAULT ''`).run();
+  }
+  if (!tradeCols.some(c => c.name === 'mode')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN mode TEXT DEFAULT 'copy'`).run();
+  }
+  // Leader fill time (unix ms) for detection lag, when the signal source provides it
+  if (!tradeCols.some(c => c.name === 'leader_ts')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN leader_ts INTEGER DEFAULT NULL`).run();
+  }
+  // Per-stage latency stamps (unix ms): detection, sizing decision, order submission, fill (latency.js)
+  if (!tradeCols.some(c => c.name === 'detected_ts')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN detected_ts INTEGER DEFAULT NULL`).run();
+    db.prepare(`ALTER TABLE trades ADD COLUMN decided_ts INTEGER DEFAULT NULL`).run();
+    db.prepare(`ALTER TABLE trades ADD COLUMN submitted_ts INTEGER DEFAULT NULL`).run();
+    db.prepare(`ALTER TABLE trades ADD COLUMN filled_ts INTEGER DEFAULT NULL`).run();
+    db.prepare(`ALTER TABLE trades ADD COLUMN cycle_ts INTEGER DEFAULT NULL`).run();
+  }
+  // Book mid when we decided to trade — copy slippage is measured against it (slippage.js)
+  if (!tradeCols.some(c => c.name === 'mid_price')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN mid_price REAL DEFAULT NULL`).run();
+  }
+  // Market filter rule that stopped a signal (market-filters.js)
+  if (!tradeCols.some(c => c.name === 'filter_rule')) {
+    db.prepare(`ALTER TABLE trades ADD COLUMN filter_rule TEXT DEFAULT ''`).run();
+  }
+  const metaCols = db.prepare(`PRAGMA table_info(market_meta)`).all();
+  if (!metaCols.some(c => c.name === 'volume_24h')) {
+    db.prepare(`ALTER TABLE market_meta ADD COLUMN volume_24h REAL DEFAULT NULL`).run();
+  }
+  const orderCols = db.prepare(`PRAGMA table_info(open_orders)`).all();
+  if (!orderCols.some(c => c.name === 'mode')) {
+    db.prepare(`ALTER TABLE open_orders ADD COLUMN mode TEXT DEFAULT 'copy'`).run();
+  }
+  db.prepare(`
+    INSERT INTO position_lots (position_id, opened_at, price, shares, remaining_shares, cost_usd)
+    SELECT id, opened_at, entry_price, shares, shares, cost_basis FROM positions
+    WHERE status = 'open' AND shares > 0 AND id NOT IN (SELECT position_id FROM position_lots)
+  `).run();
+
   return db;
 }
 
@@ -123,52 +397,135 @@ function logTrade(trade) {
   const pnl = trade.pnl || 0;
   const resolved = pnl !== 0 ? 1 : 0; // Auto-resolve trades with known PnL
   return d.prepare(`
-    INSERT INTO trades (trader_address, bucket, market_id, market_name, side, price, size_usd, leader_size_usd, status, order_id, dry_run, notes, pnl, resolved)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO trades (timestamp, trader_address, bucket, market_id, market_name, side, price, size_usd, leader_size_usd, status, order_id, dry_run, notes, pnl, resolved, close_reason, leader_price, fill_model, strategy, strategy_params, mode, leader_ts, filter_rule,
+      detected_ts, decided_ts, submitted_ts, filled_ts, cycle_ts, mid_price)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
-    trade.traderAddress, trade.bucket, trade.marketId, trade.marketName || '',
+    clock.sqlNow(), trade.traderAddress, trade.bucket, trade.marketId, trade.marketName || '',
     trade.side, trade.price, trade.sizeUsd, trade.leaderSizeUsd || 0,
     trade.status || 'executed', trade.orderId || '', trade.dryRun ? 1 : 0, trade.notes || '',
-    pnl, resolved
+    pnl, resolved, trade.closeReason || '', trade.leaderPrice ?? null, trade.fillModel || '',
+    trade.strategy || '', trade.strategyParams ? JSON.stringify(trade.strategyParams) : '',
+    trade.mode || 'copy', trade.leaderTs || null, trade.filterRule || '',
+    trade.detectedTs || null, trade.decidedTs || null, trade.submittedTs || null, trade.filledTs || null, trade.cycleTs || null,
+    trade.midPrice || null
   );
 }
 
 // --- Position tracking ---
+// Positions are share-based: each buy is a FIFO lot (position_lots), and the
+// position row carries shares, cost_basis and realized_pnl derived from its lots.
+// size_usd / entry_price mirror the open cost basis for existing readers.
+
+/**
+ * Recompute a position's shares, cost basis and average entry from its open lots
+ */
+function syncPositionFromLots(d, positionId) {
+  const t = d.prepare(`
+    SELECT COALESCE(SUM(remaining_shares), 0) AS shares, COALESCE(SUM(remaining_shares * price), 0) AS cost
+    FROM position_lots WHERE position_id = ? AND remaining_shares > 0
+  `).get(positionId);
+  const shares = Math.round(t.shares * 1e6) / 1e6;
+  const cost = Math.round(t.cost * 1e6) / 1e6;
+  if (shares > 0) {
+    d.prepare(`UPDATE positions SET shares = ?, cost_basis = ?, size_usd = ?, entry_price = ? WHERE id = ?`)
+      .run(shares, cost, Math.round(cost * 100) / 100, Math.round((cost / shares) * 10000) / 10000, positionId);
+  } else {
+    d.prepare(`UPDATE positions SET shares = 0, cost_basis = 0 WHERE id = ?`).run(positionId);
+  }
+  return shares;
+}
+
 /**
- * Upsert position: accumulate size with weighted average entry price
- * (Audit fix: was ON CONFLICT DO NOTHING — silently dropped duplicate entries)
- * Now properly accumulates when buying more of the same market
+ * Record a buy: opens a new lot on the open position (creating it if needed).
+ * pos.shares is the filled token count; when omitted it is derived from sizeUsd / entryPrice.
  */
 function upsertPosition(pos) {
   const d = getDb();
   const _upsert = d.transaction((pos) => {
+    const shares = Math.round((pos.shares || pos.sizeUsd / pos.entryPrice) * 1e6) / 1e6;
+    const price = pos.sizeUsd / shares;
+    let positionId;
     const existing = d.prepare(
       `SELECT * FROM positions WHERE market_id = ? AND token_id = ? AND status = 'open' LIMIT 1`
     ).get(pos.marketId, pos.tokenId);
 
     if (existing) {
-      const oldSize = existing.size_usd;
-      const newSize = oldSize + pos.sizeUsd;
-      const weightedEntry = ((existing.entry_price * oldSize) + (pos.entryPrice * pos.sizeUsd)) / newSize;
+      positionId = existing.id;
       d.prepare(`
-        UPDATE positions SET size_usd = ?, entry_price = ?, current_price = ?, market_name = COALESCE(NULLIF(?, ''), market_name) WHERE id = ?
-      `).run(
-        Math.round(newSize * 100) / 100,
-        Math.round(weightedEntry * 10000) / 10000,
-        pos.entryPrice,
-        pos.marketName || '',
-        existing.id
-      );
+        UPDATE positions SET current_price = ?, market_name = COALESCE(NULLIF(?, ''), market_name) WHERE id = ?
+      `).run(pos.entryPrice, pos.marketName || '', positionId);
     } else {
-      d.prepare(`
-        INSERT INTO positions (market_id, token_id, market_name, side, entry_price, size_usd, trader_address, bucket)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(pos.marketId, pos.tokenId, pos.marketName || '', pos.side, pos.entryPrice, pos.sizeUsd, pos.traderAddress, pos.bucket);
+      positionId = d.prepare(`
+        INSERT INTO positions (opened_at, market_id, token_id, market_name, side, entry_price, size_usd, trader_address, bucket, peak_price, mode)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(clock.sqlNow(), pos.marketId, pos.tokenId, pos.marketName || '', pos.side, pos.entryPrice, pos.sizeUsd, pos.traderAddress, pos.bucket, pos.entryPrice, pos.mode || 'copy').lastInsertRowid;
     }
+
+    d.prepare(`
+      INSERT INTO position_lots (position_id, opened_at, price, shares, remaining_shares, cost_usd) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(positionId, clock.sqlNow(), price, shares, shares, pos.sizeUsd);
+    syncPositionFromLots(d, positionId);
   });
   _upsert(pos);
 }
 
+/**
+ * Open lots of a position, oldest first (FIFO order)
+ */
+function getPositionLots(positionId) {
+  return getDb().prepare(
+    `SELECT * FROM position_lots WHERE position_id = ? AND remaining_shares > 0 ORDER BY id ASC`
+  ).all(positionId);
+}
+
+/**
+ * Record a sale against specific lots: sold = [{ lotId, shares, pnl }].
+ * Adds the PnL to realized_pnl; once no shares remain the position is closed
+ * (with closeReason) and its opening trade is resolved with the PnL of this final sale.
+ * Returns { remainingShares, realizedPnl, closed }.
+ */
+function applyLotSale(positionId, sold, exitPrice, closeReason = 'CLOSE_MIRROR') {
+  const d = getDb();
+  const _sell = d.transaction(() => {
+    const pnl = sold.reduce((sum, l) => sum + l.pnl, 0);
+    const takeLot = d.prepare(`
+      UPDATE position_lots SET remaining_shares = MAX(0, ROUND(remaining_shares - ?, 6)), realized_pnl = realized_pnl + ?
+      WHERE id = ? AND position_id = ?
+    `);
+    for (const l of sold) takeLot.run(l.shares, l.pnl, l.lotId, positionId);
+
+    d.prepare(`UPDATE positions SET realized_pnl = ROUND(realized_pnl + ?, 6), current_price = ? WHERE id = ?`)
+      .run(pnl, exitPrice, positionId);
+    const remainingShares = syncPositionFromLots(d, positionId);
+    const pos = d.prepare(`SELECT * FROM positions WHERE id = ?`).get(positionId);
+
+    // Dust below a hundredth of a share cannot be sold — treat as closed
+    if (remainingShares < 0.01) {
+      d.prepare(`UPDATE position_lots SET remaining_shares = 0 WHERE position_id = ?`).run(positionId);
+      d.prepare(`
+        UPDATE positions SET status = 'closed', closed_at = ?, shares = 0, cost_basis = 0, unrealized_pnl = ?, close_reason = ?
+        WHERE id = ?
+      `).run(clock.sqlNow(), Math.round(pos.realized_pnl * 100) / 100, closeReason, positionId);
+      d.prepare(`
+        UPDATE trades SET pnl = ?, resolved = 1
+        WHERE id = (
+          SELECT id FROM trades
+          WHERE market_id = ? AND status IN ('executed', 'simulated') AND resolved = 0
+          AND side NOT LIKE 'CLOSE_%'
+          ORDER BY timestamp DESC LIMIT 1
+        )
+      `).run(Math.round(pnl * 100) / 100, pos.market_id);
+      return { remainingShares: 0, realizedPnl: pos.realized_pnl, closed: true };
+    }
+
+    d.prepare(`UPDATE positions SET unrealized_pnl = ? WHERE id = ?`)
+      .run(Math.round((remainingShares * exitPrice - pos.cost_basis) * 100) / 100, positionId);
+    return { remainingShares, realizedPnl: pos.realized_pnl, closed: false };
+  });
+  return _sell();
+}
+
 function getOpenPositions() {
   return getDb().prepare(`SELECT * FROM positions WHERE status = 'open'`).all();
 }
@@ -192,31 +549,6 @@ function getOpenPositionByMarket(marketId, tokenId) {
   ).get(marketId);
 }
 
-/**
- * Close a position and record PnL
- * (Professional pattern from Novus-Tech: track entry/exit + realized PnL)
- */
-function closePositionWithPnl(marketId, tokenId, exitPrice, pnl) {
-  const d = getDb();
-  const _close = d.transaction(() => {
-    d.prepare(`
-      UPDATE positions SET status = 'closed', closed_at = datetime('now'), current_price = ?, unrealized_pnl = ?
-      WHERE market_id = ? AND token_id = ? AND status = 'open'
-    `).run(exitPrice, pnl, marketId, tokenId);
-
-    d.prepare(`
-      UPDATE trades SET pnl = ?, resolved = 1
-      WHERE id = (
-        SELECT id FROM trades
-        WHERE market_id = ? AND status IN ('executed', 'simulated') AND resolved = 0
-        AND side NOT LIKE 'CLOSE_%'
-        ORDER BY timestamp DESC LIMIT 1
-      )
-    `).run(pnl, marketId);
-  });
-  _close();
-}
-
 /**
  * Update unrealized PnL for open positions using current market prices
  * Side-aware: handles both BUY/YES and SELL/NO positions (audit fix)
@@ -228,17 +560,25 @@ function updateUnrealizedPnl(marketId, tokenId, currentPrice) {
     `SELECT * FROM positions WHERE market_id = ? AND token_id = ? AND status = 'open' LIMIT 1`
   ).get(marketId, tokenId);
 
-  if (pos && pos.entry_price > 0) {
-    const shares = pos.size_usd / pos.entry_price;
+  if (pos && pos.shares > 0) {
     // All positions are token buys — profit when price rises, loss when it drops
-    const unrealized = (shares * currentPrice) - pos.size_usd;
+    const unrealized = (pos.shares * currentPrice) - pos.cost_basis;
     d.prepare(`
-      UPDATE positions SET current_price = ?, unrealized_pnl = ?
+      UPDATE positions SET current_price = ?, unrealized_pnl = ?, peak_price = MAX(peak_price, ?)
       WHERE market_id = ? AND token_id = ? AND status = 'open'
-    `).run(currentPrice, Math.round(unrealized * 100) / 100, marketId, tokenId);
+    `).run(currentPrice, Math.round(unrealized * 100) / 100, currentPrice, marketId, tokenId);
   }
 }
 
+// --- Redemption of resolved positions ---
+function getPositionsByRedeemStatus(status) {
+  return getDb().prepare(`SELECT * FROM positions WHERE redeem_status = ? ORDER BY id ASC`).all(status);
+}
+
+function setRedeemStatus(positionId, status, txHash = '') {
+  getDb().prepare(`UPDATE positions SET redeem_status = ?, redeem_tx = ? WHERE id = ?`).run(status, txHash, positionId);
+}
+
 // --- Trader position snapshots (for detecting new trades) ---
 function getTraderPositions(traderAddress) {
   return getDb().prepare(`SELECT * FROM trader_positions WHERE trader_address = ?`).all(traderAddress.toLowerCase());
@@ -253,10 +593,545 @@ function upsertTraderPosition(tp) {
   `).run(tp.traderAddress.toLowerCase(), tp.marketId, tp.tokenId, tp.side, tp.size, tp.price);
 }
 
+/** One leader position from the last snapshot, or undefined */
+function getTraderPosition(traderAddress, marketId, tokenId) {
+  return getDb().prepare(`SELECT * FROM trader_positions WHERE trader_address = ? AND market_id = ? AND token_id = ?`)
+    .get(traderAddress.toLowerCase(), marketId, tokenId);
+}
+
+/** Leaders whose last snapshot holds this token (consensus votes) */
+function getTokenHolders(tokenId) {
+  return getDb().prepare(`SELECT * FROM trader_positions WHERE token_id = ? AND size > 0`).all(tokenId);
+}
+
 function removeTraderPosition(traderAddress, marketId, tokenId) {
   getDb().prepare(`DELETE FROM trader_positions WHERE trader_address = ? AND market_id = ? AND token_id = ?`).run(traderAddress.toLowerCase(), marketId, tokenId);
 }
 
+// --- Activity feed cursors (last consumed leader trade per trader) ---
+function getActivityCursor(traderAddress) {
+  const row = getDb().prepare(`SELECT * FROM activity_cursors WHERE trader_address = ?`).get(traderAddress.toLowerCase());
+  if (!row) return null;
+  let seenKeys = [];
+  try { seenKeys = JSON.parse(row.seen_keys || '[]'); } catch { /* reset on corrupt row */ }
+  return { lastTs: row.last_ts, seenKeys };
+}
+
+function setActivityCursor(traderAddress, lastTs, seenKeys = []) {
+  getDb().prepare(`
+    INSERT INTO activity_cursors (trader_address, last_ts, seen_keys)
+    VALUES (?, ?, ?)
+    ON CONFLICT(trader_address) DO UPDATE SET
+      last_ts = excluded.last_ts, seen_keys = excluded.seen_keys, updated_at = datetime('now')
+  `).run(traderAddress.toLowerCase(), lastTs, JSON.stringify(seenKeys));
+}
+
+/** Most recent time any stored position of this trader was confirmed (UTC ms), or null */
+function getTraderLastSeen(traderAddress) {
+  const row = getDb().prepare(
+    `SELECT MAX(last_seen) as last_seen FROM trader_positions WHERE trader_address = ?`
+  ).get(traderAddress.toLowerCase());
+  return row && row.last_seen ? new Date(row.last_seen + 'Z').getTime() : null;
+}
+
+/**
+ * One leader's risk budget inputs: open exposure (positions plus resting
+ * orders), today's PnL (realized + unrealized), the current losing streak and
+ * the drawdown of their cumulative PnL from its peak. Realized PnL comes from
+ * CLOSE_* rows only, at their sale time — a full close also writes its PnL onto
+ * the entry row, which would count it twice. `since` (SQL time) limits the
+ * realized history, e.g. to the leader's last re-enable.
+ */
+function getTraderRiskStats(traderAddress, today, since = null) {
+  const d = getDb();
+  const addr = traderAddress.toLowerCase();
+  const open = d.prepare(`
+    SELECT COALESCE(SUM(size_usd), 0) as exposure, COALESCE(SUM(unrealized_pnl), 0) as unrealized
+    FROM positions WHERE status = 'open' AND trader_address = ?
+  `).get(addr);
+  const orders = d.prepare(`
+    SELECT COALESCE(SUM((size - size_matched) * price), 0) as usd FROM open_orders WHERE status = 'open' AND trader_address = ?
+  `).get(addr);
+  const closes = d.prepare(`
+    SELECT pnl, timestamp FROM trades
+    WHERE trader_address = ? AND side LIKE 'CLOSE%' AND status IN ('executed', 'simulated') AND (? IS NULL OR timestamp >= ?)
+    ORDER BY timestamp ASC, id ASC
+  `).all(addr, since, since);
+
+  let cumulative = 0, peak = 0, dailyRealized = 0, streak = 0;
+  for (const t of closes) {
+    cumulative += t.pnl;
+    peak = Math.max(peak, cumulative);
+    if (t.timestamp.slice(0, 10) === today) dailyRealized += t.pnl;
+    streak = t.pnl < 0 ? streak + 1 : 0;
+  }
+  const current = cumulative + open.unrealized;
+  return {
+    exposure: open.exposure + orders.usd,
+    dailyPnl: dailyRealized + open.unrealized,
+    consecutiveLosses: streak,
+    drawdown: Math.max(0, Math.max(peak, current) - current),
+  };
+}
+
+/**
+ * Edge of our closed copies of one leader with an entry price in [priceLo, priceHi)
+ * (KELLY sizing): sample count, wins, and average win / loss in USD. One sample
+ * per closed position — its whole realized PnL (partial closes included) at its
+ * cost-weighted entry price across all lots.
+ */
+function getKellyStats(traderAddress, priceLo, priceHi, mode = 'copy') {
+  return getDb().prepare(`
+    SELECT COUNT(*) as samples,
+      COALESCE(SUM(CASE WHEN pnl > 0 THEN 1 ELSE 0 END), 0) as wins,
+      COALESCE(AVG(CASE WHEN pnl > 0 THEN pnl END), 0) as avgWin,
+      COALESCE(AVG(CASE WHEN pnl <= 0 THEN -pnl END), 0) as avgLoss
+    FROM (
+      SELECT p.realized_pnl as pnl,
+        COALESCE((SELECT SUM(l.cost_usd) / NULLIF(SUM(l.shares), 0) FROM position_lots l WHERE l.position_id = p.id), p.entry_price) as entry
+      FROM positions p
+      WHERE p.trader_address = ? AND p.status = 'closed' AND COALESCE(p.mode, 'copy') = ?
+    )
+    WHERE entry >= ? AND entry < ?
+  `).get(traderAddress.toLowerCase(), mode, priceLo, priceHi);
+}
+
+// --- Market metadata cache (market-meta.js) ---
+function getMarketMeta(marketId) {
+  const row = getDb().prepare(`SELECT * FROM market_meta WHERE market_id = ?`).get(marketId);
+  if (!row) return null;
+  let tags = [];
+  try { tags = JSON.parse(row.tags || '[]'); } catch { /* treat as untagged */ }
+  return {
+    marketId: row.market_id, question: row.question, slug: row.slug, eventId: row.event_id,
+    negRisk: !!row.neg_risk, tags, endDate: row.end_date, active: !!row.active, closed: !!row.closed,
+    volume24h: row.volume_24h, fetchedAt: row.fetched_at,
+  };
+}
+
+function upsertMarketMeta(m) {
+  getDb().prepare(`
+    INSERT INTO market_meta (market_id, question, slug, event_id, neg_risk, tags, end_date, active, closed, volume_24h, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(market_id) DO UPDATE SET
+      question = excluded.question, slug = excluded.slug, event_id = excluded.event_id, neg_risk = excluded.neg_risk,
+      tags = excluded.tags, end_date = excluded.end_date, active = excluded.active, closed = excluded.closed,
+      volume_24h = excluded.volume_24h, fetched_at = excluded.fetched_at
+  `).run(
+    m.marketId, m.question || '', m.slug || '', m.eventId || '', m.negRisk ? 1 : 0, JSON.stringify(m.tags || []),
+    m.endDate || null, m.active === false ? 0 : 1, m.closed ? 1 : 0, m.volume24h ?? null, m.fetchedAt
+  );
+}
+
+/**
+ * Per-stage latency stamps of trades since `since` (SQL datetime) — rows the
+ * bot detected itself, oldest first. Unix ms; null where a stage never happened.
+ */
+function getLatencyRows(since) {
+  return getDb().prepare(`
+    SELECT id, trader_address, side, status, leader_ts, detected_ts, decided_ts, submitted_ts, filled_ts, cycle_ts
+    FROM trades WHERE detected_ts IS NOT NULL AND timestamp >= ? ORDER BY id ASC
+  `).all(since);
+}
+
+/**
+ * Filled trades since `since` (SQL datetime) with a leader reference price, for
+ * copy-slippage analytics. Closes count only with the leader's exit fill (leader_ts
+ * set) — older paper closes stored the leader's entry price as leader_price.
+ */
+function getSlippageRows(since) {
+  return getDb().prepare(`
+    SELECT id, timestamp, trader_address, bucket, market_id, market_name, side, price, leader_price, mid_price, size_usd, mode
+    FROM trades
+    WHERE status IN ('executed', 'simulated') AND leader_price > 0 AND price > 0 AND size_usd > 0 AND timestamp >= ?
+    AND (side NOT LIKE 'CLOSE%' OR leader_ts > 0)
+    ORDER BY id ASC
+  `).all(since);
+}
+
+/**
+ * Signals stopped per market filter rule since `since` (SQL datetime): { ruleId: count }
+ */
+function getFilterRuleHits(since) {
+  const rows = getDb().prepare(`
+    SELECT filter_rule, COUNT(*) AS hits FROM trades
+    WHERE filter_rule != '' AND timestamp >= ? GROUP BY filter_rule
+  `).all(since);
+  return Object.fromEntries(rows.map(r => [r.filter_rule, r.hits]));
+}
+
+// --- Downtime catch-up plan ---
+function insertCatchupAction(a) {
+  return getDb().prepare(`
+    INSERT INTO catchup_actions (plan_id, trader_address, market_id, token_id, market_name, action, reason, signal, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    a.planId, a.traderAddress.toLowerCase(), a.marketId, a.tokenId, a.marketName || '',
+    a.action, a.reason || '', a.signal ? JSON.stringify(a.signal) : '', a.status || 'pending'
+  ).lastInsertRowid;
+}
+
+function getCatchupActions(limit = 100) {
+  return getDb().prepare(`SELECT * FROM catchup_actions ORDER BY id DESC LIMIT ?`).all(limit);
+}
+
+function getCatchupActionsByStatus(status) {
+  return getDb().prepare(`SELECT * FROM catchup_actions WHERE status = ? ORDER BY id ASC`).all(status);
+}
+
+function getCatchupAction(id) {
+  return getDb().prepare(`SELECT * FROM catchup_actions WHERE id = ?`).get(id);
+}
+
+function setCatchupActionStatus(id, status) {
+  getDb().prepare(`UPDATE catchup_actions SET status = ?, resolved_at = datetime('now') WHERE id = ?`).run(status, id);
+}
+
+/**
+ * Expire undecided actions from a previous plan — the snapshot they were built
+ * against has since been replaced, so approving them later would be unsafe.
+ */
+function expireCatchupActions() {
+  return getDb().prepare(
+    `UPDATE catchup_actions SET status = 'expired', resolved_at = datetime('now') WHERE status IN ('pending', 'approved')`
+  ).run().changes;
+}
+
+// --- Durable signal queue (signal-queue.js) ---
+
+/** Whether this dedup key is still queued, or was enqueued at or after sinceTs (ms) */
+function isSignalQueued(dedupKey, sinceTs) {
+  return !!getDb().prepare(`
+    SELECT 1 FROM signal_queue WHERE dedup_key = ? AND (status IN ('pending', 'executing') OR created_ts >= ?) LIMIT 1
+  `).get(dedupKey, sinceTs);
+}
+
+/** Open aggregation group for a key: pending head row still inside its window with room for more members */
+function getAggregationGroup(aggKey, nowTs, maxMembers) {
+  return getDb().prepare(`
+    SELECT q.*, (SELECT COUNT(*) FROM signal_queue m WHERE m.group_id = q.id) + 1 as members
+    FROM signal_queue q
+    WHERE q.agg_key = ? AND q.group_id IS NULL AND q.status = 'pending' AND q.available_ts > ?
+    AND (SELECT COUNT(*) FROM signal_queue m WHERE m.group_id = q.id) + 1 < ?
+    ORDER BY q.id DESC LIMIT 1
+  `).get(aggKey, nowTs, maxMembers);
+}
+
+function insertQueuedSignal(q) {
+  return getDb().prepare(`
+    INSERT INTO signal_queue (dedup_key, lane, agg_key, group_id, trader_address, market_id, token_id, type, signal, created_ts, available_ts)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    q.dedupKey, q.lane, q.aggKey || '', q.groupId || null, q.traderAddress.toLowerCase(),
+    q.marketId, q.tokenId, q.type, JSON.stringify(q.signal), q.createdTs, q.availableTs
+  ).lastInsertRowid;
+}
+
+/** Make a lane's buffered aggregation groups ready now; returns the number flushed */
+function flushAggregationGroups(lane, nowTs) {
+  return getDb().prepare(`
+    UPDATE signal_queue SET available_ts = ?
+    WHERE lane = ? AND status = 'pending' AND group_id IS NULL AND available_ts > ?
+  `).run(nowTs, lane, nowTs).changes;
+}
+
+/** Head rows ready to execute (aggregation members ride with their head), oldest first */
+function getReadyQueuedSignals(nowTs) {
+  return getDb().prepare(`
+    SELECT * FROM signal_queue WHERE status = 'pending' AND group_id IS NULL AND available_ts <= ? ORDER BY id ASC
+  `).all(nowTs);
+}
+
+/** A head row and its aggregation members, in enqueue order */
+function getQueuedSignalGroup(id) {
+  return getDb().prepare(`SELECT * FROM signal_queue WHERE id = ? OR group_id = ? ORDER BY id ASC`).all(id, id);
+}
+
+/** Move a head row (and its members) to a new status */
+function setQueuedSignalStatus(id, status, error = '') {
+  const now = clock.sqlNow();
+  const done = ['done', 'failed', 'expired'].includes(status);
+  getDb().prepare(`
+    UPDATE signal_queue SET status = ?, error = ?,
+      started_at = CASE WHEN ? = 'executing' THEN ? ELSE started_at END,
+      finished_at = CASE WHEN ? THEN ? ELSE finished_at END
+    WHERE id = ? OR group_id = ?
+  `).run(status, error, status, now, done ? 1 : 0, now, id, id);
+}
+
+/** Expire pending rows enqueued before beforeTs; returns the number expired */
+function expireQueuedSignals(beforeTs) {
+  return getDb().prepare(`
+    UPDATE signal_queue SET status = 'expired', error = 'Waited too long in the queue', finished_at = ?
+    WHERE status = 'pending' AND created_ts < ?
+  `).run(clock.sqlNow(), beforeTs).changes;
+}
+
+/** Rows left executing by a crash — the order may have gone out, so they are never retried */
+function failInterruptedSignals() {
+  return getDb().prepare(`
+    UPDATE signal_queue SET status = 'failed', error = 'Interrupted by a restart mid-execution', finished_at = ?
+    WHERE status = 'executing'
+  `).run(clock.sqlNow()).changes;
+}
+
+/** Drop finished rows enqueued before beforeTs */
+function pruneSignalQueue(beforeTs) {
+  return getDb().prepare(`DELETE FROM signal_queue WHERE status IN ('done', 'failed', 'expired') AND created_ts < ?`).run(beforeTs).changes;
+}
+
+function getSignalQueueCounts() {
+  const rows = getDb().prepare(`SELECT status, COUNT(*) as count FROM signal_queue GROUP BY status`).all();
+  return Object.fromEntries(rows.map(r => [r.status, r.count]));
+}
+
+// --- Entries waiting for confirmation (confirmation.js) ---
+function insertPendingSignal(p) {
+  return getDb().prepare(`
+    INSERT INTO pending_signals (trader_address, market_id, token_id, market_name, type, price, leader_size, due_ts, signal)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    p.traderAddress.toLowerCase(), p.marketId, p.tokenId, p.marketName || '',
+    p.type, p.price || 0, p.leaderSize || 0, p.dueTs, JSON.stringify(p.signal)
+  ).lastInsertRowid;
+}
+
+/** Waiting signals, earliest due first */
+function getPendingSignals() {
+  return getDb().prepare(`SELECT * FROM pending_signals WHERE status = 'pending' ORDER BY due_ts ASC, id ASC`).all();
+}
+
+/** Decided signals, newest first */
+function getResolvedPendingSignals(limit = 50) {
+  return getDb().prepare(`SELECT * FROM pending_signals WHERE status != 'pending' ORDER BY resolved_at DESC, id DESC LIMIT ?`).all(limit);
+}
+
+function resolvePendingSignal(id, status, reason = '') {
+  getDb().prepare(`UPDATE pending_signals SET status = ?, reason = ?, resolved_at = ? WHERE id = ?`)
+    .run(status, reason, clock.sqlNow(), id);
+}
+
+// --- Resting limit orders ---
+function insertOpenOrder(o) {
+  return getDb().prepare(`
+    INSERT INTO open_orders (order_id, trade_id, trader_address, bucket, market_id, token_id, market_name, side, price, size, leader_price, leader_size_usd, expires_at, mode)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    o.orderId, o.tradeId || null, o.traderAddress, o.bucket, o.marketId, o.tokenId, o.marketName || '',
+    o.side, o.price, o.size, o.leaderPrice || 0, o.leaderSizeUsd || 0, o.expiresAt, o.mode || 'copy'
+  ).lastInsertRowid;
+}
+
+function getOpenOrders() {
+  return getDb().prepare(`SELECT * FROM open_orders WHERE status = 'open' ORDER BY id ASC`).all();
+}
+
+function getRecentOrders(limit = 50) {
+  return getDb().prepare(`SELECT * FROM open_orders ORDER BY id DESC LIMIT ?`).all(limit);
+}
+
+function getOpenOrderByToken(marketId, tokenId) {
+  return getDb().prepare(
+    `SELECT * FROM open_orders WHERE market_id = ? AND token_id = ? AND status = 'open' LIMIT 1`
+  ).get(marketId, tokenId);
+}
+
+function setOpenOrderMatched(id, sizeMatched) {
+  getDb().prepare(`UPDATE open_orders SET size_matched = ? WHERE id = ?`).run(sizeMatched, id);
+}
+
+function closeOpenOrder(id, status, cancelReason = '') {
+  getDb().prepare(
+    `UPDATE open_orders SET status = ?, cancel_reason = ?, closed_at = datetime('now') WHERE id = ?`
+  ).run(status, cancelReason, id);
+}
+
+/** USD still reserved by resting orders (unfilled remainder at limit price) */
+function getOpenOrdersExposure() {
+  const row = getDb().prepare(
+    `SELECT COALESCE(SUM((size - size_matched) * price), 0) as usd FROM open_orders WHERE status = 'open'`
+  ).get();
+  return row.usd;
+}
+
+/** Update a trade row once its outcome is known (resting orders are logged at placement) */
+function updateTradeResult(id, t) {
+  getDb().prepare(`
+    UPDATE trades SET status = ?, price = ?, size_usd = ?, notes = ? WHERE id = ?
+  `).run(t.status, t.price, t.sizeUsd, t.notes || '', id);
+}
+
+/** First fill time of a resting order's trade row (unix ms) — later partial fills keep it */
+function setTradeFilledTs(id, ts) {
+  getDb().prepare(`UPDATE trades SET filled_ts = ? WHERE id = ? AND filled_ts IS NULL`).run(ts, id);
+}
+
+/** Flag a trade whose fill failed after the fact (reverted or dropped on-chain) */
+function markTradeFailed(id, note) {
+  getDb().prepare(
+    `UPDATE trades SET status = 'failed', notes = CASE WHEN notes = '' THEN ? ELSE notes || ' | ' || ? END WHERE id = ?`
+  ).run(note, note, id);
+}
+
+/**
+ * Remove a failed BUY fill from its open position — the shares come out of the
+ * newest lots first (the failed fill is the most recent). Closes it as 'reverted'
+ * if nothing remains.
+ */
+function reversePositionFill(marketId, tokenId, shares) {
+  const d = getDb();
+  const pos = getOpenPositionByMarket(marketId, tokenId);
+  if (!pos) return;
+  const _reverse = d.transaction(() => {
+    let left = shares;
+    const lots = d.prepare(
+      `SELECT * FROM position_lots WHERE position_id = ? AND remaining_shares > 0 ORDER BY id DESC`
+    ).all(pos.id);
+    for (const lot of lots) {
+      if (left <= 1e-6) break;
+      const take = Math.min(lot.remaining_shares, left);
+      d.prepare(`
+        UPDATE position_lots SET remaining_shares = ROUND(remaining_shares - ?, 6), shares = ROUND(shares - ?, 6), cost_usd = ROUND(cost_usd - ?, 6)
+        WHERE id = ?
+      `).run(take, take, take * lot.price, lot.id);
+      left -= take;
+    }
+    if (syncPositionFromLots(d, pos.id) < 0.01) {
+      d.prepare(`UPDATE positions SET status = 'reverted', size_usd = 0, closed_at = datetime('now') WHERE id = ?`).run(pos.id);
+    }
+  });
+  _reverse();
+}
+
+// --- Order ledger (every submitted order, its fills and state transitions) ---
+function insertLedgerOrder(o) {
+  return getDb().prepare(`
+    INSERT INTO order_ledger (order_id, trade_id, order_type, side, market_id, token_id, request)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    o.orderId || '', o.tradeId || null, o.orderType, o.side, o.marketId, o.tokenId,
+    JSON.stringify(o.request || {})
+  ).lastInsertRowid;
+}
+
+const LEDGER_FIELDS = {
+  orderId: 'order_id', tradeId: 'trade_id', response: 'response', status: 'status',
+  sizeMatched: 'size_matched', avgPrice: 'avg_price', usdAmount: 'usd_amount',
+  feeRateBps: 'fee_rate_bps', feeUsd: 'fee_usd', txHashes: 'tx_hashes', error: 'error',
+};
+
+function updateLedgerOrder(id, patch) {
+  const sets = [];
+  const values = [];
+  for (const [key, col] of Object.entries(LEDGER_FIELDS)) {
+    if (patch[key] === undefined) continue;
+    const v = patch[key];
+    sets.push(`${col} = ?`);
+    values.push(key === 'response' || key === 'txHashes' ? JSON.stringify(v) : v);
+  }
+  if (sets.length === 0) return;
+  getDb().prepare(`UPDATE order_ledger SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`).run(...values, id);
+}
+
+function addOrderEvent(ledgerId, status, detail = '') {
+  getDb().prepare(`INSERT INTO order_events (ledger_id, status, detail) VALUES (?, ?, ?)`).run(ledgerId, status, String(detail).slice(0, 500));
+}
+
+function getLedgerOrder(id) {
+  return getDb().prepare(`SELECT * FROM order_ledger WHERE id = ?`).get(id);
+}
+
+function getLedgerOrderByOrderId(orderId) {
+  return getDb().prepare(`SELECT * FROM order_ledger WHERE order_id = ? ORDER BY id DESC LIMIT 1`).get(orderId);
+}
+
+function getLedgerOrders(limit = 50) {
+  return getDb().prepare(`SELECT * FROM order_ledger ORDER BY id DESC LIMIT ?`).all(limit);
+}
+
+/** Matched/mined orders with tx hashes still awaiting on-chain confirmation */
+function getUnconfirmedLedgerOrders() {
+  return getDb().prepare(
+    `SELECT * FROM order_ledger WHERE status IN ('matched', 'mined') AND tx_hashes != '[]' ORDER BY id ASC`
+  ).all();
+}
+
+function getOrderEvents(ledgerId) {
+  return getDb().prepare(`SELECT * FROM order_events WHERE ledger_id = ? ORDER BY id ASC`).all(ledgerId);
+}
+
+// --- On-chain reconciliation (positions vs wallet CTF balances) ---
+function insertMismatch(m) {
+  return getDb().prepare(`
+    INSERT INTO position_mismatches (position_id, market_id, token_id, market_name, db_shares, chain_shares)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(m.positionId, m.marketId, m.tokenId, m.marketName || '', m.dbShares, m.chainShares).lastInsertRowid;
+}
+
+/** Latest mismatch for a position in the given status (open = still unresolved) */
+function getPositionMismatch(positionId, status = 'open') {
+  return getDb().prepare(
+    `SELECT * FROM position_mismatches WHERE position_id = ? AND status = ? ORDER BY id DESC LIMIT 1`
+  ).get(positionId, status);
+}
+
+function getMismatch(id) {
+  return getDb().prepare(`SELECT * FROM position_mismatches WHERE id = ?`).get(id);
+}
+
+function getMismatches(limit = 50) {
+  return getDb().prepare(`SELECT * FROM position_mismatches ORDER BY id DESC LIMIT ?`).all(limit);
+}
+
+function updateMismatchBalances(id, dbShares, chainShares) {
+  getDb().prepare(`
+    UPDATE position_mismatches SET db_shares = ?, chain_shares = ?, checked_at = datetime('now') WHERE id = ?
+  `).run(dbShares, chainShares, id);
+}
+
+function setMismatchStatus(id, status, resolvedBy = 'system') {
+  getDb().prepare(`
+    UPDATE position_mismatches SET status = ?, resolved_at = datetime('now'), resolved_by = ? WHERE id = ?
+  `).run(status, resolvedBy, id);
+}
+
+/**
+ * Set a position's share count to what the wallet actually holds.
+ * Missing shares come out of the oldest lots with no realized PnL (the sale
+ * price is unknown); extra shares become a new lot at the average entry price.
+ * Closes the position if nothing remains.
+ */
+function adjustPositionShares(positionId, shares) {
+  const d = getDb();
+  const _adjust = d.transaction(() => {
+    const pos = d.prepare(`SELECT * FROM positions WHERE id = ?`).get(positionId);
+    if (!pos || pos.status !== 'open') return false;
+    let diff = Math.round((shares - pos.shares) * 1e6) / 1e6;
+
+    if (diff > 0) {
+      d.prepare(`
+        INSERT INTO position_lots (position_id, price, shares, remaining_shares, cost_usd) VALUES (?, ?, ?, ?, ?)
+      `).run(positionId, pos.entry_price, diff, diff, diff * pos.entry_price);
+    } else {
+      const lots = d.prepare(
+        `SELECT * FROM position_lots WHERE position_id = ? AND remaining_shares > 0 ORDER BY id ASC`
+      ).all(positionId);
+      for (const lot of lots) {
+        if (diff >= -1e-6) break;
+        const take = Math.min(lot.remaining_shares, -diff);
+        d.prepare(`UPDATE position_lots SET remaining_shares = ROUND(remaining_shares - ?, 6) WHERE id = ?`).run(take, lot.id);
+        diff += take;
+      }
+    }
+
+    if (syncPositionFromLots(d, positionId) < 0.01) {
+      d.prepare(`UPDATE positions SET status = 'closed', closed_at = datetime('now'), close_reason = 'CLOSE_RECONCILE' WHERE id = ?`).run(positionId);
+    }
+    return true;
+  });
+  return _adjust();
+}
+
 // --- Snapshots ---
 function saveSnapshot(snap) {
   getDb().prepare(`INSERT INTO snapshots (equity, open_positions, total_exposure, daily_pnl, total_pnl) VALUES (?, ?, ?, ?, ?)`).run(snap.equity, snap.openPositions, snap.totalExposure, snap.dailyPnl, snap.totalPnl);
@@ -289,10 +1164,10 @@ function getPaginatedTrades(limit = 25, offset = 0, filters = {}) {
 
   // Search filter (escape LIKE wildcards in user input)
   if (filters.search) {
-    where.push("(market_name LIKE ? ESCAPE '\\' OR trader_address LIKE ? ESCAPE '\\' OR side LIKE ? ESCAPE '\\' OR bucket LIKE ? ESCAPE '\\' OR status LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\')");
+    where.push("(market_name LIKE ? ESCAPE '\\' OR trader_address LIKE ? ESCAPE '\\' OR side LIKE ? ESCAPE '\\' OR bucket LIKE ? ESCAPE '\\' OR status LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\' OR mode LIKE ? ESCAPE '\\')");
     const escaped = filters.search.replace(/[\\%_]/g, c => '\\' + c);
     const q = `%${escaped}%`;
-    params.push(q, q, q, q, q, q);
+    params.push(q, q, q, q, q, q, q);
   }
 
   const whereClause = where.length ? `WHERE ${where.join(' AND ')}` : '';
@@ -316,10 +1191,10 @@ function getPaginatedTrades(limit = 25, offset = 0, filters = {}) {
     countWhere.push("timestamp >= datetime('now', '-30 days')");
   }
   if (filters.search) {
-    countWhere.push("(market_name LIKE ? ESCAPE '\\' OR trader_address LIKE ? ESCAPE '\\' OR side LIKE ? ESCAPE '\\' OR bucket LIKE ? ESCAPE '\\' OR status LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\')");
+    countWhere.push("(market_name LIKE ? ESCAPE '\\' OR trader_address LIKE ? ESCAPE '\\' OR side LIKE ? ESCAPE '\\' OR bucket LIKE ? ESCAPE '\\' OR status LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\' OR mode LIKE ? ESCAPE '\\')");
     const escaped = filters.search.replace(/[\\%_]/g, c => '\\' + c);
     const q = `%${escaped}%`;
-    countParams.push(q, q, q, q, q, q);
+    countParams.push(q, q, q, q, q, q, q);
   }
   const countWhereClause = countWhere.length ? `WHERE ${countWhere.join(' AND ')}` : '';
 
@@ -368,6 +1243,11 @@ function getTradeStats(range = 'all') {
     `SELECT trader_address, COUNT(*) as count, COALESCE(SUM(pnl), 0) as pnl FROM trades WHERE status IN ('executed', 'simulated') ${cutoffClause} GROUP BY trader_address`
   ).all(...cutoffParam);
 
+  // Copies vs fades (inverse trades of fade-mode leaders)
+  const byMode = d.prepare(
+    `SELECT mode, COUNT(*) as count, COALESCE(SUM(pnl), 0) as pnl FROM trades WHERE status IN ('executed', 'simulated') ${cutoffClause} GROUP BY mode`
+  ).all(...cutoffParam);
+
   const resolvedTrades = d.prepare(
     `SELECT timestamp, pnl FROM trades WHERE resolved = 1 ${cutoffClause} ORDER BY timestamp ASC`
   ).all(...cutoffParam);
@@ -384,7 +1264,59 @@ function getTradeStats(range = 'all') {
   ).all(snapLimit);
 
   const profitFactor = summary.grossLosses === 0 ? (summary.gains > 0 ? Infinity : 0) : Math.round((summary.gains / summary.grossLosses) * 100) / 100;
-  return { total: summary.total, wins: summary.wins, losses: summary.losses, totalPnl: summary.totalPnl, profitFactor, byBucket, byTrader, resolvedTrades, dailyPnl, recentSnapshots };
+  return { total: summary.total, wins: summary.wins, losses: summary.losses, totalPnl: summary.totalPnl, profitFactor, byBucket, byTrader, byMode, resolvedTrades, dailyPnl, recentSnapshots };
+}
+
+/**
+ * Copy scorecard inputs per leader since a SQL timestamp (null = all time):
+ *   entries      — executed/simulated entries: count, volume, avg slippage vs the
+ *                  leader's price (%), avg detection lag (seconds, when leader_ts is known)
+ *   closed       — closed positions: wins, losses, gains, gross losses, realized PnL, avg hold
+ * Returns Map(address → { entries, closed }).
+ */
+function getTraderCopyStats(since = null, traderAddress = null) {
+  const d = getDb();
+  const params = [since || '0000'];
+  let traderClause = '';
+  if (traderAddress) {
+    traderClause = ' AND trader_address = ?';
+    params.push(traderAddress.toLowerCase());
+  }
+
+  const entries = d.prepare(`
+    SELECT trader_address,
+      COUNT(*) as count,
+      COALESCE(SUM(size_usd), 0) as volume,
+      AVG(CASE WHEN leader_price > 0 THEN (price - leader_price) / leader_price * 100 END) as avgSlippagePct,
+      AVG(CASE WHEN leader_ts > 0 AND detected_ts > 0 THEN (detected_ts - leader_ts) / 1000.0 END) as avgDetectionLagSec
+    FROM trades
+    WHERE status IN ('executed', 'simulated') AND side NOT LIKE 'CLOSE%' AND timestamp >= ? ${traderClause}
+    GROUP BY trader_address
+  `).all(...params);
+
+  const closed = d.prepare(`
+    SELECT trader_address,
+      COUNT(*) as count,
+      SUM(CASE WHEN realized_pnl > 0 THEN 1 ELSE 0 END) as wins,
+      SUM(CASE WHEN realized_pnl < 0 THEN 1 ELSE 0 END) as losses,
+      COALESCE(SUM(realized_pnl), 0) as realizedPnl,
+      COALESCE(SUM(CASE WHEN realized_pnl > 0 THEN realized_pnl ELSE 0 END), 0) as gains,
+      COALESCE(SUM(CASE WHEN realized_pnl < 0 THEN -realized_pnl ELSE 0 END), 0) as grossLosses,
+      AVG((julianday(closed_at) - julianday(opened_at)) * 24) as avgHoldHours
+    FROM positions
+    WHERE status = 'closed' AND closed_at >= ? ${traderClause}
+    GROUP BY trader_address
+  `).all(...params);
+
+  const stats = new Map();
+  const get = (addr) => {
+    const key = addr.toLowerCase();
+    if (!stats.has(key)) stats.set(key, { entries: null, closed: null });
+    return stats.get(key);
+  };
+  for (const r of entries) get(r.trader_address).entries = r;
+  for (const r of closed) get(r.trader_address).closed = r;
+  return stats;
 }
 
 function getProfitFactor() {
@@ -398,14 +1330,19 @@ function getProfitFactor() {
 function getMaxDrawdown() {
   const d = getDb();
   const snapshots = d.prepare(`SELECT equity FROM snapshots ORDER BY timestamp ASC`).all();
-  if (snapshots.length === 0) return { maxDrawdown: 0, currentDrawdown: 0 };
+  if (snapshots.length === 0) return { maxDrawdown: 0, currentDrawdown: 0, drawdownSinceHigh: 0 };
 
   let peak = snapshots[0].equity;
   let maxDd = 0;
+  let sinceHigh = 0; // deepest drawdown since equity was last at its peak (de-risk tiers)
   for (const s of snapshots) {
-    if (s.equity > peak) peak = s.equity;
+    if (s.equity >= peak) {
+      peak = s.equity;
+      sinceHigh = 0;
+    }
     const dd = peak > 0 ? (peak - s.equity) / peak : 0;
     if (dd > maxDd) maxDd = dd;
+    if (dd > sinceHigh) sinceHigh = dd;
   }
 
   // Current drawdown: peak is already the all-time peak after the loop
@@ -415,6 +1352,7 @@ function getMaxDrawdown() {
   return {
     maxDrawdown: Math.round(maxDd * 10000) / 100,      // percentage
     currentDrawdown: Math.round(currentDd * 10000) / 100,
+    drawdownSinceHigh: Math.round(sinceHigh * 10000) / 100,
   };
 }
 
@@ -484,11 +1422,24 @@ function close() {
 }
 
 module.exports = {
-  init, getDb, close, logTrade, upsertPosition, getOpenPositions, closePosition,
-  getOpenPositionByMarket, closePositionWithPnl, updateUnrealizedPnl,
-  getTraderPositions, upsertTraderPosition, removeTraderPosition,
+  init, useDatabase, getDb, close, logTrade, upsertPosition, getOpenPositions, closePosition,
+  getOpenPositionByMarket, getPositionLots, applyLotSale, updateUnrealizedPnl,
+  getPositionsByRedeemStatus, setRedeemStatus,
+  getTraderPositions, getTraderPosition, upsertTraderPosition, removeTraderPosition, getTokenHolders,
+  getMarketMeta, upsertMarketMeta, getFilterRuleHits, getLatencyRows, getSlippageRows,
+  getActivityCursor, setActivityCursor, getTraderLastSeen,
+  isSignalQueued, getAggregationGroup, flushAggregationGroups, insertQueuedSignal, getReadyQueuedSignals, getQueuedSignalGroup,
+  setQueuedSignalStatus, expireQueuedSignals, failInterruptedSignals, pruneSignalQueue, getSignalQueueCounts,
+  insertPendingSignal, getPendingSignals, getResolvedPendingSignals, resolvePendingSignal,
+  insertCatchupAction, getCatchupActions, getCatchupActionsByStatus, getCatchupAction, setCatchupActionStatus, expireCatchupActions,
+  insertOpenOrder, getOpenOrders, getRecentOrders, getOpenOrderByToken, setOpenOrderMatched, closeOpenOrder,
+  getOpenOrdersExposure, updateTradeResult, setTradeFilledTs,
+  insertLedgerOrder, updateLedgerOrder, addOrderEvent, getLedgerOrder, getLedgerOrderByOrderId,
+  getLedgerOrders, getUnconfirmedLedgerOrders, getOrderEvents, markTradeFailed, reversePositionFill,
+  insertMismatch, getPositionMismatch, getMismatch, getMismatches, updateMismatchBalances, setMismatchStatus,
+  adjustPositionShares,
   saveSnapshot, getRecentTrades, getPaginatedTrades, getTradeStats,
-  getProfitFactor, getMaxDrawdown,
+  getProfitFactor, getMaxDrawdown, getTraderCopyStats, getTraderRiskStats, getKellyStats,
   isDedupRecorded, recordDedup, cleanupExpiredDedup,
   logAudit, getAuditLog,
   getAllTrades, getAllAuditLog, getAllSnapshots,
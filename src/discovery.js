@@ -0,0 +1,227 @@
+/**
+ * Trader Discovery v1.0
+ *
+ * Finds leaders worth copying instead of hunting for addresses by hand:
+ *
+ *   leaderboard, per DISCOVERY_CATEGORIES (minus traders already configured)
+ *     → volume ≥ DISCOVERY_MIN_VOLUME
+ *     → fills over the last DISCOVERY_DAYS: at least DISCOVERY_MIN_TRADES,
+ *       the latest within DISCOVERY_MAX_IDLE_HOURS
+ *     → backtest replay of those fills (offline, no resolution lookups)
+ *     → win rate ≥ DISCOVERY_MIN_WIN_RATE and a non-negative return
+ *     → shortlist, with a suggested bucket (grinder above
+ *       DISCOVERY_GRINDER_FILLS_PER_DAY fills per day, event otherwise)
+ *
+ * The busiest DISCOVERY_MAX_CANDIDATES leaders by volume are evaluated per scan.
+ * Every evaluated candidate is stored with its verdict in data/backtest.db, and
+ * each replay is an ordinary backtest run. The dashboard forks this file like a
+ * backtest and adds shortlisted leaders to hot-config in one click.
+ *
+ * Data comes through a source adapter — { leaderboard({ category, period, limit }),
+ * activity(address, sinceTs) } — by default the Data API at DISCOVERY_API_URL,
+ * so a local fixture server can stand in for it:
+ *   GET /v1/leaderboard?category=OVERALL&timePeriod=MONTH&orderBy=VOL&limit=25
+ *     → [{ rank, proxyWallet, userName, vol, pnl }]
+ *   GET /activity?user=…&type=TRADE&start=…  (same rows as monitor.js)
+ *
+ * Usage:
+ *   npm run discover [-- --verbose]
+ */
+
+// Replays log every simulated fill at info — keep the CLI readable unless asked
+if (require.main === module && !process.env.LOG_LEVEL) {
+  process.env.LOG_LEVEL = process.argv.includes('--verbose') ? 'info' : 'warn';
+}
+
+const { config } = require('./config');
+const db = require('./db');
+const hotConfig = require('./hot-config');
+const backtest = require('./backtest');
+const results = require('./backtest-results');
+const log = require('./logger');
+const C = require('./constants');
+
+/**
+ * Default source: the Data API (or anything serving the same routes) at baseUrl.
+ * fetchImpl is injectable for tests. Both methods throw on HTTP/network errors.
+ */
+function createDataApiSource({ baseUrl = config.discovery.apiUrl, fetchImpl = fetch } = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const getJson = async (url) => {
+    const res = await fetchImpl(url, { signal: AbortSignal.timeout(C.DISCOVERY_FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url.split('?')[0]}`);
+    return res.json();
+  };
+
+  return {
+    async leaderboard({ category, period, limit }) {
+      const url = `${base}/v1/leaderboard?category=${encodeURIComponent(category.toUpperCase())}` +
+        `&timePeriod=${encodeURIComponent(period.toUpperCase())}&orderBy=VOL&limit=${limit}`;
+      const data = await getJson(url);
+      const rows = Array.isArray(data) ? data : data.leaderboard || data.data || [];
+      return rows
+        .map(r => ({
+          address: String(r.proxyWallet || r.address || r.user || '').toLowerCase(),
+          name: String(r.userName || r.name || ''),
+          volume: parseFloat(r.vol ?? r.volume) || 0,
+          pnl: parseFloat(r.pnl) || 0,
+        }))
+        .filter(r => /^0x[a-f0-9]{40}$/.test(r.address));
+    },
+
+    async activity(address, sinceTs) {
+      const trades = [];
+      for (let page = 0, offset = 0; page < C.DISCOVERY_MAX_ACTIVITY_PAGES; page++, offset += C.ACTIVITY_PAGE_LIMIT) {
+        const data = await getJson(`${base}/activity?user=${address}&type=TRADE&start=${sinceTs}` +
+          `&sortBy=TIMESTAMP&sortDirection=ASC&limit=${C.ACTIVITY_PAGE_LIMIT}&offset=${offset}`);
+        const items = Array.isArray(data) ? data : [];
+        trades.push(...items.filter(t => !t.type || t.type === 'TRADE'));
+        if (items.length < C.ACTIVITY_PAGE_LIMIT) break;
+      }
+      return trades;
+    },
+  };
+}
+
+/**
+ * Leaderboard entries across categories, merged per address, busiest first.
+ * Traders already in hot-config are left out.
+ */
+async function collectCandidates(source, cfg) {
+  const byAddress = new Map();
+  for (const category of cfg.categories) {
+    let rows;
+    try {
+      rows = await source.leaderboard({ category, period: cfg.period, limit: cfg.limit });
+    } catch (err) {
+      log.warn(`Discovery: leaderboard "${category}" unavailable — ${err.message}`);
+      continue;
+    }
+    for (const r of rows) {
+      if (hotConfig.getTraderConfig(r.address)) continue;
+      const c = byAddress.get(r.address) || { ...r, categories: [] };
+      c.volume = Math.max(c.volume, r.volume);
+      c.categories.push(category);
+      byAddress.set(r.address, c);
+    }
+  }
+  return [...byAddress.values()].sort((a, b) => b.volume - a.volume);
+}
+
+/** Fresh in-memory database for the next replay */
+function resetScratch() {
+  db.close();
+  db.useDatabase(':memory:');
+  db.init();
+}
+
+/**
+ * Verdict for one candidate: the fields stored in discovery_candidates.
+ */
+async function evaluate(candidate, source, cfg) {
+  const c = { ...candidate, status: 'rejected' };
+  if (c.volume < cfg.minVolume) {
+    return { ...c, reason: `Volume $${Math.round(c.volume)} < $${cfg.minVolume}` };
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  let fills;
+  try {
+    fills = await source.activity(c.address, nowSec - cfg.days * 86400);
+  } catch (err) {
+    return { ...c, reason: `Activity unavailable: ${err.message}` };
+  }
+  c.trades = fills.length;
+  const lastTs = fills.reduce((max, t) => Math.max(max, parseInt(t.timestamp) || 0), 0);
+  c.lastTradeAt = lastTs ? new Date(lastTs * 1000).toISOString() : null;
+  if (fills.length < cfg.minTrades) {
+    return { ...c, reason: `${fills.length} fills in ${cfg.days}d < ${cfg.minTrades}` };
+  }
+  const idleHours = (nowSec - lastTs) / 3600;
+  if (idleHours > cfg.maxIdleHours) {
+    return { ...c, reason: `Idle ${Math.round(idleHours)}h > ${cfg.maxIdleHours}h` };
+  }
+  c.bucket = fills.length / cfg.days > C.DISCOVERY_GRINDER_FILLS_PER_DAY ? 'grinder' : 'event';
+
+  let replay;
+  try {
+    resetScratch();
+    replay = await backtest.runBacktest({
+      traderAddress: c.address, bucket: c.bucket, days: cfg.days, activity: fills, offline: true,
+    });
+  } catch (err) {
+    return { ...c, reason: `Replay failed: ${err.message}` };
+  }
+  const m = replay.metrics;
+  c.backtestId = replay.runId;
+  c.metrics = {
+    returnPct: m.returnPct, winRate: m.winRate, closedPositions: m.closedPositions, copied: m.copied,
+    entrySignals: m.entrySignals, maxDrawdownPct: m.maxDrawdownPct, realizedPnl: m.realizedPnl,
+  };
+  if (m.closedPositions === 0) return { ...c, reason: 'No copies closed in the replay' };
+  if (m.winRate < cfg.minWinRate) return { ...c, reason: `Win rate ${m.winRate}% < ${cfg.minWinRate}%` };
+  if (m.returnPct < 0) return { ...c, reason: `Replay return ${m.returnPct}%` };
+  return { ...c, status: 'shortlisted', reason: `${m.winRate}% win rate, ${m.returnPct >= 0 ? '+' : ''}${m.returnPct}% over ${cfg.days}d` };
+}
+
+/**
+ * Run one discovery scan into data/backtest.db. Expects backtest.setup() to
+ * have prepared the process (scratch database, paper fills, no notifications).
+ * Returns { scanId, summary }.
+ */
+async function runDiscovery({ scanId, source = createDataApiSource() } = {}) {
+  const cfg = config.discovery;
+  if (!scanId) scanId = results.createScan(cfg);
+
+  try {
+    const candidates = await collectCandidates(source, cfg);
+    const summary = { found: candidates.length, evaluated: 0, shortlisted: 0, rejected: 0 };
+    for (const candidate of candidates.slice(0, cfg.maxCandidates)) {
+      const verdict = await evaluate(candidate, source, cfg);
+      results.addCandidate(scanId, verdict);
+      summary.evaluated++;
+      summary[verdict.status]++;
+      log.info(`Discovery: ${verdict.name || verdict.address.slice(0, 10)} — ${verdict.status}: ${verdict.reason}`);
+    }
+    results.finishScan(scanId, summary);
+    return { scanId, summary };
+  } catch (err) {
+    results.failScan(scanId, err.message);
+    throw err;
+  }
+}
+
+function printSummary(scanId) {
+  const scan = results.getLatestScan();
+  const s = scan.summary;
+  console.log(`\n  Discovery scan #${scanId} — ${s.found} leaders found, ${s.evaluated} evaluated, ${s.shortlisted} shortlisted`);
+  console.log('  ─────────────────────────────────────────');
+  for (const c of scan.candidates) {
+    const who = (c.name || c.trader_address).slice(0, 20).padEnd(20);
+    console.log(`  ${c.status === 'shortlisted' ? '✓' : '·'} ${who} ${c.trader_address}  ${c.bucket.padEnd(7)} ${c.reason}`);
+  }
+  console.log('');
+}
+
+// CLI: npm run discover [-- --scan ID] [--verbose]
+if (require.main === module) {
+  (async () => {
+    const argv = process.argv.slice(2);
+    const scanArg = argv.indexOf('--scan');
+    const scanId = scanArg >= 0 ? parseInt(argv[scanArg + 1]) : undefined;
+
+    let code = 0;
+    try {
+      backtest.setup();
+      const { scanId: id } = await runDiscovery({ scanId });
+      printSummary(id);
+    } catch (err) {
+      console.error(`\n  Discovery failed: ${err.message}\n`);
+      code = 1;
+    }
+    results.close();
+    process.exit(code);
+  })();
+}
+
+module.exports = { runDiscovery, createDataApiSource };
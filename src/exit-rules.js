@@ -0,0 +1,99 @@
+/**
+ * Exit Rules v1.0
+ *
+ * Without this we only exit when a leader exits, so a position can ride to
+ * zero while the leader holds. Evaluated every cycle right after unrealized
+ * PnL is refreshed, against each open position's current and peak price:
+ *
+ *   stopLossPct     — price is this % below our average entry
+ *   takeProfitPct   — price is this % above our average entry
+ *   trailingStopPct — price is this % below the highest price seen while open
+ *   maxHoldHours    — position has been open this long
+ *
+ * Rules come from .env (EXIT_*), overridden per bucket and per trader in
+ * hot-config; 0 turns a rule off. A triggered rule produces a synthetic CLOSE
+ * signal that goes through executeSignal's normal close path, tagged with a
+ * CLOSE_* reason (C.CLOSE_REASONS) so rule exits are distinguishable from
+ * mirror exits in the trade log.
+ */
+
+const db = require('./db');
+const hotConfig = require('./hot-config');
+const clock = require('./clock');
+const log = require('./logger');
+const C = require('./constants');
+
+// positionId → last trigger time, so a failed exit is not re-fired every cycle
+const recentlyFired = new Map();
+
+/**
+ * First rule a position breaks: { reason, detail } or null.
+ */
+function evaluate(pos, rules, now = clock.now()) {
+  const price = pos.current_price;
+  if (price > 0 && pos.entry_price > 0) {
+    const changePct = ((price - pos.entry_price) / pos.entry_price) * 100;
+
+    if (rules.stopLossPct > 0 && changePct <= -rules.stopLossPct) {
+      return { reason: C.CLOSE_REASONS.STOP_LOSS, detail: `${changePct.toFixed(1)}% from entry ${pos.entry_price} (stop -${rules.stopLossPct}%)` };
+    }
+    if (rules.trailingStopPct > 0 && pos.peak_price > 0) {
+      const fromPeakPct = ((pos.peak_price - price) / pos.peak_price) * 100;
+      if (fromPeakPct >= rules.trailingStopPct) {
+        return { reason: C.CLOSE_REASONS.TRAILING_STOP, detail: `${fromPeakPct.toFixed(1)}% below peak ${pos.peak_price} (trail ${rules.trailingStopPct}%)` };
+      }
+    }
+    if (rules.takeProfitPct > 0 && changePct >= rules.takeProfitPct) {
+      return { reason: C.CLOSE_REASONS.TAKE_PROFIT, detail: `+${changePct.toFixed(1)}% from entry ${pos.entry_price} (target +${rules.takeProfitPct}%)` };
+    }
+  }
+
+  if (rules.maxHoldHours > 0 && pos.opened_at) {
+    const heldHours = (now - new Date(pos.opened_at + 'Z').getTime()) / 3600000;
+    if (heldHours >= rules.maxHoldHours) {
+      return { reason: C.CLOSE_REASONS.MAX_HOLD, detail: `held ${heldHours.toFixed(1)}h (max ${rules.maxHoldHours}h)` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Close signals for every open position that breaks one of its rules.
+ */
+function checkExits(now = clock.now()) {
+  const signals = [];
+  const positions = db.getOpenPositions();
+  for (const pos of positions) {
+    const fired = recentlyFired.get(pos.id);
+    if (fired && now - fired < C.EXIT_RETRY_COOLDOWN_MS) continue;
+
+    const hit = evaluate(pos, hotConfig.getExitRules(pos.trader_address, pos.bucket), now);
+    if (!hit) continue;
+
+    recentlyFired.set(pos.id, now);
+    log.info(`EXIT RULE ${hit.reason.replace('CLOSE_', '')}: "${(pos.market_name || pos.market_id).slice(0, 40)}" — ${hit.detail}`);
+    signals.push({
+      type: 'CLOSE', traderAddress: pos.trader_address, bucket: pos.bucket,
+      marketId: pos.market_id, tokenId: pos.token_id, side: pos.side,
+      size: pos.size_usd, price: pos.current_price, marketName: pos.market_name,
+      exitReason: hit.reason, exitDetail: hit.detail, source: 'exit-rules',
+    });
+  }
+
+  // Forget positions that are gone
+  const open = new Set(positions.map(p => p.id));
+  for (const id of recentlyFired.keys()) if (!open.has(id)) recentlyFired.delete(id);
+  return signals;
+}
+
+/** Whether any scope has a rule switched on (price refresh then runs every cycle) */
+function anyRulesEnabled() {
+  const scopes = [
+    hotConfig.getExitRules(null, 'grinder'),
+    hotConfig.getExitRules(null, 'event'),
+    ...hotConfig.getTraders().map(t => hotConfig.getExitRules(t.address, t.bucket)),
+  ];
+  return scopes.some(rules => C.EXIT_RULE_KEYS.some(k => rules[k] > 0));
+}
+
+module.exports = { evaluate, checkExits, anyRulesEnabled };
@@ -0,0 +1,214 @@
+/**
+ * Order Ledger v1.0
+ *
+ * Every order we submit is recorded in order_ledger with the request, the raw
+ * CLOB response, matched size, average fill price, fee rate and all transaction
+ * hashes. State transitions are appended to order_events:
+ *
+ *   submitted → matched → mined → confirmed
+ *       ↘ failed (rejected, reverted on-chain, or dropped)
+ *       ↘ cancelled (GTC that never filled)
+ *
+ * 'matched' comes from the CLOB; 'mined' / 'confirmed' / 'failed' come from
+ * Polygon transaction receipts, checked every cycle. A fill whose transaction
+ * reverts is backed out of positions and the trade is marked failed.
+ *
+ * Fill amounts from the CLOB response (settled amounts, net of fees):
+ *   BUY  — makingAmount = USDC paid,    takingAmount = tokens received
+ *   SELL — makingAmount = tokens sold,  takingAmount = USDC received
+ */
+
+const db = require('./db');
+const log = require('./logger');
+const C = require('./constants');
+
+let clobClient = null;
+let provider = null;
+
+/**
+ * Wire in the CLOB client and RPC provider (called from trader.initClobClient).
+ */
+function init(client, rpcProvider) {
+  clobClient = client;
+  provider = rpcProvider;
+}
+
+/**
+ * Real fill from a CLOB order response: { tokens, usd, avgPrice } or null.
+ */
+function parseFill(response, side) {
+  if (!response) return null;
+  const making = parseFloat(response.makingAmount || 0);
+  const taking = parseFloat(response.takingAmount || 0);
+  const isBuy = String(side).toUpperCase() === 'BUY';
+  const tokens = isBuy ? taking : making;
+  const usd = isBuy ? making : taking;
+  if (!(tokens > 0) || !(usd > 0)) return null;
+  return {
+    tokens: Math.round(tokens * 1e6) / 1e6,
+    usd: Math.round(usd * 1e6) / 1e6,
+    avgPrice: Math.round((usd / tokens) * 10000) / 10000,
+  };
+}
+
+/**
+ * Polymarket fee: rate × min(price, 1 - price) × shares
+ */
+function estimateFee(feeRateBps, price, tokens) {
+  if (!feeRateBps) return 0;
+  return Math.round((feeRateBps / 10000) * Math.min(price, 1 - price) * tokens * 1e6) / 1e6;
+}
+
+async function getFeeRateBps(tokenId) {
+  if (!clobClient) return 0;
+  try {
+    return Number(await clobClient.getFeeRateBps(tokenId)) || 0;
+  } catch {
+    return 0; // non-critical — fee stays unknown
+  }
+}
+
+/**
+ * Record a submitted order and its CLOB response (or the error that prevented one).
+ * Returns { ledgerId, fill } — fill is null unless the order matched.
+ */
+async function recordSubmission({ orderType, side, marketId, tokenId, request, response, error }) {
+  const ledgerId = db.insertLedgerOrder({ orderType, side, marketId, tokenId, request });
+  db.addOrderEvent(ledgerId, 'submitted', `${orderType} ${side}`);
+
+  if (error || !response || typeof response !== 'object') {
+    const msg = error || `Invalid response: ${JSON.stringify(response).slice(0, 200)}`;
+    db.updateLedgerOrder(ledgerId, { status: 'failed', error: msg });
+    db.addOrderEvent(ledgerId, 'failed', msg);
+    return { ledgerId, fill: null };
+  }
+
+  const orderId = response.orderID || response.id || '';
+  const txHashes = response.transactionsHashes || [];
+  const clobStatus = String(response.status || response.orderStatus || 'UNKNOWN').toUpperCase();
+  db.updateLedgerOrder(ledgerId, { orderId, response, txHashes });
+
+  if (!orderId || response.success === false) {
+    const msg = response.errorMsg || (orderId ? 'Rejected' : 'Missing orderID');
+    db.updateLedgerOrder(ledgerId, { status: 'failed', error: msg });
+    db.addOrderEvent(ledgerId, 'failed', msg);
+    return { ledgerId, fill: null };
+  }
+
+  const fill = C.VALID_ORDER_STATUSES.includes(clobStatus) ? parseFill(response, side) : null;
+  if (fill) {
+    const feeRateBps = await getFeeRateBps(tokenId);
+    db.updateLedgerOrder(ledgerId, {
+      status: 'matched', sizeMatched: fill.tokens, avgPrice: fill.avgPrice, usdAmount: fill.usd,
+      feeRateBps, feeUsd: estimateFee(feeRateBps, fill.avgPrice, fill.tokens),
+    });
+    db.addOrderEvent(ledgerId, 'matched', `${fill.tokens} @ ${fill.avgPrice} ($${fill.usd.toFixed(2)}), ${txHashes.length} tx`);
+  } else if (orderType === C.ORDER_TYPES.FOK) {
+    // FOK that did not match is dead; a live GTC just stays 'submitted'
+    db.updateLedgerOrder(ledgerId, { status: 'failed', error: `Not matched: ${clobStatus}` });
+    db.addOrderEvent(ledgerId, 'failed', `Not matched: ${clobStatus}`);
+  }
+  return { ledgerId, fill };
+}
+
+function linkTrade(ledgerId, tradeId) {
+  if (ledgerId && tradeId) db.updateLedgerOrder(ledgerId, { tradeId });
+}
+
+/**
+ * Cumulative fill update for a resting GTC order.
+ * Transaction hashes come from the order's associated CLOB trades.
+ */
+async function recordLimitFill(orderId, sizeMatched, price, tradeIds = []) {
+  const row = db.getLedgerOrderByOrderId(orderId);
+  if (!row) return;
+
+  const hashes = new Set(JSON.parse(row.tx_hashes || '[]'));
+  for (const id of tradeIds) {
+    try {
+      const trades = await clobClient.getTrades({ id }, true);
+      for (const t of trades || []) if (t.transaction_hash) hashes.add(t.transaction_hash);
+    } catch (err) {
+      log.debug(`Trade lookup failed for ${id}: ${err.message}`);
+    }
+  }
+
+  const feeRateBps = row.fee_rate_bps || await getFeeRateBps(row.token_id);
+  db.updateLedgerOrder(row.id, {
+    status: row.status === 'submitted' ? 'matched' : row.status,
+    sizeMatched, avgPrice: price, usdAmount: Math.round(sizeMatched * price * 1e6) / 1e6,
+    feeRateBps, feeUsd: estimateFee(feeRateBps, price, sizeMatched), txHashes: [...hashes],
+  });
+  db.addOrderEvent(row.id, 'matched', `${sizeMatched} @ ${price} cumulative, ${hashes.size} tx`);
+}
+
+/**
+ * A resting order was cancelled — unfilled orders end here, partial fills keep confirming.
+ */
+function recordCancel(orderId, reason) {
+  const row = db.getLedgerOrderByOrderId(orderId);
+  if (!row) return;
+  if (row.status === 'submitted') db.updateLedgerOrder(row.id, { status: 'cancelled' });
+  db.addOrderEvent(row.id, 'cancelled', reason);
+}
+
+/**
+ * Back a failed fill out of our books.
+ */
+function markFailed(row, reason) {
+  db.updateLedgerOrder(row.id, { status: 'failed', error: reason });
+  db.addOrderEvent(row.id, 'failed', reason);
+  db.logAudit(C.AUDIT_ACTIONS.FILL_FAILED, `${row.side} ${row.order_id.slice(0, 14)}... ${reason}`);
+
+  if (row.trade_id) db.markTradeFailed(row.trade_id, `Fill failed on-chain: ${reason}`);
+  if (String(row.side).toUpperCase() === 'BUY') {
+    db.reversePositionFill(row.market_id, row.token_id, row.size_matched);
+    log.error(`FILL FAILED: BUY ${row.order_id.slice(0, 14)}... ${reason} — ${row.size_matched} shares ($${row.usd_amount.toFixed(2)}) removed from position`);
+  } else {
+    log.error(`FILL FAILED: SELL ${row.order_id.slice(0, 14)}... ${reason} — tokens may still be held, check the wallet`);
+  }
+}
+
+/**
+ * Per-cycle: advance matched/mined fills using transaction receipts.
+ */
+async function checkConfirmations() {
+  if (!provider) return;
+  for (const row of db.getUnconfirmedLedgerOrders()) {
+    const hashes = JSON.parse(row.tx_hashes || '[]');
+    let receipts;
+    try {
+      receipts = await Promise.all(hashes.map(h => provider.getTransactionReceipt(h)));
+    } catch (err) {
+      log.debug(`Receipt check failed for ledger #${row.id}: ${err.message}`);
+      continue; // RPC hiccup — retry next cycle
+    }
+
+    const reverted = receipts.findIndex(r => r && r.status === 0);
+    if (reverted !== -1) {
+      markFailed(row, `tx reverted: ${hashes[reverted].slice(0, 14)}...`);
+      continue;
+    }
+
+    if (receipts.some(r => !r)) {
+      const ageMs = Date.now() - new Date(row.created_at + 'Z').getTime();
+      if (ageMs > C.FILL_RECEIPT_TIMEOUT_MS) markFailed(row, `tx not found after ${Math.round(ageMs / 60000)}m`);
+      continue;
+    }
+
+    const confirmations = Math.min(...receipts.map(r => r.confirmations || 0));
+    const block = Math.max(...receipts.map(r => r.blockNumber || 0));
+    if (confirmations >= C.FILL_CONFIRMATIONS) {
+      db.updateLedgerOrder(row.id, { status: 'confirmed' });
+      db.addOrderEvent(row.id, 'confirmed', `block ${block}, ${confirmations} confirmations`);
+    } else if (row.status === 'matched') {
+      db.updateLedgerOrder(row.id, { status: 'mined' });
+      db.addOrderEvent(row.id, 'mined', `block ${block}`);
+    }
+  }
+}
+
+module.exports = {
+  init, parseFill, estimateFee, recordSubmission, linkTrade,
+  recordLimitFill, recordCancel, checkConfirmations,
+};
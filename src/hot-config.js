@@ -7,6 +7,10 @@
  * Dashboard-controllable:
  *   - Add / remove / toggle traders
  *   - Per-trader bucket, multiplier, max trade, label
+ *   - Per-trader copy strategy (over the global COPY_STRATEGY / COPY_SIZE)
+ *   - Exit rules per bucket and per trader (over the global .env rules)
+ *   - Per-trader risk budget and entry confirmation delay (over the .env defaults)
+ *   - Market filter rules (see market-filters.js)
  *   - Poll interval
  *
  * Stays in .env (security):
@@ -18,6 +22,8 @@ const fs = require('fs');
 const path = require('path');
 const log = require('./logger');
 const { config } = require('./config');
+const C = require('./constants');
+const copyStrategy = require('./copy-strategy');
 
 const HOT_CONFIG_PATH = path.join(__dirname, '..', 'data', 'hot-config.json');
 
@@ -139,9 +145,20 @@ const SETTINGS_MAP = {
   maxEventTrade:     { section: 'caps', key: 'maxEventTrade' },
   maxTotalExposure:  { section: 'caps', key: 'maxTotalExposure' },
   maxOpenPositions:  { section: 'caps', key: 'maxOpenPositions' },
+  maxMarketExposure:   { section: 'caps', key: 'maxMarketExposure' },
+  maxEventExposure:    { section: 'caps', key: 'maxEventExposure' },
+  maxCategoryExposure: { section: 'caps', key: 'maxCategoryExposure' },
   // sizing.*
   grinderMultiplier: { section: 'sizing', key: 'grinderMultiplier' },
   eventMultiplier:   { section: 'sizing', key: 'eventMultiplier' },
+  // catchup.*
+  catchupPolicy:         { section: 'catchup', key: 'policy' },
+  catchupMaxEntryAgeMin: { section: 'catchup', key: 'maxEntryAgeMin' },
+  // exits.* (global exit rules)
+  exitStopLossPct:     { section: 'exits', key: 'stopLossPct' },
+  exitTakeProfitPct:   { section: 'exits', key: 'takeProfitPct' },
+  exitTrailingStopPct: { section: 'exits', key: 'trailingStopPct' },
+  exitMaxHoldHours:    { section: 'exits', key: 'maxHoldHours' },
 };
 
 function applySettingsOverrides() {
@@ -252,8 +269,27 @@ function updateTrader(address, updates) {
   const trader = hotConfig.traders.find(t => t.address === addr);
   if (!trader) return { error: 'Trader not found' };
 
+  // Validate the strategy block before changing anything
+  const merged = updates.strategy !== undefined ? mergeStrategy(trader.strategy, updates.strategy) : null;
+  if (merged && merged.error) return { error: merged.error };
+  if (updates.mode !== undefined && !Object.values(C.COPY_MODES).includes(updates.mode)) {
+    return { error: 'mode must be "copy" or "fade"' };
+  }
+
   if (updates.enabled !== undefined) {
-    trader.enabled = Boolean(updates.enabled);
+    const enabled = Boolean(updates.enabled);
+    if (enabled && !trader.enabled) {
+      // Re-enabled: auto-disable policies start judging the leader afresh from here
+      trader.enabledAt = new Date().toISOString();
+      delete trader.disabledReason;
+      delete trader.disabledUntil;
+    } else if (!enabled) {
+      if (updates.disabledReason) trader.disabledReason = String(updates.disabledReason).slice(0, 200);
+      // Auto-disables may set a cool-off end; disabling by hand clears it
+      if (updates.disabledUntil && !isNaN(Date.parse(updates.disabledUntil))) trader.disabledUntil = new Date(updates.disabledUntil).toISOString();
+      else delete trader.disabledUntil;
+    }
+    trader.enabled = enabled;
   }
   if (updates.bucket && ['grinder', 'event'].includes(updates.bucket)) {
     trader.bucket = updates.bucket;
@@ -267,6 +303,26 @@ function updateTrader(address, updates) {
   if (updates.label !== undefined) {
     trader.label = String(updates.label).slice(0, 32);
   }
+  if (updates.mode !== undefined) {
+    trader.mode = updates.mode;
+  }
+  if (updates.exitRules !== undefined) {
+    trader.exitRules = mergeExitRules(trader.exitRules, updates.exitRules);
+  }
+  if (updates.budget !== undefined) {
+    const budget = mergeBudget(trader.budget, updates.budget);
+    if (Object.keys(budget).length > 0) trader.budget = budget;
+    else delete trader.budget;
+  }
+  if (updates.confirm !== undefined) {
+    const confirm = mergeConfirm(trader.confirm, updates.confirm);
+    if (Object.keys(confirm).length > 0) trader.confirm = confirm;
+    else delete trader.confirm;
+  }
+  if (merged) {
+    if (Object.keys(merged.strategy).length > 0) trader.strategy = merged.strategy;
+    else delete trader.strategy;
+  }
 
   save();
   log.info(`Trader updated: ${addr.slice(0, 10)}... → ${JSON.stringify(updates)}`);
@@ -300,12 +356,182 @@ function getMultiplierForTrader(address) {
   return t.multiplier;
 }
 
+/** copy (default) or fade */
+function getModeForTrader(address) {
+  const t = getTraderConfig(address);
+  return (t && t.mode) || C.COPY_MODES.COPY;
+}
+
 function getMaxTradeForTrader(address) {
   const t = getTraderConfig(address);
   if (!t) return 0;
   return t.maxTrade;
 }
 
+// ─── Copy strategy (trader > .env) ─────────────
+
+/**
+ * Apply a partial strategy update (keys from copyStrategy.STRATEGY_KEYS):
+ * a value sets the parameter for this trader, null clears it back to .env;
+ * updates = null clears the whole block. The result must pass
+ * copyStrategy.validateConfig once merged over the .env defaults.
+ * Returns { strategy } or { error }.
+ */
+function mergeStrategy(current, updates) {
+  if (updates === null) return { strategy: {} };
+  if (typeof updates !== 'object') return { error: 'strategy must be an object or null' };
+
+  const strategy = { ...(current || {}) };
+  for (const key of copyStrategy.STRATEGY_KEYS) {
+    if (!(key in updates)) continue;
+    const val = updates[key];
+    if (val === null) {
+      delete strategy[key];
+    } else if (key === 'strategy') {
+      strategy.strategy = String(val).toUpperCase();
+    } else if (key === 'tieredMultipliers') {
+      // '' = no tiers for this trader (even if .env has some)
+      const tiers = copyStrategy.parseTieredMultipliers(String(val));
+      if (String(val).trim() && tiers.length === 0) return { error: `Invalid tiered multipliers: "${val}" (format: 1-10:2.0,10-100:1.0,100+:0.5)` };
+      strategy.tieredMultipliers = copyStrategy.formatTieredMultipliers(tiers);
+    } else {
+      const num = parseFloat(val);
+      if (isNaN(num) || num <= 0) return { error: `${key} must be a positive number` };
+      strategy[key] = num;
+    }
+  }
+
+  const errors = copyStrategy.validateConfig({ ...copyStrategy.getDefaultConfig(), ...resolveStrategy(strategy) });
+  if (errors.length > 0) return { error: errors.join('; ') };
+  return { strategy };
+}
+
+/** Stored strategy block → calculateOrderSize config (tiers parsed) */
+function resolveStrategy(strategy) {
+  const cfg = { ...(strategy || {}) };
+  if (cfg.tieredMultipliers !== undefined) cfg.tieredMultipliers = copyStrategy.parseTieredMultipliers(cfg.tieredMultipliers);
+  return cfg;
+}
+
+/**
+ * Strategy overrides for a trader's trades ({} = use .env)
+ */
+function getStrategyForTrader(address) {
+  const t = getTraderConfig(address);
+  return resolveStrategy(t && t.strategy);
+}
+
+// ─── Exit rules (trader > bucket > global) ─────
+
+/**
+ * Apply a partial rules update: numbers >= 0 set a rule (0 = off for this
+ * scope), null clears it so the wider scope applies again. Unknown keys are ignored.
+ */
+function mergeExitRules(current, updates) {
+  const rules = { ...(current || {}) };
+  for (const key of C.EXIT_RULE_KEYS) {
+    if (!updates || !(key in updates)) continue;
+    const val = updates[key] === null ? NaN : parseFloat(updates[key]);
+    if (isNaN(val) || val < 0) delete rules[key];
+    else rules[key] = val;
+  }
+  return rules;
+}
+
+function getBucketExitRules() {
+  return hotConfig.exitRules || {};
+}
+
+function setBucketExitRules(bucket, updates) {
+  if (!['grinder', 'event'].includes(bucket)) return { error: 'Bucket must be "grinder" or "event"' };
+  if (!hotConfig.exitRules) hotConfig.exitRules = {};
+  hotConfig.exitRules[bucket] = mergeExitRules(hotConfig.exitRules[bucket], updates);
+  save();
+  log.info(`Exit rules for ${bucket} bucket → ${JSON.stringify(hotConfig.exitRules[bucket])}`);
+  return { success: true, bucket, rules: hotConfig.exitRules[bucket] };
+}
+
+/**
+ * Effective exit rules for a position: each rule from the most specific scope that sets it
+ */
+function getExitRules(traderAddress, bucket) {
+  const t = traderAddress ? getTraderConfig(traderAddress) : null;
+  return {
+    ...config.exits,
+    ...(getBucketExitRules()[bucket] || {}),
+    ...((t && t.exitRules) || {}),
+  };
+}
+
+// ─── Risk budgets (trader > .env) ──────────────
+
+/**
+ * Apply a partial budget update (keys from C.TRADER_BUDGET_KEYS): numbers >= 0
+ * set a limit for this trader (0 = off), null clears it back to the TRADER_*
+ * default; budget = null clears the whole block. Unknown keys are ignored.
+ */
+function mergeBudget(current, updates) {
+  if (updates === null) return {};
+  const budget = { ...(current || {}) };
+  for (const key of C.TRADER_BUDGET_KEYS) {
+    if (!updates || !(key in updates)) continue;
+    const val = updates[key] === null ? NaN : parseFloat(updates[key]);
+    if (isNaN(val) || val < 0) delete budget[key];
+    else budget[key] = val;
+  }
+  return budget;
+}
+
+/**
+ * Effective risk budget for a trader: their overrides over config.traderBudget
+ */
+function getBudgetForTrader(address) {
+  const t = getTraderConfig(address);
+  return { ...config.traderBudget, ...((t && t.budget) || {}) };
+}
+
+// ─── Confirmation delay (trader > .env) ────────
+
+/**
+ * Apply a partial confirmation update (keys from C.CONFIRM_KEYS): numbers >= 0
+ * set the value for this trader (delayMin 0 = off), null clears it back to the
+ * CONFIRM_* default; confirm = null clears the whole block. minHoldPct is
+ * capped at 100.
+ */
+function mergeConfirm(current, updates) {
+  if (updates === null) return {};
+  const confirm = { ...(current || {}) };
+  for (const key of C.CONFIRM_KEYS) {
+    if (!updates || !(key in updates)) continue;
+    const val = updates[key] === null ? NaN : parseFloat(updates[key]);
+    if (isNaN(val) || val < 0) delete confirm[key];
+    else confirm[key] = key === 'minHoldPct' ? Math.min(100, val) : val;
+  }
+  return confirm;
+}
+
+/**
+ * Effective confirmation settings for a trader: their overrides over config.confirm
+ */
+function getConfirmForTrader(address) {
+  const t = getTraderConfig(address);
+  return { ...config.confirm, ...((t && t.confirm) || {}) };
+}
+
+// ─── Market filters ────────────────────────────
+
+/** Ordered market filter rules (validated by market-filters.js before they get here) */
+function getMarketFilters() {
+  return hotConfig.marketFilters || [];
+}
+
+function setMarketFilters(rules) {
+  hotConfig.marketFilters = rules;
+  save();
+  log.info(`Market filters → ${rules.length} rule(s)`);
+  return { success: true, rules };
+}
+
 module.exports = {
   load,
   save,
@@ -315,6 +541,7 @@ module.exports = {
   getActiveGrinders,
   getActiveEvents,
   getTraderConfig,
+  getModeForTrader,
   addTrader,
   removeTrader,
   updateTrader,
@@ -323,6 +550,14 @@ module.exports = {
   getBucketForTrader,
   getMultiplierForTrader,
   getMaxTradeForTrader,
+  getStrategyForTrader,
+  getBudgetForTrader,
+  getConfirmForTrader,
   getSettingsOverrides,
   setSettingsOverride,
+  getExitRules,
+  getBucketExitRules,
+  setBucketExitRules,
+  getMarketFilters,
+  setMarketFilters,
 };
@@ -8,7 +8,7 @@
  * Inherited from v2.0:
  *   - State-managed lifecycle (pause/resume/emergency stop)
  *   - Exponential backoff on API failures
- *   - Graceful shutdown with open order cleanup
+ *   - Graceful shutdown with open order cleanup (resting limit orders are cancelled)
  *   - Health monitoring with auto-pause on repeated errors
  *   - Real equity tracking from USDC balance
  */
@@ -17,7 +17,17 @@ const { config } = require('./config');
 const hotConfig = require('./hot-config');
 const db = require('./db');
 const monitor = require('./monitor');
+const catchup = require('./catchup');
 const trader = require('./trader');
+const orders = require('./orders');
+const fills = require('./fills');
+const reconcile = require('./reconcile');
+const resolution = require('./resolution');
+const exitRules = require('./exit-rules');
+const analytics = require('./trader-analytics');
+const consensus = require('./consensus');
+const confirmation = require('./confirmation');
+const signalQueue = require('./signal-queue');
 const risk = require('./risk');
 const dashboard = require('./dashboard');
 const log = require('./logger');
@@ -82,84 +92,6 @@ const MIN_BACKOFF = 0;
 const MAX_BACKOFF = 120000; // 2 min max
 const BACKOFF_MULTIPLIER = 2;
 
-// ─── Trade Aggregation Buffer ───────────────────
-// Novus-Tech pattern: batch small trades for the same market within a window
-const AGGREGATION_ENABLED = (process.env.TRADE_AGGREGATION || 'false').toLowerCase() === 'true';
-const AGGREGATION_WINDOW_MS = parseInt(process.env.TRADE_AGGREGATION_WINDOW_MS || '30000'); // 30s
-const AGGREGATION_MIN_USD = parseFloat(process.env.TRADE_AGGREGATION_MIN_USD || '2');
-const aggregationBuffer = new Map(); // key → { signals: [], firstSeen: timestamp }
-const MAX_BUFFER_SIGNALS = 500;  // Safety cap — prevent memory exhaustion
-const MAX_PER_KEY = 50;          // Max signals per aggregation key
-
-function getAggregationKey(signal) {
-  return `${signal.traderAddress}:${signal.marketId}:${signal.tokenId}:${signal.side}`;
-}
-
-function addToAggregation(signal) {
-  // Global safety check
-  let totalSignals = 0;
-  for (const agg of aggregationBuffer.values()) totalSignals += agg.signals.length;
-  if (totalSignals >= MAX_BUFFER_SIGNALS) {
-    log.warn(`Aggregation buffer full (${totalSignals}) — executing signal directly`);
-    return false; // Caller should execute immediately
-  }
-
-  const key = getAggregationKey(signal);
-  const existing = aggregationBuffer.get(key);
-  if (existing) {
-    if (existing.signals.length >= MAX_PER_KEY) {
-      log.warn(`Per-key aggregation limit for ${key.slice(0, 30)}... — executing early`);
-      return false;
-    }
-    existing.signals.push(signal);
-    existing.totalSize += signal.size;
-    // Use weighted average price, not just latest (audit fix)
-    existing.totalCost = (existing.totalCost || 0) + (signal.size * signal.price);
-    existing.latestPrice = existing.totalCost / existing.totalSize;
-  } else {
-    aggregationBuffer.set(key, {
-      signals: [signal],
-      totalSize: signal.size,
-      totalCost: signal.size * signal.price,
-      latestPrice: signal.price,
-      firstSeen: Date.now(),
-    });
-  }
-  return true;
-}
-
-function getReadyAggregations() {
-  const ready = [];
-  const now = Date.now();
-
-  for (const [key, agg] of aggregationBuffer.entries()) {
-    if (now - agg.firstSeen >= AGGREGATION_WINDOW_MS) {
-      if (agg.totalSize >= AGGREGATION_MIN_USD) {
-        // Merge into a single signal with aggregated size
-        const baseSignal = { ...agg.signals[0] };
-        baseSignal.size = agg.totalSize;
-        baseSignal.price = agg.latestPrice;
-        baseSignal.notes = `Aggregated ${agg.signals.length} trades ($${agg.totalSize.toFixed(2)} total)`;
-        ready.push(baseSignal);
-      } else {
-        // Execute small trades individually instead of silently dropping (audit fix)
-        log.debug(`Aggregation below min: $${agg.totalSize.toFixed(2)} — executing ${agg.signals.length} individual signal(s)`);
-        for (const sig of agg.signals) {
-          ready.push(sig);
-        }
-      }
-      aggregationBuffer.delete(key);
-    }
-    // Safety: expire any entries older than 2x the window
-    else if (now - agg.firstSeen > AGGREGATION_WINDOW_MS * 2) {
-      log.warn(`Force-expiring stale aggregation: ${key.slice(0, 30)}...`);
-      aggregationBuffer.delete(key);
-    }
-  }
-
-  return ready;
-}
-
 function getEquity() { return currentEquity; }
 function setEquity(val) { currentEquity = val; }
 
@@ -193,7 +125,83 @@ async function updateEquityFromChain(retries = 1) {
   return false; // all retries failed
 }
 
+async function refreshUnrealizedPnl() {
+  for (const pos of db.getOpenPositions()) {
+    try {
+      const price = await trader.getMarketPrice(pos.token_id, 'SELL');
+      if (price && price > 0) {
+        db.updateUnrealizedPnl(pos.market_id, pos.token_id, price);
+      }
+    } catch { /* non-critical — stale PnL is better than crashing */ }
+  }
+}
+
+const exitsAllowed = () => botState.canTrade || botState.state === STATES.PAUSED;
+
+/**
+ * Exit rules: stop-loss / take-profit / trailing stop / max hold → close via
+ * executeSignal, against prices refreshed this cycle.
+ */
+async function runExitRules() {
+  if (!exitRules.anyRulesEnabled() || !exitsAllowed()) return;
+  await refreshUnrealizedPnl();
+  for (const signal of exitRules.checkExits()) {
+    if (!exitsAllowed()) break;
+    await trader.executeSignal(signal, currentEquity);
+  }
+}
+
 async function runCycle() {
+  // Resting limit orders keep their TTL/drift checks even while paused
+  try {
+    await orders.processOpenOrders();
+  } catch (err) {
+    log.warn(`Open order maintenance failed: ${err.message}`);
+  }
+
+  // Advance submitted fills through mined → confirmed (or back them out if they failed)
+  try {
+    await fills.checkConfirmations();
+  } catch (err) {
+    log.warn(`Fill confirmation check failed: ${err.message}`);
+  }
+
+  // Compare open positions with the wallet's CTF balances (every RECONCILE_INTERVAL_MIN)
+  try {
+    await reconcile.runReconciliation();
+  } catch (err) {
+    log.warn(`Reconciliation failed: ${err.message}`);
+  }
+
+  // Close positions in resolved markets and redeem winnings (every RESOLUTION_CHECK_MIN)
+  try {
+    await resolution.checkResolutions();
+  } catch (err) {
+    log.warn(`Resolution check failed: ${err.message}`);
+  }
+
+  // Disable leaders over their risk budget; re-enable them once the cool-off is over
+  try {
+    risk.applyTraderBudgets();
+  } catch (err) {
+    log.warn(`Trader budgets failed: ${err.message}`);
+  }
+
+  // Auto-disable leaders whose scorecard falls below TRADER_SCORE_MIN (policy = disable)
+  try {
+    analytics.applyScorePolicy();
+  } catch (err) {
+    log.warn(`Trader score policy failed: ${err.message}`);
+  }
+
+  // Exit rules keep firing while paused (manual, equity stop-loss, risk kill-switch) —
+  // that is when a stop-loss matters. Only an emergency stop or shutdown holds them.
+  try {
+    await runExitRules();
+  } catch (err) {
+    log.warn(`Exit rules failed: ${err.message}`);
+  }
+
   // Check state
   if (!botState.canTrade) {
     log.debug(`Cycle skipped — bot is ${botState.state}`);
@@ -210,53 +218,37 @@ async function runCycle() {
   }
 
   try {
+    // Approved downtime catch-up actions go into the queue ahead of this scan's signals
+    for (const { id, signal } of catchup.getApprovedSignals()) {
+      signalQueue.enqueue([{ ...signal, dedupKey: `catchup:${id}` }]);
+      catchup.markQueued(id);
+      log.info(`Catch-up #${id} ${signal.type} ${(signal.marketName || signal.marketId).slice(0, 30)}: queued`);
+    }
+
     // Scan all traders for new signals
-    const signals = await monitor.scanAllTraders();
+    const scanned = await monitor.scanAllTraders();
 
-    if (signals.length > 0) {
-      log.info(`Found ${signals.length} signal(s)`);
+    if (scanned.length > 0) {
+      log.info(`Found ${scanned.length} signal(s)`);
     }
 
-    // Determine which signals to execute now vs buffer
-    let signalsToExecute = [];
-
-    if (AGGREGATION_ENABLED) {
-      for (const signal of signals) {
-        if (signal.type === 'CLOSE') {
-          // Always execute close signals immediately
-          signalsToExecute.push(signal);
-        } else if (signal.size < AGGREGATION_MIN_USD) {
-          // Small trade → try to buffer for aggregation
-          const buffered = addToAggregation(signal);
-          if (buffered) {
-            log.debug(`Buffered small trade: $${signal.size.toFixed(2)} for ${(signal.marketName || signal.marketId).slice(0, 30)}`);
-          } else {
-            signalsToExecute.push(signal); // Buffer full — execute directly
-          }
-        } else {
-          // Large enough → execute immediately
-          signalsToExecute.push(signal);
-        }
-      }
-      // Check for ready aggregated trades
-      const readyAggs = getReadyAggregations();
-      if (readyAggs.length > 0) {
-        log.info(`${readyAggs.length} aggregated trade(s) ready`);
-        signalsToExecute.push(...readyAggs);
-      }
-    } else {
-      signalsToExecute = signals;
-    }
+    // Consensus mode holds NEW signals until enough leaders agree (pass-through when off),
+    // then traders with a confirmation delay have their entries parked
+    const signals = confirmation.holdSignals(consensus.filterSignals(scanned));
 
-    // Process each signal
-    for (const signal of signalsToExecute) {
-      if (!botState.canTrade) {
-        log.warn('Bot paused mid-cycle — stopping signal processing');
-        break;
-      }
-      await trader.executeSignal(signal, currentEquity);
+    // Queue them (idempotent by dedup key, small entries aggregated)
+    const queued = signalQueue.enqueue(signals);
+    if (queued < signals.length) log.debug(`${signals.length - queued} signal(s) already queued — skipped`);
+
+    // Parked entries whose delay is over — after this scan, so a leader who just dumped has expired them
+    for (const { id, signal } of await confirmation.getConfirmedSignals(trader.getMarketPrice)) {
+      signalQueue.enqueue([{ ...signal, dedupKey: `confirm:${id}` }]);
+      confirmation.markQueued(id);
     }
 
+    // Execute everything ready — markets in parallel, one signal at a time per market:token
+    await signalQueue.drain(signal => trader.executeSignal(signal, currentEquity), () => botState.canTrade);
+
     // Record successful cycle
     botState.recordCycle();
 
@@ -273,17 +265,10 @@ async function runCycle() {
       await updateEquityFromChain(equityInitialized ? 1 : 3);
     }
 
-    // Periodic unrealized PnL refresh (every 10 cycles — keeps dashboard accurate)
-    if (botState._cycleCount % 10 === 0) {
-      const openPositions = db.getOpenPositions();
-      for (const pos of openPositions) {
-        try {
-          const price = await trader.getMarketPrice(pos.token_id, 'SELL');
-          if (price && price > 0) {
-            db.updateUnrealizedPnl(pos.market_id, pos.token_id, price);
-          }
-        } catch { /* non-critical — stale PnL is better than crashing */ }
-      }
+    // Unrealized PnL refresh every 10 cycles to keep the dashboard accurate
+    // (runExitRules refreshes every cycle while exit rules are on)
+    if (!exitRules.anyRulesEnabled() && botState._cycleCount % 10 === 0) {
+      await refreshUnrealizedPnl();
     }
 
     // Periodic snapshot (every 10 cycles)
@@ -296,6 +281,8 @@ async function runCycle() {
         dailyPnl: riskStatus.dailyPnl,
         totalPnl: currentEquity - STARTING_EQUITY,
       });
+      // Drawdown only moves with a new snapshot — re-check the de-risk tier now
+      risk.applyDeriskTier();
     }
 
   } catch (err) {
@@ -340,6 +327,9 @@ async function main() {
   // Initialize database
   db.init();
 
+  // Signals a crash left mid-execution are failed, not re-sent
+  signalQueue.recover();
+
   // Initialize hot config (loads traders from file or seeds from .env)
   hotConfig.load();
 
@@ -356,6 +346,13 @@ async function main() {
   }
   // If gotBalance is true, updateEquityFromChain already called autoSizeRiskFromBalance
 
+  // Reconcile leader changes that happened while we were down (before the first scan re-baselines)
+  try {
+    await catchup.runStartupCatchup();
+  } catch (err) {
+    log.error(`Catch-up reconciliation failed: ${err.message}`);
+  }
+
   // Start dashboard (with auth + controls + trader management)
   server = dashboard.start(getEquity, setEquity);
 
@@ -373,8 +370,19 @@ async function main() {
   }
 
   log.info(`Risk: daily loss $${config.risk.dailyLossLimit}, equity floor $${config.risk.equityStopLoss}, max exposure $${config.caps.maxTotalExposure}`);
+  if (config.derisk.tiers.length > 0) {
+    const tier = risk.applyDeriskTier();
+    const steps = config.derisk.tiers.map(t => `${t.drawdownPct}%→×${t.multiplier}`).join(', ');
+    log.info(`De-risk: ${steps} (recovery: ${config.derisk.recovery}) — tier ${tier.level} active, entries × ${tier.multiplier}`);
+  }
   log.info(`Poll interval: ${hotConfig.getPollInterval() / 1000}s`);
 
+  // Pull resting orders off the book on emergency stop
+  botState.on('emergencyStop', (reason) => {
+    orders.cancelAllOpenOrders(`emergency stop: ${reason}`)
+      .catch(err => log.error(`Failed to cancel open orders: ${err.message}`));
+  });
+
   // Set state to running
   botState.start();
   db.logAudit(C.AUDIT_ACTIONS.BOT_START, `${config.bot.dryRun ? 'DRY RUN' : 'LIVE'} mode, ${activeTraders.length} traders`);
@@ -405,6 +413,13 @@ async function shutdown(signal) {
   // Give current cycle a moment to finish
   await new Promise(r => setTimeout(r, 2000));
 
+  // Cancel our resting limit orders — nothing should fill while nobody is watching
+  try {
+    await orders.cancelAllOpenOrders('shutdown');
+  } catch (err) {
+    log.error(`Failed to cancel open orders on shutdown: ${err.message}`);
+  }
+
   // Final snapshot
   try {
     const riskStatus = risk.getRiskStatus(currentEquity);
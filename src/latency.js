@@ -0,0 +1,98 @@
+/**
+ * Signal Latency v1.0
+ *
+ * Every trade row carries the timestamps (unix ms) of the stages its signal went
+ * through:
+ *
+ *   leader_ts    — the leader's trade (activity source only; positions diffs have none)
+ *   detected_ts  — our scan saw it (monitor.detectChanges / detectActivity)
+ *   decided_ts   — the copy strategy sized it (after queue, confirmation, aggregation)
+ *   submitted_ts — the order went out (or the paper exchange was asked)
+ *   filled_ts    — paper fill, CLOB match, or a resting order's first fill
+ *   cycle_ts     — start of the scan cycle that found it
+ *
+ * Lags are the gaps between stages. Detection lag is what pollInterval and
+ * SCANNER_CONCURRENCY control; execution lag is everything after that.
+ */
+
+const hotConfig = require('./hot-config');
+const db = require('./db');
+const C = require('./constants');
+
+/** Lag name → [from, to] columns */
+const STAGES = {
+  detection: ['leader_ts', 'detected_ts'],
+  decision: ['detected_ts', 'decided_ts'],
+  submission: ['decided_ts', 'submitted_ts'],
+  fill: ['submitted_ts', 'filled_ts'],
+  execution: ['detected_ts', 'filled_ts'],
+  total: ['leader_ts', 'filled_ts'],
+};
+
+/** Seconds between two stages of a row, or null when either is missing */
+function lagSec(row, stage) {
+  const [from, to] = STAGES[stage];
+  if (!(row[from] > 0) || !(row[to] > 0) || row[to] < row[from]) return null;
+  return (row[to] - row[from]) / 1000;
+}
+
+const round = (v) => Math.round(v * 100) / 100;
+
+/** Nearest-rank percentiles of a list of seconds */
+function percentiles(values) {
+  if (values.length === 0) return { count: 0, p50: null, p90: null, p99: null, max: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+  return { count: sorted.length, p50: round(at(50)), p90: round(at(90)), p99: round(at(99)), max: round(sorted[sorted.length - 1]) };
+}
+
+function stageStats(rows, stages) {
+  return Object.fromEntries(stages.map(stage => [
+    stage,
+    percentiles(rows.map(r => lagSec(r, stage)).filter(v => v !== null)),
+  ]));
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (row[key] == null) continue;
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Latency over the last `days`: percentiles per stage, per trader (detection
+ * and execution) and for the last `cycles` scan cycles, oldest first.
+ */
+function getLatencyReport({ days = C.LATENCY_WINDOW_DAYS, cycles = C.LATENCY_CYCLES } = {}) {
+  const since = new Date(Date.now() - days * 86400000).toISOString().replace('T', ' ').slice(0, 19);
+  const rows = db.getLatencyRows(since);
+
+  const byTrader = [...groupBy(rows, 'trader_address')].map(([address, group]) => {
+    const trader = hotConfig.getTraderConfig(address);
+    return { address, label: (trader && trader.label) || '', trades: group.length, ...stageStats(group, ['detection', 'execution']) };
+  }).sort((a, b) => b.trades - a.trades);
+
+  const byCycle = [...groupBy(rows, 'cycle_ts')].sort((a, b) => a[0] - b[0]).slice(-cycles).map(([cycleTs, group]) => ({
+    cycleTs,
+    at: new Date(cycleTs).toISOString(),
+    trades: group.length,
+    ...stageStats(group, ['detection', 'execution']),
+  }));
+
+  return {
+    windowDays: days,
+    pollIntervalSec: hotConfig.getPollInterval() / 1000,
+    scannerConcurrency: C.SCANNER_CONCURRENCY,
+    activeTraders: hotConfig.getActiveAddresses().length,
+    trades: rows.length,
+    stages: stageStats(rows, Object.keys(STAGES)),
+    byTrader,
+    byCycle,
+  };
+}
+
+module.exports = { STAGES, getLatencyReport };
@@ -0,0 +1,171 @@
+/**
+ * Market Filters v1.0
+ *
+ * Rule-based market filter stage for entries (NEW and INCREASE signals),
+ * after the price filter in trader.executeSignal. Rules are an ordered list
+ * in hot-config, edited from the dashboard Settings → Market Filters:
+ *
+ *   { id, type, action: 'block' | 'allow', op, value, enabled }
+ *
+ *   keyword    — market title contains `value` (case-insensitive), or matches
+ *                it as a regex when written /pattern/flags
+ *   category   — market has any of the comma-separated tags in `value`
+ *   hoursToEnd — hours until the market's end date, `op` 'lt' | 'gt' `value`
+ *   volume24h  — Gamma 24h volume (USD), `op` 'lt' | 'gt' `value`
+ *   depth      — ask-side USD within MARKET_FILTER_DEPTH_PCT of the best ask,
+ *                `op` 'lt' | 'gt' `value`
+ *   negRisk    — market is (value true) / is not (value false) a neg-risk outcome
+ *
+ * The first enabled rule that matches decides: block → the signal is logged as
+ * filtered with the rule id, allow → it passes without looking further. No
+ * match passes. So allow rules carve exceptions out of later block rules, and
+ * an allow-list is allow rules followed by a catch-all block (keyword /./).
+ *
+ * Titles, tags, end dates and volume come from the market metadata cache
+ * (market-meta.js); depth is read from the book only when a depth rule exists.
+ * A rule whose data is unavailable does not match.
+ */
+
+const hotConfig = require('./hot-config');
+const marketMeta = require('./market-meta');
+const log = require('./logger');
+const C = require('./constants');
+
+const NUMERIC_TYPES = ['hoursToEnd', 'volume24h', 'depth'];
+
+/** /pattern/flags → RegExp, anything else null */
+function parseRegex(pattern) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return m ? new RegExp(m[1], m[2]) : null;
+}
+
+/**
+ * Validate and normalize a full rule list (replaces the current one).
+ * Returns { rules } or { error }. Rules without an id get `<type>-<n>`.
+ */
+function validateRules(input) {
+  if (!Array.isArray(input)) return { error: 'rules must be an array' };
+  if (input.length > C.MARKET_FILTER_MAX_RULES) return { error: `At most ${C.MARKET_FILTER_MAX_RULES} rules` };
+
+  const rules = [];
+  const ids = new Set();
+  for (const [i, r] of input.entries()) {
+    const n = i + 1;
+    if (!r || typeof r !== 'object') return { error: `Rule ${n}: must be an object` };
+    if (!C.MARKET_FILTER_TYPES.includes(r.type)) return { error: `Rule ${n}: type must be one of ${C.MARKET_FILTER_TYPES.join(', ')}` };
+    const action = r.action || 'block';
+    if (!C.MARKET_FILTER_ACTIONS.includes(action)) return { error: `Rule ${n}: action must be "block" or "allow"` };
+
+    const id = String(r.id || `${r.type}-${n}`).trim().slice(0, 40);
+    if (!/^[\w.-]+$/.test(id)) return { error: `Rule ${n}: id may only contain letters, digits, "_", "." and "-"` };
+    if (ids.has(id)) return { error: `Rule ${n}: duplicate id "${id}"` };
+    ids.add(id);
+
+    const rule = { id, type: r.type, action, enabled: r.enabled !== false };
+    if (r.type === 'keyword' || r.type === 'category') {
+      const value = String(r.value ?? '').trim();
+      if (!value) return { error: `Rule ${id}: value is required` };
+      if (r.type === 'keyword') {
+        try { parseRegex(value); } catch (err) { return { error: `Rule ${id}: invalid regex — ${err.message}` }; }
+      }
+      rule.value = value;
+    } else if (NUMERIC_TYPES.includes(r.type)) {
+      const value = parseFloat(r.value);
+      if (isNaN(value) || value < 0) return { error: `Rule ${id}: value must be a number >= 0` };
+      if (!['lt', 'gt'].includes(r.op)) return { error: `Rule ${id}: op must be "lt" or "gt"` };
+      rule.op = r.op;
+      rule.value = value;
+    } else {
+      rule.value = r.value === true || r.value === 'true';
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+/** Human-readable condition of a rule, for logs and trade notes */
+function describeRule(rule) {
+  const cmp = rule.op === 'lt' ? '<' : '>';
+  switch (rule.type) {
+    case 'keyword': return `title ${parseRegex(rule.value) ? 'matches' : 'contains'} "${rule.value}"`;
+    case 'category': return `category in ${rule.value}`;
+    case 'hoursToEnd': return `ends in ${cmp} ${rule.value}h`;
+    case 'volume24h': return `24h volume ${cmp} $${rule.value}`;
+    case 'depth': return `book depth ${cmp} $${rule.value}`;
+    case 'negRisk': return rule.value ? 'neg-risk market' : 'not a neg-risk market';
+    default: return rule.type;
+  }
+}
+
+/**
+ * Whether a rule matches a market: { title, tags, endDate, negRisk, volume24h, depth }.
+ * Missing data (null / undefined) never matches.
+ */
+function ruleMatches(rule, market, nowMs = Date.now()) {
+  const compare = (v) => v != null && !isNaN(v) && (rule.op === 'lt' ? v < rule.value : v > rule.value);
+  switch (rule.type) {
+    case 'keyword': {
+      if (!market.title) return false;
+      const re = parseRegex(rule.value);
+      return re ? re.test(market.title) : market.title.toLowerCase().includes(rule.value.toLowerCase());
+    }
+    case 'category': {
+      if (!market.tags) return false;
+      const wanted = rule.value.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+      return market.tags.some(t => wanted.includes(String(t).toLowerCase()));
+    }
+    case 'hoursToEnd': {
+      const end = market.endDate ? Date.parse(market.endDate) : NaN;
+      return compare(isNaN(end) ? null : (end - nowMs) / 3600000);
+    }
+    case 'volume24h': return compare(market.volume24h);
+    case 'depth': return compare(market.depth);
+    case 'negRisk': return market.negRisk != null && market.negRisk === rule.value;
+    default: return false;
+  }
+}
+
+/**
+ * Run a market through the rules (pure). Returns { ok: true, rule? } — rule is
+ * the allow rule that let it through — or { ok: false, rule, reason }.
+ */
+function evaluate(market, rules, nowMs = Date.now()) {
+  for (const rule of rules) {
+    if (!rule.enabled || !ruleMatches(rule, market, nowMs)) continue;
+    if (rule.action === 'allow') return { ok: true, rule };
+    return { ok: false, rule, reason: describeRule(rule) };
+  }
+  return { ok: true };
+}
+
+/**
+ * Market filter check for an entry signal. getDepth(tokenId) → USD or null is
+ * called only when an enabled depth rule exists.
+ * Returns { ok: true } or { ok: false, ruleId, reason }.
+ */
+async function checkMarketFilters({ marketId, tokenId, marketName }, { getDepth } = {}) {
+  const rules = hotConfig.getMarketFilters().filter(r => r.enabled);
+  if (rules.length === 0) return { ok: true };
+
+  const needs = (types) => rules.some(r => types.includes(r.type));
+  const meta = needs(['keyword', 'category', 'hoursToEnd', 'volume24h', 'negRisk'])
+    ? await marketMeta.getMarketMeta(marketId)
+    : null;
+  const market = {
+    title: (meta && meta.question) || marketName || '',
+    tags: meta ? meta.tags : null,
+    endDate: meta ? meta.endDate : null,
+    negRisk: meta ? meta.negRisk : null,
+    volume24h: meta ? meta.volume24h : null,
+    depth: needs(['depth']) && getDepth ? await getDepth(tokenId) : null,
+  };
+
+  const result = evaluate(market, rules);
+  if (result.ok) {
+    if (result.rule) log.debug(`Market filter ${result.rule.id}: allowed "${market.title.slice(0, 40)}"`);
+    return { ok: true };
+  }
+  return { ok: false, ruleId: result.rule.id, reason: result.reason };
+}
+
+module.exports = { validateRules, describeRule, evaluate, checkMarketFilters };
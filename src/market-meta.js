@@ -0,0 +1,78 @@
+/**
+ * Market Metadata v1.1
+ *
+ * CLOB market metadata (monitor.fetchMarketInfo), cached in the market_meta
+ * table for MARKET_META_TTL_MS so risk checks and market filters can read it
+ * synchronously and it survives restarts:
+ *   eventId   — neg_risk_market_id for negRisk groups (the outcomes of one
+ *               multi-outcome event); a standalone market is its own event
+ *   tags      — the market's CLOB category tags (minus the catch-all "All")
+ *   volume24h — 24h volume from the Gamma API (null when Gamma is unavailable)
+ *
+ * A failed lookup is not retried for MARKET_META_RETRY_MS; an expired entry
+ * is kept when its refresh fails.
+ */
+
+const db = require('./db');
+const monitor = require('./monitor');
+const log = require('./logger');
+const C = require('./constants');
+
+// marketId → last failed lookup (ms)
+const failedAt = new Map();
+
+function fromClob(marketId, market, gamma) {
+  const volume = gamma ? parseFloat(gamma.volume24hr) : NaN;
+  return {
+    marketId,
+    question: market.question || '',
+    slug: market.market_slug || '',
+    eventId: market.neg_risk && market.neg_risk_market_id ? String(market.neg_risk_market_id) : '',
+    negRisk: !!market.neg_risk,
+    tags: (Array.isArray(market.tags) ? market.tags : []).map(String).filter(t => t && t !== 'All'),
+    endDate: market.end_date_iso || null,
+    active: market.active !== false,
+    closed: !!market.closed,
+    volume24h: isNaN(volume) ? null : volume,
+    fetchedAt: Date.now(),
+  };
+}
+
+/** Cached metadata, however old (null when never fetched) */
+function getCachedMeta(marketId) {
+  return marketId ? db.getMarketMeta(marketId) : null;
+}
+
+/**
+ * Metadata for one market, fetched when missing or older than MARKET_META_TTL_MS.
+ * Returns null when the market was never fetched and the lookup fails.
+ */
+async function getMarketMeta(marketId) {
+  if (!marketId) return null;
+  const cached = db.getMarketMeta(marketId);
+  if (cached && Date.now() - cached.fetchedAt < C.MARKET_META_TTL_MS) return cached;
+  if (Date.now() - (failedAt.get(marketId) || 0) < C.MARKET_META_RETRY_MS) return cached;
+
+  const market = await monitor.fetchMarketInfo(marketId);
+  if (!market) {
+    failedAt.set(marketId, Date.now());
+    log.debug(`Market metadata unavailable for ${marketId.slice(0, 12)}...`);
+    return cached;
+  }
+  failedAt.delete(marketId);
+  const meta = fromClob(marketId, market, await monitor.fetchGammaMarket(marketId));
+  db.upsertMarketMeta(meta);
+  return meta;
+}
+
+/** Fetch any missing or expired metadata for these markets, one at a time */
+async function ensureMarketMeta(marketIds) {
+  for (const id of new Set(marketIds)) await getMarketMeta(id);
+}
+
+/** Event group of a market: its negRisk event, else the market itself */
+function eventKey(marketId, meta = getCachedMeta(marketId)) {
+  return (meta && meta.eventId) || marketId;
+}
+
+module.exports = { getMarketMeta, getCachedMeta, ensureMarketMeta, eventKey };
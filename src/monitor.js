@@ -1,8 +1,22 @@
 /**
- * Trade Monitor v2.5
+ * Trade Monitor v2.6
  *
  * Watches target traders on Polymarket and detects position changes.
  *
+ * v2.6: pluggable signal sources (SIGNAL_SOURCE in .env):
+ *   - activity  — consumes the leader's trade feed (default). Every fill becomes
+ *                 a signal with the leader's real fill price, timestamp and tx hash,
+ *                 so round-trips inside one poll interval are no longer missed.
+ *   - positions — the original snapshot diff below. Also used as the fallback
+ *                 whenever the activity feed is unavailable for a trader.
+ *
+ * Activity feed:
+ *   GET https://data-api.polymarket.com/activity
+ *   - user, type=TRADE, start (unix seconds, inclusive), sortBy=TIMESTAMP, sortDirection=ASC
+ *   - Trade fields used: timestamp, conditionId, asset, side (BUY/SELL), size (tokens),
+ *     usdcSize, price, transactionHash, outcome, title
+ *   - Consumption is tracked per trader in activity_cursors (survives restarts)
+ *
  * Uses the Data API positions endpoint:
  *   GET https://data-api.polymarket.com/positions
  *   - limit: 1–500 (default 100)
@@ -17,10 +31,15 @@
  *   outcomeIndex — 0 (Yes) / 1 (No)
  *   size         — token count (stable — only changes on trades, not price moves)
  *   currentValue — current USD value of position
+ *   realizedPnl / cashPnl — leader's realized and unrealized PnL on the position
  *   avgPrice     — average entry price
  *   title        — market question/title
+ *
+ * Leader scorecards also read GET https://data-api.polymarket.com/closed-positions
+ * (newest first, 50 per page) for the leader's realizedPnl per close timestamp.
  */
 
+const { config } = require('./config');
 const hotConfig = require('./hot-config');
 const db = require('./db');
 const log = require('./logger');
@@ -42,6 +61,12 @@ const SIGNAL_DEDUP_TTL = C.SIGNAL_DEDUP_TTL_MS;
 // Track first scan per trader (skip initial positions, prevent false signals)
 const firstScanDone = new Set();
 
+// Leader position summaries: address → { summary, at }
+const portfolioCache = new Map();
+
+// conditionId → market tokens [{ token_id, outcome }] (fixed for a market's lifetime)
+const marketTokensCache = new Map();
+
 // ─── HTTP Fetch with Retry ───────────────────────
 
 async function fetchWithRetry(url, maxRetries = 3) {
@@ -113,6 +138,140 @@ async function fetchTraderPositions(traderAddress) {
   }
 }
 
+/**
+ * The other outcome token of a binary market: { tokenId, outcome } or null
+ * when the market lookup fails or the market doesn't have exactly two tokens.
+ */
+async function getComplementToken(conditionId, tokenId) {
+  let tokens = marketTokensCache.get(conditionId);
+  if (!tokens) {
+    const market = await fetchMarketInfo(conditionId);
+    if (!market || !Array.isArray(market.tokens)) return null;
+    tokens = market.tokens.map(t => ({ token_id: String(t.token_id), outcome: t.outcome }));
+    marketTokensCache.set(conditionId, tokens);
+  }
+  if (tokens.length !== 2 || !tokens.some(t => t.token_id === String(tokenId))) return null;
+  const other = tokens.find(t => t.token_id !== String(tokenId));
+  return { tokenId: other.token_id, outcome: other.outcome };
+}
+
+/**
+ * Apply the trader's copy mode to a leader signal. Fade traders' signals are
+ * turned onto the complementary token: their buy becomes our buy of the other
+ * outcome (at 1 − their price), and their exits close that opposite position.
+ * leaderTokenId/leaderSide keep what the leader actually traded.
+ * Returns null when a fade signal's complement can't be determined.
+ */
+async function applyTraderMode(signal) {
+  if (hotConfig.getModeForTrader(signal.traderAddress) !== C.COPY_MODES.FADE) return signal;
+
+  const complement = await getComplementToken(signal.marketId, signal.tokenId);
+  if (!complement) {
+    log.warn(`FADE: no complementary token for "${(signal.marketName || signal.marketId).slice(0, 40)}" — skipping ${signal.type}`);
+    return null;
+  }
+  const flip = (p) => (p > 0 ? Math.round((1 - p) * 10000) / 10000 : p);
+  return {
+    ...signal,
+    mode: C.COPY_MODES.FADE,
+    tokenId: complement.tokenId,
+    side: complement.outcome || signal.side,
+    price: flip(signal.price),
+    ...(signal.fillPrice !== undefined ? { fillPrice: flip(signal.fillPrice) } : {}),
+    leaderTokenId: signal.tokenId,
+    leaderSide: signal.side,
+  };
+}
+
+/**
+ * Summary of a trader's open positions on the Data API, cached for
+ * PORTFOLIO_VALUE_TTL_MS: { value, realizedPnl, unrealizedPnl, positions }.
+ * value sums currentValue (the Data API does not expose cash, so it understates
+ * cash-heavy accounts); the PnL sums only cover positions still listed.
+ * Returns null when positions can't be fetched.
+ */
+async function getLeaderSummary(traderAddress) {
+  const key = traderAddress.toLowerCase();
+  const cached = portfolioCache.get(key);
+  if (cached && Date.now() - cached.at < C.PORTFOLIO_VALUE_TTL_MS) return cached.summary;
+
+  const positions = await fetchTraderPositions(traderAddress);
+  if (!positions) return null;
+  const summary = { value: 0, realizedPnl: 0, unrealizedPnl: 0, positions: positions.length };
+  for (const p of positions) {
+    const v = parseFloat(p.currentValue);
+    summary.value += isNaN(v) ? (parseFloat(p.size) || 0) * (parseFloat(p.curPrice) || 0) : v;
+    summary.realizedPnl += parseFloat(p.realizedPnl) || 0;
+    summary.unrealizedPnl += parseFloat(p.cashPnl) || 0;
+  }
+  for (const k of ['value', 'realizedPnl', 'unrealizedPnl']) summary[k] = Math.round(summary[k] * 100) / 100;
+  portfolioCache.set(key, { summary, at: Date.now() });
+  return summary;
+}
+
+/**
+ * Estimated portfolio value of a trader (CONVICTION sizing), or null.
+ */
+async function getPortfolioValue(traderAddress) {
+  const summary = await getLeaderSummary(traderAddress);
+  return summary ? summary.value : null;
+}
+
+/**
+ * Fetch a trader's closed positions closed at or after a unix timestamp, newest first.
+ * Returns null on failure.
+ */
+async function fetchClosedPositions(traderAddress, sinceTs = 0, maxPages = C.CLOSED_POSITIONS_MAX_PAGES) {
+  try {
+    const closed = [];
+    let offset = 0;
+
+    for (let page = 0; page < maxPages; page++) {
+      const url = `${POLYMARKET_DATA_API}/closed-positions?user=${traderAddress}` +
+        `&sortBy=TIMESTAMP&sortDirection=DESC&limit=${C.CLOSED_POSITIONS_PAGE_LIMIT}&offset=${offset}`;
+      const data = await fetchWithRetry(url);
+      const items = Array.isArray(data) ? data : [];
+      const inWindow = items.filter(p => (parseInt(p.timestamp) || 0) >= sinceTs);
+      closed.push(...inWindow);
+
+      if (items.length < C.CLOSED_POSITIONS_PAGE_LIMIT || inWindow.length < items.length) break;
+      offset += C.CLOSED_POSITIONS_PAGE_LIMIT;
+    }
+
+    return closed;
+  } catch (err) {
+    log.error(`Failed to fetch closed positions for ${traderAddress.slice(0, 10)}...: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch a trader's TRADE activity since a unix timestamp (inclusive), oldest first.
+ * Returns null on failure (caller falls back to position diffing).
+ */
+async function fetchTraderActivity(traderAddress, sinceTs, maxPages = C.ACTIVITY_MAX_PAGES) {
+  try {
+    const trades = [];
+    let offset = 0;
+
+    for (let page = 0; page < maxPages; page++) {
+      const url = `${POLYMARKET_DATA_API}/activity?user=${traderAddress}&type=TRADE&start=${sinceTs}` +
+        `&sortBy=TIMESTAMP&sortDirection=ASC&limit=${C.ACTIVITY_PAGE_LIMIT}&offset=${offset}`;
+      const data = await fetchWithRetry(url);
+      const items = Array.isArray(data) ? data : [];
+      trades.push(...items.filter(t => !t.type || t.type === 'TRADE'));
+
+      if (items.length < C.ACTIVITY_PAGE_LIMIT) break;
+      offset += C.ACTIVITY_PAGE_LIMIT;
+    }
+
+    return trades;
+  } catch (err) {
+    log.error(`Failed to fetch activity for ${traderAddress.slice(0, 10)}...: ${err.message}`);
+    return null;
+  }
+}
+
 async function fetchMarketInfo(conditionId) {
   try {
     return await fetchWithRetry(`${POLYMARKET_CLOB_API}/markets/${conditionId}`);
@@ -121,6 +280,18 @@ async function fetchMarketInfo(conditionId) {
   }
 }
 
+/**
+ * Gamma API market (volume24hr, liquidity, …) for a condition ID, or null
+ */
+async function fetchGammaMarket(conditionId) {
+  try {
+    const data = await fetchWithRetry(`${C.POLYMARKET_GAMMA_API}/markets?condition_ids=${conditionId}`);
+    return Array.isArray(data) && data.length > 0 ? data[0] : null;
+  } catch {
+    return null;
+  }
+}
+
 // ─── Position Key Helpers ────────────────────────
 
 /**
@@ -193,6 +364,7 @@ async function detectChanges(traderAddress) {
     log.warn(`Skipping ${traderAddress.slice(0, 10)}... — API unavailable`);
     return [];
   }
+  const detectedTs = Date.now(); // first stage of the signal's latency (latency.js)
 
   const knownPositions = db.getTraderPositions(traderAddress);
   const knownMap = new Map(knownPositions.map(p => [dbPositionKey(p), p]));
@@ -224,7 +396,7 @@ async function detectChanges(traderAddress) {
         if (!isDuplicate(dk)) {
           signals.push({
             type: 'NEW', traderAddress, bucket, marketId, tokenId,
-            side, size: valueUsd, price, marketName,
+            side, size: valueUsd, price, marketName, dedupKey: dk, detectedTs,
           });
           markProcessed(dk);
           log.info(`NEW: ${traderAddress.slice(0, 10)}... → ${side} on ${marketName.slice(0, 50)} @ ${price} ($${valueUsd.toFixed(0)})`);
@@ -238,7 +410,7 @@ async function detectChanges(traderAddress) {
       if (!isDuplicate(dk)) {
         signals.push({
           type: 'INCREASE', traderAddress, bucket, marketId, tokenId,
-          side, size: increaseUsd, price, marketName,
+          side, size: increaseUsd, price, marketName, dedupKey: dk, detectedTs,
         });
         markProcessed(dk);
         log.info(`INCREASE: ${traderAddress.slice(0, 10)}... +${(increaseRatio * 100).toFixed(0)}% on ${marketName.slice(0, 50)}`);
@@ -253,7 +425,7 @@ async function detectChanges(traderAddress) {
         if (!isDuplicate(dk)) {
           signals.push({
             type: 'CLOSE', traderAddress, bucket, marketId, tokenId,
-            side, size: valueUsd, price, marketName,
+            side, size: valueUsd, price, marketName, dedupKey: dk, detectedTs,
           });
           markProcessed(dk);
           log.info(`NEAR-TOTAL CLOSE: ${traderAddress.slice(0, 10)}... -${(decreaseRatio * 100).toFixed(0)}% on ${marketName.slice(0, 50)} (treating as full close)`);
@@ -264,7 +436,7 @@ async function detectChanges(traderAddress) {
         if (!isDuplicate(dk)) {
           signals.push({
             type: 'CLOSE', traderAddress, bucket, marketId, tokenId,
-            side, size: decreaseUsd, price, marketName, isPartialClose: true,
+            side, size: decreaseUsd, price, marketName, isPartialClose: true, dedupKey: dk, detectedTs,
           });
           markProcessed(dk);
           log.info(`PARTIAL CLOSE: ${traderAddress.slice(0, 10)}... -${(decreaseRatio * 100).toFixed(0)}% on ${marketName.slice(0, 50)}`);
@@ -289,7 +461,7 @@ async function detectChanges(traderAddress) {
           // size is cost basis (tokens × entry price), not current value — current market price
           // is unavailable for disappeared positions. This is only used for logging; full closes
           // use ourPosition.size_usd in trader.js, so accuracy isn't critical here.
-          side: old.side, size: old.size * old.price, price: old.price, marketName: '',
+          side: old.side, size: old.size * old.price, price: old.price, marketName: '', dedupKey: dk, detectedTs,
         });
         markProcessed(dk);
         log.info(`CLOSE: ${traderAddress.slice(0, 10)}... exited ${old.side} on ${old.market_id.slice(0, 20)}`);
@@ -308,6 +480,175 @@ async function detectChanges(traderAddress) {
   return signals;
 }
 
+/**
+ * Turn one leader fill from the activity feed into a signal, keeping
+ * trader_positions (and knownMap) in step with it:
+ *   BUY  → NEW (no known position) or INCREASE
+ *   SELL → partial CLOSE, or full CLOSE above ACTIVITY_FULL_CLOSE_RATIO
+ * Returns { signal, soldRatio } or null (dust, no asset id, sell on an untracked position).
+ * Shared by detectActivity and the backtester.
+ */
+function activityToSignal(traderAddress, bucket, t, knownMap) {
+  const ts = parseInt(t.timestamp) || 0;
+  const marketId = t.conditionId || '';
+  // Only `asset` is a CLOB token id — a fill without one is dropped, not guessed from outcomeIndex
+  const tokenId = t.asset || '';
+  const tradeSide = String(t.side || '').toUpperCase();
+  const tokens = parseFloat(t.size || 0);
+  const fillPrice = parseFloat(t.price || 0);
+  const usdValue = parseFloat(t.usdcSize || 0) || tokens * fillPrice;
+  if (!marketId || !tokenId || tokens <= 0) return null;
+
+  const key = `${marketId}:${tokenId}`;
+  const side = t.outcome || 'Yes';
+  const marketName = t.title || '';
+  const known = knownMap.get(key);
+  const fill = { price: fillPrice, fillPrice, fillTimestamp: ts * 1000, txHash: t.transactionHash || '', source: 'activity' };
+
+  if (tradeSide === 'BUY') {
+    const type = known ? 'INCREASE' : 'NEW';
+    const prevSize = known ? known.size : 0;
+    const newSize = prevSize + tokens;
+    const avgPrice = known ? ((known.price * prevSize) + (fillPrice * tokens)) / newSize : fillPrice;
+    db.upsertTraderPosition({ traderAddress, marketId, tokenId, side, size: newSize, price: avgPrice });
+    knownMap.set(key, { trader_address: traderAddress, market_id: marketId, token_id: tokenId, side, size: newSize, price: avgPrice });
+    return { signal: { type, traderAddress, bucket, marketId, tokenId, side, size: usdValue, marketName, ...fill }, soldRatio: 0 };
+  }
+
+  if (tradeSide !== 'SELL') return null;
+  if (!known || known.size <= 0) {
+    log.debug(`Sell on untracked position ${key.slice(0, 30)}... by ${traderAddress.slice(0, 10)}... — ignoring`);
+    return null;
+  }
+  const soldRatio = Math.min(1, tokens / known.size);
+  const isFullClose = soldRatio > C.ACTIVITY_FULL_CLOSE_RATIO;
+  if (isFullClose) {
+    db.removeTraderPosition(traderAddress, marketId, tokenId);
+    knownMap.delete(key);
+  } else {
+    const remaining = known.size - tokens;
+    db.upsertTraderPosition({ traderAddress, marketId, tokenId, side, size: remaining, price: known.price });
+    knownMap.set(key, { ...known, size: remaining });
+  }
+  return {
+    signal: {
+      type: 'CLOSE', traderAddress, bucket, marketId, tokenId, side,
+      size: usdValue, marketName, ...fill,
+      ...(isFullClose ? {} : { isPartialClose: true }),
+    },
+    soldRatio,
+  };
+}
+
+/**
+ * Detect trades for a single trader from the activity feed.
+ *
+ * Each leader fill after the stored cursor becomes one signal, in fill order:
+ *   BUY  → NEW (no known position) or INCREASE
+ *   SELL → partial CLOSE, or full CLOSE above ACTIVITY_FULL_CLOSE_RATIO
+ * trader_positions is kept in step with the fills so proportional closes in
+ * trader.js see the same leader state as with the positions source.
+ *
+ * The first scan per process records a position snapshot via detectChanges and
+ * starts the cursor at that moment — history is never replayed as signals.
+ *
+ * Returns null when the feed is unavailable (caller falls back to positions).
+ */
+async function detectActivity(traderAddress) {
+  const bucket = hotConfig.getBucketForTrader(traderAddress);
+  if (!bucket) return [];
+
+  if (!firstScanDone.has(traderAddress)) {
+    const startTs = Math.floor(Date.now() / 1000);
+    await detectChanges(traderAddress);
+    if (firstScanDone.has(traderAddress)) db.setActivityCursor(traderAddress, startTs, []);
+    return [];
+  }
+
+  const cursor = db.getActivityCursor(traderAddress) || { lastTs: Math.floor(Date.now() / 1000), seenKeys: [] };
+  const trades = await fetchTraderActivity(traderAddress, cursor.lastTs);
+  if (trades === null) return null;
+  const detectedTs = Date.now();
+
+  const knownMap = new Map(db.getTraderPositions(traderAddress).map(p => [dbPositionKey(p), p]));
+  const seen = new Set(cursor.seenKeys);
+  const signals = [];
+  let lastTs = cursor.lastTs;
+
+  for (const t of trades) {
+    const ts = parseInt(t.timestamp) || 0;
+    const marketId = t.conditionId || '';
+    const tokenId = t.asset || '';
+    const tradeSide = String(t.side || '').toUpperCase();
+    const tokens = parseFloat(t.size || 0);
+    const fillPrice = parseFloat(t.price || 0);
+    const tradeKey = `${t.transactionHash || ''}:${tokenId}:${tradeSide}:${tokens}`;
+
+    if (ts < cursor.lastTs || seen.has(tradeKey)) continue;
+    if (ts > lastTs) {
+      lastTs = ts;
+      seen.clear();
+    }
+    seen.add(tradeKey);
+    if (!marketId || !tokenId || tokens <= 0) continue;
+
+    const result = activityToSignal(traderAddress, bucket, t, knownMap);
+    if (!result) continue;
+    const { signal, soldRatio } = result;
+    const dk = signalKey(traderAddress, marketId, tokenId, `TX_${tradeKey}`);
+    if (isDuplicate(dk)) continue;
+    signals.push({ ...signal, dedupKey: dk, detectedTs });
+    markProcessed(dk);
+
+    const label = `${traderAddress.slice(0, 10)}...`;
+    if (signal.type === 'CLOSE') {
+      log.info(`${signal.isPartialClose ? 'PARTIAL CLOSE' : 'CLOSE'}: ${label} sold ${(soldRatio * 100).toFixed(0)}% on ${signal.marketName.slice(0, 50)} @ ${fillPrice} [fill]`);
+    } else {
+      log.info(`${signal.type}: ${label} → ${signal.side} on ${signal.marketName.slice(0, 50)} @ ${fillPrice} ($${signal.size.toFixed(0)}) [fill]`);
+    }
+  }
+
+  db.setActivityCursor(traderAddress, lastTs, [...seen]);
+  return signals;
+}
+
+// ─── Signal Sources ──────────────────────────────
+
+/**
+ * Registered signal sources. scan(traderAddress) resolves to an array of signals,
+ * or null when the source is unavailable for that trader this cycle.
+ * Additional sources (e.g. a websocket feed) register with registerSignalSource().
+ */
+const signalSources = {
+  activity: { name: 'activity', scan: detectActivity },
+  positions: { name: 'positions', scan: async (addr) => (await detectChanges(addr)).map(s => ({ ...s, source: 'positions' })) },
+};
+
+function registerSignalSource(name, source) {
+  signalSources[name] = { name, ...source };
+}
+
+function getSignalSource() {
+  return signalSources[config.bot.signalSource] || signalSources.positions;
+}
+
+/**
+ * Scan one trader with the configured source, falling back to position diffing.
+ * After a fallback the activity cursor is moved to now — the diff has already
+ * absorbed those trades, so replaying them later would double-count.
+ */
+async function scanTrader(traderAddress) {
+  const source = getSignalSource();
+  const signals = await source.scan(traderAddress);
+  if (signals !== null) return signals;
+
+  log.warn(`${source.name} source unavailable for ${traderAddress.slice(0, 10)}... — falling back to position diff`);
+  const fallbackTs = Math.floor(Date.now() / 1000);
+  const fallback = await signalSources.positions.scan(traderAddress);
+  if (source.name === 'activity') db.setActivityCursor(traderAddress, fallbackTs, []);
+  return fallback;
+}
+
 // ─── Orchestrator ────────────────────────────────
 
 /**
@@ -323,13 +664,14 @@ async function scanAllTraders() {
 
   const allSignals = [];
   const CONCURRENCY = C.SCANNER_CONCURRENCY;
+  const cycleTs = Date.now(); // groups this scan's signals for per-cycle latency
 
   for (let i = 0; i < allTraders.length; i += CONCURRENCY) {
     const batch = allTraders.slice(i, i + CONCURRENCY);
     const results = await Promise.allSettled(
       batch.map(async (addr) => {
         try {
-          return await detectChanges(addr);
+          return await scanTrader(addr);
         } catch (err) {
           log.error(`Error scanning ${addr.slice(0, 10)}...: ${err.message}`);
           return [];
@@ -349,11 +691,47 @@ async function scanAllTraders() {
   }
 
   cleanupDedup();
-  return allSignals;
+
+  // Fade traders' signals are flipped onto the opposite outcome
+  const modeSignals = [];
+  for (const signal of allSignals) {
+    const applied = await applyTraderMode(signal);
+    if (applied) modeSignals.push({ ...applied, cycleTs });
+  }
+  return modeSignals;
+}
+
+/**
+ * Replace a trader's stored snapshot with a known-good position list and mark
+ * the first scan as done, so the next scan generates signals from this baseline.
+ * Used by the startup catch-up pass, which already inspected what changed.
+ */
+function applySnapshot(traderAddress, positions) {
+  const known = new Map(db.getTraderPositions(traderAddress).map(p => [dbPositionKey(p), p]));
+  for (const pos of positions) {
+    const marketId = pos.conditionId || '';
+    const tokenId = pos.asset || String(pos.outcomeIndex ?? '');
+    db.upsertTraderPosition({
+      traderAddress, marketId, tokenId,
+      side: pos.outcome || 'Yes',
+      size: parseFloat(pos.size || 0),
+      price: parseFloat(pos.avgPrice || 0),
+    });
+    known.delete(`${marketId}:${tokenId}`);
+  }
+  for (const [, old] of known.entries()) {
+    db.removeTraderPosition(traderAddress, old.market_id, old.token_id);
+  }
+  firstScanDone.add(traderAddress);
+  db.setActivityCursor(traderAddress, Math.floor(Date.now() / 1000), []);
 }
 
 function clearFirstScan(traderAddress) {
   firstScanDone.delete(traderAddress.toLowerCase());
 }
 
-module.exports = { scanAllTraders, fetchTraderPositions, fetchMarketInfo, detectChanges, clearFirstScan };
+module.exports = {
+  scanAllTraders, fetchTraderPositions, fetchTraderActivity, fetchClosedPositions, fetchMarketInfo, fetchGammaMarket, getPortfolioValue, getLeaderSummary, activityToSignal,
+  getComplementToken, applyTraderMode,
+  detectChanges, detectActivity, registerSignalSource, getSignalSource, applySnapshot, clearFirstScan,
+};
@@ -22,6 +22,13 @@ let telegramBotToken = process.env.TELEGRAM_BOT_TOKEN || '';
 let telegramChatId = process.env.TELEGRAM_CHAT_ID || '';
 let discordWebhookUrl = process.env.DISCORD_WEBHOOK_URL || '';
 
+let muted = false;
+
+/** Silence all sends (backtest replays must not alert anyone) */
+function mute(on = true) {
+  muted = on;
+}
+
 function isConfigured() {
   return !!(telegramBotToken && telegramChatId) || !!discordWebhookUrl;
 }
@@ -93,7 +100,7 @@ async function sendDiscord(content) {
  * @param {string} [plainText] - Optional plain-text fallback for Discord if message has HTML
  */
 async function send(message, plainText) {
-  if (!isConfigured()) return;
+  if (muted || !isConfigured()) return;
   const discordMsg = plainText || message.replace(/<[^>]+>/g, '');
   await Promise.allSettled([
     sendTelegram(message),
@@ -158,6 +165,14 @@ function notifyEquityStopLoss(equity, floor) {
   );
 }
 
+function notifyTraderDisabled(name, reason) {
+  if (!shouldNotify(`traderDisabled:${name}`)) return;
+  send(
+    `<b>Trader Disabled</b>\n${name}: ${reason}`,
+    `Trader Disabled: ${name} - ${reason}`,
+  );
+}
+
 async function testNotification() {
   await send(
     '<b>Test Notification</b>\nYour notification setup is working!',
@@ -179,6 +194,7 @@ function loadPersistedConfig() {
 loadPersistedConfig();
 
 module.exports = {
+  mute,
   isConfigured,
   updateConfig,
   getConfig,
@@ -189,5 +205,6 @@ module.exports = {
   notifyBotStarted,
   notifyBotPaused,
   notifyEquityStopLoss,
+  notifyTraderDisabled,
   testNotification,
 };
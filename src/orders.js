@@ -0,0 +1,244 @@
+/**
+ * Resting Order Manager v1.0
+ *
+ * Backs EXECUTION_MODE=limit: entries are posted as GTC limit orders at or
+ * near the leader's fill price instead of FOK market orders at the ask.
+ *
+ * Each resting order is tracked in the open_orders table and maintained
+ * every cycle (also while paused):
+ *   - Fills (including partial) are recorded into positions as they happen
+ *   - Cancelled after LIMIT_ORDER_TTL_SEC
+ *   - Cancelled once the ask drifts above the limit by more than SLIPPAGE_TOLERANCE
+ *   - Cancelled on graceful shutdown and on emergency stop
+ *   - Cancelled when a CLOSE arrives for its token, before the close sells — a
+ *     late fill would otherwise re-open a position no leader holds
+ *
+ * The trade row is logged as 'resting' at placement and updated to
+ * 'executed' (with the filled size) or 'expired' when the order ends. Fills
+ * and cancels are mirrored into the order ledger (fills.js).
+ * Closes always stay FOK — an exit should never wait on the book.
+ */
+
+const { Side, OrderType } = require('@polymarket/clob-client');
+const { config } = require('./config');
+const db = require('./db');
+const log = require('./logger');
+const notifications = require('./notifications');
+const fills = require('./fills');
+const C = require('./constants');
+
+let clobClient = null;
+let getMarketPrice = async () => null;
+
+/**
+ * Wire in the CLOB client and price lookup (called from trader.initClobClient).
+ */
+function init(client, priceFn) {
+  clobClient = client;
+  if (priceFn) getMarketPrice = priceFn;
+}
+
+/**
+ * Round a price down to the market's tick size (a BUY limit must never round up).
+ */
+function roundToTick(price, tickSize) {
+  const tick = parseFloat(tickSize) || 0.01;
+  const decimals = (String(tickSize).split('.')[1] || '').length || 2;
+  const rounded = Math.floor(price / tick + 1e-9) * tick;
+  return parseFloat(Math.min(Math.max(rounded, tick), 1 - tick).toFixed(decimals));
+}
+
+/**
+ * Limit price for an entry: leader price plus LIMIT_PRICE_OFFSET_PCT,
+ * never more than SLIPPAGE_TOLERANCE above the leader.
+ */
+function getLimitPrice(leaderPrice) {
+  const offsetPct = Math.min(config.execution.limitOffsetPct, config.risk.slippageTolerance);
+  return leaderPrice * (1 + Math.max(0, offsetPct) / 100);
+}
+
+/**
+ * Post a GTC BUY and start tracking it.
+ * Returns { resting: true, orderId, ... } or null if the order was not accepted.
+ */
+async function placeLimitBuy({ traderAddress, bucket, marketId, tokenId, marketName, side, leaderPrice, leaderSize, sizeUsd, sizing = {} }) {
+  const tickSize = await clobClient.getTickSize(tokenId);
+  const price = roundToTick(getLimitPrice(leaderPrice), tickSize);
+  const size = Math.floor((sizeUsd / price) * 100) / 100; // tokens, 2dp
+
+  log.info(`EXEC LIMIT: ${side} ${size} tokens ($${(size * price).toFixed(2)}) on "${(marketName || marketId).slice(0, 40)}" @ ${price} (leader ${leaderPrice}, TTL ${config.execution.limitTtlSec}s)`);
+
+  const orderRequest = { tokenID: tokenId, price, size, side: Side.BUY };
+  const ledgerBase = { orderType: C.ORDER_TYPES.GTC, side: 'BUY', marketId, tokenId, request: orderRequest };
+  let order;
+  const submittedTs = Date.now();
+  try {
+    order = await clobClient.createAndPostOrder(orderRequest, { tickSize }, OrderType.GTC);
+  } catch (err) {
+    await fills.recordSubmission({ ...ledgerBase, error: err.message });
+    throw err;
+  }
+  const { ledgerId } = await fills.recordSubmission({ ...ledgerBase, response: order });
+
+  const orderId = order && typeof order === 'object' ? (order.orderID || order.id) : null;
+  if (!orderId || order.success === false) {
+    const errorMsg = (order && order.errorMsg) || 'Invalid order response';
+    log.error(`Limit order rejected: ${errorMsg}`);
+    db.logTrade({
+      ...sizing, submittedTs, traderAddress, bucket, marketId, marketName, side, price,
+      sizeUsd, leaderSizeUsd: leaderSize, status: 'failed',
+      dryRun: false, notes: `GTC rejected: ${errorMsg}`,
+    });
+    return null;
+  }
+
+  const tradeId = db.logTrade({
+    ...sizing, submittedTs, traderAddress, bucket, marketId, marketName, side, price,
+    sizeUsd: Math.round(size * price * 100) / 100, leaderSizeUsd: leaderSize, status: 'resting',
+    orderId, dryRun: false, notes: `GTC ${size} @ ${price}, resting`,
+  }).lastInsertRowid;
+  fills.linkTrade(ledgerId, tradeId);
+
+  const id = db.insertOpenOrder({
+    orderId, tradeId, traderAddress, bucket, marketId, tokenId, marketName, side,
+    price, size, leaderPrice, leaderSizeUsd: leaderSize, mode: sizing.mode,
+    expiresAt: Date.now() + config.execution.limitTtlSec * 1000,
+  });
+
+  // Immediately-marketable limits fill on placement — record that now
+  await syncOrder(db.getOpenOrders().find(o => o.id === id));
+  return { resting: true, orderId, size: Math.round(size * price * 100) / 100, price };
+}
+
+/**
+ * Record any new fills for a tracked order into positions.
+ * Returns the CLOB order (or null if it could not be fetched).
+ * settleDead=false leaves exchange-cancelled orders for the caller to settle.
+ */
+async function syncOrder(row, settleDead = true) {
+  if (!row) return null;
+  let remote;
+  try {
+    remote = await clobClient.getOrder(row.order_id);
+  } catch (err) {
+    log.warn(`Could not fetch order ${row.order_id.slice(0, 14)}...: ${err.message}`);
+    return null;
+  }
+  if (!remote) return null;
+
+  const matched = Math.min(parseFloat(remote.size_matched || 0), row.size);
+  const delta = matched - row.size_matched;
+  if (delta > 1e-6) {
+    const fillUsd = Math.round(delta * row.price * 100) / 100;
+    db.upsertPosition({
+      marketId: row.market_id, tokenId: row.token_id, marketName: row.market_name, side: row.side,
+      entryPrice: row.price, sizeUsd: fillUsd, shares: delta, traderAddress: row.trader_address, bucket: row.bucket,
+      mode: row.mode,
+    });
+    db.setOpenOrderMatched(row.id, matched);
+    if (row.trade_id) db.setTradeFilledTs(row.trade_id, Date.now());
+    row.size_matched = matched;
+    await fills.recordLimitFill(row.order_id, matched, row.price, remote.associate_trades || []);
+    log.info(`LIMIT FILL: ${row.order_id.slice(0, 14)}... +${delta.toFixed(2)} tokens ($${fillUsd.toFixed(2)}) — ${matched.toFixed(2)}/${row.size} filled`);
+  }
+
+  const status = String(remote.status || '').toUpperCase();
+  if (matched >= row.size - 1e-6 || status === 'MATCHED') {
+    finalize(row, 'filled');
+  } else if (settleDead && C.DEAD_ORDER_STATUSES.includes(status)) {
+    finalize(row, 'cancelled', `cancelled on exchange (${status})`);
+  }
+  return remote;
+}
+
+/**
+ * Close out a tracked order and settle its trade row.
+ */
+function finalize(row, status, reason = '') {
+  db.closeOpenOrder(row.id, status, reason);
+  row.status = status;
+  if (status !== 'filled') fills.recordCancel(row.order_id, reason);
+  const filledUsd = Math.round(row.size_matched * row.price * 100) / 100;
+  const progress = `${row.size_matched.toFixed(2)}/${row.size}`;
+
+  if (row.size_matched > 0) {
+    const notes = status === 'filled' ? `GTC filled ${progress} @ ${row.price}` : `GTC partial ${progress} @ ${row.price}, ${reason}`;
+    if (row.trade_id) db.updateTradeResult(row.trade_id, { status: 'executed', price: row.price, sizeUsd: filledUsd, notes });
+    db.logAudit(C.AUDIT_ACTIONS.TRADE_EXECUTED, `${row.side} $${filledUsd.toFixed(2)} on ${(row.market_name || row.market_id).slice(0, 30)} (limit)`);
+    notifications.notifyTradeExecuted({ side: row.side, sizeUsd: filledUsd, marketName: row.market_name, price: row.price, dryRun: false });
+    log.info(`LIMIT ${status === 'filled' ? 'FILLED' : 'PARTIAL'}: ${row.order_id.slice(0, 14)}... $${filledUsd.toFixed(2)} @ ${row.price}${reason ? ` (${reason})` : ''}`);
+  } else {
+    if (row.trade_id) db.updateTradeResult(row.trade_id, { status: 'expired', price: row.price, sizeUsd: 0, notes: `GTC unfilled, ${reason}` });
+    log.info(`LIMIT EXPIRED: ${row.order_id.slice(0, 14)}... unfilled (${reason})`);
+  }
+}
+
+/**
+ * Cancel one resting order, then settle it with whatever filled before the cancel.
+ */
+async function cancelOrder(row, reason) {
+  try {
+    await clobClient.cancelOrder({ orderID: row.order_id });
+  } catch (err) {
+    log.warn(`Cancel failed for ${row.order_id.slice(0, 14)}...: ${err.message}`);
+    return false;
+  }
+  // Pick up fills that landed between the last poll and the cancel
+  await syncOrder(row, false);
+  if (row.status === 'open') finalize(row, 'cancelled', reason);
+  db.logAudit(C.AUDIT_ACTIONS.ORDER_CANCEL, `${row.order_id.slice(0, 14)}... ${(row.market_name || row.market_id).slice(0, 30)}: ${reason}`);
+  return true;
+}
+
+/**
+ * Cancel the resting order on a token, if any, and settle its fills into the
+ * position (called by a CLOSE before it sizes the sell). Returns false only
+ * when an order exists and the cancel failed.
+ */
+async function cancelOrderForToken(marketId, tokenId, reason) {
+  const row = db.getOpenOrderByToken(marketId, tokenId);
+  if (!clobClient || !row) return true;
+  await syncOrder(row);
+  if (row.status !== 'open') return true; // filled (or died) since the last poll
+  return cancelOrder(row, reason);
+}
+
+/**
+ * Per-cycle maintenance: record fills, cancel on TTL or price drift.
+ */
+async function processOpenOrders() {
+  if (!clobClient) return;
+  for (const row of db.getOpenOrders()) {
+    const remote = await syncOrder(row);
+    if (!remote || row.status !== 'open') continue; // unreachable or already settled
+
+    if (Date.now() >= row.expires_at) {
+      await cancelOrder(row, `TTL ${config.execution.limitTtlSec}s elapsed`);
+      continue;
+    }
+
+    const ask = await getMarketPrice(row.token_id, 'BUY');
+    if (ask && row.price > 0) {
+      const drift = ((ask - row.price) / row.price) * 100;
+      if (drift > config.risk.slippageTolerance) {
+        await cancelOrder(row, `price drifted ${drift.toFixed(2)}% above limit (ask ${ask})`);
+      }
+    }
+  }
+}
+
+/**
+ * Cancel every resting order (graceful shutdown / emergency stop).
+ */
+async function cancelAllOpenOrders(reason) {
+  const rows = db.getOpenOrders();
+  if (!clobClient || rows.length === 0) return 0;
+  log.warn(`Cancelling ${rows.length} resting order(s): ${reason}`);
+  let cancelled = 0;
+  for (const row of rows) {
+    if (await cancelOrder(row, reason)) cancelled++;
+  }
+  return cancelled;
+}
+
+module.exports = { init, placeLimitBuy, processOpenOrders, cancelOrderForToken, cancelAllOpenOrders, roundToTick };
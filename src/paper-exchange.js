@@ -0,0 +1,111 @@
+/**
+ * Paper Exchange v1.0
+ *
+ * Dry-run entries used to be booked at the leader's price without looking at
+ * the book, so paper results were systematically optimistic. This stands in
+ * for the CLOB in dry run: same calls as ClobClient (getOrderBook, getPrice,
+ * createAndPostMarketOrder) and the same response shape, so executeSignal
+ * reads a paper fill exactly like a live one (fills.parseFill).
+ *
+ * A market order is modeled the way the CLOB handles it:
+ *   1. The FOK limit is priced off the book as it is now (deepest level needed)
+ *   2. The order is in flight for PAPER_LATENCY_MS
+ *   3. It matches against the book as it is then, only at or inside the limit;
+ *      if that cannot fill the whole amount the FOK is rejected
+ *   4. The market's fee (GET /fee-rate) comes out of what we receive
+ *
+ * Books come from the read-only CLOB client, or from any source with a
+ * getOrderBook(tokenId) method (recorded books) passed to init().
+ */
+
+const { config } = require('./config');
+const fills = require('./fills');
+const clock = require('./clock');
+
+let bookSource = null;
+let walkBook = () => null;
+let orderSeq = 0;
+const feeRates = new Map();
+
+/**
+ * Wire in the book source and trader.walkBook (called from trader.initClobClient).
+ */
+function init(source, walkFn) {
+  bookSource = source;
+  if (walkFn) walkBook = walkFn;
+}
+
+function isReady() {
+  return !!bookSource;
+}
+
+async function getOrderBook(tokenId) {
+  if (!bookSource) throw new Error('Paper exchange has no book source');
+  return bookSource.getOrderBook(tokenId);
+}
+
+/**
+ * Best price on the side we would trade against, in the CLOB's /price shape.
+ * As on the CLOB, side BUY reads the bids and side SELL the asks.
+ */
+async function getPrice(tokenId, side) {
+  if (bookSource && typeof bookSource.getPrice === 'function') return bookSource.getPrice(tokenId, side);
+  const walk = walkBook(await getOrderBook(tokenId), side === 'BUY' ? 'SELL' : 'BUY', 0, { minLevelUsd: 0 });
+  return { price: walk ? String(walk.bestPrice) : '0' };
+}
+
+async function getFeeRateBps(tokenId) {
+  if (feeRates.has(tokenId)) return feeRates.get(tokenId);
+  let bps = 0;
+  try {
+    if (bookSource && typeof bookSource.getFeeRateBps === 'function') bps = Number(await bookSource.getFeeRateBps(tokenId)) || 0;
+  } catch {
+    // unknown fee rate — simulate fee-free rather than fail the fill
+  }
+  feeRates.set(tokenId, bps);
+  return bps;
+}
+
+function rejected(errorMsg) {
+  return { success: false, errorMsg, orderID: '', status: 'unmatched', transactionsHashes: [] };
+}
+
+/**
+ * Simulated FOK market order. amount is USDC for a BUY, shares for a SELL
+ * (same as ClobClient). Throws if no book can be read — there is nothing to model.
+ */
+async function createAndPostMarketOrder({ tokenID, side, amount }) {
+  const isBuy = String(side).toUpperCase() === 'BUY';
+  const size = parseFloat(amount);
+  // The matching engine sees the whole book — none of the bot's own walk limits apply
+  const walkOpts = { amountIn: isBuy ? 'usd' : 'tokens', maxDepth: Infinity, maxSlippagePct: Infinity, minLevelUsd: 0 };
+
+  const quote = walkBook(await getOrderBook(tokenID), isBuy ? 'BUY' : 'SELL', size, walkOpts);
+  if (!quote || !quote.fullyFillable) return rejected(`insufficient liquidity: book only has ${quote ? quote.fillable : 0} of ${size}${isBuy ? ' USDC' : ' shares'}`);
+
+  const latencyMs = Math.max(0, config.paper.latencyMs);
+  if (latencyMs > 0) await clock.sleep(latencyMs);
+
+  const walk = walkBook(await getOrderBook(tokenID), isBuy ? 'BUY' : 'SELL', size, { ...walkOpts, limitPrice: quote.worstPrice });
+  if (!walk || !walk.fullyFillable) return rejected(`book moved past limit ${quote.worstPrice} during ${latencyMs}ms latency`);
+
+  const feeRateBps = await getFeeRateBps(tokenID);
+  const feeUsd = fills.estimateFee(feeRateBps, walk.effectivePrice, walk.tokens);
+  // Same convention as the CLOB response: BUY making = USDC, taking = shares; SELL the reverse.
+  // The fee is taken out of what we receive.
+  const received = isBuy ? walk.tokens - feeUsd / walk.effectivePrice : walk.usd - feeUsd;
+  return {
+    success: true,
+    orderID: `paper-${Date.now()}-${++orderSeq}`,
+    status: 'matched',
+    makingAmount: (isBuy ? walk.usd : walk.tokens).toFixed(6),
+    takingAmount: received.toFixed(6),
+    transactionsHashes: [],
+    paper: {
+      bestPrice: walk.bestPrice, limitPrice: quote.worstPrice, levels: walk.levels,
+      slippageFromBest: walk.slippageFromBest, feeRateBps, feeUsd, latencyMs,
+    },
+  };
+}
+
+module.exports = { init, isReady, getOrderBook, getPrice, getFeeRateBps, createAndPostMarketOrder };
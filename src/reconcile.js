@@ -0,0 +1,125 @@
+/**
+ * On-chain Reconciliation v1.0
+ *
+ * Compares every open position's share count with the wallet's CTF (ERC-1155)
+ * balance for its token_id, every RECONCILE_INTERVAL_MIN minutes (live mode only).
+ * Catches manual sells on polymarket.com, half-filled orders and failed closes
+ * that would otherwise leave the DB and the wallet silently out of sync.
+ *
+ * A difference above RECONCILE_TOLERANCE_SHARES is flagged in position_mismatches
+ * and the audit log. Nothing is changed until an operator acts on the dashboard:
+ *   apply   — set the position to the on-chain share count (closes it at 0)
+ *   dismiss — keep the DB as is; the same balance is not flagged again
+ * A mismatch that disappears on its own (e.g. a late settlement) is 'cleared'.
+ *
+ * Tokens with an unsettled fill (resting order, or a fill not yet confirmed)
+ * are skipped — the chain legitimately lags the DB there.
+ */
+
+const { config } = require('./config');
+const db = require('./db');
+const trader = require('./trader');
+const log = require('./logger');
+const C = require('./constants');
+
+let lastRunAt = 0;
+let rpcOverride = null;
+
+/**
+ * Read balances through a different provider (local chain stand-in, tests).
+ * Pass null to go back to the bot's own provider.
+ */
+function setProvider(rpcProvider) {
+  rpcOverride = rpcProvider;
+}
+
+/** Tokens whose fills have not settled on-chain yet */
+function getUnsettledTokens() {
+  return new Set([
+    ...db.getOpenOrders().map(o => o.token_id),
+    ...db.getUnconfirmedLedgerOrders().map(o => o.token_id),
+  ]);
+}
+
+/**
+ * Check every open position against the wallet.
+ * Runs at most once per RECONCILE_INTERVAL_MIN unless force is set.
+ * Returns { checked, flagged, cleared } or null if skipped / balances unavailable.
+ */
+async function runReconciliation({ force = false } = {}) {
+  if (config.bot.dryRun) return null; // simulated positions have no on-chain shares
+  const intervalMs = config.reconcile.intervalMin * 60 * 1000;
+  if (!force && (intervalMs <= 0 || Date.now() - lastRunAt < intervalMs)) return null;
+  lastRunAt = Date.now();
+
+  const unsettled = getUnsettledTokens();
+  const positions = db.getOpenPositions().filter(p => !unsettled.has(p.token_id));
+  if (positions.length === 0) return { checked: 0, flagged: 0, cleared: 0 };
+
+  const balances = await trader.getCtfBalances(positions.map(p => p.token_id), rpcOverride || undefined);
+  if (!balances) {
+    log.warn('Reconciliation skipped — CTF balances unavailable');
+    return null;
+  }
+
+  const summary = { checked: positions.length, flagged: 0, cleared: 0 };
+  for (const pos of positions) {
+    const chainShares = Math.round((balances.get(pos.token_id) || 0) * 1e6) / 1e6;
+    const open = db.getPositionMismatch(pos.id, 'open');
+
+    if (Math.abs(chainShares - pos.shares) <= C.RECONCILE_TOLERANCE_SHARES) {
+      if (open) {
+        db.setMismatchStatus(open.id, 'cleared');
+        summary.cleared++;
+        log.info(`Reconcile: mismatch #${open.id} on "${(pos.market_name || pos.market_id).slice(0, 40)}" cleared`);
+      }
+      continue;
+    }
+
+    if (open) {
+      db.updateMismatchBalances(open.id, pos.shares, chainShares);
+      continue;
+    }
+
+    // Operator already chose to keep the DB for this exact balance
+    const dismissed = db.getPositionMismatch(pos.id, 'dismissed');
+    if (dismissed && Math.abs(dismissed.chain_shares - chainShares) <= C.RECONCILE_TOLERANCE_SHARES) continue;
+
+    const id = db.insertMismatch({
+      positionId: pos.id, marketId: pos.market_id, tokenId: pos.token_id, marketName: pos.market_name,
+      dbShares: pos.shares, chainShares,
+    });
+    summary.flagged++;
+    const detail = `#${id} ${(pos.market_name || pos.market_id).slice(0, 40)}: DB ${pos.shares} shares, wallet ${chainShares}`;
+    db.logAudit(C.AUDIT_ACTIONS.RECONCILE_MISMATCH, detail);
+    log.warn(`POSITION MISMATCH ${detail}`);
+  }
+
+  if (summary.flagged || summary.cleared) {
+    log.info(`Reconcile: ${summary.checked} checked, ${summary.flagged} flagged, ${summary.cleared} cleared`);
+  }
+  return summary;
+}
+
+/**
+ * Apply (DB := wallet) or dismiss an open mismatch (dashboard).
+ */
+function resolveMismatch(id, apply, actor = 'dashboard', ip = '') {
+  const m = db.getMismatch(id);
+  if (!m) return { error: 'Mismatch not found' };
+  if (m.status !== 'open') return { error: `Mismatch is already ${m.status}` };
+
+  const detail = `#${id} ${(m.market_name || m.market_id).slice(0, 40)}: DB ${m.db_shares} → wallet ${m.chain_shares}`;
+  if (apply) {
+    if (!db.adjustPositionShares(m.position_id, m.chain_shares)) return { error: 'Position is no longer open' };
+    db.setMismatchStatus(id, 'applied', actor);
+    db.logAudit(C.AUDIT_ACTIONS.RECONCILE_APPLY, detail, actor, ip);
+    log.info(`Reconcile: applied ${detail}`);
+  } else {
+    db.setMismatchStatus(id, 'dismissed', actor);
+    db.logAudit(C.AUDIT_ACTIONS.RECONCILE_DISMISS, detail, actor, ip);
+  }
+  return { success: true, id, status: apply ? 'applied' : 'dismissed' };
+}
+
+module.exports = { runReconciliation, resolveMismatch, setProvider };
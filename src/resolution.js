@@ -0,0 +1,157 @@
+/**
+ * Market Resolution Watcher v1.0
+ *
+ * Held-to-resolution markets never get a leader CLOSE signal, so without this
+ * their positions stay 'open' forever and keep counting against
+ * MAX_OPEN_POSITIONS and MAX_TOTAL_EXPOSURE.
+ *
+ * Every RESOLUTION_CHECK_MIN minutes, each market with an open position is
+ * looked up on the CLOB (monitor.fetchMarketInfo). Once a market is closed
+ * and a winning token is known, every position on it is closed at the payout:
+ *   winning token → 1.0 per share, losing token → 0.0
+ * with realized PnL booked per lot and a CLOSE trade row for the PnL history.
+ * A market that closes with no winning token (50/50 split, voided market) is
+ * closed at Gamma's final outcome prices once UMA reports it resolved — until
+ * then the outcome is simply not known yet.
+ *
+ * Winning shares still have to be redeemed for USDC. With AUTO_REDEEM=true
+ * the CTF redeemPositions transaction is submitted (NegRiskAdapter for
+ * neg-risk markets); otherwise — or when shares sit in a proxy wallet — the
+ * position is marked for manual redemption on polymarket.com.
+ *
+ * Dry-run: resolutions are simulated the same way, nothing is redeemed.
+ */
+
+const { config } = require('./config');
+const db = require('./db');
+const monitor = require('./monitor');
+const trader = require('./trader');
+const log = require('./logger');
+const C = require('./constants');
+
+let lastCheckAt = 0;
+
+/**
+ * Payout per share for a token in a resolved market: 1, 0, or null if not resolved yet.
+ */
+function getPayout(market, tokenId) {
+  if (!market || !market.closed || !Array.isArray(market.tokens)) return null;
+  if (!market.tokens.some(t => t.winner === true)) return null; // closed, outcome not reported yet
+  const token = market.tokens.find(t => String(t.token_id) === String(tokenId));
+  if (!token) return null;
+  return token.winner === true ? 1 : 0;
+}
+
+/**
+ * Payout per share for a token in a market resolved without a winner (50/50,
+ * void): Gamma's final outcome price once UMA reports it resolved, else null.
+ */
+function getSplitPayout(gamma, tokenId) {
+  if (!gamma || gamma.umaResolutionStatus !== 'resolved') return null;
+  try {
+    const tokenIds = JSON.parse(gamma.clobTokenIds || '[]').map(String);
+    const prices = JSON.parse(gamma.outcomePrices || '[]').map(parseFloat);
+    const price = prices[tokenIds.indexOf(String(tokenId))];
+    return price >= 0 && price <= 1 ? price : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Close one position at the resolution payout.
+ */
+function resolvePosition(pos, payout) {
+  const dryRun = config.bot.dryRun;
+  const sale = trader.calculatePnl(trader.takeLotsFifo(db.getPositionLots(pos.id), pos.shares), payout);
+  db.applyLotSale(pos.id, sale.lots, payout, C.CLOSE_REASONS.RESOLVED);
+
+  const outcome = payout === 1 ? 'won' : payout === 0 ? 'lost' : 'split';
+  const label = (pos.market_name || pos.market_id).slice(0, 40);
+  db.logTrade({
+    traderAddress: pos.trader_address, bucket: pos.bucket, marketId: pos.market_id, marketName: pos.market_name,
+    side: `CLOSE_${pos.side}`, closeReason: C.CLOSE_REASONS.RESOLVED, mode: pos.mode, price: payout, sizeUsd: sale.cost,
+    status: dryRun ? 'simulated' : 'executed',
+    dryRun, pnl: sale.total,
+    notes: `Market resolved — ${outcome}. ${pos.shares.toFixed(2)} shares @ ${payout}. PnL: $${sale.total.toFixed(2)}`,
+  });
+
+  if (payout > 0 && !dryRun) {
+    const status = config.resolution.autoRedeem && trader.canRedeem() ? 'pending' : 'manual';
+    db.setRedeemStatus(pos.id, status);
+    if (status === 'manual') log.info(`Resolved "${label}" — redeem ${pos.shares.toFixed(2)} ${outcome === 'won' ? 'winning' : 'split'} shares on polymarket.com`);
+  }
+
+  db.logAudit(C.AUDIT_ACTIONS.POSITION_RESOLVED, `${label}: ${outcome.toUpperCase()} ${pos.shares.toFixed(2)} shares, PnL $${sale.total.toFixed(2)}${dryRun ? ' (sim)' : ''}`);
+  log.info(`${dryRun ? 'SIM ' : ''}RESOLVED: "${label}" ${outcome.toUpperCase()} — ${pos.shares.toFixed(2)} shares @ ${payout} | PnL: $${sale.total.toFixed(2)}`);
+}
+
+/**
+ * Submit redeemPositions for every resolved market waiting on auto-redemption.
+ */
+async function redeemPending() {
+  const byMarket = new Map();
+  for (const pos of db.getPositionsByRedeemStatus('pending')) {
+    if (!byMarket.has(pos.market_id)) byMarket.set(pos.market_id, []);
+    byMarket.get(pos.market_id).push(pos);
+  }
+
+  for (const [marketId, positions] of byMarket) {
+    const market = await monitor.fetchMarketInfo(marketId);
+    if (!market) continue; // retry next check
+    const label = (positions[0].market_name || marketId).slice(0, 40);
+    try {
+      let amounts = [];
+      if (market.neg_risk) {
+        // Adapter wants the raw amount held of each outcome token, in market token order
+        const tokenIds = market.tokens.map(t => String(t.token_id));
+        const balances = await trader.getCtfBalances(tokenIds);
+        if (!balances) continue;
+        amounts = tokenIds.map(id => Math.round((balances.get(id) || 0) * 10 ** C.CTF_DECIMALS));
+      }
+      const txHash = await trader.redeemPositions({ conditionId: marketId, negRisk: !!market.neg_risk, amounts });
+      for (const pos of positions) db.setRedeemStatus(pos.id, 'redeemed', txHash);
+      db.logAudit(C.AUDIT_ACTIONS.POSITION_REDEEM, `${label}: redeemed (${txHash.slice(0, 14)}...)`);
+      log.info(`REDEEMED: "${label}" — tx ${txHash}`);
+    } catch (err) {
+      for (const pos of positions) db.setRedeemStatus(pos.id, 'failed');
+      db.logAudit(C.AUDIT_ACTIONS.POSITION_REDEEM, `${label}: redeem failed — ${err.message}`);
+      log.error(`Redeem failed for "${label}": ${err.message} — redeem on polymarket.com`);
+    }
+  }
+}
+
+/**
+ * Per-cycle: close positions in resolved markets, then redeem.
+ * Runs at most once per RESOLUTION_CHECK_MIN unless force is set.
+ * Returns the number of positions resolved (null when skipped).
+ */
+async function checkResolutions({ force = false } = {}) {
+  const intervalMs = config.resolution.checkIntervalMin * 60 * 1000;
+  if (!force && (intervalMs <= 0 || Date.now() - lastCheckAt < intervalMs)) return null;
+  lastCheckAt = Date.now();
+
+  const byMarket = new Map();
+  for (const pos of db.getOpenPositions()) {
+    if (!byMarket.has(pos.market_id)) byMarket.set(pos.market_id, []);
+    byMarket.get(pos.market_id).push(pos);
+  }
+
+  let resolved = 0;
+  for (const [marketId, positions] of byMarket) {
+    const market = await monitor.fetchMarketInfo(marketId);
+    const noWinner = market && market.closed && Array.isArray(market.tokens) && !market.tokens.some(t => t.winner === true);
+    const gamma = noWinner ? await monitor.fetchGammaMarket(marketId) : null;
+    for (const pos of positions) {
+      const payout = getPayout(market, pos.token_id) ?? getSplitPayout(gamma, pos.token_id);
+      if (payout === null) continue;
+      resolvePosition(pos, payout);
+      resolved++;
+    }
+  }
+
+  if (!config.bot.dryRun && config.resolution.autoRedeem) await redeemPending();
+  return resolved;
+}
+
+module.exports = { checkResolutions, getPayout, getSplitPayout };
@@ -1,5 +1,11 @@
 const { config, getMaxTrade } = require('./config');
 const db = require('./db');
+const hotConfig = require('./hot-config');
+const marketMeta = require('./market-meta');
+const notifications = require('./notifications');
+const clock = require('./clock');
+const log = require('./logger');
+const C = require('./constants');
 
 function getConsecutiveLosses() {
   const d = db.getDb();
@@ -10,7 +16,207 @@ function getConsecutiveLosses() {
   return { recentResolved, allLosses };
 }
 
-function checkRiskLimits(bucket, proposedSizeUsd, currentEquity) {
+function concentrationCapsEnabled() {
+  const { maxMarketExposure, maxEventExposure, maxCategoryExposure } = config.caps;
+  return maxMarketExposure > 0 || maxEventExposure > 0 || maxCategoryExposure > 0;
+}
+
+/**
+ * Open exposure — positions plus USD reserved by resting orders — grouped by
+ * market, event and category tag from cached market metadata.
+ * { market, event, category }: Map(key → { key, label, usd, markets: Set })
+ */
+function getExposureGroups() {
+  const groups = { market: new Map(), event: new Map(), category: new Map() };
+  const add = (map, key, label, marketId, usd) => {
+    const g = map.get(key) || { key, label, usd: 0, markets: new Set() };
+    g.usd += usd;
+    g.markets.add(marketId);
+    if (!g.label) g.label = label;
+    map.set(key, g);
+  };
+  const holdings = [
+    ...db.getOpenPositions().map(p => ({ marketId: p.market_id, name: p.market_name, usd: p.size_usd })),
+    ...db.getOpenOrders().map(o => ({ marketId: o.market_id, name: o.market_name, usd: (o.size - o.size_matched) * o.price })),
+  ];
+  for (const h of holdings) {
+    const meta = marketMeta.getCachedMeta(h.marketId);
+    const label = h.name || (meta && meta.question) || h.marketId;
+    add(groups.market, h.marketId, label, h.marketId, h.usd);
+    add(groups.event, marketMeta.eventKey(h.marketId, meta), label, h.marketId, h.usd);
+    for (const tag of (meta && meta.tags) || []) add(groups.category, tag, tag, h.marketId, h.usd);
+  }
+  return groups;
+}
+
+/**
+ * Reasons a new entry of sizeUsd in marketId would break a concentration cap.
+ */
+function checkConcentration(marketId, sizeUsd) {
+  if (!concentrationCapsEnabled()) return [];
+  const caps = config.caps;
+  const groups = getExposureGroups();
+  const meta = marketMeta.getCachedMeta(marketId);
+  const reasons = [];
+  const check = (cap, map, key, what) => {
+    if (!(cap > 0)) return;
+    const total = (map.has(key) ? map.get(key).usd : 0) + sizeUsd;
+    if (total > cap) reasons.push(`${what} exposure ($${total.toFixed(2)}) would exceed limit ($${cap})`);
+  };
+  check(caps.maxMarketExposure, groups.market, marketId, 'Market');
+  check(caps.maxEventExposure, groups.event, marketMeta.eventKey(marketId, meta), 'Event');
+  for (const tag of (meta && meta.tags) || []) check(caps.maxCategoryExposure, groups.category, tag, `Category "${tag}"`);
+  return reasons;
+}
+
+/**
+ * Largest groups per dimension for the dashboard: [{ key, label, usd, markets, cap }]
+ */
+function getTopConcentrations(limit = C.CONCENTRATION_TOP_N) {
+  const groups = getExposureGroups();
+  const caps = { market: config.caps.maxMarketExposure, event: config.caps.maxEventExposure, category: config.caps.maxCategoryExposure };
+  const top = {};
+  for (const [dim, map] of Object.entries(groups)) {
+    top[dim] = [...map.values()]
+      .sort((a, b) => b.usd - a.usd)
+      .slice(0, limit)
+      .map(g => ({ key: g.key, label: g.label, usd: Math.round(g.usd * 100) / 100, markets: g.markets.size, cap: caps[dim] }));
+  }
+  return top;
+}
+
+// ─── Per-trader budgets ────────────────────────
+
+/** SQL time of a trader's last re-enable (their budget history starts there), or null */
+function budgetSince(trader) {
+  const ms = trader && trader.enabledAt ? Date.parse(trader.enabledAt) : NaN;
+  return isNaN(ms) ? null : new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * A trader's budget, current usage and the loss budgets they have breached
+ * (daily loss, losing streak, drawdown) — breaching one disables the trader.
+ */
+function getTraderBudgetStatus(traderAddress) {
+  const trader = hotConfig.getTraderConfig(traderAddress);
+  const budget = hotConfig.getBudgetForTrader(traderAddress);
+  const stats = db.getTraderRiskStats(traderAddress, clock.today(), budgetSince(trader));
+  const breaches = [];
+  if (budget.maxDailyLoss > 0 && stats.dailyPnl <= -budget.maxDailyLoss) {
+    breaches.push(`Daily loss ($${stats.dailyPnl.toFixed(2)}) exceeds trader limit (-$${budget.maxDailyLoss})`);
+  }
+  if (budget.maxConsecutiveLosses > 0 && stats.consecutiveLosses >= budget.maxConsecutiveLosses) {
+    breaches.push(`${stats.consecutiveLosses} consecutive losses (trader limit ${budget.maxConsecutiveLosses})`);
+  }
+  if (budget.maxDrawdown > 0 && stats.drawdown >= budget.maxDrawdown) {
+    breaches.push(`Drawdown ($${stats.drawdown.toFixed(2)}) from peak exceeds trader limit ($${budget.maxDrawdown})`);
+  }
+  return { budget, stats, breaches };
+}
+
+/**
+ * Reasons a new entry of sizeUsd copied from this trader breaks their budget.
+ */
+function checkTraderBudget(traderAddress, sizeUsd) {
+  const { budget, stats, breaches } = getTraderBudgetStatus(traderAddress);
+  const reasons = [...breaches];
+  if (budget.maxExposure > 0 && stats.exposure + sizeUsd > budget.maxExposure) {
+    reasons.push(`Trader exposure ($${(stats.exposure + sizeUsd).toFixed(2)}) would exceed limit ($${budget.maxExposure})`);
+  }
+  return reasons;
+}
+
+/**
+ * Disable enabled traders that breached a loss budget (audit + notification),
+ * for their coolOffHours (0 = until re-enabled by hand), and re-enable those
+ * whose cool-off has passed. Runs every cycle.
+ */
+function applyTraderBudgets() {
+  const now = Date.now();
+  for (const t of hotConfig.getTraders()) {
+    const name = t.label || `${t.address.slice(0, 10)}...`;
+    if (!t.enabled) {
+      if (t.disabledUntil && Date.parse(t.disabledUntil) <= now) {
+        hotConfig.updateTrader(t.address, { enabled: true });
+        db.logAudit(C.AUDIT_ACTIONS.TRADER_AUTO_ENABLE, `${t.address.slice(0, 10)}... — budget cool-off over`);
+        log.info(`Trader ${name} re-enabled: budget cool-off over`);
+      }
+      continue;
+    }
+
+    const { budget, breaches } = getTraderBudgetStatus(t.address);
+    if (breaches.length === 0) continue;
+    const reason = `Budget: ${breaches.join('; ')}`;
+    const disabledUntil = budget.coolOffHours > 0 ? new Date(now + budget.coolOffHours * 3600000).toISOString() : null;
+    hotConfig.updateTrader(t.address, { enabled: false, disabledReason: reason, disabledUntil });
+    const note = disabledUntil ? `${reason} — off until ${disabledUntil.slice(0, 16).replace('T', ' ')} UTC` : reason;
+    db.logAudit(C.AUDIT_ACTIONS.TRADER_AUTO_DISABLE, `${t.address.slice(0, 10)}... — ${note}`);
+    notifications.notifyTraderDisabled(name, note);
+    log.warn(`Trader ${name} auto-disabled: ${note}`);
+  }
+}
+
+// ─── Drawdown de-risking ───────────────────────
+
+// Last evaluated tier — refreshed after each equity snapshot (null = not yet evaluated)
+let deriskState = null;
+
+/**
+ * De-risk tier for a drawdown reading (config.derisk.tiers): level 0 = full
+ * size, else the deepest tier whose drawdownPct is reached. With recovery
+ * 'high' the tier follows the deepest drawdown since equity was last at its
+ * peak, so size only comes back at a new high; with 'drawdown' it follows the
+ * current drawdown and steps back up as it shrinks.
+ */
+function getDeriskTier(dd = db.getMaxDrawdown()) {
+  const { tiers, recovery } = config.derisk;
+  const keyedDrawdown = recovery === 'drawdown' ? dd.currentDrawdown : dd.drawdownSinceHigh;
+  const level = tiers.filter(t => keyedDrawdown >= t.drawdownPct).length;
+  const tier = tiers[level - 1];
+  return {
+    level,
+    multiplier: tier ? tier.multiplier : 1,
+    triggerPct: tier ? tier.drawdownPct : 0,
+    currentDrawdown: dd.currentDrawdown,
+    keyedDrawdown,
+    next: tiers[level] || null,
+  };
+}
+
+/**
+ * Re-evaluate the de-risk tier from the equity snapshots. Tier changes are
+ * logged and audited; the first evaluation after startup only sets the state.
+ */
+function applyDeriskTier() {
+  if (config.derisk.tiers.length === 0) {
+    deriskState = null;
+    return null;
+  }
+  const prev = deriskState;
+  deriskState = getDeriskTier();
+  if (prev && prev.level !== deriskState.level) {
+    const t = deriskState;
+    const sizing = t.level === 0 ? 'full size' : `entries sized × ${t.multiplier}`;
+    const detail = t.level > prev.level
+      ? `drawdown ${t.keyedDrawdown}% ≥ ${t.triggerPct}% — ${sizing}`
+      : `${t.currentDrawdown === 0 ? 'new equity high' : `drawdown back to ${t.keyedDrawdown}%`} — ${sizing}`;
+    db.logAudit(C.AUDIT_ACTIONS.DERISK_TIER, `Tier ${prev.level} → ${t.level}: ${detail}`);
+    log[t.level > prev.level ? 'warn' : 'info'](`De-risk tier ${prev.level} → ${t.level}: ${detail}`);
+  }
+  return deriskState;
+}
+
+/** Sizing multiplier for new entries from the active de-risk tier (1 = off / full size) */
+function getDeriskMultiplier() {
+  if (config.derisk.tiers.length === 0) return 1;
+  return (deriskState || applyDeriskTier()).multiplier;
+}
+
+/**
+ * opts.marketId enables the concentration caps (callers refresh its metadata
+ * in market-meta.js first when they are on); opts.traderAddress the trader's budget.
+ */
+function checkRiskLimits(bucket, proposedSizeUsd, currentEquity, { marketId = null, traderAddress = null } = {}) {
   const reasons = [];
 
   // 1. Equity stop-loss
@@ -30,8 +236,8 @@ function checkRiskLimits(bucket, proposedSizeUsd, currentEquity) {
     reasons.push(`Open positions (${openPositions.length}) at limit (${config.caps.maxOpenPositions})`);
   }
 
-  // 4. Max total exposure
-  const totalExposure = openPositions.reduce((sum, p) => sum + p.size_usd, 0);
+  // 4. Max total exposure (USD reserved by resting limit orders counts too)
+  const totalExposure = openPositions.reduce((sum, p) => sum + p.size_usd, 0) + db.getOpenOrdersExposure();
   if (totalExposure + proposedSizeUsd > config.caps.maxTotalExposure) {
     reasons.push(`Total exposure ($${(totalExposure + proposedSizeUsd).toFixed(2)}) would exceed limit ($${config.caps.maxTotalExposure})`);
   }
@@ -55,11 +261,17 @@ function checkRiskLimits(bucket, proposedSizeUsd, currentEquity) {
   if (allLosses) {
     const lastTradeTime = new Date(recentResolved[0].timestamp + 'Z').getTime();
     const cooldownMs = 6 * 60 * 60 * 1000; // 6 hours
-    if (Date.now() - lastTradeTime < cooldownMs) {
+    if (clock.now() - lastTradeTime < cooldownMs) {
       reasons.push('Cooling off: 3 consecutive losses, waiting 6 hours');
     }
   }
 
+  // 8. Concentration caps (per market / event / category)
+  if (marketId) reasons.push(...checkConcentration(marketId, proposedSizeUsd));
+
+  // 9. Per-trader budget (exposure, daily loss, losing streak, drawdown)
+  if (traderAddress) reasons.push(...checkTraderBudget(traderAddress, proposedSizeUsd));
+
   return { allowed: reasons.length === 0, reasons };
 }
 
@@ -83,7 +295,7 @@ function checkSlippage(leaderPrice, ourPrice) {
 
 function getDailyPnl() {
   const d = db.getDb();
-  const today = new Date().toISOString().split('T')[0];
+  const today = clock.today();
   const realized = d.prepare(`SELECT COALESCE(SUM(pnl), 0) as pnl FROM trades WHERE date(timestamp) = ? AND resolved = 1`).get(today);
   // Include unrealized PnL from open positions to prevent over-exposure
   const unrealized = d.prepare(`SELECT COALESCE(SUM(unrealized_pnl), 0) as pnl FROM positions WHERE status = 'open'`).get();
@@ -102,14 +314,15 @@ function getRiskStatus(currentEquity) {
   if (allLosses) {
     const lastTradeTime = new Date(recentResolved[0].timestamp + 'Z').getTime();
     const cooldownMs = 6 * 60 * 60 * 1000;
-    if (Date.now() - lastTradeTime < cooldownMs) {
+    if (clock.now() - lastTradeTime < cooldownMs) {
       isCooldownActive = true;
       cooldownEndsAt = new Date(lastTradeTime + cooldownMs).toISOString();
     }
   }
 
   // Drawdown metrics
-  const { maxDrawdown, currentDrawdown } = db.getMaxDrawdown();
+  const drawdown = db.getMaxDrawdown();
+  const { maxDrawdown, currentDrawdown } = drawdown;
 
   // Health Score (1-10): weighted average of utilization metrics
   const exposureUtil = config.caps.maxTotalExposure > 0 ? totalExposure / config.caps.maxTotalExposure : 0;
@@ -149,7 +362,25 @@ function getRiskStatus(currentEquity) {
     maxDrawdown,
     currentDrawdown,
     healthScore,
+    derisk: {
+      enabled: config.derisk.tiers.length > 0,
+      recovery: config.derisk.recovery,
+      tiers: config.derisk.tiers,
+      ...(deriskState || getDeriskTier(drawdown)),
+    },
+    concentration: {
+      caps: {
+        market: config.caps.maxMarketExposure,
+        event: config.caps.maxEventExposure,
+        category: config.caps.maxCategoryExposure,
+      },
+      top: getTopConcentrations(),
+    },
   };
 }
 
-module.exports = { checkRiskLimits, checkPriceFilter, checkSlippage, getRiskStatus, getDailyPnl };
+module.exports = {
+  checkRiskLimits, checkPriceFilter, checkSlippage, getRiskStatus, getDailyPnl,
+  concentrationCapsEnabled, getTraderBudgetStatus, applyTraderBudgets,
+  applyDeriskTier, getDeriskMultiplier,
+};
@@ -0,0 +1,194 @@
+/**
+ * Signal Queue v1.0
+ *
+ * Every signal that survives consensus and confirmation is written to the
+ * signal_queue table before anything is executed, and moves through
+ *
+ *   pending → executing → done | failed      (or pending → expired)
+ *
+ * Idempotent: a signal is keyed by the monitor's dedup key, so the same leader
+ * move is never queued twice while it is still queued or within SIGNAL_DEDUP_TTL.
+ *
+ * Per-market lanes: ready signals are grouped by market_id:token_id. Up to
+ * SIGNAL_QUEUE_CONCURRENCY lanes run at once, but a lane runs one signal at a
+ * time in enqueue order, so an entry and the leader's exit in the same market can
+ * never race. Closes in different lanes run concurrently; new entries are
+ * serialized by trader.executeSignal, so each one's risk check sees the positions
+ * the entries before it opened and the caps hold.
+ *
+ * Aggregation (TRADE_AGGREGATION): entries below TRADE_AGGREGATION_MIN_USD join
+ * an open group for the same trader/market/side and the group is held for
+ * TRADE_AGGREGATION_WINDOW_MS. When it comes due its members are merged into one
+ * order (summed size, size-weighted price) — or executed one by one if even the
+ * total is below the minimum. CLOSE signals are never held, and a CLOSE flushes
+ * any group still buffering in its lane so the entry goes out before the exit.
+ *
+ * Durability: a pending signal survives a restart, but one still pending after
+ * SIGNAL_QUEUE_MAX_AGE_MIN (bot was down) expires instead of copying a stale move.
+ * A signal left executing by a crash is marked failed — its order may already
+ * be out, so it is never sent again.
+ */
+
+const { config } = require('./config');
+const db = require('./db');
+const log = require('./logger');
+const C = require('./constants');
+
+let lastPruneTs = 0;
+
+/** Key for signals that come without one (e.g. consensus releases) — same shape as monitor.signalKey */
+function dedupKeyOf(signal) {
+  if (signal.dedupKey) return signal.dedupKey;
+  return `${signal.traderAddress}:${signal.marketId}:${signal.tokenId}:${signal.type}_${Math.floor(signal.size || 0)}_${signal.price}`;
+}
+
+function laneOf(signal) {
+  return `${signal.marketId}:${signal.tokenId}`;
+}
+
+function isAggregated(signal) {
+  return config.aggregation.enabled && signal.type !== 'CLOSE' && signal.size < config.aggregation.minUsd;
+}
+
+function readSignal(row) {
+  try {
+    return JSON.parse(row.signal);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write signals to the queue. Returns the number actually queued — duplicates of
+ * a signal still queued (or queued within SIGNAL_DEDUP_TTL) are skipped.
+ */
+function enqueue(signals) {
+  const now = Date.now();
+  let queued = 0;
+  for (const signal of signals) {
+    const dedupKey = dedupKeyOf(signal);
+    if (db.isSignalQueued(dedupKey, now - C.SIGNAL_DEDUP_TTL_MS)) {
+      log.debug(`QUEUE: duplicate ${dedupKey.slice(0, 60)} — skipped`);
+      continue;
+    }
+
+    const row = {
+      dedupKey, lane: laneOf(signal), traderAddress: signal.traderAddress, marketId: signal.marketId,
+      tokenId: signal.tokenId, type: signal.type, signal, createdTs: now, availableTs: now,
+    };
+    if (signal.type === 'CLOSE') {
+      const flushed = db.flushAggregationGroups(row.lane, now);
+      if (flushed > 0) log.debug(`QUEUE: CLOSE flushed ${flushed} buffered group(s) for ${(signal.marketName || signal.marketId).slice(0, 30)}`);
+    } else if (isAggregated(signal)) {
+      row.aggKey = `${signal.traderAddress.toLowerCase()}:${signal.marketId}:${signal.tokenId}:${signal.side}`;
+      const group = db.getAggregationGroup(row.aggKey, now, C.MAX_PER_AGGREGATION_KEY);
+      if (group) {
+        row.groupId = group.id;
+        row.availableTs = group.available_ts;
+      } else {
+        row.availableTs = now + config.aggregation.windowMs;
+      }
+      log.debug(`QUEUE: buffered $${signal.size.toFixed(2)} for ${(signal.marketName || signal.marketId).slice(0, 30)}${group ? ` (group #${group.id}, ${group.members + 1} trades)` : ''}`);
+    }
+    db.insertQueuedSignal(row);
+    queued++;
+  }
+  return queued;
+}
+
+/**
+ * Signals to send for a head row: itself, or its aggregation group merged into
+ * one — members executed individually when even the total is below the minimum.
+ */
+function buildExecution(rows) {
+  const signals = rows.map(readSignal).filter(Boolean);
+  if (signals.length <= 1) return signals;
+
+  const totalSize = signals.reduce((sum, s) => sum + s.size, 0);
+  if (totalSize < config.aggregation.minUsd) {
+    log.debug(`QUEUE: aggregation below min: $${totalSize.toFixed(2)} — executing ${signals.length} individual signal(s)`);
+    return signals;
+  }
+  const totalCost = signals.reduce((sum, s) => sum + s.size * s.price, 0);
+  return [{
+    ...signals[0],
+    size: totalSize,
+    price: totalCost / totalSize,
+    notes: `Aggregated ${signals.length} trades ($${totalSize.toFixed(2)} total)`,
+  }];
+}
+
+async function runRow(row, execute) {
+  const signals = buildExecution(db.getQueuedSignalGroup(row.id));
+  if (signals.length === 0) {
+    db.setQueuedSignalStatus(row.id, 'failed', 'Unreadable signal');
+    return false;
+  }
+
+  db.setQueuedSignalStatus(row.id, 'executing');
+  try {
+    // Filtered or rejected signals still count as done — they were processed
+    for (const signal of signals) await execute(signal);
+    db.setQueuedSignalStatus(row.id, 'done');
+    return true;
+  } catch (err) {
+    db.setQueuedSignalStatus(row.id, 'failed', err.message);
+    log.error(`QUEUE: #${row.id} ${row.type} ${row.market_id.slice(0, 20)} failed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Execute every ready signal: lanes in parallel (SIGNAL_QUEUE_CONCURRENCY),
+ * one signal at a time within a lane. execute(signal) sends one signal;
+ * canTrade() is checked before each one and stops the drain when it turns false,
+ * leaving the rest pending. Returns { done, failed, remaining }.
+ */
+async function drain(execute, canTrade = () => true) {
+  const now = Date.now();
+  const expired = db.expireQueuedSignals(now - C.SIGNAL_QUEUE_MAX_AGE_MIN * 60000);
+  if (expired > 0) log.warn(`QUEUE: ${expired} signal(s) waited over ${C.SIGNAL_QUEUE_MAX_AGE_MIN}m — expired`);
+  if (now - lastPruneTs > 3600000) {
+    lastPruneTs = now;
+    db.pruneSignalQueue(now - C.SIGNAL_QUEUE_RETENTION_DAYS * 86400000);
+  }
+
+  const lanes = new Map();
+  for (const row of db.getReadyQueuedSignals(now)) {
+    if (!lanes.has(row.lane)) lanes.set(row.lane, []);
+    lanes.get(row.lane).push(row);
+  }
+  if (lanes.size === 0) return { done: 0, failed: 0, remaining: 0 };
+
+  const queue = [...lanes.values()];
+  const result = { done: 0, failed: 0, remaining: 0 };
+  let stopped = false;
+  const worker = async () => {
+    while (queue.length > 0) {
+      const lane = queue.shift();
+      for (const row of lane) {
+        if (stopped || !canTrade()) {
+          stopped = true;
+          result.remaining++;
+          continue;
+        }
+        if (await runRow(row, execute)) result.done++;
+        else result.failed++;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(C.SIGNAL_QUEUE_CONCURRENCY, queue.length) }, worker));
+
+  if (stopped) log.warn(`Bot paused mid-cycle — ${result.remaining} queued signal(s) left pending`);
+  return result;
+}
+
+/** Startup: signals a crash left executing are failed, never re-sent */
+function recover() {
+  const interrupted = db.failInterruptedSignals();
+  if (interrupted > 0) log.warn(`QUEUE: ${interrupted} signal(s) were executing at shutdown — marked failed, not retried`);
+  const pending = db.getSignalQueueCounts().pending || 0;
+  if (pending > 0) log.info(`QUEUE: ${pending} signal(s) pending from the last run`);
+}
+
+module.exports = { enqueue, drain, recover };
@@ -0,0 +1,116 @@
+/**
+ * Copy Slippage v1.0
+ *
+ * What copying costs us, per filled trade, against three prices on the row:
+ *
+ *   leader_price — the leader's fill (entries; closes only from the activity source)
+ *   mid_price    — the book mid when we decided to trade
+ *   price        — our fill
+ *
+ * cost   = our fill vs the leader's, signed so positive means we did worse
+ *          (paid more on a buy, got less on a sell), in % of the leader's price
+ * drift  = leader → mid: the market moved before we got there (latency)
+ * impact = mid → our fill: spread and book depth (execution)
+ *
+ * drift + impact = cost for rows with a mid. Group figures are weighted by
+ * size_usd; costUsd ≈ size_usd × cost.
+ */
+
+const hotConfig = require('./hot-config');
+const db = require('./db');
+const C = require('./constants');
+
+const round = (v, dp = 3) => (v == null ? null : Math.round(v * 10 ** dp) / 10 ** dp);
+
+/** Per-row cost split in % of the leader's price */
+function rowCost(row) {
+  const sign = row.side.startsWith('CLOSE') ? -1 : 1;
+  const pct = (from, to) => sign * ((to - from) / row.leader_price) * 100;
+  const hasMid = row.mid_price > 0;
+  return {
+    costPct: pct(row.leader_price, row.price),
+    driftPct: hasMid ? pct(row.leader_price, row.mid_price) : null,
+    impactPct: hasMid ? pct(row.mid_price, row.price) : null,
+  };
+}
+
+/** Index of the SLIPPAGE_SIZE_BUCKETS range an order falls in (0 = smallest) */
+function sizeIndex(sizeUsd) {
+  const i = C.SLIPPAGE_SIZE_BUCKETS.findIndex(e => sizeUsd < e);
+  return i === -1 ? C.SLIPPAGE_SIZE_BUCKETS.length : i;
+}
+
+function sizeLabel(i) {
+  const edges = C.SLIPPAGE_SIZE_BUCKETS;
+  if (i === 0) return `<$${edges[0]}`;
+  if (i === edges.length) return `$${edges[i - 1]}+`;
+  return `$${edges[i - 1]}–${edges[i]}`;
+}
+
+/** Size-weighted cost figures of a group of rows */
+function summarize(rows) {
+  let volume = 0, costW = 0, costUsd = 0, midVolume = 0, driftW = 0, impactW = 0, midTrades = 0;
+  for (const r of rows) {
+    volume += r.size_usd;
+    costW += r.costPct * r.size_usd;
+    costUsd += (r.costPct / 100) * r.size_usd;
+    if (r.driftPct !== null) {
+      midTrades++;
+      midVolume += r.size_usd;
+      driftW += r.driftPct * r.size_usd;
+      impactW += r.impactPct * r.size_usd;
+    }
+  }
+  return {
+    trades: rows.length,
+    volume: round(volume, 2),
+    costPct: volume > 0 ? round(costW / volume) : null,
+    driftPct: midVolume > 0 ? round(driftW / midVolume) : null,
+    impactPct: midVolume > 0 ? round(impactW / midVolume) : null,
+    costUsd: round(costUsd, 2),
+    midTrades,
+  };
+}
+
+function breakdown(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups].map(([key, group]) => ({ key, ...summarize(group) }));
+}
+
+/**
+ * Cost of copying over the last `days`, overall and broken down by trader,
+ * market (top SLIPPAGE_TOP_MARKETS by volume), bucket, order size and UTC hour.
+ */
+function getSlippageReport({ days = C.SLIPPAGE_WINDOW_DAYS } = {}) {
+  const since = new Date(Date.now() - days * 86400000).toISOString().replace('T', ' ').slice(0, 19);
+  const rows = db.getSlippageRows(since).map(r => ({ ...r, ...rowCost(r) }));
+  const names = new Map(rows.map(r => [r.market_id, r.market_name]));
+  const byVolume = (a, b) => b.volume - a.volume;
+
+  return {
+    windowDays: days,
+    summary: {
+      ...summarize(rows),
+      entries: summarize(rows.filter(r => !r.side.startsWith('CLOSE'))),
+      exits: summarize(rows.filter(r => r.side.startsWith('CLOSE'))),
+    },
+    byTrader: breakdown(rows, r => r.trader_address).map(({ key, ...g }) => {
+      const trader = hotConfig.getTraderConfig(key);
+      return { address: key, label: (trader && trader.label) || '', ...g };
+    }).sort(byVolume),
+    byMarket: breakdown(rows, r => r.market_id).sort(byVolume).slice(0, C.SLIPPAGE_TOP_MARKETS)
+      .map(({ key, ...g }) => ({ marketId: key, marketName: names.get(key) || '', ...g })),
+    byBucket: breakdown(rows, r => r.bucket).map(({ key, ...g }) => ({ bucket: key, ...g })).sort(byVolume),
+    bySize: breakdown(rows, r => sizeIndex(r.size_usd)).sort((a, b) => a.key - b.key)
+      .map(({ key, ...g }) => ({ size: sizeLabel(key), ...g })),
+    byHour: breakdown(rows, r => parseInt(r.timestamp.slice(11, 13), 10)).map(({ key, ...g }) => ({ hour: key, ...g }))
+      .sort((a, b) => a.hour - b.hour),
+  };
+}
+
+module.exports = { getSlippageReport };
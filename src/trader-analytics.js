@@ -0,0 +1,206 @@
+/**
+ * Trader Analytics v1.0
+ *
+ * Scorecard per leader, built from our own copies of them:
+ *   copies, volume  — executed/simulated entries
+ *   win rate, profit factor, realized PnL, avg hold — our closed positions
+ *   slippage        — our entry price vs the leader's, % (positive = we paid more)
+ *   detection lag   — leader fill → our scan saw it (latency.js detection stage), seconds (activity source only)
+ * over rolling windows (7d / 30d / all), plus the leader's own realized PnL
+ * over the same windows (Data API closed positions, the most recent
+ * CLOSED_POSITIONS_MAX_PAGES pages) and their current portfolio.
+ *
+ * Score = smoothed win rate × 2 = (wins + 1) / (closed + 2) × 2, so an unproven
+ * leader scores 1.0 and the range is 0–2. Consensus score weighting uses it too.
+ *
+ * TRADER_SCORE_POLICY acts on leaders with at least TRADER_SCORE_MIN_SAMPLES
+ * closed copies in the last TRADER_SCORE_WINDOW_DAYS whose score is below
+ * TRADER_SCORE_MIN:
+ *   off        — scorecard only (default)
+ *   downweight — entries are sized × score / TRADER_SCORE_MIN
+ *   disable    — the leader is disabled in hot-config (audit + notification),
+ *                checked every TRADER_SCORE_CHECK_MIN
+ * A leader re-enabled by hand is only judged on copies closed after that.
+ */
+
+const { config } = require('./config');
+const db = require('./db');
+const hotConfig = require('./hot-config');
+const monitor = require('./monitor');
+const notifications = require('./notifications');
+const clock = require('./clock');
+const log = require('./logger');
+const C = require('./constants');
+
+const WINDOWS = { '7d': 7, '30d': 30, all: null };
+const POLICIES = ['off', 'downweight', 'disable'];
+
+let lastPolicyRunAt = 0;
+
+/** SQL timestamp `days` ago (null = all time), optionally no earlier than an ISO time */
+function sinceFor(days, notBefore = null) {
+  let ms = days == null ? 0 : clock.now() - days * 86400000;
+  if (notBefore) ms = Math.max(ms, Date.parse(notBefore) || 0);
+  return ms > 0 ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) : null;
+}
+
+function round(n, digits = 2) {
+  if (n == null || !isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function scoreFor(wins, closed) {
+  return round(((wins + 1) / (closed + 2)) * 2);
+}
+
+/** Scorecard numbers from one getTraderCopyStats entry */
+function buildStats(row = {}) {
+  const e = row.entries || {};
+  const c = row.closed || {};
+  const closed = c.count || 0;
+  const wins = c.wins || 0;
+  const gains = c.gains || 0;
+  const grossLosses = c.grossLosses || 0;
+  return {
+    copies: e.count || 0,
+    volumeUsd: round(e.volume || 0),
+    closed,
+    wins,
+    losses: c.losses || 0,
+    winRate: closed > 0 ? round((wins / closed) * 100, 1) : null,
+    profitFactor: grossLosses > 0 ? round(gains / grossLosses) : (gains > 0 ? null : 0), // null = no losses yet
+    realizedPnl: round(c.realizedPnl || 0),
+    avgSlippagePct: round(e.avgSlippagePct),
+    avgHoldHours: round(c.avgHoldHours, 1),
+    avgDetectionLagSec: round(e.avgDetectionLagSec, 1),
+    score: scoreFor(wins, closed),
+  };
+}
+
+/**
+ * Policy view of one leader: { score, samples, below, multiplier }.
+ * `below` only when there are enough samples; multiplier applies to downweight only.
+ */
+function policyFor(trader, statsMap = null) {
+  const cfg = config.traderScore;
+  const addr = trader.address.toLowerCase();
+  const row = statsMap
+    ? statsMap.get(addr)
+    : db.getTraderCopyStats(sinceFor(cfg.windowDays, trader.enabledAt), addr).get(addr);
+  const { score, closed } = buildStats(row);
+  const below = closed >= cfg.minSamples && score < cfg.min;
+  const multiplier = below && cfg.policy === 'downweight' && cfg.min > 0 ? round(score / cfg.min) : 1;
+  return { score, samples: closed, below, multiplier };
+}
+
+/**
+ * Score of every leader over the policy window: Map(address → score).
+ */
+function getScores() {
+  const stats = db.getTraderCopyStats(sinceFor(config.traderScore.windowDays));
+  const scores = new Map();
+  for (const [addr, row] of stats) scores.set(addr, buildStats(row).score);
+  return scores;
+}
+
+/** Score of one leader from a getScores() map (1.0 when we have never copied them) */
+function getScore(address, scores = getScores()) {
+  return scores.get(address.toLowerCase()) ?? scoreFor(0, 0);
+}
+
+/**
+ * Entry size multiplier from the downweight policy (1 otherwise).
+ */
+function getSizeMultiplier(address) {
+  if (config.traderScore.policy !== 'downweight') return 1;
+  const trader = hotConfig.getTraderConfig(address);
+  return trader ? policyFor(trader).multiplier : 1;
+}
+
+/**
+ * Leaderboard of configured traders over one window, best score first.
+ */
+function getLeaderboard(window = '30d') {
+  const days = window in WINDOWS ? WINDOWS[window] : WINDOWS['30d'];
+  const stats = db.getTraderCopyStats(sinceFor(days));
+  return hotConfig.getTraders()
+    .map(t => ({
+      address: t.address,
+      label: t.label || '',
+      bucket: t.bucket,
+      mode: t.mode || C.COPY_MODES.COPY,
+      enabled: t.enabled,
+      disabledReason: t.disabledReason || '',
+      ...buildStats(stats.get(t.address.toLowerCase())),
+      policy: policyFor(t),
+    }))
+    .sort((a, b) => b.score - a.score || b.realizedPnl - a.realizedPnl);
+}
+
+/** Leader's realized PnL on positions closed in the last `days` (null = all time) */
+function leaderPnlFor(closedPositions, days) {
+  if (!closedPositions) return null;
+  const sinceMs = days == null ? 0 : clock.now() - days * 86400000;
+  return round(closedPositions
+    .filter(p => (parseInt(p.timestamp) || 0) * 1000 >= sinceMs)
+    .reduce((sum, p) => sum + (parseFloat(p.realizedPnl) || 0), 0));
+}
+
+/**
+ * Full scorecard of one leader: every window (with the leader's own realized
+ * PnL over it), the policy view and the leader's Data API portfolio. Leader
+ * figures are null when the API is unreachable.
+ */
+async function getScorecard(address) {
+  const addr = address.toLowerCase();
+  const trader = hotConfig.getTraderConfig(addr);
+  const leaderClosed = await monitor.fetchClosedPositions(addr);
+  const windows = {};
+  for (const [name, days] of Object.entries(WINDOWS)) {
+    windows[name] = {
+      ...buildStats(db.getTraderCopyStats(sinceFor(days), addr).get(addr)),
+      leaderRealizedPnl: leaderPnlFor(leaderClosed, days),
+    };
+  }
+  return {
+    address: addr,
+    label: trader ? trader.label || '' : '',
+    bucket: trader ? trader.bucket : null,
+    enabled: trader ? trader.enabled : false,
+    windows,
+    policy: trader ? policyFor(trader) : null,
+    leader: await monitor.getLeaderSummary(addr),
+  };
+}
+
+/**
+ * Disable enabled leaders that fall below the score threshold (policy = disable).
+ * Runs at most once per TRADER_SCORE_CHECK_MIN. Returns the disabled addresses.
+ */
+function applyScorePolicy({ force = false } = {}) {
+  const cfg = config.traderScore;
+  if (cfg.policy !== 'disable') return [];
+  const intervalMs = cfg.checkIntervalMin * 60 * 1000;
+  if (!force && Date.now() - lastPolicyRunAt < intervalMs) return [];
+  lastPolicyRunAt = Date.now();
+
+  const disabled = [];
+  for (const t of hotConfig.getActiveTraders()) {
+    const p = policyFor(t);
+    if (!p.below) continue;
+    const name = t.label || `${t.address.slice(0, 10)}...`;
+    const reason = `Score ${p.score} < ${cfg.min} over ${p.samples} closed copies (${cfg.windowDays}d)`;
+    hotConfig.updateTrader(t.address, { enabled: false, disabledReason: reason });
+    db.logAudit(C.AUDIT_ACTIONS.TRADER_AUTO_DISABLE, `${t.address.slice(0, 10)}... — ${reason}`);
+    notifications.notifyTraderDisabled(name, reason);
+    log.warn(`Trader ${name} auto-disabled: ${reason}`);
+    disabled.push(t.address);
+  }
+  return disabled;
+}
+
+module.exports = {
+  WINDOWS, POLICIES,
+  getLeaderboard, getScorecard, getScores, getScore, getSizeMultiplier, applyScorePolicy,
+};
@@ -1,10 +1,19 @@
 /**
- * Trade Executor v2.3
+ * Trade Executor v2.4
  *
  * Handles all trade execution via the Polymarket CLOB API.
  * Matches Novus-Tech professional patterns with order book walking,
  * allowance checking, retry logic, and proportional sells.
  *
+ * v2.4 changes:
+ *   - Dry run fills on the paper exchange (paper-exchange.js): real book, latency, fees, FOK
+ *   - Close reasons: every close is tagged CLOSE_MIRROR or the exit rule that fired
+ *   - Share-based positions: buys open FIFO lots, closes sell a share quantity
+ *     and realize PnL per lot consumed (no more USD → token re-derivation)
+ *   - EXECUTION_MODE=limit: entries rest as GTC orders near the leader's price (see orders.js)
+ *   - Every order is recorded in the order ledger (see fills.js); cost basis and
+ *     PnL come from the real fill (making/taking amounts), not the pre-trade quote
+ *
  * v2.3 changes:
  *   - Order book walking for illiquid markets
  *   - Allowance check before trades
@@ -27,36 +36,51 @@ const risk = require('./risk');
 const db = require('./db');
 const log = require('./logger');
 const hotConfig = require('./hot-config');
-const { calculateOrderSize } = require('./copy-strategy');
+const { calculateOrderSize, getDefaultConfig, getKellyBucket, STRATEGIES } = require('./copy-strategy');
 const notifications = require('./notifications');
+const orders = require('./orders');
+const fills = require('./fills');
+const paperExchange = require('./paper-exchange');
+const monitor = require('./monitor');
+const marketMeta = require('./market-meta');
+const marketFilters = require('./market-filters');
+const analytics = require('./trader-analytics');
 const C = require('./constants');
 
 let clobClient = null;
+let bookClient = null; // prices and books: the CLOB client live, the paper exchange in dry run
 let provider = null;
 let walletSigner = null;
 
 /**
- * Calculate PnL for a closed position.
- * All our positions are token buys, so PnL = (shares × exitPrice) - cost.
+ * Take `shares` from a position's open lots, oldest first (FIFO).
+ * Returns the portion sold from each lot: [{ lotId, shares, price }]
  */
-function calculatePnl(entryPrice, exitPrice, sizeUsd) {
-  if (!entryPrice || entryPrice <= 0 || !exitPrice) return 0;
-  const shares = sizeUsd / entryPrice;
-
-  // All positions are token buys (we buy the token the leader holds).
-  // Profit when the token price goes up, loss when it drops.
-  // This is correct for all outcome types: Yes, No, team names, etc.
-  const pnl = (shares * exitPrice) - sizeUsd;
-  return Math.round(pnl * 100) / 100;
+function takeLotsFifo(lots, shares) {
+  const taken = [];
+  let left = shares;
+  for (const lot of lots) {
+    if (left <= 1e-6) break;
+    const take = Math.min(lot.remaining_shares, left);
+    taken.push({ lotId: lot.id, shares: take, price: lot.price });
+    left -= take;
+  }
+  return taken;
 }
 
 /**
- * Calculate token count from position (not just USD)
- * Critical fix: sell orders must use token count, not USD notional
+ * Realized PnL of a sale, per lot sold.
+ * All our positions are token buys (we buy the token the leader holds), so each
+ * lot makes (exitPrice - lot price) × shares — profit when the price goes up,
+ * loss when it drops. Correct for all outcome types: Yes, No, team names, etc.
+ * Returns { total, cost, lots: [{ lotId, shares, price, pnl }] } — exitPrice null = cost only, no PnL
  */
-function getTokenCount(sizeUsd, entryPrice) {
-  if (!entryPrice || entryPrice <= 0) return sizeUsd; // fallback
-  return sizeUsd / entryPrice;
+function calculatePnl(lots, exitPrice) {
+  const priced = Number.isFinite(exitPrice); // 0 is a real exit (resolved worthless)
+  const perLot = lots.map(l => ({ ...l, pnl: priced ? Math.round((exitPrice - l.price) * l.shares * 1e6) / 1e6 : 0 }));
+  const total = perLot.reduce((sum, l) => sum + l.pnl, 0);
+  const cost = lots.reduce((sum, l) => sum + l.shares * l.price, 0);
+  return { total: Math.round(total * 100) / 100, cost: Math.round(cost * 100) / 100, lots: perLot };
 }
 
 /**
@@ -91,6 +115,15 @@ async function placeOrderWithRetry(params, orderType) {
   throw lastError;
 }
 
+/**
+ * Dry run: quote and fill on the paper exchange over a book source — the read-only
+ * CLOB client, or recorded / synthetic books (backtest.js).
+ */
+function usePaperExchange(bookSource) {
+  paperExchange.init(bookSource, walkBook);
+  bookClient = paperExchange;
+}
+
 async function initClobClient() {
   // Validate wallet credentials (needed for both dry-run and live)
   if (!config.wallet.privateKey || config.wallet.privateKey === 'your_private_key_here') {
@@ -108,7 +141,9 @@ async function initClobClient() {
 
     if (config.bot.dryRun) {
       log.info('DRY RUN mode — trades will be simulated, not executed');
-      // Skip CLOB client setup but still read balances
+      // No trading client — fills are modeled on the real book through a read-only one
+      usePaperExchange(new ClobClient(config.api.clobUrl, C.POLYGON_CHAIN_ID));
+      log.info(`Paper exchange: fills walk the live order book (${config.paper.latencyMs}ms latency, FOK)`);
     } else {
       // Validate API credentials for live trading
       if (!config.api.key || config.api.key === 'your_api_key_here') {
@@ -130,7 +165,10 @@ async function initClobClient() {
         config.wallet.address || walletSigner.address
       );
 
-      log.info('CLOB client initialized for LIVE trading');
+      bookClient = clobClient;
+      orders.init(clobClient, getMarketPrice);
+      fills.init(clobClient, provider);
+      log.info(`CLOB client initialized for LIVE trading (${config.execution.mode} orders)`);
     }
 
     // Check balances on startup (both modes)
@@ -186,6 +224,57 @@ async function getUSDCBalance() {
   return null;
 }
 
+/**
+ * Address that holds our outcome shares (the CLOB funder / proxy wallet if set)
+ */
+function getWalletAddress() {
+  return config.wallet.address || (walletSigner && walletSigner.address) || null;
+}
+
+/**
+ * Read CTF (ERC-1155) share balances for a set of token ids in one call.
+ * rpcProvider defaults to the bot's provider — pass another (e.g. a local chain
+ * stand-in) to read elsewhere. Returns Map<tokenId, shares>, or null on failure.
+ */
+async function getCtfBalances(tokenIds, rpcProvider = provider, holder = getWalletAddress()) {
+  if (!rpcProvider || !holder) return null;
+  if (tokenIds.length === 0) return new Map();
+  try {
+    const ctf = new ethers.Contract(C.CTF_ADDRESS, C.ERC1155_ABI, rpcProvider);
+    const balances = await ctf.balanceOfBatch(tokenIds.map(() => holder), tokenIds);
+    return new Map(tokenIds.map((id, i) => [id, parseFloat(ethers.utils.formatUnits(balances[i], C.CTF_DECIMALS))]));
+  } catch (err) {
+    log.warn(`Could not read CTF balances: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Whether we can redeem ourselves: the signer must hold the shares directly.
+ * Shares in a Polymarket proxy wallet (WALLET_ADDRESS) are redeemed on polymarket.com.
+ */
+function canRedeem() {
+  const holder = getWalletAddress();
+  return !!walletSigner && !!holder && holder.toLowerCase() === walletSigner.address.toLowerCase();
+}
+
+/**
+ * Redeem a resolved market's shares for USDC; returns the transaction hash.
+ * Standard markets redeem both index sets through the CTF contract (only the
+ * winning side pays out); neg-risk markets go through the NegRiskAdapter with
+ * the raw share amount held per outcome.
+ */
+async function redeemPositions({ conditionId, negRisk = false, amounts = [] }) {
+  if (!canRedeem()) throw new Error('Shares are not held by the signer — redeem on polymarket.com');
+  const tx = negRisk
+    ? await new ethers.Contract(C.NEG_RISK_ADAPTER, C.NEG_RISK_ADAPTER_ABI, walletSigner).redeemPositions(conditionId, amounts)
+    : await new ethers.Contract(C.CTF_ADDRESS, C.CTF_REDEEM_ABI, walletSigner)
+      .redeemPositions(C.USDC_ADDRESS, ethers.constants.HashZero, conditionId, [1, 2]);
+  const receipt = await tx.wait(1);
+  if (receipt.status === 0) throw new Error(`Redeem tx reverted: ${tx.hash.slice(0, 14)}...`);
+  return tx.hash;
+}
+
 /**
  * Check USDC allowance for both Polymarket exchange contracts.
  * Returns the minimum allowance across CTF Exchange and Neg Risk CTF Exchange,
@@ -212,11 +301,11 @@ async function checkAllowance() {
  * Fetch the current best price for a token
  */
 async function getMarketPrice(tokenId, side) {
-  if (!clobClient) return null;
+  if (!bookClient) return null;
   try {
     // To BUY tokens: check the ask (SELL) side. To SELL tokens: check the bid (BUY) side.
     const querySide = (side === 'SELL') ? 'BUY' : 'SELL';
-    const priceData = await clobClient.getPrice(tokenId, querySide);
+    const priceData = await bookClient.getPrice(tokenId, querySide);
     return parseFloat(priceData.price);
   } catch (err) {
     log.warn(`Could not fetch market price: ${err.message}`);
@@ -227,150 +316,286 @@ async function getMarketPrice(tokenId, side) {
 /**
  * Order Book Walking (Novus-Tech pattern)
  *
- * Fetches the order book and walks through price levels to calculate
- * the effective fill price for a given order amount. This handles
- * illiquid markets where a single level can't fill the full order.
+ * Walks one side of an order book for an order amount to find the effective
+ * fill price. Handles illiquid markets where a single level can't fill the
+ * full order. BUY walks the asks, SELL the bids, best price first — levels
+ * are sorted here since the CLOB lists them best-last.
+ *
+ * Pure — the paper exchange uses it to model fills. amountIn is 'usd'
+ * (market BUY) or 'tokens' (market SELL). The defaults stop where the bot
+ * would rather not trade (depth, slippage from best, dust levels); limitPrice
+ * stops at levels worse than an order's limit.
  *
- * Returns: { effectivePrice, fillable, levels } or null on error
+ * Returns: { effectivePrice, fillable, fullyFillable, levels, bestPrice, worstPrice,
+ *            slippageFromBest, tokens, usd } or null if that side of the book is empty
  */
-async function getBookWalkPrice(tokenId, side, amountUsd) {
-  if (!clobClient) return null;
-  try {
-    const book = await clobClient.getOrderBook(tokenId);
-    if (!book) return null;
-
-    // For BUY: walk the asks (sellers). For SELL: walk the bids (buyers).
-    const isSell = (side === 'SELL');
-    const levels = isSell ? (book.bids || []) : (book.asks || []);
-
-    if (levels.length === 0) return null;
-
-    let remaining = amountUsd;
-    let totalCost = 0;
-    let totalTokens = 0;
-    let levelsUsed = 0;
-    const bestPrice = parseFloat(levels[0].price);
+function walkBook(book, side, amount, {
+  amountIn = 'usd',
+  maxDepth = C.MAX_BOOK_DEPTH,
+  maxSlippagePct = C.MAX_BOOK_SLIPPAGE_PCT,
+  minLevelUsd = C.MIN_BOOK_LIQUIDITY_USD,
+  limitPrice = null,
+} = {}) {
+  if (!book) return null;
+  const isSell = (side === 'SELL');
+  const levels = (isSell ? (book.bids || []) : (book.asks || []))
+    .map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
+    .filter(l => l.price > 0 && l.size > 0)
+    .sort((a, b) => (isSell ? b.price - a.price : a.price - b.price));
+
+  if (levels.length === 0) return null;
+
+  const inTokens = amountIn === 'tokens';
+  const done = inTokens ? 1e-6 : 0.01;
+  let remaining = amount;
+  let totalCost = 0;
+  let totalTokens = 0;
+  let levelsUsed = 0;
+  let worstPrice = null;
+  const bestPrice = levels[0].price;
+
+  for (const level of levels) {
+    if (levelsUsed >= maxDepth) break;
+    if (limitPrice !== null && (isSell ? level.price < limitPrice : level.price > limitPrice)) break;
+
+    // Check slippage from best price
+    const slippage = Math.abs(level.price - bestPrice) / bestPrice * 100;
+    if (slippage > maxSlippagePct) {
+      log.debug(`Book walk: stopping at level ${levelsUsed + 1}, slippage ${slippage.toFixed(1)}% > ${maxSlippagePct}%`);
+      break;
+    }
 
-    for (const level of levels) {
-      if (levelsUsed >= C.MAX_BOOK_DEPTH) break;
+    const levelValue = level.size * level.price;
+    if (levelValue < minLevelUsd) continue;
+    if (remaining <= done) break; // Filled
 
-      const levelPrice = parseFloat(level.price);
-      const levelSize = parseFloat(level.size);
-      const levelValue = levelSize * levelPrice;
+    const tokensFromLevel = inTokens ? Math.min(remaining, level.size) : Math.min(remaining, levelValue) / level.price;
 
-      // Check slippage from best price
-      const slippage = Math.abs(levelPrice - bestPrice) / bestPrice * 100;
-      if (slippage > C.MAX_BOOK_SLIPPAGE_PCT) {
-        log.debug(`Book walk: stopping at level ${levelsUsed + 1}, slippage ${slippage.toFixed(1)}% > ${C.MAX_BOOK_SLIPPAGE_PCT}%`);
-        break;
-      }
+    totalTokens += tokensFromLevel;
+    totalCost += tokensFromLevel * level.price;
+    remaining -= inTokens ? tokensFromLevel : tokensFromLevel * level.price;
+    worstPrice = level.price;
+    levelsUsed++;
+  }
 
-      if (levelValue < C.MIN_BOOK_LIQUIDITY_USD) continue;
+  const filled = totalTokens > 0;
+  const effectivePrice = filled ? totalCost / totalTokens : null;
+  const fillable = amount - remaining;
+
+  return {
+    effectivePrice: effectivePrice ? Math.round(effectivePrice * 10000) / 10000 : null,
+    fillable: inTokens ? Math.round(fillable * 1e6) / 1e6 : Math.round(fillable * 100) / 100,
+    fullyFillable: remaining <= done,
+    levels: levelsUsed,
+    bestPrice,
+    worstPrice,
+    slippageFromBest: effectivePrice ? Math.round(Math.abs(effectivePrice - bestPrice) / bestPrice * 10000) / 100 : 0,
+    tokens: Math.round(totalTokens * 1e6) / 1e6,
+    usd: Math.round(totalCost * 1e6) / 1e6,
+  };
+}
 
-      const fillFromLevel = Math.min(remaining, levelValue);
-      const tokensFromLevel = fillFromLevel / levelPrice;
+/**
+ * Fetch the live book and walk it (see walkBook).
+ */
+async function getBookWalkPrice(tokenId, side, amountUsd) {
+  if (!bookClient) return null;
+  try {
+    const book = await bookClient.getOrderBook(tokenId);
+    return walkBook(book, side, amountUsd);
+  } catch (err) {
+    log.debug(`Book walk failed: ${err.message}`);
+    return null;
+  }
+}
 
-      totalCost += fillFromLevel;
-      totalTokens += tokensFromLevel;
-      remaining -= fillFromLevel;
-      levelsUsed++;
+/**
+ * Ask-side USD within MARKET_FILTER_DEPTH_PCT of the best ask (market filters).
+ * 0 for an empty ask side, null when the book can't be read.
+ */
+async function getBookDepth(tokenId) {
+  if (!bookClient) return null;
+  try {
+    const book = await bookClient.getOrderBook(tokenId);
+    const walk = walkBook(book, 'BUY', Infinity, {
+      maxDepth: Infinity, maxSlippagePct: C.MARKET_FILTER_DEPTH_PCT, minLevelUsd: 0,
+    });
+    return walk ? Math.round(walk.usd * 100) / 100 : 0;
+  } catch (err) {
+    log.debug(`Book depth unavailable: ${err.message}`);
+    return null;
+  }
+}
 
-      if (remaining <= 0.01) break; // Filled
-    }
+/**
+ * Book mid ((best bid + best ask) / 2) when we decide to trade — the fair price
+ * copy slippage is measured against. null for a one-sided or unreadable book.
+ */
+async function getBookMid(tokenId) {
+  if (!bookClient) return null;
+  try {
+    const book = await bookClient.getOrderBook(tokenId);
+    const prices = (levels) => (levels || []).map(l => parseFloat(l.price)).filter(p => p > 0);
+    const bids = prices(book && book.bids);
+    const asks = prices(book && book.asks);
+    if (bids.length === 0 || asks.length === 0) return null;
+    return Math.round(((Math.max(...bids) + Math.min(...asks)) / 2) * 10000) / 10000;
+  } catch (err) {
+    log.debug(`Book mid unavailable: ${err.message}`);
+    return null;
+  }
+}
 
-    const filled = totalCost > 0;
-    const effectivePrice = filled ? totalCost / totalTokens : null;
-    const fillable = amountUsd - remaining;
-
-    return {
-      effectivePrice: effectivePrice ? Math.round(effectivePrice * 10000) / 10000 : null,
-      fillable: Math.round(fillable * 100) / 100,
-      fullyFillable: remaining <= 0.01,
-      levels: levelsUsed,
-      bestPrice,
-      slippageFromBest: effectivePrice ? Math.round(Math.abs(effectivePrice - bestPrice) / bestPrice * 10000) / 100 : 0,
-    };
+/**
+ * Dry-run fill from the paper exchange: { order, fill } — fill is null when
+ * the FOK was rejected. Returns null when no book could be read; the caller
+ * then books at the quoted price (fill model 'leader').
+ */
+async function paperFill(tokenId, side, amount) {
+  if (!paperExchange.isReady()) return null;
+  try {
+    const order = await paperExchange.createAndPostMarketOrder({ tokenID: tokenId, side, amount }, undefined, OrderType.FOK);
+    return { order, fill: order.success === false ? null : fills.parseFill(order, side) };
   } catch (err) {
-    log.debug(`Book walk failed: ${err.message}`);
+    log.warn(`Paper exchange unavailable (${err.message}) — booking at the quoted price`);
     return null;
   }
 }
 
+/** One-line summary of how a paper fill was modeled (trade notes) */
+function describePaperFill(order) {
+  const p = order.paper;
+  return `${p.levels} level(s), ${p.slippageFromBest}% from best ${p.bestPrice}, fee $${p.feeUsd.toFixed(4)}, ${p.latencyMs}ms`;
+}
+
+/**
+ * Latency stamps a signal carries into its trade row: leader trade time (when the
+ * source has it), detection and scan cycle. Execution adds decidedTs (sizing done),
+ * submittedTs (order out) and filledTs (paper fill, CLOB match, or a resting
+ * order's first fill).
+ */
+function signalTiming(signal) {
+  return { leaderTs: signal.fillTimestamp, detectedTs: signal.detectedTs, cycleTs: signal.cycleTs };
+}
+
+// Tail of the entry chain: new entries run one at a time (see executeSignal)
+let entryChain = Promise.resolve();
+
 /**
- * Execute a trade signal
+ * Execute a trade signal. New entries are serialized across callers: the risk
+ * limits, trader budgets and balance check read open positions, which only
+ * change after a fill, so concurrent entries (signal-queue lanes) would all pass
+ * against the same snapshot. Closes only reduce exposure and run straight away.
  */
-async function executeSignal(signal, currentEquity) {
+function executeSignal(signal, currentEquity) {
+  if (signal.type === 'CLOSE') return runSignal(signal, currentEquity);
+  const run = entryChain.then(() => runSignal(signal, currentEquity));
+  entryChain = run.catch(() => {});
+  return run;
+}
+
+async function runSignal(signal, currentEquity) {
   const { type, bucket, marketId, tokenId, side, size: leaderSize, price, traderAddress, marketName } = signal;
 
   // Handle close signals — mirror-sell our position
   if (type === 'CLOSE') {
     const isPartial = signal.isPartialClose === true;
-    log.info(`${isPartial ? 'PARTIAL ' : ''}CLOSE from ${traderAddress.slice(0, 10)}... — executing mirror-sell`);
+    // Leader exits mirror-sell; exit rules (exit-rules.js) carry their own CLOSE_* reason
+    const closeReason = signal.exitReason || C.CLOSE_REASONS.MIRROR;
+    // Latency stamps, the leader's exit fill (activity source) and the book mid — on every close row
+    const closeRow = { ...signalTiming(signal), leaderPrice: signal.fillPrice };
+    let mode = signal.mode || C.COPY_MODES.COPY;
+    if (signal.exitReason) {
+      log.info(`${closeReason} on ${(marketName || marketId).slice(0, 40)} — ${signal.exitDetail || 'exit rule'}`);
+    } else {
+      log.info(`${isPartial ? 'PARTIAL ' : ''}CLOSE from ${traderAddress.slice(0, 10)}... — executing mirror-sell`);
+    }
+
+    // Pull our resting entry on this token first and book what it filled, so the
+    // sell covers it and no late fill re-opens a position after the leader left
+    if (!(await orders.cancelOrderForToken(marketId, tokenId, `${closeReason}: closing position`))) {
+      log.warn(`Could not cancel the resting order on ${(marketName || marketId).slice(0, 40)} — closing what we hold`);
+    }
 
     // Find our open position for this market
     const ourPosition = db.getOpenPositionByMarket(marketId, tokenId);
     if (!ourPosition) {
       log.info(`No open position to close for market ${(marketName || marketId).slice(0, 40)}`);
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+        ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
         price, sizeUsd: 0, leaderSizeUsd: leaderSize, status: 'no_position',
         dryRun: config.bot.dryRun, notes: 'No matching open position found',
       });
       return null;
     }
+    mode = ourPosition.mode || mode; // exit rules and catch-up closes carry no mode of their own
 
     // Proportional close (Novus-Tech pattern):
-    // If leader reduced by 30%, we sell 30% of our position too
-    let closeSize = ourPosition.size_usd;
+    // If leader reduced by 30%, we sell 30% of our shares too
+    let closeFraction = 1;
     if (isPartial && leaderSize > 0 && leaderSize < ourPosition.size_usd) {
       // leaderSize in a partial close = the decrease amount
       // Calculate proportion: what fraction of our position to sell
       const knownLeaderPositions = db.getTraderPositions(traderAddress);
-      const knownLeader = knownLeaderPositions.find(p => p.market_id === marketId && p.token_id === tokenId);
+      const leaderTokenId = signal.leaderTokenId || tokenId; // fade: the leader holds the other outcome
+      const knownLeader = knownLeaderPositions.find(p => p.market_id === marketId && p.token_id === leaderTokenId);
       if (knownLeader && knownLeader.size > 0) {
         // Convert knownLeader.size (tokens) to USD using signal price for unit consistency
         const knownLeaderUsd = knownLeader.size * price;
-        const closeFraction = leaderSize / (knownLeaderUsd + leaderSize); // decrease / original (both USD)
-        closeSize = Math.round(ourPosition.size_usd * closeFraction * 100) / 100;
-        log.info(`Proportional close: leader closed ${(closeFraction * 100).toFixed(0)}% → selling $${closeSize.toFixed(2)} of $${ourPosition.size_usd.toFixed(2)}`);
+        closeFraction = leaderSize / (knownLeaderUsd + leaderSize); // decrease / original (both USD)
       }
     }
 
-    // Calculate token-based sell amount (not USD — critical fix from audit)
-    const tokens = getTokenCount(closeSize, ourPosition.entry_price);
+    // Sell a share quantity taken from our lots, oldest first (never re-derived from USD)
+    const tokens = Math.floor(ourPosition.shares * closeFraction * 1e6) / 1e6;
+    const lots = db.getPositionLots(ourPosition.id);
+    const closeSize = calculatePnl(takeLotsFifo(lots, tokens), null).cost; // cost basis being sold
+    closeRow.decidedTs = Date.now();
+    closeRow.midPrice = await getBookMid(tokenId);
+    if (closeFraction < 1) {
+      log.info(`Proportional close: leader closed ${(closeFraction * 100).toFixed(0)}% → selling ${tokens.toFixed(2)} of ${ourPosition.shares.toFixed(2)} shares ($${closeSize.toFixed(2)} cost)`);
+    }
 
     // === DRY RUN CLOSE ===
     if (config.bot.dryRun) {
-      // Use real market price for PnL — the CLOSE signal's price is the leader's OLD entry (cost basis),
-      // not the actual exit price, so it would always show $0 PnL. Fetch current market price instead.
-      const marketPrice = await getMarketPrice(tokenId, 'SELL');
-      const exitPrice = marketPrice || price || ourPosition.current_price || ourPosition.entry_price;
-      const pnl = calculatePnl(ourPosition.entry_price, exitPrice, closeSize);
+      // FOK sell on the paper exchange; without a book, fall back to the bid. The CLOSE
+      // signal's price is the leader's OLD entry (cost basis), not an exit price.
+      closeRow.submittedTs = Date.now();
+      const sim = await paperFill(tokenId, Side.SELL, tokens);
+      if (sim && !sim.fill) {
+        log.warn(`SIM CLOSE REJECTED on "${(marketName || marketId).slice(0, 40)}": ${sim.order.errorMsg}`);
+        db.logTrade({
+          ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
+          price, sizeUsd: closeSize, leaderSizeUsd: leaderSize, fillModel: C.FILL_MODELS.BOOK,
+          status: 'rejected', dryRun: true, notes: `Paper FOK rejected: ${sim.order.errorMsg}`,
+        });
+        return null;
+      }
+      closeRow.filledTs = Date.now();
+      const marketPrice = sim ? null : await getMarketPrice(tokenId, 'SELL');
+      // One price for the row, the PnL and the lot sale
+      const exitPrice = sim ? sim.fill.avgPrice : (marketPrice || price || ourPosition.current_price || ourPosition.entry_price);
+      const sale = calculatePnl(takeLotsFifo(lots, tokens), exitPrice);
+      const pnl = sale.total;
+      const model = sim ? ` Paper: ${describePaperFill(sim.order)}.` : '';
       log.info(`SIM ${isPartial ? 'PARTIAL ' : ''}CLOSE: Sell ${tokens.toFixed(2)} tokens ($${closeSize.toFixed(2)}) on "${(marketName || marketId).slice(0, 40)}" | Entry: ${ourPosition.entry_price} → Exit: ${exitPrice} | PnL: $${pnl.toFixed(2)}`);
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+        ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
         price: exitPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
+        fillModel: sim ? C.FILL_MODELS.BOOK : C.FILL_MODELS.LEADER,
         status: 'simulated', dryRun: true, pnl,
-        notes: `Simulated ${isPartial ? 'partial ' : ''}close. ${tokens.toFixed(2)} tokens. PnL: $${pnl.toFixed(2)}`,
+        notes: `Simulated ${isPartial ? 'partial ' : ''}close${signal.exitReason ? ` — ${signal.exitDetail}` : ''}. ${tokens.toFixed(2)} tokens. PnL: $${pnl.toFixed(2)}.${model}`,
       });
       notifications.notifyTradeExecuted({ side: `CLOSE_${side}`, sizeUsd: closeSize, marketName, price: exitPrice, pnl, dryRun: true });
-      if (isPartial) {
-        // Partial close: reduce position size, don't close entirely
-        const d = db.getDb();
-        const remainingSize = ourPosition.size_usd - closeSize;
-        d.prepare(`UPDATE positions SET size_usd = ?, current_price = ?, unrealized_pnl = ? WHERE id = ?`)
-          .run(Math.round(remainingSize * 100) / 100, exitPrice, 0, ourPosition.id);
-      } else {
-        db.closePositionWithPnl(marketId, tokenId, exitPrice, pnl);
-      }
-      return { simulated: true, closed: !isPartial, partial: isPartial, size: closeSize, pnl };
+      const { closed } = db.applyLotSale(ourPosition.id, sale.lots, exitPrice, closeReason);
+      return { simulated: true, closed, partial: !closed, size: closeSize, pnl };
     }
 
     // === LIVE CLOSE ===
     if (!clobClient) {
       log.error('CLOB client not initialized — cannot close position');
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+        ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
         price, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
         status: 'failed', dryRun: false, notes: 'CLOB client not initialized',
       });
@@ -388,7 +613,7 @@ async function executeSignal(signal, currentEquity) {
         if (!slip.ok && slip.slippage > C.CLOSE_SLIPPAGE_HARD_LIMIT) {
           log.error(`CLOSE SLIPPAGE TOO HIGH: ${slip.reason} — aborting to preserve capital`);
           db.logTrade({
-            traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+            ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
             price: currentPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
             status: 'slippage_blocked', dryRun: false,
             notes: `Close blocked: slippage ${slip.slippage.toFixed(2)}% > ${C.CLOSE_SLIPPAGE_HARD_LIMIT}% max`,
@@ -406,22 +631,26 @@ async function executeSignal(signal, currentEquity) {
         log.warn(`Book walk: only $${bookWalk.fillable} fillable of $${closeSize.toFixed(2)} (${bookWalk.levels} levels)`);
       }
 
-      // Use token-based sell amount (critical fix: not USD notional)
-      const sellTokens = parseFloat(tokens.toFixed(6));
       log.info(`EXEC ${isPartial ? 'PARTIAL ' : ''}CLOSE: Sell ${tokens.toFixed(2)} tokens on "${(marketName || marketId).slice(0, 40)}" @ ~${sellPrice}`);
 
-      // Place FOK sell order (with retry on transient failures)
-      const orderSide = Side.SELL;
-      const order = await placeOrderWithRetry(
-        { tokenID: tokenId, side: orderSide, amount: sellTokens },
-        OrderType.FOK
-      );
+      // Place FOK sell order (with retry on transient failures) — every attempt goes to the ledger
+      const orderRequest = { tokenID: tokenId, side: Side.SELL, amount: tokens };
+      const ledgerBase = { orderType: C.ORDER_TYPES.FOK, side: 'SELL', marketId, tokenId, request: orderRequest };
+      let order;
+      closeRow.submittedTs = Date.now();
+      try {
+        order = await placeOrderWithRetry(orderRequest, OrderType.FOK);
+      } catch (err) {
+        await fills.recordSubmission({ ...ledgerBase, error: err.message });
+        throw err;
+      }
+      const { ledgerId, fill } = await fills.recordSubmission({ ...ledgerBase, response: order });
 
       // Validate order response (don't assume success)
       if (!order || typeof order !== 'object') {
         log.error(`Invalid order response: ${JSON.stringify(order).slice(0, 200)}`);
         db.logTrade({
-          traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+          ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
           price: sellPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
           status: 'failed', dryRun: false, notes: 'Invalid order response from CLOB',
         });
@@ -432,7 +661,7 @@ async function executeSignal(signal, currentEquity) {
       if (!orderId) {
         log.error('Order response missing orderID — rejecting');
         db.logTrade({
-          traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+          ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
           price: sellPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
           status: 'failed', dryRun: false, notes: 'Missing orderId in response',
         });
@@ -443,7 +672,7 @@ async function executeSignal(signal, currentEquity) {
         const errorMsg = order.errorMsg || 'Unknown error';
         log.error(`Order rejected by API: ${errorMsg}`);
         db.logTrade({
-          traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+          ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
           price: sellPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
           status: 'failed', dryRun: false,
           notes: `API rejected: ${errorMsg}`,
@@ -452,33 +681,31 @@ async function executeSignal(signal, currentEquity) {
       }
 
       const orderStatus = String(order.status || order.orderStatus || 'UNKNOWN').toUpperCase();
-      const exitPrice = currentPrice || price;
-      const pnl = calculatePnl(ourPosition.entry_price, exitPrice, closeSize);
+      // Exit price comes from the actual fill (the pre-trade quote is only a fallback) and
+      // is the one price behind the row, the PnL and the lot sale
+      const exitPrice = fill ? fill.avgPrice : (currentPrice || price);
+      const soldTokens = fill ? Math.min(fill.tokens, ourPosition.shares) : tokens;
+      const sale = calculatePnl(takeLotsFifo(lots, soldTokens), exitPrice || null);
+      const pnl = sale.total;
 
       if (C.VALID_ORDER_STATUSES.includes(orderStatus)) {
-        db.logTrade({
-          traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+        closeRow.filledTs = Date.now();
+        const tradeId = db.logTrade({
+          ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
           price: exitPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
           status: 'executed', orderId, dryRun: false, pnl,
-          notes: `${isPartial ? 'Partial c' : 'C'}losed. ${tokens.toFixed(2)} tokens. PnL: $${pnl.toFixed(2)}`,
-        });
-        db.logAudit(C.AUDIT_ACTIONS.TRADE_EXECUTED, `CLOSE ${side} $${closeSize.toFixed(2)} | PnL: $${pnl.toFixed(2)}`);
-
-        if (isPartial) {
-          // Reduce position size, don't close entirely
-          const d = db.getDb();
-          const remainingSize = ourPosition.size_usd - closeSize;
-          d.prepare(`UPDATE positions SET size_usd = ?, current_price = ? WHERE id = ?`)
-            .run(Math.round(remainingSize * 100) / 100, exitPrice, ourPosition.id);
-        } else {
-          db.closePositionWithPnl(marketId, tokenId, exitPrice, pnl);
-        }
-        log.info(`${isPartial ? 'PARTIAL ' : ''}CLOSED: ${orderId} — ${tokens.toFixed(2)} tokens | PnL: $${pnl.toFixed(2)}`);
+          notes: `${isPartial ? 'Partial c' : 'C'}losed${signal.exitReason ? ` — ${signal.exitDetail}` : ''}. ${soldTokens.toFixed(2)} tokens${fill ? ` for $${fill.usd.toFixed(2)}` : ''}. PnL: $${pnl.toFixed(2)}`,
+        }).lastInsertRowid;
+        fills.linkTrade(ledgerId, tradeId);
+        db.logAudit(C.AUDIT_ACTIONS.TRADE_EXECUTED, `${closeReason} ${side} $${closeSize.toFixed(2)} | PnL: $${pnl.toFixed(2)}`);
+
+        const { closed } = db.applyLotSale(ourPosition.id, sale.lots, exitPrice, closeReason);
+        log.info(`${isPartial ? 'PARTIAL ' : ''}CLOSED: ${orderId} — ${soldTokens.toFixed(2)} tokens @ ${exitPrice} | PnL: $${pnl.toFixed(2)}`);
         notifications.notifyTradeExecuted({ side: `CLOSE_${side}`, sizeUsd: closeSize, marketName, price: exitPrice, pnl, dryRun: false });
-        return { executed: true, closed: !isPartial, partial: isPartial, orderId, size: closeSize, pnl };
+        return { executed: true, closed, partial: !closed, orderId, size: sale.cost, pnl };
       } else {
         db.logTrade({
-          traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+          ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
           price: exitPrice, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
           status: 'rejected', orderId, dryRun: false,
           notes: `FOK sell rejected: ${orderStatus}`,
@@ -496,7 +723,7 @@ async function executeSignal(signal, currentEquity) {
         log.error(`CLOSE FAILED: ${errMsg}`);
       }
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`,
+        ...closeRow, traderAddress, bucket, marketId, marketName, side: `CLOSE_${side}`, closeReason, mode,
         price, sizeUsd: closeSize, leaderSizeUsd: leaderSize,
         status: 'failed', dryRun: false, notes: `Close error: ${errMsg}`,
       });
@@ -519,64 +746,147 @@ async function executeSignal(signal, currentEquity) {
   // Get balance for sizing (use chain balance or fallback to equity estimate)
   const availableBalance = config.bot.dryRun ? currentEquity : ((await getUSDCBalance()) || currentEquity);
 
+  const strategyConfig = hotConfig.getStrategyForTrader(traderAddress); // trader's strategy block over the .env defaults
+  const sizingContext = {
+    equity: currentEquity,
+    consensusMultiplier: signal.consensus ? signal.consensus.multiplier : undefined,
+    scoreMultiplier: analytics.getSizeMultiplier(traderAddress),
+    deriskMultiplier: risk.getDeriskMultiplier(),
+  };
+  const strategyName = strategyConfig.strategy || getDefaultConfig().strategy;
+  if (strategyName === STRATEGIES.CONVICTION) {
+    sizingContext.leaderPortfolioUsd = await monitor.getPortfolioValue(traderAddress);
+  } else if (strategyName === STRATEGIES.KELLY) {
+    const priceBucket = getKellyBucket(price);
+    sizingContext.kellyStats = { ...db.getKellyStats(traderAddress, priceBucket.priceLo, priceBucket.priceHi, signal.mode || C.COPY_MODES.COPY), ...priceBucket };
+  }
+
   const orderCalc = calculateOrderSize(
-    {}, // use defaults from .env
+    strategyConfig,
     leaderSize,
     availableBalance,
     currentPositionSize,
-    traderOverrides
+    traderOverrides,
+    sizingContext
   );
+  // Every entry row records the strategy and parameters that sized it
+  const sizing = {
+    strategy: orderCalc.strategy,
+    strategyParams: {
+      ...orderCalc.params,
+      ...(signal.consensus ? { consensus: signal.consensus } : {}),
+      ...(sizingContext.scoreMultiplier !== 1 ? { scoreMultiplier: sizingContext.scoreMultiplier } : {}),
+      ...(sizingContext.deriskMultiplier !== 1 ? { deriskMultiplier: sizingContext.deriskMultiplier } : {}),
+    },
+    mode: signal.mode || C.COPY_MODES.COPY,
+    leaderPrice: price,
+    ...signalTiming(signal),
+    decidedTs: Date.now(),
+  };
+  // Fade entries are tagged in the log lines below (the trade rows carry `mode`)
+  const tag = sizing.mode === C.COPY_MODES.FADE ? 'FADE ' : '';
 
   let ourSize = orderCalc.finalAmount;
   if (ourSize === 0) {
-    log.info(`SKIP: ${orderCalc.reasoning}`);
+    log.info(`${tag}SKIP: ${orderCalc.reasoning}`);
     db.logTrade({
-      traderAddress, bucket, marketId, marketName, side, price,
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price,
       sizeUsd: 0, leaderSizeUsd: leaderSize, status: 'filtered',
       dryRun: config.bot.dryRun, notes: orderCalc.reasoning,
     });
     return null;
   }
-  log.info(`SIZE: ${orderCalc.reasoning}`);
+  log.info(`${tag}SIZE: ${orderCalc.reasoning}`);
 
   // Price filter
   const priceCheck = risk.checkPriceFilter(price);
   if (!priceCheck.ok) {
-    log.debug(`SKIP: ${priceCheck.reason}`);
+    log.debug(`${tag}SKIP: ${priceCheck.reason}`);
     db.logTrade({
-      traderAddress, bucket, marketId, marketName, side, price,
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price,
       sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'filtered',
       dryRun: config.bot.dryRun, notes: priceCheck.reason,
     });
     return null;
   }
 
-  // Risk limits
-  const riskCheck = risk.checkRiskLimits(bucket, ourSize, currentEquity);
+  // Market filters — first matching rule decides; a block is logged with its rule id
+  const marketCheck = await marketFilters.checkMarketFilters(signal, { getDepth: getBookDepth });
+  if (!marketCheck.ok) {
+    log.info(`${tag}SKIP: market filter ${marketCheck.ruleId} — ${marketCheck.reason}`);
+    db.logTrade({
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price,
+      sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'filtered', filterRule: marketCheck.ruleId,
+      dryRun: config.bot.dryRun, notes: `Market filter ${marketCheck.ruleId}: ${marketCheck.reason}`,
+    });
+    return null;
+  }
+
+  // Risk limits — concentration caps read cached market metadata, so refresh it for this market and our holdings
+  if (risk.concentrationCapsEnabled()) {
+    await marketMeta.ensureMarketMeta([marketId, ...db.getOpenPositions().map(p => p.market_id)]);
+  }
+  const riskCheck = risk.checkRiskLimits(bucket, ourSize, currentEquity, { marketId, traderAddress });
   if (!riskCheck.allowed) {
-    log.warn(`BLOCKED: ${riskCheck.reasons.join('; ')}`);
+    log.warn(`${tag}BLOCKED: ${riskCheck.reasons.join('; ')}`);
     db.logTrade({
-      traderAddress, bucket, marketId, marketName, side, price,
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price,
       sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'risk_blocked',
       dryRun: config.bot.dryRun, notes: riskCheck.reasons.join('; '),
     });
     notifications.notifyTradeBlocked(riskCheck.reasons, 1);
     return null;
   }
+  sizing.midPrice = await getBookMid(tokenId);
 
   // ═══════════════════════════
   //  DRY RUN
   // ═══════════════════════════
   if (config.bot.dryRun) {
-    log.info(`SIM: ${side} $${ourSize.toFixed(2)} on "${(marketName || marketId).slice(0, 50)}" @ ${price}`);
+    // Same pre-trade slippage check as live: leader price vs the ask we would hit
+    const ask = await getMarketPrice(tokenId, 'BUY');
+    if (ask) {
+      const slip = risk.checkSlippage(price, ask);
+      if (!slip.ok) {
+        log.warn(`SIM SLIPPAGE: ${slip.reason}`);
+        db.logTrade({
+          ...sizing, traderAddress, bucket, marketId, marketName, side, price,
+          sizeUsd: ourSize, leaderSizeUsd: leaderSize, leaderPrice: price, fillModel: C.FILL_MODELS.BOOK,
+          status: 'slippage_blocked', dryRun: true, notes: slip.reason,
+        });
+        return null;
+      }
+    }
+
+    sizing.submittedTs = Date.now();
+    const sim = await paperFill(tokenId, Side.BUY, ourSize);
+    if (sim && !sim.fill) {
+      log.warn(`SIM REJECTED on "${(marketName || marketId).slice(0, 40)}": ${sim.order.errorMsg}`);
+      db.logTrade({
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
+        sizeUsd: ourSize, leaderSizeUsd: leaderSize, leaderPrice: price, fillModel: C.FILL_MODELS.BOOK,
+        status: 'rejected', dryRun: true, notes: `Paper FOK rejected: ${sim.order.errorMsg}`,
+      });
+      return null;
+    }
+
+    sizing.filledTs = Date.now();
+    // Cost basis from the modeled fill (USDC paid / shares received net of fee)
+    const fillPrice = sim ? sim.fill.avgPrice : price;
+    const filledUsd = sim ? Math.round(sim.fill.usd * 100) / 100 : ourSize;
+    log.info(`${tag}SIM: ${side} $${filledUsd.toFixed(2)} on "${(marketName || marketId).slice(0, 50)}" @ ${fillPrice}${sim ? ` (leader ${price})` : ''}`);
     db.logTrade({
-      traderAddress, bucket, marketId, marketName, side, price,
-      sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'simulated',
-      dryRun: true, notes: `Simulated $${ourSize.toFixed(2)}`,
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price: fillPrice,
+      sizeUsd: filledUsd, leaderSizeUsd: leaderSize, leaderPrice: price,
+      fillModel: sim ? C.FILL_MODELS.BOOK : C.FILL_MODELS.LEADER, status: 'simulated', dryRun: true,
+      notes: `Simulated $${filledUsd.toFixed(2)}${sim ? ` — paper: ${describePaperFill(sim.order)}` : ' at leader price (no book)'}`,
+    });
+    db.upsertPosition({
+      marketId, tokenId, marketName, side, entryPrice: fillPrice, sizeUsd: filledUsd,
+      shares: sim ? sim.fill.tokens : undefined, traderAddress, bucket, mode: sizing.mode,
     });
-    db.upsertPosition({ marketId, tokenId, marketName, side, entryPrice: price, sizeUsd: ourSize, traderAddress, bucket });
-    notifications.notifyTradeExecuted({ side, sizeUsd: ourSize, marketName, price, dryRun: true });
-    return { simulated: true, size: ourSize, price };
+    notifications.notifyTradeExecuted({ side, sizeUsd: filledUsd, marketName, price: fillPrice, dryRun: true });
+    return { simulated: true, size: filledUsd, price: fillPrice };
   }
 
   // ═══════════════════════════
@@ -585,7 +895,7 @@ async function executeSignal(signal, currentEquity) {
   if (!clobClient) {
     log.error('CLOB client not initialized');
     db.logTrade({
-      traderAddress, bucket, marketId, marketName, side, price,
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price,
       sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'failed',
       dryRun: false, notes: 'CLOB client not initialized',
     });
@@ -598,7 +908,7 @@ async function executeSignal(signal, currentEquity) {
     if (balance !== null && balance < ourSize) {
       log.warn(`Insufficient USDC: need $${ourSize.toFixed(2)}, have $${balance.toFixed(2)}`);
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side, price,
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
         sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'failed',
         dryRun: false, notes: `Insufficient USDC: $${balance.toFixed(2)}`,
       });
@@ -610,22 +920,35 @@ async function executeSignal(signal, currentEquity) {
     if (allowance !== null && allowance < ourSize) {
       log.error(`Insufficient USDC allowance: need $${ourSize.toFixed(2)}, approved $${allowance.toFixed(2)}. Run 'node src/setup-keys.js' to set allowance.`);
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side, price,
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
         sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'failed',
         dryRun: false, notes: `Insufficient allowance: $${allowance.toFixed(2)}`,
       });
       return null;
     }
 
+    // Limit mode: one resting order per token at a time
+    const limitMode = config.execution.mode === 'limit';
+    if (limitMode && db.getOpenOrderByToken(marketId, tokenId)) {
+      log.info(`SKIP: resting order already open on "${(marketName || marketId).slice(0, 40)}"`);
+      db.logTrade({
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
+        sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'filtered',
+        dryRun: false, notes: 'Resting limit order already open for this token',
+      });
+      return null;
+    }
+
     // Order book walk: check liquidity (Novus-Tech pattern)
     const bookWalk = await getBookWalkPrice(tokenId, 'BUY', ourSize);
     if (bookWalk) {
       if (!bookWalk.fullyFillable) {
         log.warn(`Thin book: only $${bookWalk.fillable} of $${ourSize.toFixed(2)} fillable across ${bookWalk.levels} levels`);
-        if (bookWalk.fillable < ourSize * 0.5) {
+        // A resting limit order is the answer to a thin book — only market orders skip
+        if (!limitMode && bookWalk.fillable < ourSize * 0.5) {
           log.warn(`SKIP: Book too thin — less than 50% fillable`);
           db.logTrade({
-            traderAddress, bucket, marketId, marketName, side, price,
+            ...sizing, traderAddress, bucket, marketId, marketName, side, price,
             sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'filtered',
             dryRun: false, notes: `Book too thin: $${bookWalk.fillable} of $${ourSize.toFixed(2)} fillable`,
           });
@@ -644,7 +967,7 @@ async function executeSignal(signal, currentEquity) {
       if (!slip.ok) {
         log.warn(`SLIPPAGE: ${slip.reason}`);
         db.logTrade({
-          traderAddress, bucket, marketId, marketName, side, price,
+          ...sizing, traderAddress, bucket, marketId, marketName, side, price,
           sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'slippage_blocked',
           dryRun: false, notes: slip.reason,
         });
@@ -652,20 +975,33 @@ async function executeSignal(signal, currentEquity) {
       }
     }
 
-    log.info(`EXEC: ${side} $${ourSize.toFixed(2)} on "${(marketName || marketId).slice(0, 40)}" @ ~${currentPrice || price}`);
+    if (limitMode) {
+      return await orders.placeLimitBuy({
+        traderAddress, bucket, marketId, tokenId, marketName, side,
+        leaderPrice: signal.fillPrice || price, leaderSize, sizeUsd: ourSize, sizing,
+      });
+    }
+
+    log.info(`${tag}EXEC: ${side} $${ourSize.toFixed(2)} on "${(marketName || marketId).slice(0, 40)}" @ ~${currentPrice || price}`);
 
     // Place FOK market order — always BUY (we're copying the leader's position)
-    const orderSide = Side.BUY;
-    const order = await placeOrderWithRetry(
-      { tokenID: tokenId, side: orderSide, amount: ourSize.toFixed(2) },
-      OrderType.FOK
-    );
+    const orderRequest = { tokenID: tokenId, side: Side.BUY, amount: ourSize.toFixed(2) };
+    const ledgerBase = { orderType: C.ORDER_TYPES.FOK, side: 'BUY', marketId, tokenId, request: orderRequest };
+    let order;
+    sizing.submittedTs = Date.now();
+    try {
+      order = await placeOrderWithRetry(orderRequest, OrderType.FOK);
+    } catch (err) {
+      await fills.recordSubmission({ ...ledgerBase, error: err.message });
+      throw err;
+    }
+    const { ledgerId, fill } = await fills.recordSubmission({ ...ledgerBase, response: order });
 
     // Validate order response (don't assume success — audit fix)
     if (!order || typeof order !== 'object') {
       log.error(`Invalid order response: ${JSON.stringify(order).slice(0, 200)}`);
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side, price,
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
         sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'failed',
         dryRun: false, notes: 'Invalid order response',
       });
@@ -676,7 +1012,7 @@ async function executeSignal(signal, currentEquity) {
     if (!orderId) {
       log.error('Order response missing orderID — rejecting as unsafe');
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side, price,
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
         sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'failed',
         dryRun: false, notes: 'Missing orderId — phantom trade prevention',
       });
@@ -687,7 +1023,7 @@ async function executeSignal(signal, currentEquity) {
       const errorMsg = order.errorMsg || 'Unknown error';
       log.error(`Order rejected by API: ${errorMsg}`);
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side,
+        ...sizing, traderAddress, bucket, marketId, marketName, side,
         price: currentPrice || price, sizeUsd: ourSize,
         leaderSizeUsd: leaderSize, status: 'failed', dryRun: false,
         notes: `API rejected: ${errorMsg}`,
@@ -700,26 +1036,31 @@ async function executeSignal(signal, currentEquity) {
 
     // Check fill status
     if (C.VALID_ORDER_STATUSES.includes(status)) {
-      db.logTrade({
-        traderAddress, bucket, marketId, marketName, side,
-        price: currentPrice || price,
-        sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'executed',
+      // Cost basis from the actual fill (USDC paid / tokens received); quote is only a fallback
+      const fillPrice = fill ? fill.avgPrice : (currentPrice || price);
+      const filledUsd = fill ? Math.round(fill.usd * 100) / 100 : ourSize;
+      sizing.filledTs = Date.now();
+      const tradeId = db.logTrade({
+        ...sizing, traderAddress, bucket, marketId, marketName, side,
+        price: fillPrice, leaderPrice: price,
+        sizeUsd: filledUsd, leaderSizeUsd: leaderSize, status: 'executed',
         orderId, dryRun: false,
-        notes: `FOK ${status}${txHashes.length ? ' tx:' + txHashes[0].slice(0, 14) : ''}`,
-      });
+        notes: `FOK ${status}${fill ? ` ${fill.tokens} tokens` : ''}${txHashes.length ? `, ${txHashes.length} tx` : ''}`,
+      }).lastInsertRowid;
+      fills.linkTrade(ledgerId, tradeId);
       db.upsertPosition({
         marketId, tokenId, marketName, side,
-        entryPrice: currentPrice || price,
-        sizeUsd: ourSize, traderAddress, bucket,
+        entryPrice: fillPrice, sizeUsd: filledUsd,
+        shares: fill ? fill.tokens : undefined, traderAddress, bucket, mode: sizing.mode,
       });
-      db.logAudit(C.AUDIT_ACTIONS.TRADE_EXECUTED, `${side} $${ourSize.toFixed(2)} on ${(marketName || marketId).slice(0, 30)}`);
-      log.info(`FILLED: ${orderId} — $${ourSize.toFixed(2)} @ ${currentPrice || price}`);
-      notifications.notifyTradeExecuted({ side, sizeUsd: ourSize, marketName, price: currentPrice || price, dryRun: false });
-      return { executed: true, orderId, size: ourSize, price: currentPrice || price };
+      db.logAudit(C.AUDIT_ACTIONS.TRADE_EXECUTED, `${tag}${side} $${filledUsd.toFixed(2)} on ${(marketName || marketId).slice(0, 30)}`);
+      log.info(`${tag}FILLED: ${orderId} — $${filledUsd.toFixed(2)} @ ${fillPrice}`);
+      notifications.notifyTradeExecuted({ side, sizeUsd: filledUsd, marketName, price: fillPrice, dryRun: false });
+      return { executed: true, orderId, size: filledUsd, price: fillPrice };
     } else {
       // FOK was rejected
       db.logTrade({
-        traderAddress, bucket, marketId, marketName, side, price,
+        ...sizing, traderAddress, bucket, marketId, marketName, side, price,
         sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'rejected',
         orderId, dryRun: false, notes: `FOK rejected: ${status}`,
       });
@@ -730,7 +1071,7 @@ async function executeSignal(signal, currentEquity) {
   } catch (err) {
     log.error(`EXEC FAILED: ${err.message}`);
     db.logTrade({
-      traderAddress, bucket, marketId, marketName, side, price,
+      ...sizing, traderAddress, bucket, marketId, marketName, side, price,
       sizeUsd: ourSize, leaderSizeUsd: leaderSize, status: 'failed',
       dryRun: false, notes: `Error: ${err.message}`,
     });
@@ -739,4 +1080,7 @@ async function executeSignal(signal, currentEquity) {
   }
 }
 
-module.exports = { initClobClient, executeSignal, getMarketPrice, getUSDCBalance, checkAllowance, getBookWalkPrice };
+module.exports = {
+  initClobClient, usePaperExchange, executeSignal, getMarketPrice, getUSDCBalance, getCtfBalances, canRedeem, redeemPositions,
+  checkAllowance, getBookWalkPrice, walkBook, takeLotsFifo, calculatePnl,
+};
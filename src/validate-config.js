@@ -8,6 +8,7 @@
  */
 
 const log = require('./logger');
+const C = require('./constants');
 
 const isValidEthAddress = (addr) => /^0x[a-fA-F0-9]{40}$/.test(addr);
 
@@ -98,6 +99,18 @@ function validateConfig() {
     }
   }
 
+  // ─── Concentration caps ──────────────────────
+  const totalCap = parseFloat(process.env.MAX_TOTAL_EXPOSURE);
+  for (const key of ['MAX_MARKET_EXPOSURE', 'MAX_EVENT_EXPOSURE', 'MAX_CATEGORY_EXPOSURE']) {
+    if (process.env[key] === undefined || process.env[key] === '') continue;
+    const val = parseFloat(process.env[key]);
+    if (isNaN(val) || val < 0) {
+      errors.push(`${key} must be 0 (off) or a positive USD amount (got "${process.env[key]}")`);
+    } else if (val > 0 && !isNaN(totalCap) && val >= totalCap) {
+      warnings.push(`${key}=${val} is not below MAX_TOTAL_EXPOSURE (${totalCap}) — it never binds.`);
+    }
+  }
+
   // ─── Price range validation ──────────────────
   const minPrice = parseFloat(process.env.MIN_PRICE || '0.08');
   const maxPrice = parseFloat(process.env.MAX_PRICE || '0.97');
@@ -110,15 +123,207 @@ function validateConfig() {
 
   // ─── Copy strategy validation ────────────────
   const strategy = (process.env.COPY_STRATEGY || 'PERCENTAGE').toUpperCase();
-  if (!['PERCENTAGE', 'FIXED', 'ADAPTIVE'].includes(strategy)) {
+  if (!['PERCENTAGE', 'FIXED', 'ADAPTIVE', 'CONVICTION', 'KELLY'].includes(strategy)) {
     errors.push(
       `Unknown COPY_STRATEGY: "${process.env.COPY_STRATEGY}"\n` +
-      '  Valid options: PERCENTAGE, FIXED, ADAPTIVE\n' +
+      '  Valid options: PERCENTAGE, FIXED, ADAPTIVE, CONVICTION, KELLY\n' +
       '  PERCENTAGE: Copy a % of leader\'s trade size (default)\n' +
       '  FIXED: Use a fixed $ amount per trade\n' +
-      '  ADAPTIVE: Auto-scale % based on trade size'
+      '  ADAPTIVE: Auto-scale % based on trade size\n' +
+      '  CONVICTION: Match the leader\'s portfolio weight with our equity\n' +
+      '  KELLY: Fractional Kelly from the leader\'s edge at the signal\'s price'
     );
   }
+  const convictionMin = parseFloat(process.env.CONVICTION_MIN_PERCENT || '0.5');
+  const convictionMax = parseFloat(process.env.CONVICTION_MAX_PERCENT || '10');
+  if (convictionMin > convictionMax) {
+    errors.push(`CONVICTION_MIN_PERCENT (${convictionMin}) must not exceed CONVICTION_MAX_PERCENT (${convictionMax})`);
+  }
+  if (strategy === 'CONVICTION' && convictionMax > 25) {
+    warnings.push(`CONVICTION_MAX_PERCENT=${convictionMax} lets one trade use over a quarter of equity.`);
+  }
+  const kellyFraction = parseFloat(process.env.KELLY_FRACTION || '0.25');
+  if (isNaN(kellyFraction) || kellyFraction <= 0 || kellyFraction > 1) {
+    errors.push(`KELLY_FRACTION (${process.env.KELLY_FRACTION}) must be between 0 and 1`);
+  }
+  const kellyMinSamples = parseFloat(process.env.KELLY_MIN_SAMPLES || '20');
+  if (isNaN(kellyMinSamples) || kellyMinSamples < 1) {
+    errors.push(`KELLY_MIN_SAMPLES (${process.env.KELLY_MIN_SAMPLES}) must be at least 1`);
+  }
+  const kellyMax = parseFloat(process.env.KELLY_MAX_PERCENT || '5');
+  if (isNaN(kellyMax) || kellyMax <= 0) {
+    errors.push(`KELLY_MAX_PERCENT (${process.env.KELLY_MAX_PERCENT}) must be a positive number`);
+  }
+  if (strategy === 'KELLY') {
+    if (kellyFraction > 0.5) warnings.push(`KELLY_FRACTION=${kellyFraction} is aggressive; estimated edges are noisy, 0.25 or less is typical.`);
+    if (kellyMinSamples < 10) warnings.push(`KELLY_MIN_SAMPLES=${kellyMinSamples} trusts very few resolved copies per price bucket.`);
+  }
+
+  // ─── Consensus mode ──────────────────────────
+  if ((process.env.CONSENSUS_ENABLED || 'false').toLowerCase() === 'true') {
+    const weighting = (process.env.CONSENSUS_WEIGHTING || 'none').toLowerCase();
+    if (!['none', 'score'].includes(weighting)) {
+      errors.push(`Unknown CONSENSUS_WEIGHTING: "${process.env.CONSENSUS_WEIGHTING}" (none or score)`);
+    }
+    const minLeaders = parseFloat(process.env.CONSENSUS_MIN_LEADERS || '2');
+    if (isNaN(minLeaders) || minLeaders <= 0) {
+      errors.push(`CONSENSUS_MIN_LEADERS must be positive (got ${process.env.CONSENSUS_MIN_LEADERS})`);
+    } else if (minLeaders < 2 && weighting === 'none') {
+      warnings.push('CONSENSUS_MIN_LEADERS below 2 — a single leader is enough, so nothing is held.');
+    }
+    const buckets = (process.env.CONSENSUS_BUCKETS || 'event').split(',').map(b => b.trim().toLowerCase()).filter(Boolean);
+    const unknown = buckets.filter(b => !['grinder', 'event'].includes(b));
+    if (unknown.length > 0) {
+      errors.push(`Unknown CONSENSUS_BUCKETS: ${unknown.join(', ')} (grinder, event)`);
+    }
+  }
+
+  // ─── Confirmation delay ──────────────────────
+  const confirmDelay = parseFloat(process.env.CONFIRM_DELAY_MIN || '0');
+  if (isNaN(confirmDelay) || confirmDelay < 0) {
+    errors.push(`CONFIRM_DELAY_MIN must be 0 (off) or more minutes (got ${process.env.CONFIRM_DELAY_MIN})`);
+  } else if (confirmDelay > 60) {
+    warnings.push(`CONFIRM_DELAY_MIN=${confirmDelay} — entries are copied over an hour after the leader's.`);
+  }
+  const confirmHold = parseFloat(process.env.CONFIRM_MIN_HOLD_PCT || '80');
+  if (isNaN(confirmHold) || confirmHold < 0 || confirmHold > 100) {
+    errors.push(`CONFIRM_MIN_HOLD_PCT must be between 0 and 100 (got ${process.env.CONFIRM_MIN_HOLD_PCT})`);
+  }
+  const confirmBand = parseFloat(process.env.CONFIRM_PRICE_BAND_PCT || '5');
+  if (isNaN(confirmBand) || confirmBand < 0) {
+    errors.push(`CONFIRM_PRICE_BAND_PCT must be 0 or more (got ${process.env.CONFIRM_PRICE_BAND_PCT})`);
+  }
+
+  // ─── Trade aggregation ───────────────────────
+  if ((process.env.TRADE_AGGREGATION || 'false').toLowerCase() === 'true') {
+    const windowMs = parseFloat(process.env.TRADE_AGGREGATION_WINDOW_MS || '30000');
+    if (isNaN(windowMs) || windowMs <= 0) {
+      errors.push(`TRADE_AGGREGATION_WINDOW_MS must be positive (got ${process.env.TRADE_AGGREGATION_WINDOW_MS})`);
+    } else if (windowMs > 60000 * C.SIGNAL_QUEUE_MAX_AGE_MIN) {
+      errors.push(`TRADE_AGGREGATION_WINDOW_MS must be under ${C.SIGNAL_QUEUE_MAX_AGE_MIN} minutes — longer groups expire in the signal queue`);
+    }
+    const minUsd = parseFloat(process.env.TRADE_AGGREGATION_MIN_USD || '2');
+    if (isNaN(minUsd) || minUsd < 0) {
+      errors.push(`TRADE_AGGREGATION_MIN_USD must be 0 or more (got ${process.env.TRADE_AGGREGATION_MIN_USD})`);
+    }
+  }
+
+  // ─── Trader score policy ─────────────────────
+  const scorePolicy = (process.env.TRADER_SCORE_POLICY || 'off').toLowerCase();
+  if (!['off', 'downweight', 'disable'].includes(scorePolicy)) {
+    errors.push(`Unknown TRADER_SCORE_POLICY: "${process.env.TRADER_SCORE_POLICY}" (off, downweight or disable)`);
+  } else if (scorePolicy !== 'off') {
+    const scoreMin = parseFloat(process.env.TRADER_SCORE_MIN || '0.8');
+    if (isNaN(scoreMin) || scoreMin <= 0 || scoreMin > 2) {
+      errors.push(`TRADER_SCORE_MIN must be between 0 and 2 (got "${process.env.TRADER_SCORE_MIN}")`);
+    } else if (scoreMin > 1) {
+      warnings.push(`TRADER_SCORE_MIN=${scoreMin} is above 1.0 — leaders with an even record are ${scorePolicy === 'disable' ? 'disabled' : 'downweighted'}.`);
+    }
+    for (const key of ['TRADER_SCORE_MIN_SAMPLES', 'TRADER_SCORE_WINDOW_DAYS', 'TRADER_SCORE_CHECK_MIN']) {
+      if (process.env[key] === undefined || process.env[key] === '') continue;
+      const val = parseFloat(process.env[key]);
+      if (isNaN(val) || val <= 0) errors.push(`${key} must be a positive number (got "${process.env[key]}")`);
+    }
+  }
+
+  // ─── Trader risk budgets ─────────────────────
+  for (const key of ['TRADER_MAX_EXPOSURE', 'TRADER_MAX_DAILY_LOSS', 'TRADER_MAX_CONSECUTIVE_LOSSES', 'TRADER_MAX_DRAWDOWN', 'TRADER_BUDGET_COOLOFF_HOURS']) {
+    if (process.env[key] === undefined || process.env[key] === '') continue;
+    const val = parseFloat(process.env[key]);
+    if (isNaN(val) || val < 0) errors.push(`${key} must be 0 (off) or a positive number (got "${process.env[key]}")`);
+  }
+
+  // ─── Drawdown de-risking ─────────────────────
+  if (process.env.DERISK_TIERS) {
+    const parts = process.env.DERISK_TIERS.split(',').map(p => p.trim()).filter(Boolean);
+    const tiers = [];
+    for (const part of parts) {
+      const [dd, mult] = part.split(':').map(s => parseFloat(s));
+      if (!(dd > 0 && dd < 100) || !(mult >= 0 && mult <= 1)) {
+        errors.push(`DERISK_TIERS entry "${part}" must be "drawdown%:multiplier" with drawdown 0-100 and multiplier 0-1`);
+      } else {
+        tiers.push({ dd, mult });
+      }
+    }
+    tiers.sort((a, b) => a.dd - b.dd);
+    if (tiers.some((t, i) => i > 0 && t.mult > tiers[i - 1].mult)) {
+      warnings.push('DERISK_TIERS: a deeper drawdown tier has a larger multiplier than a shallower one — size grows as losses deepen.');
+    }
+  }
+  const deriskRecovery = (process.env.DERISK_RECOVERY || 'high').toLowerCase();
+  if (!['high', 'drawdown'].includes(deriskRecovery)) {
+    errors.push(`Unknown DERISK_RECOVERY: "${process.env.DERISK_RECOVERY}" (high or drawdown)`);
+  }
+
+  // ─── Trader discovery ────────────────────────
+  const discoveryPeriod = (process.env.DISCOVERY_PERIOD || 'month').toLowerCase();
+  if (!['day', 'week', 'month', 'all'].includes(discoveryPeriod)) {
+    errors.push(`Unknown DISCOVERY_PERIOD: "${process.env.DISCOVERY_PERIOD}" (day, week, month or all)`);
+  }
+  for (const key of ['DISCOVERY_LIMIT', 'DISCOVERY_MIN_TRADES', 'DISCOVERY_MAX_IDLE_HOURS', 'DISCOVERY_DAYS', 'DISCOVERY_MAX_CANDIDATES']) {
+    if (process.env[key] === undefined || process.env[key] === '') continue;
+    const val = parseFloat(process.env[key]);
+    if (isNaN(val) || val <= 0) errors.push(`${key} must be a positive number (got "${process.env[key]}")`);
+  }
+  const discoveryWinRate = parseFloat(process.env.DISCOVERY_MIN_WIN_RATE || '55');
+  if (isNaN(discoveryWinRate) || discoveryWinRate < 0 || discoveryWinRate > 100) {
+    errors.push(`DISCOVERY_MIN_WIN_RATE must be between 0 and 100 (got "${process.env.DISCOVERY_MIN_WIN_RATE}")`);
+  }
+
+  // ─── Signal source validation ────────────────
+  const signalSource = (process.env.SIGNAL_SOURCE || 'activity').toLowerCase();
+  if (!C.SIGNAL_SOURCES.includes(signalSource)) {
+    errors.push(
+      `Unknown SIGNAL_SOURCE: "${process.env.SIGNAL_SOURCE}"\n` +
+      `  Valid options: ${C.SIGNAL_SOURCES.join(', ')}\n` +
+      '  activity: Leader trade feed with real fill prices (default)\n' +
+      '  positions: Diff position snapshots every poll'
+    );
+  }
+
+  // ─── Execution mode ──────────────────────────
+  const executionMode = (process.env.EXECUTION_MODE || 'market').toLowerCase();
+  if (!C.EXECUTION_MODES.includes(executionMode)) {
+    errors.push(
+      `Unknown EXECUTION_MODE: "${process.env.EXECUTION_MODE}"\n` +
+      `  Valid options: ${C.EXECUTION_MODES.join(', ')}\n` +
+      '  market: FOK orders at the current ask (default)\n' +
+      '  limit: GTC orders near the leader price, cancelled after LIMIT_ORDER_TTL_SEC'
+    );
+  }
+  const limitTtl = parseFloat(process.env.LIMIT_ORDER_TTL_SEC || '60');
+  if (isNaN(limitTtl) || limitTtl < 5) {
+    errors.push(`LIMIT_ORDER_TTL_SEC must be at least 5 seconds (got "${process.env.LIMIT_ORDER_TTL_SEC}")`);
+  }
+
+  // ─── Downtime catch-up policy ────────────────
+  const catchupPolicy = (process.env.CATCHUP_POLICY || 'manual').toLowerCase();
+  if (!C.CATCHUP_POLICIES.includes(catchupPolicy)) {
+    errors.push(
+      `Unknown CATCHUP_POLICY: "${process.env.CATCHUP_POLICY}"\n` +
+      `  Valid options: ${C.CATCHUP_POLICIES.join(', ')}`
+    );
+  }
+
+  const reconcileInterval = parseFloat(process.env.RECONCILE_INTERVAL_MIN || '10');
+  if (isNaN(reconcileInterval) || reconcileInterval < 0) {
+    errors.push(`RECONCILE_INTERVAL_MIN must be 0 (off) or a positive number of minutes (got "${process.env.RECONCILE_INTERVAL_MIN}")`);
+  }
+
+  const resolutionInterval = parseFloat(process.env.RESOLUTION_CHECK_MIN || '5');
+  if (isNaN(resolutionInterval) || resolutionInterval < 0) {
+    errors.push(`RESOLUTION_CHECK_MIN must be 0 (off) or a positive number of minutes (got "${process.env.RESOLUTION_CHECK_MIN}")`);
+  }
+
+  const paperLatency = parseFloat(process.env.PAPER_LATENCY_MS || '500');
+  if (isNaN(paperLatency) || paperLatency < 0) {
+    errors.push(`PAPER_LATENCY_MS must be 0 or a positive number of milliseconds (got "${process.env.PAPER_LATENCY_MS}")`);
+  }
+
+  for (const key of ['EXIT_STOP_LOSS_PCT', 'EXIT_TAKE_PROFIT_PCT', 'EXIT_TRAILING_STOP_PCT', 'EXIT_MAX_HOLD_HOURS']) {
+    const val = parseFloat(process.env[key] || '0');
+    if (isNaN(val) || val < 0) errors.push(`${key} must be 0 (off) or a positive number (got "${process.env[key]}")`);
+  }
 
   // ─── Dashboard password ──────────────────────
   const dashPassword = process.env.DASHBOARD_PASSWORD || 'changeme123';